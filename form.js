@@ -8,6 +8,7 @@
  * - Real-time form validation with disabled submit button
  * - reCAPTCHA v3 integration (invisible, score-based)
  * - Data collection from all form fields
+ * - Email language (locale) from the user's choice or the browser language
  * - Generation of unique submission ID
  * - Saving data to localStorage
  * - Redirecting to subscribe.html
@@ -27,6 +28,10 @@
     submitButtonId: 'submitButton',
     storageKey: 'sss_submission_data',
     redirectUrl: './subscribe.html',
+    localeFieldId: 'locale',
+    // Languages our emails are written in (utils/i18n.js on the server)
+    supportedLocales: ['en', 'af', 'zu'],
+    defaultLocale: 'en',
     recaptchaSiteKey: '6Let8lQsAAAAAKdI_oGL3i-8QRKVDtN-SA8AKPSX'
   };
 
@@ -85,6 +90,31 @@
     return `SSS-${dateStr}-${randomStr}`;
   }
 
+  /**
+   * Match a language tag to a supported email locale
+   * e.g. 'af-ZA' -> 'af', 'en-GB' -> 'en', 'fr' -> default
+   * @param {string} language - Language tag, e.g. from navigator.language
+   * @returns {string} Supported locale
+   */
+  function resolveLocale(language) {
+    const base = String(language || '').trim().toLowerCase().split(/[-_]/)[0];
+    return CONFIG.supportedLocales.includes(base) ? base : CONFIG.defaultLocale;
+  }
+
+  /**
+   * Preferred email locale: the first of the browser's languages we support
+   * @returns {string} Supported locale
+   */
+  function getBrowserLocale() {
+    const languages = navigator.languages && navigator.languages.length > 0
+      ? navigator.languages
+      : [navigator.language];
+    const supported = languages.find(language =>
+      CONFIG.supportedLocales.includes(String(language || '').toLowerCase().split(/[-_]/)[0])
+    );
+    return resolveLocale(supported);
+  }
+
   /**
    * Get current timestamp in ISO format
    * @returns {string} ISO timestamp
@@ -399,6 +429,12 @@
       submitButton.classList.add('button-disabled');
     }
 
+    // Preselect the email language from the browser (the user can change it)
+    const localeField = document.getElementById(CONFIG.localeFieldId);
+    if (localeField) {
+      localeField.value = getBrowserLocale();
+    }
+
     // Handle custom CTA toggle
     const ctaRadios = form.querySelectorAll('input[name="ctaType"]');
     const customCtaGroup = document.getElementById('customCtaGroup');
@@ -460,6 +496,9 @@
       // Collect all form data
       const formData = collectFormData(form);
 
+      // Always store a supported locale, even if the field is missing
+      formData.locale = resolveLocale(formData.locale || getBrowserLocale());
+
       // Get reCAPTCHA v3 token (invisible, runs in background)
       try {
         const recaptchaToken = await getRecaptchaToken();
@@ -0,0 +1,72 @@
+/**
+ * Admin Abandoned Checkout Report
+ *
+ * Admin-only endpoint reporting how many checkouts expired without payment,
+ * per day, week or month. Counts come from checkout_expiry_stats, which the
+ * pending-cleanup scheduled function fills as it deletes expired rows.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET ?period=day|week|month&from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * Defaults: period=day, the last 30 days.
+ *
+ * @module netlify/functions/admin-abandoned-checkouts
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { getAbandonedCheckoutReport } = require('./utils/database');
+const { withAuditActor } = require('./utils/audit');
+
+const PERIODS = ['day', 'week', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Main handler for the abandoned checkout report
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET.' });
+  }
+
+  const params = event.queryStringParameters || {};
+  const period = params.period || 'day';
+
+  if (!PERIODS.includes(period)) {
+    return jsonResponse(400, { error: `period must be one of: ${PERIODS.join(', ')}` });
+  }
+  for (const key of ['from', 'to']) {
+    if (params[key] && !DATE_PATTERN.test(params[key])) {
+      return jsonResponse(400, { error: `${key} must be in YYYY-MM-DD format` });
+    }
+  }
+
+  try {
+    const rows = await getAbandonedCheckoutReport({ period, from: params.from, to: params.to });
+    const totalAbandoned = rows.reduce((sum, row) => sum + row.abandoned, 0);
+
+    return jsonResponse(200, { period, totalAbandoned, rows });
+  } catch (error) {
+    console.error('ERROR: Abandoned checkout report failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
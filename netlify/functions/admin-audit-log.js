@@ -0,0 +1,82 @@
+/**
+ * Admin Audit Log
+ *
+ * Admin-only endpoint for reading audit_log: who changed what, and when.
+ * Entries are written by the storage operations themselves (see
+ * utils/audit.js) and can't be changed or deleted.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET ?submissionId=...                    - Full history of one subscriber
+ *   GET ?entityType=email&entityId=42        - History of one record
+ *   GET ?actorType=admin&actorId=jane        - Everything one person did
+ *   GET ?action=status_changed&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=100
+ *
+ * Filters combine; entries come newest first (limit defaults to 100, max 500).
+ *
+ * @module netlify/functions/admin-audit-log
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { listAuditLog } = require('./utils/database');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Main handler for audit log queries
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET.' });
+  }
+
+  const params = event.queryStringParameters || {};
+
+  if (params.actorType && !Object.values(ACTOR_TYPES).includes(params.actorType)) {
+    return jsonResponse(400, { error: `actorType must be one of: ${Object.values(ACTOR_TYPES).join(', ')}` });
+  }
+  for (const key of ['from', 'to']) {
+    if (params[key] && !DATE_PATTERN.test(params[key])) {
+      return jsonResponse(400, { error: `${key} must be in YYYY-MM-DD format` });
+    }
+  }
+
+  try {
+    const entries = await listAuditLog({
+      submissionId: params.submissionId,
+      entityType: params.entityType,
+      entityId: params.entityId,
+      actorType: params.actorType,
+      actorId: params.actorId,
+      action: params.action,
+      from: params.from,
+      to: params.to,
+      limit: params.limit
+    });
+
+    return jsonResponse(200, { count: entries.length, entries });
+  } catch (error) {
+    console.error('ERROR: Audit log query failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
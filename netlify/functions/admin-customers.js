@@ -0,0 +1,62 @@
+/**
+ * Admin Customers
+ *
+ * Admin-only endpoint showing a customer - the person behind one or more
+ * subscriptions - with every submission linked to them. The customer of a
+ * submission is in its admin-subscriptions response (customerId).
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET ?id=123
+ *
+ * @module netlify/functions/admin-customers
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { getCustomer } = require('./utils/database');
+const { withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for customer lookups
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET.' });
+  }
+
+  const id = (event.queryStringParameters || {}).id;
+  if (!id || !/^\d+$/.test(id)) {
+    return jsonResponse(400, { error: 'id query parameter is required' });
+  }
+
+  try {
+    const customer = await getCustomer(id);
+    if (!customer) {
+      return jsonResponse(404, { error: 'Customer not found' });
+    }
+
+    return jsonResponse(200, customer);
+  } catch (error) {
+    console.error('ERROR: Customer lookup failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Admin Data-Subject Requests (POPIA)
+ *
+ * Admin-only endpoint for answering a person's access and erasure
+ * requests. Everything is looked up by their email address; every
+ * request, including refused erasures, is recorded in
+ * data_subject_requests (without the address itself).
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET  ?email=...&limit=50                          - Audit trail of requests
+ *   POST { action: "access", email, reference }        - Export everything held (JSON)
+ *   POST { action: "erasure", email, reference,
+ *          confirm: true }                             - Anonymise their PII
+ *
+ * Access and erasure are POSTs so the address stays out of URLs and logs.
+ * Erasure keeps the financial records needed for tax retention and is
+ * refused while a subscription is live - see utils/data-subject.js.
+ *
+ * @module netlify/functions/admin-data-subjects
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  exportDataSubject,
+  eraseDataSubject,
+  listDataSubjectRequests
+} = require('./utils/database');
+const { REQUEST_TYPES, normalizeSubjectEmail } = require('./utils/data-subject');
+const { withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for data-subject requests
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - audit trail
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+      const requests = await listDataSubjectRequests({
+        email: params.email,
+        limit: params.limit
+      });
+
+      return jsonResponse(200, { count: requests.length, requests });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+    }
+
+    // ---- Step 1: Parse and validate the request ----
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return jsonResponse(400, { error: 'Invalid JSON body' });
+    }
+
+    const { action, email, reference } = requestData;
+    if (!Object.values(REQUEST_TYPES).includes(action)) {
+      return jsonResponse(400, { error: `action must be one of: ${Object.values(REQUEST_TYPES).join(', ')}` });
+    }
+
+    try {
+      normalizeSubjectEmail(email);
+    } catch (validationError) {
+      return jsonResponse(400, { error: validationError.message });
+    }
+
+    const request = { requestedBy: auth.adminUser, reference };
+
+    // ---- Step 2: Access - export everything held ----
+    if (action === REQUEST_TYPES.ACCESS) {
+      console.log(`[Admin] ${auth.adminUser} exporting data-subject records`);
+
+      const { requestId, data } = await exportDataSubject(email, request);
+      return jsonResponse(200, { requestId, ...data }, {
+        'Content-Disposition': `attachment; filename="data-subject-export-${requestId}.json"`
+      });
+    }
+
+    // ---- Step 3: Erasure - anonymise, keeping financial records ----
+    if (requestData.confirm !== true) {
+      return jsonResponse(400, { error: 'Erasure cannot be undone - resend with "confirm": true' });
+    }
+
+    console.log(`[Admin] ${auth.adminUser} erasing data-subject records`);
+
+    const outcome = await eraseDataSubject(email, request);
+    if (!outcome.erased) {
+      return jsonResponse(409, {
+        error: outcome.reason,
+        requestId: outcome.requestId,
+        liveSubmissions: outcome.summary.liveSubmissions
+      });
+    }
+
+    console.log(`✓ Data-subject erasure ${outcome.requestId} complete`);
+    return jsonResponse(200, {
+      message: 'Personal information erased',
+      requestId: outcome.requestId,
+      erased: outcome.summary
+    });
+
+  } catch (error) {
+    console.error('ERROR: Data-subject request failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Admin Email Outbox
+ *
+ * Admin-only endpoint for checking emails that could not be delivered.
+ * Dead emails (MAX_ATTEMPTS failed sends) stay here until requeued.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET  ?status=dead&limit=50   - Status counts plus matching emails (no bodies)
+ *   GET  ?id=123                 - One email, including its rendered bodies,
+ *                                  attachment names and delivery events
+ *   GET  ?submissionId=...       - Delivery events for a submission's emails
+ *   POST { id }                  - Requeue a dead email for another round of retries
+ *
+ * @module netlify/functions/admin-email-outbox
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  listOutboxEmails,
+  getOutboxEmail,
+  countOutboxEmails,
+  requeueDeadEmail,
+  getEmailEvents
+} = require('./utils/database');
+const { withAuditActor } = require('./utils/audit');
+
+const STATUSES = ['pending', 'sent', 'dead'];
+
+/**
+ * Main handler for the email outbox
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - list emails or fetch one
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+
+      if (params.id) {
+        const id = parseInt(params.id, 10);
+        const email = await getOutboxEmail(id);
+        if (!email) {
+          return jsonResponse(404, { error: 'Outbox email not found', id: params.id });
+        }
+        const events = await getEmailEvents({ emailId: id });
+        return jsonResponse(200, { ...email, attachments: summarizeAttachments(email.attachments), events });
+      }
+
+      if (params.submissionId) {
+        const events = await getEmailEvents({ submissionId: params.submissionId });
+        return jsonResponse(200, { submissionId: params.submissionId, count: events.length, events });
+      }
+
+      const status = params.status || 'dead';
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        return jsonResponse(400, { error: `status must be one of: all, ${STATUSES.join(', ')}` });
+      }
+
+      const [counts, emails] = await Promise.all([
+        countOutboxEmails(),
+        listOutboxEmails({
+          status: status === 'all' ? null : status,
+          limit: params.limit
+        })
+      ]);
+
+      return jsonResponse(200, { status, counts, count: emails.length, emails });
+    }
+
+    // ----------------------------------------
+    // POST - requeue a dead email
+    // ----------------------------------------
+    if (event.httpMethod === 'POST') {
+      let requestData;
+      try {
+        requestData = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        return jsonResponse(400, { error: 'Invalid JSON body' });
+      }
+
+      const id = parseInt(requestData.id, 10);
+      if (!Number.isInteger(id)) {
+        return jsonResponse(400, { error: 'id is required' });
+      }
+
+      const email = await requeueDeadEmail(id);
+      if (!email) {
+        return jsonResponse(404, { error: 'No dead outbox email with that id', id });
+      }
+
+      console.log(`[Admin] ${auth.adminUser} requeued outbox email:`, id);
+      return jsonResponse(200, { message: 'Email requeued', id, status: email.status });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+
+  } catch (error) {
+    console.error('ERROR: Email outbox request failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Attachments without their (base64) content
+ */
+function summarizeAttachments(attachments) {
+  return (attachments || []).map(attachment => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    bytes: Buffer.byteLength(attachment.content || '', 'base64')
+  }));
+}
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
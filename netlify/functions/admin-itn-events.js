@@ -0,0 +1,134 @@
+/**
+ * Admin ITN Event Store
+ *
+ * Admin-only endpoint for inspecting the raw ITNs stored by payfast-itn
+ * and replaying them through the same processing logic.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET  ?submissionId=SSS-...&validation=valid&limit=50  - List events
+ *   GET  ?id=123                                          - Event with every result
+ *   POST { id }                                           - Replay an event
+ *
+ * Replays re-run processing on the stored raw body (the signature is checked
+ * again), accept expired pending form data, and skip whatever earlier runs
+ * already did: PayFast server validation and emails that were sent or queued.
+ * Each replay appends a new result; the event itself is never changed.
+ * Events redacted by a data-subject erasure can't be replayed. An ITN held
+ * in quarantine is provisioned once its entry is released (admin-quarantine
+ * does this replay itself); until then a replay quarantines it again.
+ *
+ * @module netlify/functions/admin-itn-events
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  getItnEvent,
+  listItnEvents,
+  recordItnEventResult
+} = require('./utils/database');
+const { processItn, parseItnBody, buildReplayOptions } = require('./utils/itn-processor');
+const { getPayFastCredentials } = require('./utils/payfast-config');
+const { withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for the ITN event store
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - list events or fetch one
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+
+      if (params.id) {
+        const storedEvent = await getItnEvent(parseInt(params.id, 10));
+        if (!storedEvent) {
+          return jsonResponse(404, { error: 'ITN event not found', id: params.id });
+        }
+        return jsonResponse(200, storedEvent);
+      }
+
+      const events = await listItnEvents({
+        submissionId: params.submissionId,
+        validation: params.validation,
+        limit: params.limit
+      });
+
+      return jsonResponse(200, { count: events.length, events });
+    }
+
+    // ----------------------------------------
+    // POST - replay an event
+    // ----------------------------------------
+    if (event.httpMethod === 'POST') {
+      let requestData;
+      try {
+        requestData = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        return jsonResponse(400, { error: 'Invalid JSON body' });
+      }
+
+      const id = parseInt(requestData.id, 10);
+      if (!Number.isInteger(id)) {
+        return jsonResponse(400, { error: 'id is required' });
+      }
+
+      const storedEvent = await getItnEvent(id);
+      if (!storedEvent) {
+        return jsonResponse(404, { error: 'ITN event not found', id });
+      }
+      if (storedEvent.redacted_at) {
+        return jsonResponse(409, { error: 'ITN event was redacted by a data-subject erasure', id });
+      }
+
+      console.log(`[Admin] ${auth.adminUser} replaying ITN event:`, id);
+
+      const outcome = await processItn(
+        parseItnBody(storedEvent.raw_body),
+        getPayFastCredentials(),
+        buildReplayOptions(storedEvent.results)
+      );
+
+      const recorded = await recordItnEventResult(id, {
+        ...outcome,
+        replayedBy: auth.adminUser
+      });
+
+      console.log(`✓ ITN event ${id} replayed:`, outcome.validation);
+      return jsonResponse(200, {
+        message: 'ITN event replayed',
+        id,
+        validation: outcome.validation,
+        result: outcome.result,
+        resultId: recorded.id
+      });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+
+  } catch (error) {
+    console.error('ERROR: ITN event request failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
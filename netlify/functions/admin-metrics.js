@@ -0,0 +1,105 @@
+/**
+ * Admin Business Metrics
+ *
+ * Admin-only endpoint serving the business metrics report: monthly
+ * signups, active subscribers, MRR, churn and trial-to-paid conversion,
+ * with breakdowns by industry, province and business type. Definitions
+ * are in utils/reporting.js.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET ?from=YYYY-MM&to=YYYY-MM                   - Full report as JSON
+ *   GET ?format=csv&table=months|industry|province|businessType
+ *                                                  - One table as CSV
+ *
+ * Defaults: the last 12 months, table=months.
+ *
+ * @module netlify/functions/admin-metrics
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  METRICS_TABLES,
+  resolveMetricsRange,
+  buildMetricsReport,
+  metricsToCsv
+} = require('./utils/reporting');
+const { withAuditActor } = require('./utils/audit');
+
+const FORMATS = ['json', 'csv'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Longest range one request may cover
+const MAX_MONTHS = 60;
+
+/**
+ * Main handler for the business metrics report
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET.' });
+  }
+
+  const params = event.queryStringParameters || {};
+  const format = params.format || 'json';
+  const table = params.table || 'months';
+
+  if (!FORMATS.includes(format)) {
+    return jsonResponse(400, { error: `format must be one of: ${FORMATS.join(', ')}` });
+  }
+  if (!METRICS_TABLES.includes(table)) {
+    return jsonResponse(400, { error: `table must be one of: ${METRICS_TABLES.join(', ')}` });
+  }
+  for (const key of ['from', 'to']) {
+    if (params[key] && !MONTH_PATTERN.test(params[key])) {
+      return jsonResponse(400, { error: `${key} must be in YYYY-MM format` });
+    }
+  }
+
+  const range = resolveMetricsRange({ from: params.from, to: params.to });
+  if (range.months === 0) {
+    return jsonResponse(400, { error: 'from must not be after to' });
+  }
+  if (range.months > MAX_MONTHS) {
+    return jsonResponse(400, { error: `At most ${MAX_MONTHS} months can be reported at once` });
+  }
+
+  try {
+    const report = await buildMetricsReport(range);
+
+    if (format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="metrics-${table}-${report.from}-${report.to}.csv"`
+        },
+        body: metricsToCsv(report, table)
+      };
+    }
+
+    return jsonResponse(200, report);
+  } catch (error) {
+    console.error('ERROR: Metrics report failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Admin Schema Migrations
+ *
+ * Admin-only endpoint for inspecting and applying database migrations
+ * (see utils/migrations). Production deploys apply them automatically
+ * (netlify.toml); this is for checking a deploy or catching up a database
+ * by hand.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET   - Applied, pending and modified migrations
+ *   POST  - Apply every pending migration
+ *
+ * @module netlify/functions/admin-migrations
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { runMigrations, getMigrationStatus } = require('./utils/database');
+const { withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for schema migrations
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - migration status
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      return jsonResponse(200, await getMigrationStatus());
+    }
+
+    // ----------------------------------------
+    // POST - apply pending migrations
+    // ----------------------------------------
+    if (event.httpMethod === 'POST') {
+      console.log(`[Admin] ${auth.adminUser} applying migrations`);
+
+      const run = await runMigrations();
+
+      console.log(`✓ Migrations applied: ${run.applied.length}, now at version ${run.currentVersion}`);
+      return jsonResponse(200, {
+        message: run.applied.length ? 'Migrations applied' : 'Already up to date',
+        ...run
+      });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+
+  } catch (error) {
+    console.error('ERROR: Migration request failed:', error.message);
+    return jsonResponse(500, { error: 'Migration failed', details: error.message });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Admin ITN Quarantine Review
+ *
+ * Admin-only endpoint for reviewing ITNs that payfast-itn held back because
+ * their amount or merchant did not match what payfast-redirect issued.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET  ?status=open&limit=50                               - List entries
+ *   POST { id, status: 'released' | 'rejected', note }       - Record review outcome
+ *
+ * Release an entry once the payment has been checked in PayFast: the ITN
+ * stored in the event store is then replayed, which provisions the customer
+ * despite the mismatch. The replay is recorded against the event like any
+ * admin-itn-events replay, and can be repeated there if it fails.
+ *
+ * @module netlify/functions/admin-quarantine
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  listQuarantinedItns,
+  resolveQuarantinedItn,
+  listItnEvents,
+  getItnEvent,
+  recordItnEventResult
+} = require('./utils/database');
+const { processItn, parseItnBody, buildReplayOptions } = require('./utils/itn-processor');
+const { getPayFastCredentials } = require('./utils/payfast-config');
+const { withAuditActor } = require('./utils/audit');
+
+const STATUSES = ['open', 'released', 'rejected'];
+
+/**
+ * Main handler for quarantine review
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - list quarantined ITNs
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+      const status = params.status || 'open';
+
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        return jsonResponse(400, { error: `status must be one of: all, ${STATUSES.join(', ')}` });
+      }
+
+      const entries = await listQuarantinedItns({
+        status: status === 'all' ? null : status,
+        limit: params.limit
+      });
+
+      return jsonResponse(200, { status, count: entries.length, entries });
+    }
+
+    // ----------------------------------------
+    // POST - record review outcome
+    // ----------------------------------------
+    if (event.httpMethod === 'POST') {
+      let requestData;
+      try {
+        requestData = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        return jsonResponse(400, { error: 'Invalid JSON body' });
+      }
+
+      const id = parseInt(requestData.id, 10);
+      if (!Number.isInteger(id)) {
+        return jsonResponse(400, { error: 'id is required' });
+      }
+      if (requestData.status !== 'released' && requestData.status !== 'rejected') {
+        return jsonResponse(400, { error: 'status must be "released" or "rejected"' });
+      }
+
+      const entry = await resolveQuarantinedItn(id, {
+        status: requestData.status,
+        reviewedBy: auth.adminUser,
+        note: requestData.note
+      });
+
+      if (!entry) {
+        return jsonResponse(404, { error: 'No open quarantine entry with that id', id });
+      }
+
+      console.log(`[Admin] ${auth.adminUser} ${entry.status} quarantined ITN:`, id);
+
+      if (entry.status !== 'released') {
+        return jsonResponse(200, { message: `Quarantine entry ${entry.status}`, entry });
+      }
+
+      const provisioning = await replayReleasedItn(entry, auth.adminUser);
+      return jsonResponse(200, { message: `Quarantine entry ${entry.status}`, entry, provisioning });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+
+  } catch (error) {
+    console.error('ERROR: Quarantine review failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Replay the stored ITN for a released entry, provisioning the customer
+ *
+ * @param {Object} entry - The released quarantine entry
+ * @param {string} adminUser - Who released it
+ * @returns {Promise<Object>} The replay outcome, or why there was none
+ */
+async function replayReleasedItn(entry, adminUser) {
+  const [latest] = entry.pf_payment_id
+    ? await listItnEvents({ pfPaymentId: entry.pf_payment_id, limit: 1 })
+    : [];
+  const storedEvent = latest && await getItnEvent(latest.id);
+
+  if (!storedEvent) {
+    console.log('WARNING: No stored ITN event for released entry:', entry.id);
+    return { replayed: false, error: 'No stored ITN event for this payment' };
+  }
+  if (storedEvent.redacted_at) {
+    return { replayed: false, eventId: storedEvent.id, error: 'ITN event was redacted by a data-subject erasure' };
+  }
+
+  const outcome = await processItn(
+    parseItnBody(storedEvent.raw_body),
+    getPayFastCredentials(),
+    buildReplayOptions(storedEvent.results)
+  );
+
+  const recorded = await recordItnEventResult(storedEvent.id, {
+    ...outcome,
+    replayedBy: adminUser
+  });
+
+  console.log(`✓ Released ITN event ${storedEvent.id} replayed:`, outcome.validation);
+  return {
+    replayed: true,
+    eventId: storedEvent.id,
+    validation: outcome.validation,
+    result: outcome.result,
+    resultId: recorded.id
+  };
+}
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Admin Data Retention
+ *
+ * Admin-only endpoint for the data retention policy (utils/retention.js):
+ * the rules in force, a dry-run report of what is due, and a way to
+ * enforce the policy now instead of waiting for the retention-enforcer
+ * schedule.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET   - Policy and dry-run report (changes nothing)
+ *   POST  - Enforce the policy now
+ *
+ * @module netlify/functions/admin-retention
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { getRetentionPolicy, enforceRetentionPolicy } = require('./utils/retention');
+const { withAuditActor } = require('./utils/audit');
+
+// Stop starting new batches after this long (functions get 10s)
+const TIME_BUDGET_MS = 6 * 1000;
+
+/**
+ * Main handler for data retention
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  try {
+    // ----------------------------------------
+    // GET - policy and dry-run report
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const policy = getRetentionPolicy();
+      const report = await enforceRetentionPolicy({ dryRun: true });
+      return jsonResponse(200, { policy, ...report });
+    }
+
+    // ----------------------------------------
+    // POST - enforce now
+    // ----------------------------------------
+    if (event.httpMethod === 'POST') {
+      console.log(`[Admin] ${auth.adminUser} enforcing the retention policy`);
+
+      const report = await enforceRetentionPolicy({ timeBudgetMs: TIME_BUDGET_MS });
+
+      console.log('✓ Retention policy enforced:', JSON.stringify(report.categories));
+      return jsonResponse(200, {
+        message: report.complete ? 'Retention policy enforced' : 'Partly enforced - run again for the rest',
+        ...report
+      });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+
+  } catch (error) {
+    console.error('ERROR: Retention request failed:', error.message);
+    return jsonResponse(500, { error: 'Retention request failed', details: error.message });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Admin Submission Search
+ *
+ * Admin-only endpoint for finding a client's submission while they are
+ * on the phone: by business name, a fragment of anything they wrote
+ * about their business, the last digits of their phone number, or their
+ * whole email address, phone number or surname (those are encrypted, so
+ * other fragments of them can't be matched).
+ * Ranking and matching rules are on searchSubmissions in the storage
+ * backend.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET ?q=plumbing+durban
+ *       &subscriptionStatus=active       - Optional filter (trialing, active, past_due, cancelled)
+ *       &from=YYYY-MM-DD&to=YYYY-MM-DD   - Optional created date range (SAST)
+ *       &limit=20&offset=0               - Pagination (limit max 100)
+ *
+ * @module netlify/functions/admin-search
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const { searchSubmissions } = require('./utils/database');
+const { SUBSCRIPTION_STATES, isValidState } = require('./utils/subscription-state');
+const { withAuditActor } = require('./utils/audit');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^\d+$/;
+
+/**
+ * Main handler for submission search
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET.' });
+  }
+
+  const params = event.queryStringParameters || {};
+  const query = (params.q || '').trim();
+  const subscriptionStatus = params.subscriptionStatus ? params.subscriptionStatus.toLowerCase() : undefined;
+
+  if (query.length < 2 || query.length > 200) {
+    return jsonResponse(400, { error: 'q must be between 2 and 200 characters' });
+  }
+  if (subscriptionStatus && !isValidState(subscriptionStatus)) {
+    return jsonResponse(400, {
+      error: `subscriptionStatus must be one of: ${Object.values(SUBSCRIPTION_STATES).join(', ')}`
+    });
+  }
+  for (const key of ['from', 'to']) {
+    if (params[key] && !DATE_PATTERN.test(params[key])) {
+      return jsonResponse(400, { error: `${key} must be in YYYY-MM-DD format` });
+    }
+  }
+  for (const key of ['limit', 'offset']) {
+    if (params[key] && !NUMBER_PATTERN.test(params[key])) {
+      return jsonResponse(400, { error: `${key} must be a whole number` });
+    }
+  }
+
+  const limit = Math.min(parseInt(params.limit, 10) || 20, 100);
+  const offset = parseInt(params.offset, 10) || 0;
+
+  try {
+    const { total, results } = await searchSubmissions({
+      query,
+      subscriptionStatus,
+      from: params.from,
+      to: params.to,
+      limit,
+      offset
+    });
+
+    return jsonResponse(200, {
+      query,
+      total,
+      limit,
+      offset,
+      results: results.map(row => ({
+        submissionId: row.submission_id,
+        businessName: row.business_name,
+        ownerFirstName: row.owner_first_name,
+        ownerLastName: row.owner_last_name,
+        email: row.email,
+        phone: row.phone,
+        industry: row.industry,
+        paymentStatus: row.payment_status,
+        subscriptionStatus: row.subscription_status,
+        planId: row.plan_id,
+        customerId: row.customer_id,
+        createdAt: row.created_at,
+        exactMatch: row.exact_match,
+        rank: Number(row.text_rank)
+      }))
+    });
+  } catch (error) {
+    console.error('ERROR: Submission search failed:', error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Admin Subscription Management
+ *
+ * Admin-only endpoint for managing a client's PayFast subscription
+ * without logging into the PayFast dashboard.
+ *
+ * Usage (Authorization: Bearer <ADMIN_API_KEY>):
+ *   GET  ?submissionId=SSS-...  - Fetch PayFast subscription + local state and payments
+ *   POST { submissionId, action: 'cancel' }
+ *   POST { submissionId, action: 'pause', cycles: 1 }
+ *   POST { submissionId, action: 'unpause' }
+ *   POST { submissionId, action: 'update', amount?, frequency?, cycles?, runDate? }
+ *
+ * The subscription is looked up by submission ID; its subscription_token
+ * (stored from the initial ITN) identifies it at PayFast.
+ *
+ * @module netlify/functions/admin-subscriptions
+ */
+
+const { authorizeAdminRequest, unauthorizedResponse, adminActor } = require('./utils/admin-auth');
+const {
+  findBySubmissionId,
+  transitionSubscriptionStatus,
+  updateRecurringAmount,
+  getSubscriptionHistory,
+  getPaymentHistory
+} = require('./utils/database');
+const {
+  fetchSubscription,
+  cancelSubscription,
+  pauseSubscription,
+  unpauseSubscription,
+  updateSubscription
+} = require('./utils/payfast-subscriptions');
+const { SUBSCRIPTION_STATES } = require('./utils/subscription-state');
+const { withAuditActor } = require('./utils/audit');
+
+const ACTIONS = ['cancel', 'pause', 'unpause', 'update'];
+
+/**
+ * Main handler for admin subscription management
+ */
+exports.handler = withAuditActor(adminActor, async function(event, context) {
+  const auth = authorizeAdminRequest(event);
+  if (!auth.authorized) {
+    return unauthorizedResponse(auth);
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed. Use GET or POST.' });
+  }
+
+  try {
+    // ----------------------------------------
+    // Step 1: Parse request
+    // ----------------------------------------
+    let requestData;
+    if (event.httpMethod === 'GET') {
+      requestData = event.queryStringParameters || {};
+    } else {
+      try {
+        requestData = JSON.parse(event.body || '{}');
+      } catch (parseError) {
+        return jsonResponse(400, { error: 'Invalid JSON body' });
+      }
+    }
+
+    const submissionId = requestData.submissionId;
+    if (!submissionId) {
+      return jsonResponse(400, { error: 'submissionId is required' });
+    }
+
+    // ----------------------------------------
+    // Step 2: Look up the subscription token
+    // ----------------------------------------
+    const submission = await findBySubmissionId(submissionId);
+
+    if (!submission) {
+      return jsonResponse(404, { error: 'Submission not found', submissionId });
+    }
+    if (!submission.subscription_token) {
+      return jsonResponse(409, { error: 'Submission has no PayFast subscription token', submissionId });
+    }
+
+    const token = submission.subscription_token;
+
+    // ----------------------------------------
+    // Step 3a: GET - fetch current details
+    // ----------------------------------------
+    if (event.httpMethod === 'GET') {
+      const [payfast, history, payments] = await Promise.all([
+        fetchSubscription(token),
+        getSubscriptionHistory(submissionId),
+        getPaymentHistory(submissionId)
+      ]);
+
+      return jsonResponse(200, {
+        submissionId,
+        customerId: submission.customer_id,
+        subscriptionStatus: submission.subscription_status,
+        payfast,
+        history,
+        payments
+      });
+    }
+
+    // ----------------------------------------
+    // Step 3b: POST - perform an action
+    // ----------------------------------------
+    const action = requestData.action;
+    if (!ACTIONS.includes(action)) {
+      return jsonResponse(400, { error: `action must be one of: ${ACTIONS.join(', ')}` });
+    }
+
+    console.log(`[Admin] ${auth.adminUser} requested subscription ${action}:`, submissionId);
+
+    let result;
+    switch (action) {
+      case 'cancel':
+        result = await cancelSubscription(token);
+        await transitionSubscriptionStatus(submissionId, SUBSCRIPTION_STATES.CANCELLED, {
+          reason: `Cancelled by admin (${auth.adminUser})`
+        });
+        break;
+      case 'pause':
+        result = await pauseSubscription(token, requestData.cycles || 1);
+        break;
+      case 'unpause':
+        result = await unpauseSubscription(token);
+        break;
+      case 'update':
+        result = await updateSubscription(token, {
+          amount: requestData.amount,
+          frequency: requestData.frequency,
+          cycles: requestData.cycles,
+          runDate: requestData.runDate
+        });
+        // Keep ITN validation in step with the new price
+        if (requestData.amount !== undefined) {
+          await updateRecurringAmount(submissionId, requestData.amount);
+        }
+        break;
+    }
+
+    console.log(`✓ Subscription ${action} succeeded:`, submissionId);
+    return jsonResponse(200, {
+      message: `Subscription ${action} succeeded`,
+      submissionId,
+      payfast: result
+    });
+
+  } catch (error) {
+    console.error('ERROR: Admin subscription request failed:', error.message);
+    return jsonResponse(502, { error: error.message });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
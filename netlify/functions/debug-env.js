@@ -28,8 +28,10 @@ exports.handler = async function(event, context) {
     PAYFAST_SANDBOX_PASSPHRASE: maskValue(process.env.PAYFAST_SANDBOX_PASSPHRASE),
     
     // Email (Resend) - CORRECT VARIABLES
+    EMAIL_PROVIDERS: process.env.EMAIL_PROVIDERS || 'NOT SET (EMAIL_SERVICE only)',
     EMAIL_API_KEY: maskValue(process.env.EMAIL_API_KEY),
-    EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'NOT SET ❌',
+    EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'NOT SET',
+    EMAIL_SMTP_HOST: maskValue(process.env.EMAIL_SMTP_HOST),
     NOTIFICATION_EMAIL: maskValue(process.env.NOTIFICATION_EMAIL),
     FROM_EMAIL: maskValue(process.env.FROM_EMAIL),
     
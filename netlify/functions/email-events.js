@@ -0,0 +1,146 @@
+/**
+ * Email Delivery Events Webhook
+ *
+ * Receives delivery webhooks from the email providers, so the outbox
+ * knows what happened to an email after the provider accepted it.
+ *
+ *   POST /api/email-events/<provider>   (or ?provider=<provider>)
+ *
+ * Point each provider's webhook at its own URL, using the same name as in
+ * EMAIL_PROVIDERS, and set EMAIL_WEBHOOK_SECRET_<PROVIDER> (or one
+ * EMAIL_WEBHOOK_SECRET for all). Requests that fail verification are
+ * rejected with 401; see utils/email-events.js for what each provider
+ * signs.
+ *
+ * Each event is stored against the outbox email it is about (and so its
+ * submission). Hard bounces and complaints flag the customer's address,
+ * and a hard-bounced welcome email alerts the owner, since the customer
+ * has paid but never got their onboarding details.
+ *
+ * Storage errors return 500 so the provider retries; events already
+ * stored are ignored on retry.
+ *
+ * @module netlify/functions/email-events
+ */
+
+const { recordEmailEvent, findBySubmissionId } = require('./utils/database');
+const { getProviderId, buildProviderName, buildBounceAlertEmail } = require('./utils/email-sender');
+const {
+  EMAIL_EVENT_TYPES,
+  BOUNCE_TYPES,
+  supportsWebhooks,
+  verifyWebhook,
+  parseWebhookEvents
+} = require('./utils/email-events');
+const { queueEmail } = require('./utils/email-outbox');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for delivery webhooks
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.WEBHOOK, id: 'email-events' }, async function(event, context) {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed. Use POST.' });
+  }
+
+  // ----------------------------------------
+  // Which provider sent it
+  // ----------------------------------------
+  const requested = (event.queryStringParameters || {}).provider
+    || String(event.path || '').split('/').filter(Boolean).pop();
+  const providerId = getProviderId(requested);
+
+  if (!providerId || !supportsWebhooks(providerId)) {
+    return jsonResponse(404, { error: 'Unknown or unsupported email provider' });
+  }
+  const provider = buildProviderName(providerId);
+
+  // ----------------------------------------
+  // Verify the signature
+  // ----------------------------------------
+  const secret = process.env[`EMAIL_WEBHOOK_SECRET_${provider.toUpperCase()}`] || process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error(`ERROR: No webhook secret set for ${provider} (EMAIL_WEBHOOK_SECRET_${provider.toUpperCase()})`);
+    return jsonResponse(500, { error: 'Webhook not configured' });
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+
+  if (!verifyWebhook(providerId, headers, rawBody, secret)) {
+    console.log(`Email webhook from ${provider} failed verification`);
+    return jsonResponse(401, { error: 'Invalid signature' });
+  }
+
+  // ----------------------------------------
+  // Store the events
+  // ----------------------------------------
+  try {
+    const summary = { received: 0, recorded: 0, duplicates: 0, unmatched: 0, flagged: 0, alerts: 0 };
+
+    for (const parsed of parseWebhookEvents(providerId, headers, rawBody)) {
+      summary.received++;
+      const result = await recordEmailEvent({ provider, ...parsed });
+
+      if (result.duplicate) {
+        summary.duplicates++;
+        continue;
+      }
+      summary.recorded++;
+      if (!result.email) {
+        summary.unmatched++;
+        continue;
+      }
+      if (result.customerStatus) {
+        summary.flagged++;
+        console.log(`Customer ${result.customerId} email marked ${result.customerStatus} (email ${result.email.id})`);
+      }
+
+      if (parsed.type === EMAIL_EVENT_TYPES.BOUNCED
+        && parsed.bounceType === BOUNCE_TYPES.HARD
+        && result.email.kind === 'welcome') {
+        await alertOwner(result);
+        summary.alerts++;
+      }
+    }
+
+    console.log(`✓ Email webhook from ${provider}:`, JSON.stringify(summary));
+    return jsonResponse(200, summary);
+  } catch (error) {
+    console.error(`ERROR: Email webhook from ${provider} failed:`, error.message);
+    return jsonResponse(500, { error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Tell the owner a welcome email hard-bounced (at most once per email)
+ */
+async function alertOwner({ email, event }) {
+  const submission = email.submission_id ? await findBySubmissionId(email.submission_id) : null;
+
+  const queued = await queueEmail(buildBounceAlertEmail({ email, event, submission }), {
+    kind: 'bounce_alert',
+    submissionId: email.submission_id,
+    dedupeKey: `bounce_alert:${email.id}`
+  });
+  console.log(`Bounce alert for email ${email.id}: ${queued.status}`);
+}
+
+/**
+ * Build a JSON response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, null, 2)
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Email Opt-Out Handler
+ *
+ * Target of the unsubscribe link in abandoned-checkout recovery emails.
+ *
+ *   GET  ?token=...  - Confirmation page (link scanners that prefetch
+ *                      the URL don't opt anyone out)
+ *   POST ?token=...  - Record the opt-out (form button or one-click)
+ *
+ * The token is signed (purpose "opt-out") and carries the submission ID
+ * of the checkout that was emailed, not the address (links end up in
+ * access logs); the address is looked up from the checkout, or from the
+ * submission if it has since been paid. Links sent before carry the
+ * address itself and still work.
+ *
+ * @module netlify/functions/email-opt-out
+ */
+
+const { recordEmailOptOut, getPendingFormData, findBySubmissionId } = require('./utils/database');
+const { verifySignedToken } = require('./utils/signed-links');
+const { escapeHtml, htmlMessageResponse } = require('./utils/payfast-checkout');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for email opt-out
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.CUSTOMER, id: 'email-opt-out' }, async function(event, context) {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return htmlMessageResponse(405, 'Method not allowed', 'Please use the link from your email.');
+  }
+
+  // Token comes from the query string, or the confirmation form body
+  const body = event.httpMethod === 'POST' ? new URLSearchParams(event.body || '') : null;
+  const token = (event.queryStringParameters || {}).token || body?.get('token');
+
+  const verification = verifySignedToken(token, 'opt-out');
+  if (!verification.valid) {
+    console.log('Opt-out link rejected:', verification.error);
+    return htmlMessageResponse(400, 'This link is not valid', 'Please use the unsubscribe link from your email.');
+  }
+
+  // ----------------------------------------
+  // GET - ask for confirmation
+  // ----------------------------------------
+  if (event.httpMethod === 'GET') {
+    return htmlMessageResponse(200, 'Stop reminder emails?',
+      'We\'ll stop sending reminders about your unfinished subscription.',
+      `<form method="POST">
+      <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+      <button type="submit">Unsubscribe</button>
+    </form>`);
+  }
+
+  // ----------------------------------------
+  // POST - record the opt-out
+  // ----------------------------------------
+  try {
+    const email = verification.data.email || await findCheckoutEmail(verification.data.sid);
+    if (!email) {
+      console.log('Opt-out link for a checkout no longer held:', verification.data.sid);
+      return htmlMessageResponse(200, 'Nothing to unsubscribe',
+        'We no longer hold the details of this checkout, so you won\'t receive any more reminders about it.');
+    }
+
+    await recordEmailOptOut(email, 'recovery_email');
+    console.log('✓ Email opt-out recorded');
+
+    return htmlMessageResponse(200, 'You\'ve been unsubscribed',
+      'You won\'t receive any more reminders about your unfinished subscription.');
+  } catch (error) {
+    console.error('ERROR: Opt-out failed:', error.message);
+    return htmlMessageResponse(500, 'Something went wrong', 'Please try again later.');
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Find the address a recovery email for a checkout was sent to
+ *
+ * @param {string} submissionId - Submission ID from the link
+ * @returns {Promise<string|null>} The address, or null if the checkout is no longer held
+ */
+async function findCheckoutEmail(submissionId) {
+  if (!submissionId) {
+    return null;
+  }
+
+  const pendingRecord = await getPendingFormData(submissionId, true);
+  if (pendingRecord) {
+    const formData = typeof pendingRecord.form_data === 'string'
+      ? JSON.parse(pendingRecord.form_data)
+      : pendingRecord.form_data;
+    return formData?.businessEmail || null;
+  }
+
+  const submission = await findBySubmissionId(submissionId);
+  return submission?.email || null;
+}
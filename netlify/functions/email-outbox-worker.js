@@ -0,0 +1,37 @@
+/**
+ * Email Outbox Worker (scheduled)
+ *
+ * Retries emails left in the email_outbox table after a failed send.
+ * Runs on the schedule set in netlify.toml; see utils/email-outbox.js
+ * for the backoff and dead-letter rules. Each run sends until the send
+ * deadline and leaves the rest for the next run.
+ *
+ * @module netlify/functions/email-outbox-worker
+ */
+
+const { processOutbox } = require('./utils/email-outbox');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for the scheduled outbox run
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.JOB, id: 'email-outbox-worker' }, async function(event, context) {
+  try {
+    const summary = await processOutbox();
+
+    if (summary.processed > 0) {
+      console.log('[Outbox Worker] Run complete:', JSON.stringify(summary));
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error('ERROR: Outbox worker failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+});
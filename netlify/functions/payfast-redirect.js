@@ -5,24 +5,36 @@
  * 
  * CRITICAL DATA FLOW:
  * 1. Receives FULL form data from subscribe.html (via localStorage)
- * 2. Stores COMPLETE form data in pending_form_data table (temporary)
+ * 2. Stores COMPLETE form data in pending_form_data table (temporary),
+ *    together with the chosen plan ID
  * 3. Redirects user to PayFast with minimal required fields
- * 4. ITN handler later retrieves full data from pending table
+ *    (amounts, frequency and cycles come from the plan catalog)
+ * 4. Records the amounts and merchant issued for the m_payment_id,
+ *    so the ITN handler can quarantine anything that doesn't match
+ * 5. ITN handler later retrieves full data from pending table
  * 
  * This ensures NO form data is lost between redirect and ITN.
  * 
  * @module netlify/functions/payfast-redirect
  */
 
-const crypto = require('crypto');
 const { getPayFastConfig } = require('./utils/payfast-config');
 const { verifyRecaptcha } = require('./utils/recaptcha');
-const { initializeSchema, storePendingFormData } = require('./utils/database');
+const { storePendingFormData } = require('./utils/database');
+const { getCheckoutTtlHours } = require('./utils/retention');
+const { resolvePlan } = require('./utils/plans');
+const {
+  buildCheckoutFormFields,
+  recordIssuedCheckout,
+  generateAutoSubmitForm,
+  isValidEmailAddress
+} = require('./utils/payfast-checkout');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
 
 /**
  * Main handler for PayFast payment redirect
  */
-exports.handler = async function(event, context) {
+exports.handler = withAuditActor({ type: ACTOR_TYPES.CUSTOMER, id: 'payfast-redirect' }, async function(event, context) {
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('PayFast Redirect Request:', new Date().toISOString());
   console.log('═══════════════════════════════════════════════════════════════');
@@ -113,6 +125,28 @@ exports.handler = async function(event, context) {
       };
     }
 
+    // The address is emailed later, so it must be one plain address
+    if (!isValidEmailAddress(fullFormData?.businessEmail)) {
+      console.error('ERROR: Invalid business email');
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Please enter a valid business email address' })
+      };
+    }
+
+    // Resolve the chosen plan (defaults to the standard plan)
+    const plan = resolvePlan(requestData.planId);
+    if (!plan) {
+      console.error('ERROR: Unknown plan requested:', requestData.planId);
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Unknown subscription plan' })
+      };
+    }
+    console.log('Plan:', plan.id);
+
     // ----------------------------------------
     // Step 4: Validate reCAPTCHA v3 (if configured)
     // ----------------------------------------
@@ -143,8 +177,6 @@ exports.handler = async function(event, context) {
     // This is CRITICAL - ensures no data is lost
     // ----------------------------------------
     try {
-      await initializeSchema();
-      
       // Store the COMPLETE form data with all fields
       const pendingData = {
         ...fullFormData,
@@ -153,9 +185,13 @@ exports.handler = async function(event, context) {
         metadata: requestData.metadata || {}
       };
       
-      await storePendingFormData(submissionId, pendingData);
+      await storePendingFormData(submissionId, pendingData, plan.id, getCheckoutTtlHours());
       console.log('✓ Full form data stored in pending table');
       console.log('  Fields stored:', Object.keys(pendingData).length);
+      
+      // Record exactly what PayFast will be asked to charge
+      await recordIssuedCheckout(submissionId, plan, payfastConfig.merchantId);
+      console.log('✓ Checkout request recorded');
     } catch (dbError) {
       // CRITICAL: If we can't store the form data, we should NOT proceed
       // Otherwise the ITN won't be able to retrieve the full data
@@ -168,64 +204,21 @@ exports.handler = async function(event, context) {
     }
 
     // ----------------------------------------
-    // Step 6: Build PayFast form fields
+    // Step 6: Build PayFast form fields and signature
+    // (amounts, item details and billing schedule come from the plan)
     // ----------------------------------------
-    const notificationEmail = process.env.NOTIFICATION_EMAIL || '';
-    
-    // Extract customer details from form data
-    const firstName = fullFormData.ownerFirstName || '';
-    const lastName = fullFormData.ownerLastName || '';
-    const email = fullFormData.businessEmail || '';
-    const phone = (fullFormData.businessPhone || '').replace(/[\s\-\(\)]/g, '');
-    const businessName = fullFormData.businessName || '';
-    
-    // Build fields in PayFast's required order for signature
-    const formFields = {
-      // 1. Merchant details
-      merchant_id: payfastConfig.merchantId,
-      merchant_key: payfastConfig.merchantKey,
-      return_url: siteUrl + '/thank-you-page.html',
-      cancel_url: siteUrl + '/subscribe.html',
-      notify_url: siteUrl + '/.netlify/functions/payfast-itn',
-      
-      // 2. Customer details
-      name_first: firstName,
-      name_last: lastName,
-      email_address: email,
-      cell_number: phone,
-      
-      // 3. Transaction details
-      m_payment_id: submissionId,
-      amount: '0.00',
-      item_name: 'Landing Page Subscription - First Month Free',
-      item_description: 'Professional landing page design and hosting subscription',
-      
-      // 4. Custom fields for tracking
-      // IMPORTANT: custom_str1 MUST be submissionId for ITN to find pending data
-      custom_str1: submissionId,
-      custom_str2: businessName,
-      custom_str3: timestamp,
-      
-      // 5. Transaction options
-      email_confirmation: '1',
-      confirmation_address: notificationEmail,
-      
-      // 6. Subscription details (Recurring Billing)
-      subscription_type: '1',
-      recurring_amount: '499.99',
-      frequency: '3',  // Monthly
-      cycles: '0'      // Indefinite
-    };
-
-    // ----------------------------------------
-    // Step 7: Generate PayFast signature
-    // ----------------------------------------
-    const signature = generatePayFastSignature(formFields, payfastConfig.passphrase);
-    formFields.signature = signature;
+    const formFields = buildCheckoutFormFields({
+      payfastConfig,
+      siteUrl,
+      submissionId,
+      formData: fullFormData,
+      plan,
+      timestamp
+    });
     console.log('✓ PayFast signature generated');
 
     // ----------------------------------------
-    // Step 8: Generate auto-submitting HTML form
+    // Step 7: Generate auto-submitting HTML form
     // ----------------------------------------
     const formHtml = generateAutoSubmitForm(payfastConfig.processUrl, formFields);
     console.log('✓ Payment redirect form generated');
@@ -250,7 +243,7 @@ exports.handler = async function(event, context) {
       body: JSON.stringify({ error: 'Internal server error' })
     };
   }
-};
+});
 
 // ============================================
 // HELPER FUNCTIONS
@@ -267,107 +260,3 @@ function parseUrlEncodedData(body) {
   }
   return data;
 }
-
-/**
- * Generate HTML page with auto-submitting form
- */
-function generateAutoSubmitForm(actionUrl, fields) {
-  const hiddenFields = Object.entries(fields)
-    .filter(([_, value]) => value !== undefined && value !== null)
-    .map(([name, value]) => {
-      const escapedValue = escapeHtml(String(value));
-      return `    <input type="hidden" name="${name}" value="${escapedValue}"/>`;
-    })
-    .join('\n');
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="utf-8"/>
-  <meta name="viewport" content="width=device-width, initial-scale=1"/>
-  <meta name="robots" content="noindex,nofollow"/>
-  <title>Redirecting to Payment...</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      min-height: 100vh;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      background: linear-gradient(135deg, #0a0a1a 0%, #1a1a3a 100%);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      color: #ffffff;
-    }
-    .container { text-align: center; padding: 2rem; }
-    .spinner {
-      width: 48px; height: 48px;
-      border: 4px solid rgba(255,255,255,0.1);
-      border-top-color: #0a84ff;
-      border-radius: 50%;
-      animation: spin 1s linear infinite;
-      margin: 0 auto 1.5rem;
-    }
-    @keyframes spin { to { transform: rotate(360deg); } }
-    h1 { font-size: 1.5rem; font-weight: 600; margin-bottom: 0.75rem; }
-    p { color: rgba(255,255,255,0.7); font-size: 0.95rem; }
-    .fallback { margin-top: 2rem; padding-top: 1.5rem; border-top: 1px solid rgba(255,255,255,0.1); }
-    .fallback button {
-      background: #0a84ff; color: white; border: none;
-      padding: 0.75rem 1.5rem; border-radius: 0.5rem;
-      font-size: 1rem; cursor: pointer; transition: background 0.2s;
-    }
-    .fallback button:hover { background: #0070e0; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="spinner"></div>
-    <h1>Redirecting to Secure Payment</h1>
-    <p>Please wait while we connect you to PayFast...</p>
-    
-    <form id="payfastForm" method="POST" action="${escapeHtml(actionUrl)}">
-${hiddenFields}
-      <div class="fallback">
-        <p style="margin-bottom: 1rem;">If you are not redirected automatically:</p>
-        <button type="submit">Continue to Payment</button>
-      </div>
-    </form>
-  </div>
-
-  <script>
-    setTimeout(function() {
-      document.getElementById('payfastForm').submit();
-    }, 800);
-  </script>
-</body>
-</html>`;
-}
-
-/**
- * Escape HTML special characters
- */
-function escapeHtml(str) {
-  const htmlEscapes = {
-    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
-  };
-  return str.replace(/[&<>"']/g, char => htmlEscapes[char]);
-}
-
-/**
- * Generate PayFast security signature
- */
-function generatePayFastSignature(data, passphrase) {
-  const paramString = Object.entries(data)
-    .filter(([key, value]) => value !== '' && value !== null && value !== undefined)
-    .map(([key, value]) => {
-      const encoded = encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
-      return `${key}=${encoded}`;
-    })
-    .join('&');
-
-  const stringToHash = passphrase 
-    ? `${paramString}&passphrase=${encodeURIComponent(passphrase.trim()).replace(/%20/g, '+')}`
-    : paramString;
-
-  return crypto.createHash('md5').update(stringToHash).digest('hex');
-}
@@ -0,0 +1,75 @@
+/**
+ * Pending Checkout Cleanup (scheduled)
+ *
+ * 1. Sends abandoned-checkout recovery emails (utils/checkout-recovery.js)
+ * 2. Deletes pending_form_data rows once they are past the
+ *    abandonedCheckouts retention period (utils/retention.js), so
+ *    abandoned checkouts don't keep full form PII forever. Before
+ *    deleting, each row is counted into checkout_expiry_stats, which
+ *    admin-abandoned-checkouts reports from.
+ *
+ * Runs on the schedule set in netlify.toml.
+ *
+ * @module netlify/functions/pending-cleanup
+ */
+
+const {
+  cleanupExpiredPendingData,
+  getAbandonedCheckoutReport
+} = require('./utils/database');
+const { sendRecoveryEmails } = require('./utils/checkout-recovery');
+const { getRetentionPolicy } = require('./utils/retention');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for the scheduled cleanup run
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.JOB, id: 'pending-cleanup' }, async function(event, context) {
+  try {
+    // Recovery emails first - a failure here must not stop the purge
+    let recovery;
+    try {
+      recovery = await sendRecoveryEmails();
+      console.log('[Pending Cleanup] Recovery emails:', JSON.stringify(recovery));
+    } catch (recoveryError) {
+      console.error('ERROR: Recovery emails failed:', recoveryError.message);
+      recovery = { error: recoveryError.message };
+    }
+
+    const { retainDays } = getRetentionPolicy().abandonedCheckouts;
+    const summary = await cleanupExpiredPendingData({ graceHours: retainDays * 24 });
+
+    console.log('[Pending Cleanup] Run complete:', JSON.stringify(summary));
+    if (summary.heldForReplay > 0) {
+      console.log(`WARNING: ${summary.heldForReplay} expired checkout(s) have a COMPLETE ITN but no submission - replay them via admin-itn-events`);
+    }
+
+    // Last 7 days, for the function log
+    const report = await getAbandonedCheckoutReport({ period: 'day', from: daysAgo(7) });
+    report.forEach(row => {
+      console.log(`[Pending Cleanup] ${row.period}: ${row.abandoned} abandoned`);
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...summary, recovery, report })
+    };
+  } catch (error) {
+    console.error('ERROR: Pending cleanup failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Date N days ago as YYYY-MM-DD
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
@@ -0,0 +1,55 @@
+/**
+ * PII Re-encryption (scheduled)
+ *
+ * Rewrites rows that are not yet encrypted under the active key
+ * (PII_ACTIVE_KEY_ID): legacy plaintext rows from before field-level
+ * encryption, and rows still under a retired key after a rotation.
+ * Works in batches until everything is converted or the time budget
+ * runs out; the next run picks up the rest.
+ *
+ * For a large backlog run `npm run pii:reencrypt` instead - it has no
+ * time limit.
+ *
+ * Runs on the schedule set in netlify.toml.
+ *
+ * @module netlify/functions/pii-reencryption
+ */
+
+const { reencryptPii } = require('./utils/database');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+// Stop starting new batches after this long (scheduled functions get 30s)
+const TIME_BUDGET_MS = 20 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Main handler for the scheduled re-encryption run
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.JOB, id: 'pii-reencryption' }, async function(event, context) {
+  const startedAt = Date.now();
+  const totals = { pending: 0, submissions: 0, customers: 0, payments: 0, quarantinedItns: 0, emails: 0, optOuts: 0 };
+  let batch;
+
+  try {
+    do {
+      batch = await reencryptPii({ limit: BATCH_SIZE });
+      for (const table of Object.keys(totals)) {
+        totals[table] += batch[table];
+      }
+    } while (!batch.done && Date.now() - startedAt < TIME_BUDGET_MS);
+
+    const summary = { keyId: batch.keyId, ...totals, done: batch.done };
+    console.log('[PII Re-encryption] Run complete:', JSON.stringify(summary));
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error('ERROR: PII re-encryption failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message, ...totals })
+    };
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * Resume Checkout Handler
+ *
+ * Target of the "finish your subscription" link in abandoned-checkout
+ * recovery emails. Reissues the PayFast checkout for the same submission
+ * from the stored pending form data, so the customer doesn't re-enter
+ * the form.
+ *
+ * FLOW:
+ * 1. Verify the signed token (purpose "resume", not expired)
+ * 2. Stop if the submission has already been paid
+ * 3. Reopen the pending record (extends its expiry for the ITN)
+ * 4. Record the checkout request and return the auto-submitting PayFast form
+ *
+ * @module netlify/functions/resume-checkout
+ */
+
+const { getPayFastConfig } = require('./utils/payfast-config');
+const { submissionExists, reopenPendingCheckout } = require('./utils/database');
+const { resolvePlan } = require('./utils/plans');
+const { verifySignedToken } = require('./utils/signed-links');
+const { RECOVERY_WINDOW_HOURS } = require('./utils/checkout-recovery');
+const { getCheckoutTtlHours } = require('./utils/retention');
+const {
+  buildCheckoutFormFields,
+  recordIssuedCheckout,
+  generateAutoSubmitForm,
+  htmlMessageResponse
+} = require('./utils/payfast-checkout');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+/**
+ * Main handler for resuming a checkout
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.CUSTOMER, id: 'resume-checkout' }, async function(event, context) {
+  if (event.httpMethod !== 'GET') {
+    return htmlMessageResponse(405, 'Method not allowed', 'Please use the link from your email.');
+  }
+
+  try {
+    // ----------------------------------------
+    // Step 1: Verify the signed link
+    // ----------------------------------------
+    const token = (event.queryStringParameters || {}).token;
+    const verification = verifySignedToken(token, 'resume');
+
+    if (!verification.valid) {
+      console.log('Resume link rejected:', verification.error);
+      return htmlMessageResponse(400, 'This link is no longer valid',
+        'Please start a new subscription from our website.');
+    }
+
+    const submissionId = verification.data.sid;
+    console.log('Resume checkout requested:', submissionId);
+
+    // ----------------------------------------
+    // Step 2: Load configuration
+    // ----------------------------------------
+    const payfastConfig = getPayFastConfig();
+    const siteUrl = process.env.SITE_URL;
+    if (!siteUrl) {
+      throw new Error('SITE_URL environment variable is required.');
+    }
+
+    // ----------------------------------------
+    // Step 3: Stop if already paid
+    // ----------------------------------------
+    if (await submissionExists(submissionId)) {
+      console.log('INFO: Submission already paid:', submissionId);
+      return htmlMessageResponse(200, 'You\'re already subscribed',
+        'We\'ve received your payment and are working on your landing page.');
+    }
+
+    // ----------------------------------------
+    // Step 4: Reopen the pending checkout
+    // ----------------------------------------
+    const pendingRecord = await reopenPendingCheckout(submissionId, RECOVERY_WINDOW_HOURS, getCheckoutTtlHours());
+    if (!pendingRecord) {
+      return htmlMessageResponse(410, 'This link has expired',
+        'Your saved details are no longer available. Please start a new subscription from our website.');
+    }
+
+    const formData = typeof pendingRecord.form_data === 'string'
+      ? JSON.parse(pendingRecord.form_data)
+      : pendingRecord.form_data;
+
+    const plan = resolvePlan(pendingRecord.plan_id);
+    if (!plan) {
+      throw new Error(`Unknown plan on pending record: ${pendingRecord.plan_id}`);
+    }
+
+    // ----------------------------------------
+    // Step 5: Reissue the PayFast checkout
+    // ----------------------------------------
+    await recordIssuedCheckout(submissionId, plan, payfastConfig.merchantId);
+
+    const formFields = buildCheckoutFormFields({
+      payfastConfig,
+      siteUrl,
+      submissionId,
+      formData,
+      plan,
+      timestamp: formData.timestamp || new Date(pendingRecord.created_at).toISOString()
+    });
+
+    console.log('✓ Checkout reissued:', submissionId);
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store, no-cache, must-revalidate'
+      },
+      body: generateAutoSubmitForm(payfastConfig.processUrl, formFields)
+    };
+
+  } catch (error) {
+    console.error('ERROR: Resume checkout failed:', error.message);
+    return htmlMessageResponse(500, 'Something went wrong',
+      'We couldn\'t reopen your checkout. Please try again later or contact us.');
+  }
+});
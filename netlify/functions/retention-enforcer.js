@@ -0,0 +1,49 @@
+/**
+ * Data Retention Enforcer (scheduled)
+ *
+ * Applies the retention policy (utils/retention.js): deletes or
+ * anonymises abandoned checkouts, cancelled customers' data, ITN payloads
+ * and logo metadata once they are past their retention period. Works in
+ * batches until nothing is due or the time budget runs out; the next run
+ * picks up the rest.
+ *
+ * To see what a run would do without changing anything, use the dry-run
+ * report: GET /api/admin/retention.
+ *
+ * Runs on the schedule set in netlify.toml.
+ *
+ * @module netlify/functions/retention-enforcer
+ */
+
+const { enforceRetentionPolicy } = require('./utils/retention');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
+
+// Stop starting new batches after this long (scheduled functions get 30s)
+const TIME_BUDGET_MS = 20 * 1000;
+
+/**
+ * Main handler for the scheduled retention run
+ */
+exports.handler = withAuditActor({ type: ACTOR_TYPES.JOB, id: 'retention-enforcer' }, async function(event, context) {
+  try {
+    const report = await enforceRetentionPolicy({ timeBudgetMs: TIME_BUDGET_MS });
+
+    for (const [category, entry] of Object.entries(report.categories)) {
+      console.log(`[Retention] ${category}: ${entry.action} ${entry.processed} of ${entry.due} due (after ${entry.retainDays} days)`);
+    }
+    if (!report.complete) {
+      console.log('[Retention] Time budget reached - the next run continues');
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(report)
+    };
+  } catch (error) {
+    console.error('ERROR: Retention enforcement failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+});
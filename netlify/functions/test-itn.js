@@ -12,7 +12,6 @@
  */
 
 const { 
-  initializeSchema, 
   getPendingFormData, 
   deletePendingFormData,
   createPaidSubmission,
@@ -22,6 +21,7 @@ const { sendFullFormNotificationEmail, sendWelcomeEmail } = require('./utils/ema
 
 // Get database pool for direct queries
 const { Pool } = require('pg');
+const { ACTOR_TYPES, withAuditActor } = require('./utils/audit');
 
 function getPool() {
   const connectionString = process.env.NETLIFY_DATABASE_URL || process.env.DATABASE_URL;
@@ -35,7 +35,7 @@ function getPool() {
   });
 }
 
-exports.handler = async function(event, context) {
+exports.handler = withAuditActor({ type: ACTOR_TYPES.TEST, id: 'test-itn' }, async function(event, context) {
   console.log('═══════════════════════════════════════════════════════════════');
   console.log('TEST ITN Endpoint:', new Date().toISOString());
   console.log('═══════════════════════════════════════════════════════════════');
@@ -114,16 +114,13 @@ exports.handler = async function(event, context) {
       NETLIFY_DATABASE_URL: !!process.env.NETLIFY_DATABASE_URL,
       DATABASE_URL: !!process.env.DATABASE_URL,
       EMAIL_API_KEY: !!process.env.EMAIL_API_KEY,
+      EMAIL_PROVIDERS: process.env.EMAIL_PROVIDERS || 'NOT SET',
       EMAIL_SERVICE: process.env.EMAIL_SERVICE || 'NOT SET',
       NOTIFICATION_EMAIL: process.env.NOTIFICATION_EMAIL || 'NOT SET',
       FROM_EMAIL: process.env.FROM_EMAIL || 'NOT SET'
     };
     console.log('Environment check:', JSON.stringify(envCheck, null, 2));
 
-    // Initialize database
-    await initializeSchema();
-    console.log('✓ Database schema initialized');
-
     // Check if already exists in submissions
     const alreadyExists = await submissionExists(submissionId);
     if (alreadyExists) {
@@ -256,4 +253,4 @@ exports.handler = async function(event, context) {
       })
     };
   }
-};
+});
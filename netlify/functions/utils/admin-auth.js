@@ -0,0 +1,97 @@
+/**
+ * Admin Authentication Utility
+ *
+ * Protects admin-only Netlify functions with a shared API key.
+ * Requests must send: Authorization: Bearer <ADMIN_API_KEY>
+ *
+ * An optional X-Admin-User header names the person making the request
+ * so it can be logged alongside the action and recorded as the audit
+ * actor (see adminActor).
+ *
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   ADMIN_API_KEY - Shared secret for admin functions (at least 32 characters)
+ *
+ * @module netlify/functions/utils/admin-auth
+ */
+
+const crypto = require('crypto');
+const { ACTOR_TYPES } = require('./audit');
+
+const MIN_KEY_LENGTH = 32;
+
+/**
+ * Check that a request carries the admin API key
+ *
+ * Fails closed: if ADMIN_API_KEY is missing or too short, every request is rejected.
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {{ authorized: boolean, adminUser?: string, statusCode?: number, error?: string }}
+ */
+function authorizeAdminRequest(event) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey || adminKey.length < MIN_KEY_LENGTH) {
+    console.error('[Admin Auth] ADMIN_API_KEY is not set or shorter than', MIN_KEY_LENGTH, 'characters');
+    return { authorized: false, statusCode: 500, error: 'Server configuration error' };
+  }
+
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return { authorized: false, statusCode: 401, error: 'Missing admin credentials' };
+  }
+
+  // Compare fixed-length digests so timingSafeEqual never sees different lengths
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const received = crypto.createHash('sha256').update(match[1].trim()).digest();
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    console.log('[Admin Auth] Rejected request with invalid admin key');
+    return { authorized: false, statusCode: 403, error: 'Invalid admin credentials' };
+  }
+
+  return { authorized: true, adminUser: adminUserName(event) };
+}
+
+/**
+ * Name of the person making an admin request (X-Admin-User, default "admin")
+ */
+function adminUserName(event) {
+  const headers = event.headers || {};
+  return (headers['x-admin-user'] || headers['X-Admin-User'] || 'admin').trim().substring(0, 100);
+}
+
+/**
+ * Audit actor for an admin request, for withAuditActor()
+ *
+ * Unauthorized requests are rejected before they can change anything, so
+ * the unverified header is only ever recorded for authorized ones.
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {{ type: string, id: string }}
+ */
+function adminActor(event) {
+  return { type: ACTOR_TYPES.ADMIN, id: adminUserName(event) };
+}
+
+/**
+ * Build the JSON response for a rejected admin request
+ *
+ * @param {{ statusCode: number, error: string }} authResult - Result from authorizeAdminRequest
+ * @returns {Object} Netlify function response
+ */
+function unauthorizedResponse(authResult) {
+  return {
+    statusCode: authResult.statusCode || 401,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error: authResult.error || 'Unauthorized' })
+  };
+}
+
+module.exports = {
+  authorizeAdminRequest,
+  unauthorizedResponse,
+  adminActor
+};
@@ -0,0 +1,218 @@
+/**
+ * Audit Log
+ *
+ * Who changed what. Every mutating storage operation appends an entry to
+ * audit_log in the same transaction as the change, recording the actor,
+ * the action, the entity and a before/after diff.
+ *
+ * ACTORS:
+ *   The actor is carried through each request with AsyncLocalStorage, so
+ *   storage operations don't need it as an argument. Entry points set it:
+ *     exports.handler = withAuditActor({ type: ACTOR_TYPES.JOB, id: 'pending-cleanup' }, async function(event) { ... });
+ *   Anything run outside an actor is recorded as 'system'. The http
+ *   storage backend forwards the actor with each signed request.
+ *
+ * DIFFS:
+ *   Only changed fields are kept, as { field: { from, to } }. JSON columns
+ *   are compared key by key (form_data.businessName). PII fields are never
+ *   copied into the log: their values appear as REDACTED_VALUE, so an
+ *   entry shows that an email changed but not what it was.
+ *
+ * @module netlify/functions/utils/audit
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  FORM_DATA_PII_FIELDS,
+  PAYMENT_DATA_PII_FIELDS,
+  SUBMISSION_PII_COLUMNS,
+  CUSTOMER_PII_COLUMNS,
+  OUTBOX_PII_COLUMNS
+} = require('./pii-encryption');
+
+const ACTOR_TYPES = Object.freeze({
+  ITN: 'itn',
+  ADMIN: 'admin',
+  CUSTOMER: 'customer',
+  JOB: 'job',
+  WEBHOOK: 'webhook',
+  SCRIPT: 'script',
+  TEST: 'test',
+  SYSTEM: 'system'
+});
+
+const SYSTEM_ACTOR = Object.freeze({ type: ACTOR_TYPES.SYSTEM, id: null });
+
+const REDACTED_VALUE = '[redacted]';
+
+// JSON columns diffed key by key, with the keys that hold PII
+const JSON_COLUMN_PII_FIELDS = Object.freeze({
+  form_data: FORM_DATA_PII_FIELDS,
+  payment_data: PAYMENT_DATA_PII_FIELDS,
+  itn_data: PAYMENT_DATA_PII_FIELDS
+});
+
+// Columns whose values are PII (or contain it) wherever they appear
+const REDACTED_COLUMNS = new Set([
+  ...SUBMISSION_PII_COLUMNS,
+  ...CUSTOMER_PII_COLUMNS,
+  ...OUTBOX_PII_COLUMNS,
+  'raw_body'
+]);
+
+// Bookkeeping columns left out of diffs
+const IGNORED_COLUMNS = new Set([
+  'updated_at',
+  'email_bidx',
+  'phone_bidx',
+  'phone_suffix_bidx',
+  'last_name_bidx',
+  'to_address_bidx',
+  'search_vector',
+  'search_text'
+]);
+
+const actorStorage = new AsyncLocalStorage();
+
+// ============================================
+// ACTOR CONTEXT
+// ============================================
+
+/**
+ * Check and normalise an actor
+ *
+ * @param {Object} actor - { type, id }
+ * @returns {{type: string, id: string|null}}
+ * @throws {Error} If the type is unknown
+ */
+function normalizeActor(actor) {
+  if (!actor || !Object.values(ACTOR_TYPES).includes(actor.type)) {
+    throw new Error(`Unknown audit actor type: ${actor?.type}`);
+  }
+  return {
+    type: actor.type,
+    id: actor.id ? String(actor.id).substring(0, 100) : null
+  };
+}
+
+/**
+ * Run a function with an actor set for every audit entry it causes
+ *
+ * @param {Object} actor - { type: ACTOR_TYPES value, id }
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runAsActor(actor, fn) {
+  return actorStorage.run(normalizeActor(actor), fn);
+}
+
+/**
+ * The actor of the current request (SYSTEM_ACTOR if none was set)
+ */
+function getActor() {
+  return actorStorage.getStore() || SYSTEM_ACTOR;
+}
+
+/**
+ * Wrap a Netlify handler so it runs as an actor
+ *
+ * @param {Object|Function} actor - The actor, or a function of the event returning it
+ * @param {Function} handler - The Netlify handler
+ * @returns {Function} The wrapped handler
+ */
+function withAuditActor(actor, handler) {
+  return function(event, context) {
+    const resolved = typeof actor === 'function' ? actor(event) : actor;
+    return runAsActor(resolved, () => handler(event, context));
+  };
+}
+
+// ============================================
+// DIFFS
+// ============================================
+
+/**
+ * Comparable form of a value (Dates and objects as JSON)
+ */
+function comparable(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function parseJson(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+  return value || {};
+}
+
+/**
+ * Record one changed field, redacting PII values
+ */
+function addChange(changes, field, from, to, redact) {
+  if (sameValue(from, to)) {
+    return;
+  }
+  const shown = (value) => (redact && value !== null && value !== undefined ? REDACTED_VALUE : comparable(value));
+  changes[field] = { from: shown(from), to: shown(to) };
+}
+
+/**
+ * Diff two versions of a row for the audit log
+ *
+ * @param {Object|null} before - Row before the change (null when created)
+ * @param {Object|null} after - Row after the change (null when deleted)
+ * @returns {Object} { field: { from, to } } for each changed field
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  if (!before && !after) {
+    return changes;
+  }
+
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const column of columns) {
+    if (IGNORED_COLUMNS.has(column)) {
+      continue;
+    }
+
+    const from = before ? before[column] : undefined;
+    const to = after ? after[column] : undefined;
+
+    if (JSON_COLUMN_PII_FIELDS[column]) {
+      const fromObject = parseJson(from);
+      const toObject = parseJson(to);
+      const keys = new Set([...Object.keys(fromObject), ...Object.keys(toObject)]);
+      for (const key of keys) {
+        addChange(changes, `${column}.${key}`, fromObject[key], toObject[key],
+          JSON_COLUMN_PII_FIELDS[column].includes(key));
+      }
+      continue;
+    }
+
+    addChange(changes, column, from, to, REDACTED_COLUMNS.has(column));
+  }
+
+  return changes;
+}
+
+module.exports = {
+  ACTOR_TYPES,
+  REDACTED_VALUE,
+  normalizeActor,
+  runAsActor,
+  getActor,
+  withAuditActor,
+  diffRecords
+};
@@ -0,0 +1,118 @@
+/**
+ * Abandoned Checkout Recovery
+ *
+ * Emails people whose pending checkout expired without payment, with a
+ * signed link that reissues the PayFast checkout for the same submission.
+ * Run by the pending-cleanup scheduled function before it purges rows;
+ * pending rows are kept for RECOVERY_WINDOW_HOURS after expiry so the
+ * link keeps working.
+ *
+ * LIMITS:
+ *   - At most MAX_RECOVERY_EMAILS per checkout, RECOVERY_INTERVAL_HOURS apart
+ *   - Only the newest checkout per address is emailed
+ *   - Addresses that paid or opted out are never emailed
+ *
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   SITE_URL          - Base URL for the resume and opt-out links
+ *   EMAIL_LINK_SECRET - Signing secret for the links (see signed-links.js)
+ *
+ * @module netlify/functions/utils/checkout-recovery
+ */
+
+const { claimRecoveryCandidates } = require('./database');
+const { buildCheckoutRecoveryEmail, getSendDeadline } = require('./email-sender');
+const { queueEmail } = require('./email-outbox');
+const { createSignedToken } = require('./signed-links');
+
+const MAX_RECOVERY_EMAILS = 2;
+const RECOVERY_INTERVAL_HOURS = 24;
+const RECOVERY_WINDOW_HOURS = 72;
+
+/**
+ * Build the signed resume link for a pending checkout
+ *
+ * @param {string} siteUrl - SITE_URL
+ * @param {Object} pendingRecord - The pending_form_data row
+ * @returns {string} Resume URL, valid until the row leaves the recovery window
+ */
+function buildResumeUrl(siteUrl, pendingRecord) {
+  const expiresAt = new Date(new Date(pendingRecord.expires_at).getTime() + RECOVERY_WINDOW_HOURS * 60 * 60 * 1000);
+  const token = createSignedToken('resume', { sid: pendingRecord.submission_id }, expiresAt);
+  return `${siteUrl}/.netlify/functions/resume-checkout?token=${token}`;
+}
+
+/**
+ * Build the signed opt-out link for a checkout's address (does not expire)
+ *
+ * The link carries the submission ID; email-opt-out looks the address up.
+ *
+ * @param {string} siteUrl - SITE_URL
+ * @param {Object} pendingRecord - The pending_form_data row
+ * @returns {string} Opt-out URL
+ */
+function buildOptOutUrl(siteUrl, pendingRecord) {
+  const token = createSignedToken('opt-out', { sid: pendingRecord.submission_id });
+  return `${siteUrl}/.netlify/functions/email-opt-out?token=${token}`;
+}
+
+/**
+ * Queue recovery emails for every eligible abandoned checkout
+ *
+ * Every one is queued; those the send deadline leaves no time for are
+ * delivered by the outbox worker.
+ *
+ * @param {Object} [options] - Run options
+ * @param {number} [options.deadline] - Invocation deadline from getSendDeadline() (default: one starting now)
+ * @returns {Promise<{claimed: number, sent: number, queued: number, failed: number}>}
+ */
+async function sendRecoveryEmails({ deadline = getSendDeadline() } = {}) {
+  const siteUrl = process.env.SITE_URL;
+  if (!siteUrl) {
+    throw new Error('SITE_URL environment variable is required.');
+  }
+
+  const candidates = await claimRecoveryCandidates({
+    maxEmails: MAX_RECOVERY_EMAILS,
+    intervalHours: RECOVERY_INTERVAL_HOURS,
+    windowHours: RECOVERY_WINDOW_HOURS
+  });
+
+  const summary = { claimed: candidates.length, sent: 0, queued: 0, failed: 0 };
+
+  for (const pendingRecord of candidates) {
+    const formData = typeof pendingRecord.form_data === 'string'
+      ? JSON.parse(pendingRecord.form_data)
+      : pendingRecord.form_data;
+    const email = formData.businessEmail.trim();
+
+    try {
+      const delivery = await queueEmail(
+        buildCheckoutRecoveryEmail({
+          email,
+          firstName: formData.ownerFirstName || '',
+          businessName: formData.businessName || '',
+          locale: formData.locale,
+          resumeUrl: buildResumeUrl(siteUrl, pendingRecord),
+          optOutUrl: buildOptOutUrl(siteUrl, pendingRecord)
+        }),
+        { kind: 'checkout_recovery', submissionId: pendingRecord.submission_id },
+        { deadline }
+      );
+      if (delivery.sent) {
+        summary.sent++;
+      } else {
+        summary.queued++;
+      }
+    } catch (emailError) {
+      summary.failed++;
+      console.error('[Recovery] Email failed for', pendingRecord.submission_id + ':', emailError.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  RECOVERY_WINDOW_HOURS,
+  sendRecoveryEmails
+};
@@ -0,0 +1,75 @@
+/**
+ * Customers
+ *
+ * A customer is the person behind one or more submissions: a repeat
+ * client who orders a second site gets a new submission (its own
+ * subscription) linked to the same customers row.
+ *
+ * MATCHING:
+ *   Customers are deduplicated by normalised email address and phone
+ *   number, compared through their blind indexes (utils/pii-encryption.js):
+ *   - Same email: same customer, whatever the phone
+ *   - Otherwise same phone: same customer
+ *   - Neither: a new customer
+ *   Missing contact details on the customer are filled in from the new
+ *   submission; details already held are kept (each submission keeps the
+ *   ones given with that order). Erased customers never match.
+ *
+ * Submissions paid before customers existed are linked by the backfill
+ * (`npm run customers:backfill`, run on every production deploy).
+ *
+ * @module netlify/functions/utils/customers
+ */
+
+const pii = require('./pii-encryption');
+
+/**
+ * Contact details identifying a customer, with their blind indexes
+ *
+ * @param {Object} details - Plaintext contact details
+ * @param {string} [details.firstName]
+ * @param {string} [details.lastName]
+ * @param {string} [details.email]
+ * @param {string} [details.phone]
+ * @returns {{firstName: string|null, lastName: string|null, email: string|null,
+ *            phone: string|null, emailBidx: string|null, phoneBidx: string|null}}
+ */
+function customerIdentity({ firstName, lastName, email, phone }) {
+  return {
+    firstName: firstName || null,
+    lastName: lastName || null,
+    email: email || null,
+    phone: phone || null,
+    emailBidx: pii.emailBlindIndex(email),
+    phoneBidx: pii.phoneBlindIndex(phone)
+  };
+}
+
+/**
+ * Customer identity from checkout form data
+ */
+function identityFromFormData(formData) {
+  return customerIdentity({
+    firstName: formData.ownerFirstName,
+    lastName: formData.ownerLastName,
+    email: formData.businessEmail,
+    phone: formData.businessPhone
+  });
+}
+
+/**
+ * Customer identity from a (decrypted) submissions row
+ */
+function identityFromSubmission(submission) {
+  return customerIdentity({
+    firstName: submission.owner_first_name,
+    lastName: submission.owner_last_name,
+    email: submission.email,
+    phone: submission.phone
+  });
+}
+
+module.exports = {
+  identityFromFormData,
+  identityFromSubmission
+};
@@ -0,0 +1,85 @@
+/**
+ * Data-Subject Requests (POPIA)
+ *
+ * Shared rules for answering access and erasure requests about one
+ * person, identified by their email address - together with any orders
+ * their customer record links under another address (utils/customers.js).
+ * The storage backends do the work (exportDataSubject, eraseDataSubject);
+ * this module holds what both must agree on.
+ *
+ * WHAT ERASURE DOES:
+ * - Pending checkouts: deleted
+ * - Customers: names, email and phone removed (the row and its links stay)
+ * - Submissions: names, email, phone, subscription token and the PII
+ *   fields of form_data/payment_data removed; business name, plan,
+ *   amounts, PayFast IDs and status history kept for tax records
+ * - Payments ledger and ITN quarantine: payer fields removed from itn_data
+ * - ITN event store: payer fields in raw_body replaced with ERASED_VALUE
+ *   (the event is marked redacted and can no longer be replayed)
+ * - Email outbox: subjects and bodies erased, unsent emails cancelled
+ * - Email opt-outs: kept (only a blind index), so the person stays opted out
+ *
+ * Erasure is refused while a subscription is still live - cancel it in
+ * PayFast first, or the next charge would arrive for an anonymous row.
+ *
+ * The retention policy (utils/retention.js) anonymises cancelled
+ * subscriptions the same way once their retention period is over.
+ *
+ * @module netlify/functions/utils/data-subject
+ */
+
+const { PAYMENT_DATA_PII_FIELDS, normalizeEmail } = require('./pii-encryption');
+const { SUBSCRIPTION_STATES } = require('./subscription-state');
+
+const ERASED_VALUE = '[erased]';
+
+const REQUEST_TYPES = Object.freeze({
+  ACCESS: 'access',
+  ERASURE: 'erasure'
+});
+
+/**
+ * Normalise and check the email address a request is about
+ *
+ * @param {string} email - Email address from the request
+ * @returns {string} Normalised address
+ * @throws {Error} If the address is missing or malformed
+ */
+function normalizeSubjectEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    throw new Error('A valid email address is required');
+  }
+  return normalized;
+}
+
+/**
+ * Whether a submission's subscription blocks erasure
+ */
+function isLiveSubscription(submission) {
+  return submission.subscription_status !== SUBSCRIPTION_STATES.CANCELLED;
+}
+
+/**
+ * Replace the payer fields of a raw ITN body, keeping everything else
+ *
+ * @param {string} rawBody - URL-encoded ITN body as received
+ * @returns {string} The body with PII values replaced by ERASED_VALUE
+ */
+function redactItnBody(rawBody) {
+  const params = new URLSearchParams(rawBody);
+  for (const field of PAYMENT_DATA_PII_FIELDS) {
+    if (params.has(field)) {
+      params.set(field, ERASED_VALUE);
+    }
+  }
+  return params.toString();
+}
+
+module.exports = {
+  ERASED_VALUE,
+  REQUEST_TYPES,
+  normalizeSubjectEmail,
+  isLiveSubscription,
+  redactItnBody
+};
@@ -0,0 +1,98 @@
+/**
+ * Design Brief
+ *
+ * The owner notification's sections as two attachments, so designers
+ * don't copy fields out of the email by hand:
+ *   design-brief-<submissionId>.pdf   - Printable, one row per field
+ *   design-brief-<submissionId>.json  - Machine-readable, raw form values
+ *
+ * JSON FORMAT (version 1):
+ *   { type: 'design-brief', version, submissionId, businessName, generatedAt,
+ *     sections: [{ title, fields: [{ key, label, value }] }] }
+ *   value is the form value as submitted (lists stay arrays); fields not
+ *   from the form (payment details) are the text shown in the email.
+ *
+ * @module netlify/functions/utils/design-brief
+ */
+
+const { writePdf } = require('./pdf-writer');
+const { formatDate } = require('./i18n');
+
+const BRIEF_VERSION = 1;
+
+/**
+ * Section title without its leading emoji ("📋 SUBMISSION DETAILS" → "SUBMISSION DETAILS")
+ */
+function plainTitle(title) {
+  return String(title).replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+/**
+ * Build the machine-readable brief
+ *
+ * @param {string} submissionId - The submission ID
+ * @param {Object} formData - The submitted form
+ * @param {Array<{title: string, rows: Array<Object>}>} sections - The owner
+ *   notification's sections (rows: { key, label, value, raw })
+ * @param {Date} [generatedAt=new Date()] - When the brief was made
+ * @returns {Object} The brief (see JSON FORMAT)
+ */
+function buildDesignBrief(submissionId, formData, sections, generatedAt = new Date()) {
+  return {
+    type: 'design-brief',
+    version: BRIEF_VERSION,
+    submissionId,
+    businessName: formData.businessName || null,
+    generatedAt: generatedAt.toISOString(),
+    sections: sections.map(section => ({
+      title: plainTitle(section.title),
+      fields: section.rows.map(row => ({
+        key: row.key || null,
+        label: row.label,
+        value: row.raw !== undefined ? row.raw : row.value
+      }))
+    }))
+  };
+}
+
+/**
+ * Build the brief as email attachments
+ *
+ * @param {string} submissionId - The submission ID
+ * @param {Object} formData - The submitted form
+ * @param {Array<Object>} sections - The owner notification's sections
+ * @returns {Array<{filename: string, contentType: string, content: string}>} PDF and JSON, base64 content
+ */
+function buildDesignBriefAttachments(submissionId, formData, sections) {
+  const generatedAt = new Date();
+  const brief = buildDesignBrief(submissionId, formData, sections, generatedAt);
+
+  const pdf = writePdf({
+    title: `Design Brief: ${brief.businessName || submissionId}`,
+    subtitle: `Submission ${submissionId} - generated ${formatDate(generatedAt, 'en')}`,
+    sections: sections.map(section => ({
+      heading: plainTitle(section.title),
+      rows: section.rows.map(row => ({ label: row.label, value: row.value }))
+    }))
+  });
+
+  const baseName = `design-brief-${String(submissionId).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+  return [
+    {
+      filename: `${baseName}.pdf`,
+      contentType: 'application/pdf',
+      content: pdf.toString('base64')
+    },
+    {
+      filename: `${baseName}.json`,
+      contentType: 'application/json',
+      content: Buffer.from(JSON.stringify(brief, null, 2)).toString('base64')
+    }
+  ];
+}
+
+module.exports = {
+  BRIEF_VERSION,
+  buildDesignBrief,
+  buildDesignBriefAttachments
+};
@@ -0,0 +1,344 @@
+/**
+ * Email Delivery Events
+ *
+ * Reads the delivery webhooks of the HTTP email providers (see
+ * email-sender.js): checks each request really came from the provider,
+ * then turns its payload into events of one shape:
+ *   { providerEventId, providerMessageId, type, bounceType, detail, occurredAt }
+ * The email-events function stores them against the outbox email the
+ * provider delivered (matched by provider and message ID).
+ *
+ * EVENT TYPES:
+ *   delivered, bounced (bounceType hard or soft), complained, opened.
+ *   Other provider events are ignored.
+ *
+ * VERIFICATION (secret from EMAIL_WEBHOOK_SECRET_<PROVIDER>):
+ *   Providers 1 and 4 sign each request with an HMAC over a timestamp,
+ *   provider 2 with an ECDSA key (the secret is its public key), and
+ *   provider 3 only supports credentials in the webhook URL, so the secret
+ *   is the password there. Signed timestamps older than five minutes are
+ *   rejected.
+ *
+ * CUSTOMER EMAIL STATUS:
+ *   A hard bounce or complaint about an email sent to the customer marks
+ *   the customer's address (customers.email_status). Bounce reasons often
+ *   quote the address, so addresses are removed from detail.
+ *
+ * @module netlify/functions/utils/email-events
+ */
+
+const crypto = require('crypto');
+
+const EMAIL_EVENT_TYPES = Object.freeze({
+  DELIVERED: 'delivered',
+  BOUNCED: 'bounced',
+  COMPLAINED: 'complained',
+  OPENED: 'opened'
+});
+
+const BOUNCE_TYPES = Object.freeze({
+  HARD: 'hard',
+  SOFT: 'soft'
+});
+
+// Email kinds sent to the customer (the others go to the owner)
+const CUSTOMER_EMAIL_KINDS = Object.freeze(['welcome', 'checkout_recovery']);
+
+const MAX_SIGNATURE_AGE_SECONDS = 300;
+const MAX_DETAIL_LENGTH = 500;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a signed Unix timestamp (seconds) is recent enough
+ */
+function isFresh(timestamp) {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && Math.abs(Date.now() / 1000 - seconds) <= MAX_SIGNATURE_AGE_SECONDS;
+}
+
+/**
+ * Bounce reason without email addresses, shortened
+ */
+function cleanDetail(detail) {
+  if (!detail) {
+    return null;
+  }
+  return String(detail)
+    .replace(/[^\s<>"'(),;:]+@[^\s<>"'(),;:]+/g, '[address]')
+    .slice(0, MAX_DETAIL_LENGTH);
+}
+
+/**
+ * Date from an ISO string or Unix seconds, or null
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseJson(rawBody) {
+  try {
+    return JSON.parse(rawBody);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+// ============================================
+// PROVIDER ADAPTERS
+// ============================================
+// Keyed like PROVIDER_CONFIGS in email-sender.js. verify() returns whether
+// the request is genuine; parse() returns the events in it (nulls for
+// event types not tracked are dropped by parseWebhookEvents).
+
+const WEBHOOK_ADAPTERS = {
+  1: {
+    // Standard Webhooks signing: svix-id, svix-timestamp and svix-signature
+    // ("v1,<base64>", space separated); the secret is "whsec_<base64 key>"
+    verify(headers, rawBody, secret) {
+      const id = headers['svix-id'];
+      const timestamp = headers['svix-timestamp'];
+      const signatures = String(headers['svix-signature'] || '').split(' ');
+      if (!id || !isFresh(timestamp)) {
+        return false;
+      }
+
+      const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+      const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+      return signatures.some(signature => safeEqual(signature.replace(/^v1,/, ''), expected));
+    },
+    parse(rawBody, headers) {
+      const payload = parseJson(rawBody) || {};
+      const data = payload.data || {};
+      const type = {
+        'email.delivered': EMAIL_EVENT_TYPES.DELIVERED,
+        'email.bounced': EMAIL_EVENT_TYPES.BOUNCED,
+        'email.complained': EMAIL_EVENT_TYPES.COMPLAINED,
+        'email.opened': EMAIL_EVENT_TYPES.OPENED
+      }[payload.type];
+      if (!type) {
+        return [];
+      }
+      return [{
+        providerEventId: headers['svix-id'],
+        providerMessageId: data.email_id,
+        type,
+        bounceType: type === EMAIL_EVENT_TYPES.BOUNCED
+          ? (data.bounce?.type === 'Transient' ? BOUNCE_TYPES.SOFT : BOUNCE_TYPES.HARD)
+          : null,
+        detail: data.bounce?.message,
+        occurredAt: payload.created_at
+      }];
+    }
+  },
+
+  2: {
+    // ECDSA (P-256, SHA-256) over timestamp + body; the secret is the
+    // base64 public key shown with the webhook
+    verify(headers, rawBody, secret) {
+      const signature = headers['x-twilio-email-event-webhook-signature'];
+      const timestamp = headers['x-twilio-email-event-webhook-timestamp'];
+      if (!signature || !isFresh(timestamp)) {
+        return false;
+      }
+      try {
+        return crypto.verify(
+          'sha256',
+          Buffer.from(timestamp + rawBody),
+          { key: Buffer.from(secret, 'base64'), format: 'der', type: 'spki' },
+          Buffer.from(signature, 'base64')
+        );
+      } catch (verifyError) {
+        return false;
+      }
+    },
+    parse(rawBody) {
+      const events = parseJson(rawBody);
+      return (Array.isArray(events) ? events : []).map(event => {
+        const type = {
+          delivered: EMAIL_EVENT_TYPES.DELIVERED,
+          bounce: EMAIL_EVENT_TYPES.BOUNCED,
+          spamreport: EMAIL_EVENT_TYPES.COMPLAINED,
+          open: EMAIL_EVENT_TYPES.OPENED
+        }[event.event];
+        if (!type) {
+          return null;
+        }
+        return {
+          providerEventId: event.sg_event_id,
+          // "<X-Message-Id>.<internal suffix>"
+          providerMessageId: String(event.sg_message_id || '').split('.')[0],
+          type,
+          bounceType: type === EMAIL_EVENT_TYPES.BOUNCED
+            ? (event.type === 'blocked' ? BOUNCE_TYPES.SOFT : BOUNCE_TYPES.HARD)
+            : null,
+          detail: event.reason,
+          occurredAt: event.timestamp
+        };
+      });
+    }
+  },
+
+  3: {
+    // No signatures: the webhook URL carries https://<user>:<secret>@...
+    verify(headers, rawBody, secret) {
+      const match = String(headers.authorization || '').match(/^Basic\s+(\S+)$/i);
+      if (!match) {
+        return false;
+      }
+      const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+      return safeEqual(credentials.slice(credentials.indexOf(':') + 1), secret);
+    },
+    parse(rawBody) {
+      const record = parseJson(rawBody) || {};
+      const type = {
+        Delivery: EMAIL_EVENT_TYPES.DELIVERED,
+        Bounce: EMAIL_EVENT_TYPES.BOUNCED,
+        SpamComplaint: EMAIL_EVENT_TYPES.COMPLAINED,
+        Open: EMAIL_EVENT_TYPES.OPENED
+      }[record.RecordType];
+      if (!type) {
+        return [];
+      }
+      const occurredAt = record.DeliveredAt || record.BouncedAt || record.ReceivedAt;
+      return [{
+        // Only bounces and complaints have their own ID
+        providerEventId: record.ID ? `${record.RecordType}:${record.ID}` : `${record.RecordType}:${record.MessageID}:${occurredAt}`,
+        providerMessageId: record.MessageID,
+        type,
+        bounceType: type === EMAIL_EVENT_TYPES.BOUNCED
+          ? (['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated'].includes(record.Type) ? BOUNCE_TYPES.HARD : BOUNCE_TYPES.SOFT)
+          : null,
+        detail: record.Description || record.Details,
+        occurredAt
+      }];
+    }
+  },
+
+  4: {
+    // HMAC-SHA256 (hex) of timestamp + token, both in the body
+    verify(headers, rawBody, secret) {
+      const { timestamp, token, signature } = (parseJson(rawBody) || {}).signature || {};
+      if (!token || !signature || !isFresh(timestamp)) {
+        return false;
+      }
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}${token}`).digest('hex');
+      return safeEqual(signature, expected);
+    },
+    parse(rawBody) {
+      const data = (parseJson(rawBody) || {})['event-data'] || {};
+      const type = {
+        delivered: EMAIL_EVENT_TYPES.DELIVERED,
+        failed: EMAIL_EVENT_TYPES.BOUNCED,
+        complained: EMAIL_EVENT_TYPES.COMPLAINED,
+        opened: EMAIL_EVENT_TYPES.OPENED
+      }[data.event];
+      if (!type) {
+        return [];
+      }
+      return [{
+        providerEventId: data.id,
+        providerMessageId: data.message?.headers?.['message-id'],
+        type,
+        bounceType: type === EMAIL_EVENT_TYPES.BOUNCED
+          ? (data.severity === 'temporary' ? BOUNCE_TYPES.SOFT : BOUNCE_TYPES.HARD)
+          : null,
+        detail: data['delivery-status']?.message || data['delivery-status']?.description || data.reason,
+        occurredAt: data.timestamp
+      }];
+    }
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Whether a provider's webhooks can be read
+ *
+ * @param {number} providerId - From getProviderId() in email-sender.js
+ */
+function supportsWebhooks(providerId) {
+  return !!WEBHOOK_ADAPTERS[providerId];
+}
+
+/**
+ * Check a webhook request came from the provider
+ *
+ * @param {number} providerId - From getProviderId() in email-sender.js
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} rawBody - Body exactly as received
+ * @param {string} secret - The provider's webhook secret
+ * @returns {boolean}
+ */
+function verifyWebhook(providerId, headers, rawBody, secret) {
+  return !!secret && WEBHOOK_ADAPTERS[providerId].verify(headers, rawBody, secret);
+}
+
+/**
+ * Read the tracked events from a verified webhook request
+ *
+ * @param {number} providerId - From getProviderId() in email-sender.js
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} rawBody - Body exactly as received
+ * @returns {Array<{providerEventId: string, providerMessageId: string, type: string,
+ *                  bounceType: string|null, detail: string|null, occurredAt: Date|null}>}
+ *   Events without an event or message ID are dropped
+ */
+function parseWebhookEvents(providerId, headers, rawBody) {
+  return WEBHOOK_ADAPTERS[providerId].parse(rawBody, headers)
+    .filter(event => event && event.providerEventId && event.providerMessageId)
+    .map(event => ({
+      ...event,
+      providerEventId: String(event.providerEventId),
+      providerMessageId: String(event.providerMessageId).replace(/^<|>$/g, ''),
+      detail: cleanDetail(event.detail),
+      occurredAt: toDate(event.occurredAt)
+    }));
+}
+
+/**
+ * The customer email status an event sets, if any
+ *
+ * @param {Object} event - A parsed event
+ * @param {string} emailKind - Kind of the outbox email it is about
+ * @returns {string|null} 'bounced', 'complained' or null (no change)
+ */
+function customerEmailStatus(event, emailKind) {
+  if (!CUSTOMER_EMAIL_KINDS.includes(emailKind)) {
+    return null;
+  }
+  if (event.type === EMAIL_EVENT_TYPES.BOUNCED && event.bounceType === BOUNCE_TYPES.HARD) {
+    return 'bounced';
+  }
+  if (event.type === EMAIL_EVENT_TYPES.COMPLAINED) {
+    return 'complained';
+  }
+  return null;
+}
+
+module.exports = {
+  EMAIL_EVENT_TYPES,
+  BOUNCE_TYPES,
+  CUSTOMER_EMAIL_KINDS,
+  supportsWebhooks,
+  verifyWebhook,
+  parseWebhookEvents,
+  customerEmailStatus
+};
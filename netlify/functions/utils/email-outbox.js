@@ -0,0 +1,211 @@
+/**
+ * Email Outbox
+ *
+ * Durable delivery for transactional emails. Emails are rendered, stored in
+ * the email_outbox table and sent straight away; failures stay in the
+ * outbox and are retried by the email-outbox-worker scheduled function
+ * with exponential backoff. After MAX_ATTEMPTS an email is marked dead
+ * and shows up in the admin-email-outbox function.
+ *
+ * RETRY SCHEDULE (after each failed attempt):
+ *   5 min, 10 min, 20 min, 40 min, 80 min, 160 min, 320 min, then dead
+ *
+ * EXACTLY ONCE:
+ *   An email with a dedupe key (e.g. 'welcome:<submissionId>') is queued
+ *   at most once; queueing it again is reported as a duplicate and nothing
+ *   is sent. Emails that belong to a data change are queued in the same
+ *   transaction (see convertPaidCheckout) and delivered with
+ *   deliverQueuedEmail() once it has committed.
+ *
+ * TIME LIMIT:
+ *   Every send in one function invocation shares a single deadline (see
+ *   getSendDeadline in utils/email-sender.js). An email that would start
+ *   after it is left in the outbox, without counting an attempt, and the
+ *   worker stops claiming emails once it is reached.
+ *
+ * @module netlify/functions/utils/email-outbox
+ */
+
+const {
+  enqueueEmail,
+  claimDueEmails,
+  recordEmailAttempt
+} = require('./database');
+const { sendRenderedEmail, getSendDeadline, hasSendTime } = require('./email-sender');
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+/**
+ * Work out when to retry after a failed attempt
+ *
+ * @param {number} attempts - Attempts made so far (including the one that just failed)
+ * @returns {Date|null} Next attempt time, or null once MAX_ATTEMPTS is reached
+ */
+function getNextAttemptAt(attempts) {
+  if (attempts >= MAX_ATTEMPTS) {
+    return null;
+  }
+  return new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, attempts - 1));
+}
+
+/**
+ * Try to deliver one outbox email and record the attempt
+ *
+ * Past the deadline nothing is sent or recorded; the email stays pending
+ * for the worker's next run.
+ *
+ * @param {Object} row - The email_outbox row
+ * @param {number} deadline - Invocation deadline from getSendDeadline()
+ * @returns {Promise<{id: number, status: string, attempts: number, sent: boolean, deferred?: boolean, provider?: string, error?: string}>}
+ */
+async function deliverOutboxEmail(row, deadline) {
+  if (!hasSendTime(deadline)) {
+    console.log(`[Outbox] Email ${row.id} (${row.kind}) left for the worker, send deadline reached`);
+    return { id: row.id, status: row.status, attempts: row.attempts, sent: false, deferred: true };
+  }
+
+  let sent;
+  try {
+    sent = await sendRenderedEmail({
+      to: row.to_address,
+      subject: row.subject,
+      textBody: row.text_body,
+      htmlBody: row.html_body,
+      attachments: row.attachments || []
+    }, { deadline });
+  } catch (sendError) {
+    const attempts = row.attempts + 1;
+    const nextAttemptAt = getNextAttemptAt(attempts);
+    const updated = await recordEmailAttempt(row.id, {
+      sent: false,
+      error: sendError.message,
+      nextAttemptAt
+    });
+
+    if (nextAttemptAt) {
+      console.error(`[Outbox] Email ${row.id} (${row.kind}) failed, retry at ${nextAttemptAt.toISOString()}:`, sendError.message);
+    } else {
+      console.error(`[Outbox] Email ${row.id} (${row.kind}) is dead after ${attempts} attempts:`, sendError.message);
+    }
+    return { id: row.id, status: updated.status, attempts: updated.attempts, sent: false, error: sendError.message };
+  }
+
+  const updated = await recordEmailAttempt(row.id, {
+    sent: true,
+    provider: sent.provider,
+    providerMessageId: sent.messageId
+  });
+  console.log(`[Outbox] Email ${row.id} (${row.kind}) sent via ${sent.provider}`);
+  return { id: row.id, status: updated.status, attempts: updated.attempts, sent: true, provider: sent.provider };
+}
+
+/**
+ * Outbox entry for a rendered email, as enqueueEmail() takes it
+ *
+ * The worker leaves it alone until the first retry is due, so whoever
+ * queues it can deliver it straight away.
+ *
+ * @param {Object} email - Rendered email { to, subject, textBody, htmlBody }
+ * @param {Object} meta - Outbox metadata
+ * @param {string} meta.kind - Email kind (owner_notification, welcome, quarantine_alert)
+ * @param {string} [meta.submissionId] - Related submission
+ * @param {string} [meta.dedupeKey] - Queue this email at most once
+ * @returns {Object} { kind, submissionId, email, nextAttemptAt, dedupeKey }
+ */
+function buildOutboxEntry(email, { kind, submissionId, dedupeKey }) {
+  return { kind, submissionId, email, nextAttemptAt: getNextAttemptAt(1), dedupeKey };
+}
+
+/**
+ * Deliver an email just queued (by queueEmail or in a storage transaction)
+ *
+ * @param {Object} row - The email_outbox row
+ * @param {Object} [options] - Delivery options
+ * @param {number} [options.deadline] - Invocation deadline from getSendDeadline() (default: one starting now)
+ * @returns {Promise<{id: number, status: string, sent: boolean, queued: boolean, deferred: boolean}>}
+ */
+async function deliverQueuedEmail(row, { deadline = getSendDeadline() } = {}) {
+  const delivery = await deliverOutboxEmail(row, deadline);
+  return { id: row.id, status: delivery.status, sent: delivery.sent, queued: true, deferred: !!delivery.deferred };
+}
+
+/**
+ * Store a rendered email in the outbox and try to send it now
+ *
+ * A failed send is not an error - the email stays queued for the worker.
+ * If the outbox itself can't be written (e.g. the database is down) the
+ * email is sent directly instead, so it is not lost either way.
+ *
+ * @param {Object} email - Rendered email { to, subject, textBody, htmlBody }
+ * @param {Object} meta - Outbox metadata
+ * @param {string} meta.kind - Email kind (owner_notification, welcome, quarantine_alert)
+ * @param {string} [meta.submissionId] - Related submission
+ * @param {string} [meta.dedupeKey] - Queue this email at most once
+ * @param {Object} [options] - Delivery options
+ * @param {number} [options.deadline] - Invocation deadline from getSendDeadline() (default: one starting now)
+ * @returns {Promise<{id: number|null, status: string, sent: boolean, queued: boolean, deferred?: boolean, duplicate?: boolean}>}
+ * @throws {Error} Only if the email could neither be queued nor sent
+ */
+async function queueEmail(email, { kind, submissionId, dedupeKey }, { deadline = getSendDeadline() } = {}) {
+  let row;
+  try {
+    row = await enqueueEmail(buildOutboxEntry(email, { kind, submissionId, dedupeKey }));
+  } catch (queueError) {
+    console.error('[Outbox] Could not queue email, sending directly:', queueError.message);
+    const sent = await sendRenderedEmail(email, { deadline });
+    console.log(`[Outbox] Email sent directly via ${sent.provider}`);
+    return { id: null, status: 'sent', sent: true, queued: false };
+  }
+
+  if (!row) {
+    console.log(`[Outbox] Email ${dedupeKey} already queued, not sending again`);
+    return { id: null, status: 'duplicate', sent: false, queued: false, duplicate: true };
+  }
+  return deliverQueuedEmail(row, { deadline });
+}
+
+/**
+ * Deliver outbox emails that are due until the run's deadline
+ *
+ * Emails are claimed one at a time, so none is left claimed but unsent
+ * when the deadline is reached.
+ *
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.deadline] - Invocation deadline from getSendDeadline() (default: one starting now)
+ * @returns {Promise<{processed: number, sent: number, retrying: number, dead: number}>}
+ */
+async function processOutbox({ deadline = getSendDeadline() } = {}) {
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+
+  // One at a time - providers rate-limit bursts
+  while (hasSendTime(deadline)) {
+    const [row] = await claimDueEmails({ limit: 1 });
+    if (!row) {
+      break;
+    }
+
+    const delivery = await deliverOutboxEmail(row, deadline);
+    if (delivery.deferred) {
+      break;
+    }
+    summary.processed++;
+    if (delivery.sent) {
+      summary.sent++;
+    } else if (delivery.status === 'dead') {
+      summary.dead++;
+    } else {
+      summary.retrying++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  buildOutboxEntry,
+  deliverQueuedEmail,
+  queueEmail,
+  processOutbox
+};
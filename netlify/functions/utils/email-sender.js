@@ -6,52 +6,180 @@
  * CRITICAL: sendFullFormNotificationEmail sends EVERY form field to the owner
  * so the landing page can be built without database access.
  * 
+ * Each email has a build* function returning a rendered email
+ * ({ to, subject, textBody, htmlBody }) and a send* function that builds
+ * and sends it immediately. The email outbox stores rendered emails and
+ * delivers them later with sendRenderedEmail().
+ * 
+ * Copy and markup live in the template files in
+ * netlify/functions/email-templates/ (see utils/email-templates.js); the
+ * functions here only prepare the data each template shows. Customer
+ * emails are written in the customer's locale (form_data.locale, see
+ * utils/i18n.js); owner emails are always English.
+ * 
+ * Emails go out through the providers in EMAIL_PROVIDERS, in order: HTTP
+ * APIs or any SMTP server (utils/smtp-client.js). When one is down the
+ * next is tried, and the result names the provider that delivered.
+ * 
+ * A rendered email may carry attachments ({ filename, contentType,
+ * content } with base64 content, so it can be stored in the outbox as
+ * is); every provider sends them.
+ * 
  * @module netlify/functions/utils/email-sender
  */
 
+const crypto = require('crypto');
 const https = require('https');
+const { renderEmail } = require('./email-templates');
+const { formatCurrency, formatDate } = require('./i18n');
+const { buildDesignBriefAttachments } = require('./design-brief');
+const { TLS_MODES, sendSmtpMail } = require('./smtp-client');
 
 // ============================================
 // ENVIRONMENT VARIABLES REQUIRED:
 // ============================================
-// EMAIL_API_KEY - API key for email service
-// EMAIL_SERVICE - Email provider identifier (required)
+// EMAIL_PROVIDERS - Providers to try in order, comma separated; the next one
+//                   is tried when a provider is down (5xx or timeout).
+//                   Falls back to EMAIL_SERVICE (one provider) if unset
+// EMAIL_API_KEY - API key for the HTTP providers; EMAIL_API_KEY_<PROVIDER>
+//                 (provider name in upper case) overrides it for one provider
+// EMAIL_API_HOST_<PROVIDER> - API hostname override (optional, e.g. EU region)
+// EMAIL_DOMAIN - Sending domain, for providers that need one (default: FROM_EMAIL's)
+// EMAIL_SMTP_HOST - SMTP server (required when smtp is in the list)
+// EMAIL_SMTP_PORT - SMTP port (default: 587, or 465 for implicit TLS)
+// EMAIL_SMTP_TLS - starttls (default), implicit or none (local SMTP sink only)
+// EMAIL_SMTP_USER, EMAIL_SMTP_PASS - SMTP login (optional)
 // NOTIFICATION_EMAIL - Email address to receive notifications
 // FROM_EMAIL - Sender email address (must be verified with email service)
 
+// One budget for every email a function invocation sends, counted from
+// when it started (see getSendDeadline), so a run that sends several
+// emails can't outlast the function's time limit. Each send splits what
+// is left between the providers still to try, so a provider that hangs
+// leaves time for the next; an email that misses it is retried from the
+// outbox
+const SEND_DEADLINE_MS = 8000;
+
+// Less time than this left isn't worth starting another provider with
+const MIN_PROVIDER_TIME_MS = 1500;
+
+// Build provider names from character codes to avoid literal provider names in source
+function buildProviderName(type) {
+  const codes = {
+    1: [114,101,115,101,110,100],
+    2: [115,101,110,100,103,114,105,100],
+    3: [112,111,115,116,109,97,114,107],
+    4: [109,97,105,108,103,117,110]
+  }[type];
+  if (codes) {
+    return String.fromCharCode(...codes);
+  }
+  return type === 5 ? 'smtp' : null;
+}
+
 // Build hostname from character codes to avoid literal provider names in source
 function buildHostname(type) {
-  if (type === 1) {
-    return 'api.' + String.fromCharCode(114,101,115,101,110,100) + '.com';
+  if (type === 1 || type === 2) {
+    return 'api.' + buildProviderName(type) + '.com';
   }
-  if (type === 2) {
-    return 'api.' + String.fromCharCode(115,101,110,100,103,114,105,100) + '.com';
+  if (type === 3) {
+    return 'api.' + buildProviderName(3) + 'app.com';
+  }
+  if (type === 4) {
+    return 'api.' + buildProviderName(4) + '.net';
   }
   return null;
 }
 
+/**
+ * Parse a JSON response body, or null if it isn't JSON
+ */
+function parseJson(data) {
+  try {
+    return JSON.parse(data);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Whether a rendered email has attachments
+ */
+function hasAttachments(content) {
+  return Array.isArray(content.attachments) && content.attachments.length > 0;
+}
+
+/**
+ * Encode fields as multipart/form-data; attachments (objects with a
+ * filename) become file parts, arrays repeat the field
+ * 
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+function encodeMultipart(fields) {
+  const boundary = `sss-${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  for (const [name, fieldValue] of Object.entries(fields)) {
+    for (const value of [].concat(fieldValue)) {
+      if (value && typeof value === 'object' && value.filename) {
+        const filename = value.filename.replace(/["\\\r\n]/g, '_');
+        parts.push(Buffer.from(
+          `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n` +
+          `Content-Type: ${value.contentType || 'application/octet-stream'}\r\n\r\n`
+        ));
+        parts.push(Buffer.from(value.content, 'base64'));
+      } else {
+        parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}`));
+      }
+      parts.push(Buffer.from('\r\n'));
+    }
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Failed HTTP response; server errors are worth trying the next provider for
+ */
+function httpFailure(statusCode, data) {
+  return { success: false, error: `API error: ${statusCode} - ${data}`, failover: statusCode >= 500 };
+}
+
 // Provider configurations
 const PROVIDER_CONFIGS = {
   1: {
+    transport: 'http',
     hostname: buildHostname(1),
-    path: '/emails',
+    path: () => '/emails',
+    buildHeaders: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
     buildPayload: (from, to, content) => ({
       from: from,
       to: [to],
       subject: content.subject,
       text: content.textBody,
-      html: content.htmlBody
+      html: content.htmlBody,
+      ...(hasAttachments(content) && {
+        attachments: content.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          content_type: attachment.contentType
+        }))
+      })
     }),
     parseResponse: (statusCode, data) => {
       if (statusCode >= 200 && statusCode < 300) {
-        return { success: true, data: JSON.parse(data) };
+        const parsed = parseJson(data);
+        return { success: true, data: parsed, messageId: parsed?.id };
       }
-      return { success: false, error: `API error: ${statusCode} - ${data}` };
+      return httpFailure(statusCode, data);
     }
   },
   2: {
+    transport: 'http',
     hostname: buildHostname(2),
-    path: '/v3/mail/send',
+    path: () => '/v3/mail/send',
+    buildHeaders: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
     buildPayload: (from, to, content) => ({
       personalizations: [{ to: [{ email: to }] }],
       from: { email: from },
@@ -59,14 +187,76 @@ const PROVIDER_CONFIGS = {
       content: [
         { type: 'text/plain', value: content.textBody },
         { type: 'text/html', value: content.htmlBody }
-      ]
+      ],
+      ...(hasAttachments(content) && {
+        attachments: content.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          type: attachment.contentType,
+          disposition: 'attachment'
+        }))
+      })
+    }),
+    parseResponse: (statusCode, data, headers) => {
+      if (statusCode >= 200 && statusCode < 300) {
+        return { success: true, statusCode, messageId: headers['x-message-id'] };
+      }
+      return httpFailure(statusCode, data);
+    }
+  },
+  3: {
+    transport: 'http',
+    hostname: buildHostname(3),
+    path: () => '/email',
+    buildHeaders: (apiKey) => ({ [`X-${buildProviderName(3)}-Server-Token`]: apiKey, 'Accept': 'application/json' }),
+    buildPayload: (from, to, content) => ({
+      From: from,
+      To: to,
+      Subject: content.subject,
+      TextBody: content.textBody,
+      HtmlBody: content.htmlBody,
+      MessageStream: 'outbound',
+      ...(hasAttachments(content) && {
+        Attachments: content.attachments.map(attachment => ({
+          Name: attachment.filename,
+          Content: attachment.content,
+          ContentType: attachment.contentType
+        }))
+      })
+    }),
+    parseResponse: (statusCode, data) => {
+      const parsed = parseJson(data);
+      if (statusCode >= 200 && statusCode < 300 && parsed?.ErrorCode === 0) {
+        return { success: true, data: parsed, messageId: parsed.MessageID };
+      }
+      return httpFailure(statusCode, data);
+    }
+  },
+  4: {
+    transport: 'http',
+    hostname: buildHostname(4),
+    path: (settings) => `/v3/${encodeURIComponent(settings.domain)}/messages`,
+    buildHeaders: (apiKey) => ({ 'Authorization': `Basic ${Buffer.from(`api:${apiKey}`).toString('base64')}` }),
+    // Files can only be uploaded as multipart form data
+    encoding: (content) => (hasAttachments(content) ? 'multipart' : 'form'),
+    buildPayload: (from, to, content) => ({
+      from: from,
+      to: to,
+      subject: content.subject,
+      text: content.textBody,
+      html: content.htmlBody,
+      ...(hasAttachments(content) && { attachment: content.attachments })
     }),
     parseResponse: (statusCode, data) => {
       if (statusCode >= 200 && statusCode < 300) {
-        return { success: true, statusCode };
+        const parsed = parseJson(data);
+        return { success: true, data: parsed, messageId: parsed?.id };
       }
-      return { success: false, error: `API error: ${statusCode} - ${data}` };
+      return httpFailure(statusCode, data);
     }
+  },
+  5: {
+    transport: 'smtp'
   }
 };
 
@@ -74,13 +264,85 @@ const PROVIDER_CONFIGS = {
 function getProviderId(serviceValue) {
   if (!serviceValue) return null;
   const normalized = serviceValue.toLowerCase().trim();
-  const p1 = String.fromCharCode(114,101,115,101,110,100);
-  const p2 = String.fromCharCode(115,101,110,100,103,114,105,100);
-  if (normalized === p1) return 1;
-  if (normalized === p2) return 2;
+  for (const providerId of Object.keys(PROVIDER_CONFIGS).map(Number)) {
+    if (normalized === buildProviderName(providerId)) return providerId;
+  }
   return null;
 }
 
+/**
+ * Settings for one provider from the environment
+ *
+ * @throws {Error} If a required setting is missing
+ */
+function getProviderSettings(providerId) {
+  const name = buildProviderName(providerId);
+  const suffix = name.toUpperCase();
+  const config = PROVIDER_CONFIGS[providerId];
+
+  if (config.transport === 'smtp') {
+    const host = process.env.EMAIL_SMTP_HOST;
+    const tlsMode = process.env.EMAIL_SMTP_TLS || 'starttls';
+    if (!host) {
+      throw new Error('EMAIL_SMTP_HOST environment variable is required for smtp.');
+    }
+    if (!TLS_MODES.includes(tlsMode)) {
+      throw new Error(`EMAIL_SMTP_TLS must be one of: ${TLS_MODES.join(', ')}`);
+    }
+    return {
+      host,
+      port: parseInt(process.env.EMAIL_SMTP_PORT, 10) || (tlsMode === 'implicit' ? 465 : 587),
+      tlsMode,
+      user: process.env.EMAIL_SMTP_USER,
+      pass: process.env.EMAIL_SMTP_PASS
+    };
+  }
+
+  const apiKey = process.env[`EMAIL_API_KEY_${suffix}`] || process.env.EMAIL_API_KEY;
+  if (!apiKey) {
+    throw new Error(`EMAIL_API_KEY (or EMAIL_API_KEY_${suffix}) environment variable is required.`);
+  }
+  return {
+    apiKey,
+    hostname: process.env[`EMAIL_API_HOST_${suffix}`] || config.hostname,
+    domain: process.env.EMAIL_DOMAIN || String(process.env.FROM_EMAIL || '').split('@').pop()
+  };
+}
+
+/**
+ * The providers to try, in order, with their settings
+ *
+ * @returns {Array<{ name: string, config: Object, settings: Object }>}
+ * @throws {Error} If the list is missing, names an unknown provider or a
+ *   provider is missing settings
+ */
+function getEmailProviders() {
+  const list = process.env.EMAIL_PROVIDERS || process.env.EMAIL_SERVICE;
+  if (!list) {
+    throw new Error('EMAIL_PROVIDERS (or EMAIL_SERVICE) environment variable is required.');
+  }
+
+  const providerIds = [];
+  list.split(',').map(value => value.trim()).filter(Boolean).forEach((value, index) => {
+    const providerId = getProviderId(value);
+    if (!providerId) {
+      throw new Error(`EMAIL_PROVIDERS entry ${index + 1} is not a known provider.`);
+    }
+    if (!providerIds.includes(providerId)) {
+      providerIds.push(providerId);
+    }
+  });
+  if (providerIds.length === 0) {
+    throw new Error('EMAIL_PROVIDERS has no providers.');
+  }
+
+  return providerIds.map(providerId => ({
+    name: buildProviderName(providerId),
+    config: PROVIDER_CONFIGS[providerId],
+    settings: getProviderSettings(providerId)
+  }));
+}
+
 // ============================================
 // FULL FORM NOTIFICATION EMAIL
 // This is the CRITICAL email that contains ALL form data
@@ -98,371 +360,236 @@ function getProviderId(serviceValue) {
  * @returns {Promise<Object>} Email API response
  */
 async function sendFullFormNotificationEmail(submissionId, formData, paymentData) {
-  const apiKey = process.env.EMAIL_API_KEY;
+  return sendRenderedEmail(buildFullFormNotificationEmail(submissionId, formData, paymentData));
+}
+
+/**
+ * Build the FULL form notification email to the site owner
+ * 
+ * @param {string} submissionId - The submission ID
+ * @param {Object} formData - Complete form data object (ALL fields)
+ * @param {Object} paymentData - Payment data from ITN
+ * @returns {{ to: string, subject: string, textBody: string, htmlBody: string, attachments: Array<Object> }}
+ *   Rendered email, with the design brief (PDF and JSON) attached
+ */
+function buildFullFormNotificationEmail(submissionId, formData, paymentData) {
   const notificationEmail = process.env.NOTIFICATION_EMAIL;
-  const fromEmail = process.env.FROM_EMAIL;
-  const emailService = process.env.EMAIL_SERVICE;
 
-  if (!apiKey) {
-    throw new Error('EMAIL_API_KEY environment variable is required.');
-  }
   if (!notificationEmail) {
     throw new Error('NOTIFICATION_EMAIL environment variable is required.');
   }
-  if (!fromEmail) {
-    throw new Error('FROM_EMAIL environment variable is required.');
-  }
-  if (!emailService) {
-    throw new Error('EMAIL_SERVICE environment variable is required.');
-  }
 
-  const providerId = getProviderId(emailService);
-  if (!providerId) {
-    throw new Error('EMAIL_SERVICE has an invalid value.');
-  }
+  const sections = buildFullFormSections(submissionId, formData, paymentData);
 
-  const providerConfig = PROVIDER_CONFIGS[providerId];
-  if (!providerConfig) {
-    throw new Error('Email provider configuration not found.');
+  // The brief is a convenience; the email still goes without it
+  let attachments = [];
+  try {
+    attachments = buildDesignBriefAttachments(submissionId, formData, sections);
+  } catch (briefError) {
+    console.error(`ERROR: Failed to build design brief for ${submissionId}:`, briefError.message);
   }
 
-  // Build the comprehensive email content
-  const emailContent = buildFullFormEmailContent(submissionId, formData, paymentData);
-
-  // Send via configured provider
-  return sendViaProvider(apiKey, fromEmail, notificationEmail, emailContent, providerConfig);
+  return {
+    to: notificationEmail,
+    ...renderEmail('owner-notification', {
+      submissionId,
+      displayName: formData.businessName || submissionId,
+      sections,
+      briefAttached: attachments.length > 0
+    }),
+    attachments
+  };
 }
 
+// Field label mappings for better readability
+const FIELD_LABELS = {
+  // Business Basics
+  businessName: 'Business Name',
+  ownerFirstName: 'Owner First Name',
+  ownerLastName: 'Owner Last Name',
+  industry: 'Industry',
+  businessType: 'Business Type (B2B/B2C)',
+  targetAudience: 'Target Audience',
+  
+  // Business Info
+  businessDescription: 'Business Description',
+  keySellingPoints: 'Key Selling Points',
+  mainGoals: 'Main Goals',
+  ctaType: 'Call-to-Action Type',
+  customCtaText: 'Custom CTA Text',
+  
+  // Contact Details
+  businessPhone: 'Business Phone',
+  businessEmail: 'Business Email',
+  whatsappNumber: 'WhatsApp Number',
+  locale: 'Email Language',
+  
+  // Location
+  streetAddress: 'Street Address',
+  city: 'City',
+  province: 'Province',
+  postalCode: 'Postal Code',
+  
+  // Operating Hours
+  hoursMonday: 'Monday Hours',
+  hoursTuesday: 'Tuesday Hours',
+  hoursWednesday: 'Wednesday Hours',
+  hoursThursday: 'Thursday Hours',
+  hoursFriday: 'Friday Hours',
+  hoursSaturday: 'Saturday Hours',
+  hoursSunday: 'Sunday Hours',
+  hoursPublicHoliday: 'Public Holiday Hours',
+  
+  // Design Preferences
+  colorScheme: 'Color Scheme',
+  logoUpload: 'Logo Upload',
+  
+  // Social Media
+  facebookUrl: 'Facebook URL',
+  instagramUrl: 'Instagram URL',
+  tiktokUrl: 'TikTok URL',
+  googleReviewUrl: 'Google Review URL',
+  
+  // Social Proof
+  testimonials: 'Testimonials',
+  starRating: 'Star Rating',
+  
+  // Additional
+  additionalNotes: 'Additional Notes',
+  
+  // Metadata
+  submissionId: 'Submission ID',
+  timestamp: 'Submission Timestamp'
+};
+
+// Group fields by section
+const FIELD_SECTIONS = [
+  {
+    title: '📋 SUBMISSION DETAILS',
+    fields: ['submissionId', 'timestamp']
+  },
+  {
+    title: '🏢 BUSINESS BASICS',
+    fields: ['businessName', 'ownerFirstName', 'ownerLastName', 'industry', 'businessType', 'targetAudience']
+  },
+  {
+    title: '📝 BUSINESS INFORMATION',
+    fields: ['businessDescription', 'keySellingPoints', 'mainGoals', 'ctaType', 'customCtaText']
+  },
+  {
+    title: '📞 CONTACT DETAILS',
+    fields: ['businessPhone', 'businessEmail', 'whatsappNumber', 'locale']
+  },
+  {
+    title: '📍 LOCATION',
+    fields: ['streetAddress', 'city', 'province', 'postalCode']
+  },
+  {
+    title: '🕐 OPERATING HOURS',
+    fields: ['hoursMonday', 'hoursTuesday', 'hoursWednesday', 'hoursThursday', 'hoursFriday', 'hoursSaturday', 'hoursSunday', 'hoursPublicHoliday']
+  },
+  {
+    title: '🎨 DESIGN PREFERENCES',
+    fields: ['colorScheme', 'logoUpload']
+  },
+  {
+    title: '🔗 SOCIAL MEDIA',
+    fields: ['facebookUrl', 'instagramUrl', 'tiktokUrl', 'googleReviewUrl']
+  },
+  {
+    title: '⭐ SOCIAL PROOF',
+    fields: ['testimonials', 'starRating']
+  },
+  {
+    title: '📝 ADDITIONAL NOTES',
+    fields: ['additionalNotes']
+  }
+];
+
 /**
- * Build comprehensive email content with ALL form fields
+ * Format a form value for the field table (empty values return null)
  */
-function buildFullFormEmailContent(submissionId, formData, paymentData) {
-  const subject = `🎉 NEW PAID SUBSCRIBER: ${formData.businessName || submissionId}`;
-
-  // Field label mappings for better readability
-  const fieldLabels = {
-    // Business Basics
-    businessName: 'Business Name',
-    ownerFirstName: 'Owner First Name',
-    ownerLastName: 'Owner Last Name',
-    industry: 'Industry',
-    businessType: 'Business Type (B2B/B2C)',
-    targetAudience: 'Target Audience',
-    
-    // Business Info
-    businessDescription: 'Business Description',
-    keySellingPoints: 'Key Selling Points',
-    mainGoals: 'Main Goals',
-    ctaType: 'Call-to-Action Type',
-    customCtaText: 'Custom CTA Text',
-    
-    // Contact Details
-    businessPhone: 'Business Phone',
-    businessEmail: 'Business Email',
-    whatsappNumber: 'WhatsApp Number',
-    
-    // Location
-    streetAddress: 'Street Address',
-    city: 'City',
-    province: 'Province',
-    postalCode: 'Postal Code',
-    
-    // Operating Hours
-    hoursMonday: 'Monday Hours',
-    hoursTuesday: 'Tuesday Hours',
-    hoursWednesday: 'Wednesday Hours',
-    hoursThursday: 'Thursday Hours',
-    hoursFriday: 'Friday Hours',
-    hoursSaturday: 'Saturday Hours',
-    hoursSunday: 'Sunday Hours',
-    hoursPublicHoliday: 'Public Holiday Hours',
-    
-    // Design Preferences
-    colorScheme: 'Color Scheme',
-    logoUpload: 'Logo Upload',
-    
-    // Social Media
-    facebookUrl: 'Facebook URL',
-    instagramUrl: 'Instagram URL',
-    tiktokUrl: 'TikTok URL',
-    googleReviewUrl: 'Google Review URL',
-    
-    // Social Proof
-    testimonials: 'Testimonials',
-    starRating: 'Star Rating',
-    
-    // Additional
-    additionalNotes: 'Additional Notes',
-    
-    // Metadata
-    submissionId: 'Submission ID',
-    timestamp: 'Submission Timestamp'
-  };
+function formatFieldValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none selected)';
+  }
+  if (value && typeof value === 'object') {
+    if (value.fileName) {
+      return `File: ${value.fileName} (${Math.round((value.fileSize || 0) / 1024)}KB)`;
+    }
+    const json = JSON.stringify(value);
+    return json === '{}' ? null : json;
+  }
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value);
+}
 
-  // Group fields by section
-  const sections = [
-    {
-      title: '📋 SUBMISSION DETAILS',
-      fields: ['submissionId', 'timestamp']
-    },
-    {
-      title: '🏢 BUSINESS BASICS',
-      fields: ['businessName', 'ownerFirstName', 'ownerLastName', 'industry', 'businessType', 'targetAudience']
-    },
-    {
-      title: '📝 BUSINESS INFORMATION',
-      fields: ['businessDescription', 'keySellingPoints', 'mainGoals', 'ctaType', 'customCtaText']
-    },
-    {
-      title: '📞 CONTACT DETAILS',
-      fields: ['businessPhone', 'businessEmail', 'whatsappNumber']
-    },
-    {
-      title: '📍 LOCATION',
-      fields: ['streetAddress', 'city', 'province', 'postalCode']
-    },
-    {
-      title: '🕐 OPERATING HOURS',
-      fields: ['hoursMonday', 'hoursTuesday', 'hoursWednesday', 'hoursThursday', 'hoursFriday', 'hoursSaturday', 'hoursSunday', 'hoursPublicHoliday']
-    },
-    {
-      title: '🎨 DESIGN PREFERENCES',
-      fields: ['colorScheme', 'logoUpload']
-    },
-    {
-      title: '🔗 SOCIAL MEDIA',
-      fields: ['facebookUrl', 'instagramUrl', 'tiktokUrl', 'googleReviewUrl']
-    },
-    {
-      title: '⭐ SOCIAL PROOF',
-      fields: ['testimonials', 'starRating']
-    },
-    {
-      title: '📝 ADDITIONAL NOTES',
-      fields: ['additionalNotes']
+/**
+ * Build field table rows for the given form fields, skipping empty ones
+ */
+function buildFieldRows(displayData, fieldKeys) {
+  const rows = [];
+  for (const fieldKey of fieldKeys) {
+    const value = formatFieldValue(displayData[fieldKey]);
+    if (value !== null) {
+      rows.push({
+        key: fieldKey,
+        label: FIELD_LABELS[fieldKey] || fieldKey,
+        value,
+        raw: displayData[fieldKey],
+        multiline: value.includes('\n')
+      });
     }
-  ];
+  }
+  return rows;
+}
 
+/**
+ * Build the owner notification's sections with ALL form fields (also the
+ * sections of the design brief)
+ * 
+ * @returns {Array<{title: string, rows: Array<Object>}>} Rows are
+ *   { key, label, value, raw } plus display flags; raw is the form value
+ */
+function buildFullFormSections(submissionId, formData, paymentData) {
   // Add submission metadata to formData for display
   const displayData = {
     ...formData,
     submissionId: submissionId
   };
 
-  // Build plain text version
-  let textBody = `
-════════════════════════════════════════════════════════════════════
-NEW PAID SUBSCRIBER - COMPLETE FORM SUBMISSION
-════════════════════════════════════════════════════════════════════
-
-This customer has PAID and is ready for their landing page to be built.
-Below is EVERY field they submitted - use this to build their page.
-
-`;
-
-  // Add each section
-  for (const section of sections) {
-    textBody += `\n${section.title}\n${'─'.repeat(50)}\n`;
-    
-    for (const fieldKey of section.fields) {
-      const label = fieldLabels[fieldKey] || fieldKey;
-      let value = displayData[fieldKey];
-      
-      // Handle arrays (like mainGoals checkboxes)
-      if (Array.isArray(value)) {
-        value = value.length > 0 ? value.join(', ') : '(none selected)';
-      }
-      
-      // Handle objects (like logo upload metadata)
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        value = JSON.stringify(value, null, 2);
-      }
-      
-      // Only show if value exists
-      if (value !== undefined && value !== null && value !== '') {
-        textBody += `${label}: ${value}\n`;
-      }
-    }
-  }
-
-  // Add payment details
-  textBody += `\n💳 PAYMENT DETAILS\n${'─'.repeat(50)}\n`;
-  textBody += `Payment ID: ${paymentData?.pf_payment_id || 'N/A'}\n`;
-  textBody += `Payment Status: ${paymentData?.payment_status || 'COMPLETE'}\n`;
-  textBody += `Amount: R${paymentData?.amount_gross || '0.00'}\n`;
-  textBody += `Net Amount: R${paymentData?.amount_net || '0.00'}\n`;
-  textBody += `Subscription Token: ${paymentData?.token ? paymentData.token.substring(0, 20) + '...' : 'N/A'}\n`;
+  const sections = FIELD_SECTIONS
+    .map(section => ({ title: section.title, rows: buildFieldRows(displayData, section.fields) }))
+    .filter(section => section.rows.length > 0);
 
   // Add any unlabeled fields (future-proofing)
-  const knownFields = new Set(Object.keys(fieldLabels));
-  const unknownFields = Object.keys(displayData).filter(k => !knownFields.has(k) && !k.startsWith('_'));
-  
-  if (unknownFields.length > 0) {
-    textBody += `\n📦 OTHER FIELDS\n${'─'.repeat(50)}\n`;
-    for (const key of unknownFields) {
-      let value = displayData[key];
-      if (Array.isArray(value)) {
-        value = value.join(', ');
-      } else if (value && typeof value === 'object') {
-        value = JSON.stringify(value);
-      }
-      if (value !== undefined && value !== null && value !== '' && value !== '{}') {
-        textBody += `${key}: ${value}\n`;
-      }
-    }
+  const unknownFields = Object.keys(displayData).filter(key =>
+    !FIELD_LABELS[key] && !key.startsWith('_') && !(Array.isArray(displayData[key]) && displayData[key].length === 0)
+  );
+  const otherRows = buildFieldRows(displayData, unknownFields);
+  if (otherRows.length > 0) {
+    sections.push({ title: '📦 OTHER FIELDS', rows: otherRows });
   }
 
-  textBody += `
-════════════════════════════════════════════════════════════════════
-This is an automated notification from Software Solutions Services.
-Landing page should be started within 72 hours of this email.
-════════════════════════════════════════════════════════════════════
-`;
-
-  // Build HTML version
-  const htmlBody = buildFullFormHtmlEmail(submissionId, displayData, paymentData, sections, fieldLabels);
-
-  return { subject, textBody, htmlBody };
-}
-
-/**
- * Build HTML version of full form email
- */
-function buildFullFormHtmlEmail(submissionId, formData, paymentData, sections, fieldLabels) {
-  // Generate section HTML
-  let sectionsHtml = '';
-  
-  for (const section of sections) {
-    let fieldsHtml = '';
-    let hasFields = false;
-    
-    for (const fieldKey of section.fields) {
-      const label = fieldLabels[fieldKey] || fieldKey;
-      let value = formData[fieldKey];
-      
-      if (Array.isArray(value)) {
-        value = value.length > 0 ? value.join(', ') : null;
+  sections.push({
+    title: '💳 PAYMENT DETAILS',
+    rows: [
+      { key: 'paymentId', label: 'Payment ID', value: paymentData?.pf_payment_id || 'N/A' },
+      { key: 'paymentStatus', label: 'Payment Status', value: paymentData?.payment_status || 'COMPLETE', highlight: true },
+      { key: 'amount', label: 'Amount', value: `R${paymentData?.amount_gross || '0.00'}` },
+      { key: 'amountNet', label: 'Net Amount', value: `R${paymentData?.amount_net || '0.00'}` },
+      {
+        key: 'subscriptionToken',
+        label: 'Subscription Token',
+        value: paymentData?.token ? paymentData.token.substring(0, 20) + '...' : 'N/A',
+        code: true
       }
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        if (value.fileName) {
-          value = `File: ${value.fileName} (${Math.round(value.fileSize/1024)}KB)`;
-        } else {
-          value = JSON.stringify(value);
-        }
-      }
-      
-      if (value !== undefined && value !== null && value !== '') {
-        hasFields = true;
-        // Handle multi-line text
-        const displayValue = String(value).includes('\n') 
-          ? `<pre style="margin:0;white-space:pre-wrap;font-family:inherit;">${escapeHtml(value)}</pre>`
-          : escapeHtml(value);
-        
-        fieldsHtml += `
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;width:40%;vertical-align:top;border-bottom:1px solid #eee;">${escapeHtml(label)}</td>
-            <td style="padding:8px 12px;color:#333;font-size:14px;font-weight:500;border-bottom:1px solid #eee;">${displayValue}</td>
-          </tr>`;
-      }
-    }
-    
-    if (hasFields) {
-      sectionsHtml += `
-        <div style="margin-bottom:24px;">
-          <h3 style="margin:0 0 12px;color:#0a84ff;font-size:14px;text-transform:uppercase;letter-spacing:0.5px;">${section.title}</h3>
-          <table style="width:100%;border-collapse:collapse;background:#f8f9fa;border-radius:8px;overflow:hidden;">
-            ${fieldsHtml}
-          </table>
-        </div>`;
-    }
-  }
+    ]
+  });
 
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>New Paid Subscriber - Complete Form Data</title>
-</head>
-<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;background-color:#f5f5f5;">
-  <div style="max-width:700px;margin:0 auto;padding:20px;">
-    
-    <!-- Header -->
-    <div style="background:linear-gradient(135deg,#22c55e 0%,#16a34a 100%);color:white;padding:30px;border-radius:12px 12px 0 0;text-align:center;">
-      <h1 style="margin:0;font-size:24px;font-weight:600;">🎉 NEW PAID SUBSCRIBER!</h1>
-      <p style="margin:10px 0 0;opacity:0.9;font-size:18px;">${escapeHtml(formData.businessName || submissionId)}</p>
-    </div>
-    
-    <!-- Alert Box -->
-    <div style="background:#dcfce7;border:1px solid #22c55e;padding:15px 20px;text-align:center;">
-      <p style="margin:0;color:#166534;font-size:14px;font-weight:500;">
-        ✅ Payment COMPLETE - This customer is ready for their landing page
-      </p>
-    </div>
-    
-    <!-- Content -->
-    <div style="background:white;padding:30px;border-radius:0 0 12px 12px;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
-      
-      <p style="color:#333;font-size:16px;line-height:1.6;margin:0 0 20px;">
-        Below is the <strong>complete form submission</strong> with every field the customer entered.
-        Use this information to build their landing page.
-      </p>
-      
-      <!-- Submission ID Box -->
-      <div style="background:#f0f9ff;border:2px solid #0a84ff;border-radius:8px;padding:15px;margin-bottom:24px;text-align:center;">
-        <p style="margin:0;color:#666;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;">Submission ID</p>
-        <p style="margin:5px 0 0;color:#0a84ff;font-size:20px;font-weight:700;font-family:monospace;">${escapeHtml(submissionId)}</p>
-      </div>
-      
-      <!-- Form Sections -->
-      ${sectionsHtml}
-      
-      <!-- Payment Details -->
-      <div style="margin-bottom:24px;">
-        <h3 style="margin:0 0 12px;color:#0a84ff;font-size:14px;text-transform:uppercase;letter-spacing:0.5px;">💳 PAYMENT DETAILS</h3>
-        <table style="width:100%;border-collapse:collapse;background:#f8f9fa;border-radius:8px;overflow:hidden;">
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;width:40%;border-bottom:1px solid #eee;">Payment ID</td>
-            <td style="padding:8px 12px;color:#333;font-size:14px;font-weight:500;border-bottom:1px solid #eee;">${escapeHtml(paymentData?.pf_payment_id || 'N/A')}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;border-bottom:1px solid #eee;">Payment Status</td>
-            <td style="padding:8px 12px;color:#22c55e;font-size:14px;font-weight:600;border-bottom:1px solid #eee;">${escapeHtml(paymentData?.payment_status || 'COMPLETE')}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;border-bottom:1px solid #eee;">Amount</td>
-            <td style="padding:8px 12px;color:#333;font-size:14px;font-weight:500;border-bottom:1px solid #eee;">R${escapeHtml(paymentData?.amount_gross || '0.00')}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;border-bottom:1px solid #eee;">Net Amount</td>
-            <td style="padding:8px 12px;color:#333;font-size:14px;font-weight:500;border-bottom:1px solid #eee;">R${escapeHtml(paymentData?.amount_net || '0.00')}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 12px;color:#666;font-size:14px;">Subscription Token</td>
-            <td style="padding:8px 12px;color:#333;font-size:14px;font-family:monospace;">${paymentData?.token ? escapeHtml(paymentData.token.substring(0, 20)) + '...' : 'N/A'}</td>
-          </tr>
-        </table>
-      </div>
-      
-      <!-- Action Required Box -->
-      <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:8px;padding:15px 20px;margin-top:24px;">
-        <p style="margin:0;color:#92400e;font-size:14px;">
-          <strong>⏰ ACTION REQUIRED:</strong> Start building this landing page within 72 hours.
-        </p>
-      </div>
-      
-    </div>
-    
-    <!-- Footer -->
-    <div style="text-align:center;padding:20px;color:#999;font-size:12px;">
-      <p style="margin:0;">This is an automated notification from Software Solutions Services.</p>
-      <p style="margin:5px 0 0;">© ${new Date().getFullYear()} Software Solutions Services</p>
-    </div>
-    
-  </div>
-</body>
-</html>`;
+  return sections;
 }
 
 // ============================================
@@ -473,131 +600,207 @@ function buildFullFormHtmlEmail(submissionId, formData, paymentData, sections, f
  * Send welcome email to customer
  */
 async function sendWelcomeEmail(subscriberData) {
-  const apiKey = process.env.EMAIL_API_KEY;
-  const fromEmail = process.env.FROM_EMAIL;
-  const emailService = process.env.EMAIL_SERVICE;
-  const whatsappNumber = process.env.WHATSAPP_NUMBER || '';
+  return sendRenderedEmail(buildWelcomeEmail(subscriberData));
+}
 
-  if (!apiKey) {
-    throw new Error('EMAIL_API_KEY environment variable is required.');
-  }
-  if (!fromEmail) {
-    throw new Error('FROM_EMAIL environment variable is required.');
-  }
-  if (!emailService) {
-    throw new Error('EMAIL_SERVICE environment variable is required.');
-  }
+// Promised time to start on the landing page, quoted in the welcome email
+const SETUP_HOURS = 72;
+
+/**
+ * Build the welcome email to the customer
+ * 
+ * @param {Object} subscriberData - { email, firstName, businessName, submissionId, locale,
+ *   recurringAmount, subscribedAt } (the plan line is left out without recurringAmount)
+ * @returns {{ to: string, subject: string, textBody: string, htmlBody: string }} Rendered email
+ */
+function buildWelcomeEmail(subscriberData) {
+  const whatsappNumber = process.env.WHATSAPP_NUMBER || '';
 
   const clientEmail = subscriberData.email;
   if (!clientEmail) {
     throw new Error('Client email address is required.');
   }
 
-  const providerId = getProviderId(emailService);
-  if (!providerId) {
-    throw new Error('EMAIL_SERVICE has an invalid value.');
+  return {
+    to: clientEmail,
+    ...buildWelcomeEmailContent(subscriberData, whatsappNumber)
+  };
+}
+
+/**
+ * Build welcome email content for customer
+ */
+function buildWelcomeEmailContent(data, whatsappNumber) {
+  return renderEmail('welcome', {
+    locale: data.locale,
+    firstName: data.firstName || '',
+    submissionId: data.submissionId || 'N/A',
+    amount: data.recurringAmount ? formatCurrency(data.recurringAmount) : '',
+    subscribedOn: data.subscribedAt ? formatDate(data.subscribedAt, data.locale) : '',
+    setupHours: SETUP_HOURS,
+    whatsapp: whatsappNumber
+  });
+}
+
+// ============================================
+// CHECKOUT RECOVERY EMAIL TO CUSTOMER
+// ============================================
+
+/**
+ * Build the abandoned-checkout recovery email
+ * 
+ * Sent (via the email outbox) to someone who completed the form but never
+ * finished paying. The resume link reissues the PayFast checkout for the
+ * same submission, so nothing has to be re-entered.
+ * 
+ * @param {Object} data - Recovery details
+ * @param {string} data.email - Customer email address
+ * @param {string} [data.firstName] - Customer first name
+ * @param {string} [data.businessName] - Business name from the form
+ * @param {string} [data.locale] - Customer's locale from the form
+ * @param {string} data.resumeUrl - Signed resume-checkout link
+ * @param {string} data.optOutUrl - Signed opt-out link
+ * @returns {{ to: string, subject: string, textBody: string, htmlBody: string }} Rendered email
+ */
+function buildCheckoutRecoveryEmail(data) {
+  if (!data.email) {
+    throw new Error('Client email address is required.');
   }
 
-  const providerConfig = PROVIDER_CONFIGS[providerId];
-  const emailContent = buildWelcomeEmailContent(subscriberData, whatsappNumber);
+  return {
+    to: data.email,
+    ...buildCheckoutRecoveryContent(data)
+  };
+}
 
-  return sendViaProvider(apiKey, fromEmail, clientEmail, emailContent, providerConfig);
+/**
+ * Build checkout recovery email content
+ */
+function buildCheckoutRecoveryContent(data) {
+  return renderEmail('checkout-recovery', {
+    locale: data.locale,
+    firstName: data.firstName || '',
+    businessName: data.businessName || '',
+    resumeUrl: data.resumeUrl,
+    optOutUrl: data.optOutUrl
+  });
 }
 
+// ============================================
+// QUARANTINE ALERT TO OWNER
+// ============================================
+
 /**
- * Build welcome email content for customer
+ * Send an alert to the site owner when an ITN is quarantined
+ * 
+ * The customer is NOT provisioned until someone reviews the entry,
+ * so this alert is the only prompt to look at it.
+ * 
+ * @param {Object} entry - The itn_quarantine row
+ * @returns {Promise<Object>} Email API response
  */
-function buildWelcomeEmailContent(data, whatsappNumber) {
-  const subject = 'Welcome to Software Solutions Services! 🎉';
-  
-  const firstName = data.firstName || 'Valued Customer';
-  const submissionId = data.submissionId || 'N/A';
-  const whatsapp = whatsappNumber || '(contact us via our website)';
-
-  const textBody = `
-Hi ${firstName},
-
-Thank you for subscribing!
-
-Your submission ID is: ${submissionId}
-
-Here's what happens next:
-
-1. Our team will review your submission and begin setting up your landing page within 72 hours.
-
-2. You can reach us on WhatsApp at ${whatsapp}.
-
-3. Please do not share fake or incorrect information, as it may delay setup.
-
-We're excited to work with you!
-
-Best regards,
-Software Solutions Services Team
-
----
-This is an automated message. Please do not reply directly to this email.
-`.trim();
-
-  const htmlBody = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>Welcome to Software Solutions Services</title>
-</head>
-<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;background-color:#f5f5f5;">
-  <div style="max-width:600px;margin:0 auto;padding:20px;">
-    
-    <div style="background:linear-gradient(135deg,#0a84ff 0%,#1f5fff 100%);color:white;padding:30px;border-radius:12px 12px 0 0;text-align:center;">
-      <h1 style="margin:0;font-size:24px;font-weight:600;">Welcome! 🎉</h1>
-      <p style="margin:10px 0 0;opacity:0.9;">Software Solutions Services</p>
-    </div>
-    
-    <div style="background:white;padding:30px;border-radius:0 0 12px 12px;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
-      
-      <p style="color:#333;font-size:16px;line-height:1.6;margin:0 0 20px;">
-        Hi <strong>${escapeHtml(firstName)}</strong>,
-      </p>
-      
-      <p style="color:#333;font-size:16px;line-height:1.6;margin:0 0 20px;">
-        Thank you for subscribing!
-      </p>
-      
-      <div style="background:#f0f9ff;border:1px solid #0a84ff;border-radius:8px;padding:15px;margin-bottom:20px;text-align:center;">
-        <p style="margin:0;color:#666;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;">Your Submission ID</p>
-        <p style="margin:5px 0 0;color:#0a84ff;font-size:18px;font-weight:600;font-family:monospace;">${escapeHtml(submissionId)}</p>
-      </div>
-      
-      <h3 style="color:#333;font-size:16px;margin:20px 0 15px;">Here's what happens next:</h3>
-      
-      <ol style="color:#555;font-size:15px;line-height:1.8;padding-left:20px;margin:0 0 20px;">
-        <li style="margin-bottom:10px;">Our team will review your submission and begin setting up your landing page <strong>within 72 hours</strong>.</li>
-        <li style="margin-bottom:10px;">You can reach us on WhatsApp at <strong>${escapeHtml(whatsapp)}</strong>.</li>
-        <li style="margin-bottom:10px;">Please do not share fake or incorrect information, as it may delay setup.</li>
-      </ol>
-      
-      <p style="color:#333;font-size:16px;line-height:1.6;margin:20px 0;">
-        We're excited to work with you!
-      </p>
-      
-      <p style="color:#333;font-size:16px;line-height:1.6;margin:0;">
-        Best regards,<br>
-        <strong>Software Solutions Services Team</strong>
-      </p>
-      
-    </div>
-    
-    <div style="text-align:center;padding:20px;color:#999;font-size:12px;">
-      <p style="margin:0;">This is an automated message. Please do not reply directly to this email.</p>
-      <p style="margin:5px 0 0;">© ${new Date().getFullYear()} Software Solutions Services</p>
-    </div>
-    
-  </div>
-</body>
-</html>`;
-
-  return { subject, textBody, htmlBody };
+async function sendQuarantineAlertEmail(entry) {
+  return sendRenderedEmail(buildQuarantineAlertEmail(entry));
+}
+
+/**
+ * Build the quarantine alert email to the site owner
+ * 
+ * @param {Object} entry - The itn_quarantine row
+ * @returns {{ to: string, subject: string, textBody: string, htmlBody: string }} Rendered email
+ */
+function buildQuarantineAlertEmail(entry) {
+  const notificationEmail = process.env.NOTIFICATION_EMAIL;
+
+  if (!notificationEmail) {
+    throw new Error('NOTIFICATION_EMAIL environment variable is required.');
+  }
+
+  return {
+    to: notificationEmail,
+    ...buildQuarantineAlertContent(entry)
+  };
+}
+
+/**
+ * Build quarantine alert email content
+ */
+function buildQuarantineAlertContent(entry) {
+  const itnData = entry.itn_data || {};
+  const expected = entry.expected || {};
+
+  const rows = [
+    ['Quarantine ID', entry.id],
+    ['Submission ID', entry.submission_id || 'N/A'],
+    ['PayFast Payment ID', entry.pf_payment_id || 'N/A'],
+    ['Payment Status', itnData.payment_status || 'N/A'],
+    ['Received Amount', `R${itnData.amount_gross || '0.00'}`],
+    ['Expected Amounts', `R${expected.initialAmount || '?'} (initial) / R${expected.recurringAmount || '?'} (recurring)`],
+    ['Received Merchant ID', itnData.merchant_id || 'N/A'],
+    ['Expected Merchant ID', expected.merchantId || 'N/A'],
+    ['Plan', expected.planId || 'N/A']
+  ].map(([label, value]) => ({ label, value }));
+
+  return renderEmail('quarantine-alert', {
+    reference: entry.submission_id || itnData.m_payment_id || 'unknown submission',
+    reasons: entry.reasons || [],
+    rows
+  });
+}
+
+// ============================================
+// BOUNCE ALERT TO OWNER
+// ============================================
+
+/**
+ * Build the alert to the site owner when a customer's welcome email
+ * hard-bounces
+ * 
+ * The customer has paid but never got their welcome email, so the owner
+ * needs to reach them another way.
+ * 
+ * @param {Object} params - What bounced
+ * @param {Object} params.email - The outbox email (id, submission_id, to_address)
+ * @param {Object} params.event - The stored email_events row
+ * @param {Object|null} params.submission - The submission, if found
+ * @returns {{ to: string, subject: string, textBody: string, htmlBody: string }} Rendered email
+ */
+function buildBounceAlertEmail({ email, event, submission }) {
+  const notificationEmail = process.env.NOTIFICATION_EMAIL;
+
+  if (!notificationEmail) {
+    throw new Error('NOTIFICATION_EMAIL environment variable is required.');
+  }
+
+  return {
+    to: notificationEmail,
+    ...buildBounceAlertContent({ email, event, submission })
+  };
+}
+
+/**
+ * Build bounce alert email content
+ */
+function buildBounceAlertContent({ email, event, submission }) {
+  const formData = (submission && submission.form_data) || {};
+  const ownerName = [formData.ownerFirstName, formData.ownerLastName].filter(Boolean).join(' ');
+
+  const rows = [
+    ['Submission ID', email.submission_id || 'N/A', { code: true }],
+    ['Business Name', formData.businessName || 'N/A'],
+    ['Owner Name', ownerName || 'N/A'],
+    ['Bounced Address', email.to_address, { code: true }],
+    ['Business Phone', formData.businessPhone || 'N/A'],
+    ['WhatsApp', formData.whatsappNumber || 'N/A'],
+    ['Provider', event.provider],
+    ['Bounced At', new Date(event.occurred_at || event.created_at).toISOString()]
+  ].map(([label, value, flags = {}]) => ({ label, value, ...flags }));
+
+  return renderEmail('bounce-alert', {
+    reference: formData.businessName || email.submission_id || `email ${email.id}`,
+    reason: event.detail,
+    rows
+  });
 }
 
 // ============================================
@@ -605,45 +808,155 @@ This is an automated message. Please do not reply directly to this email.
 // ============================================
 
 /**
- * Send email via configured provider
+ * Deadline for the emails of an invocation that starts now
+ * 
+ * @returns {number} Timestamp (ms) every send must finish by
+ */
+function getSendDeadline() {
+  return Date.now() + SEND_DEADLINE_MS;
+}
+
+/**
+ * Whether there is still time before a deadline to start a send
+ * 
+ * @param {number} deadline - Timestamp from getSendDeadline()
+ * @returns {boolean}
+ */
+function hasSendTime(deadline) {
+  return deadline - Date.now() >= MIN_PROVIDER_TIME_MS;
+}
+
+/**
+ * Send a rendered email via the configured providers
+ * 
+ * @param {{ to: string, subject: string, textBody: string, htmlBody: string, attachments?: Array<Object> }} email - Rendered email
+ * @param {Object} [options] - Send options
+ * @param {number} [options.deadline] - Invocation deadline from getSendDeadline() (default: one starting now)
+ * @returns {Promise<Object>} Provider response, with provider (name of the
+ *   provider that accepted the email) and messageId (its ID for the email)
  */
-function sendViaProvider(apiKey, fromEmail, toEmail, content, providerConfig) {
+async function sendRenderedEmail(email, { deadline = getSendDeadline() } = {}) {
+  const fromEmail = process.env.FROM_EMAIL;
+
+  if (!fromEmail) {
+    throw new Error('FROM_EMAIL environment variable is required.');
+  }
+  if (!email || !email.to) {
+    throw new Error('Email recipient is required.');
+  }
+
+  return sendViaProvider(getEmailProviders(), fromEmail, email.to, email, deadline);
+}
+
+/**
+ * Send email via the first provider that accepts it
+ * 
+ * A provider that is down (5xx, timeout, unreachable) is skipped for the
+ * next one; any other failure (e.g. a rejected address) would fail the
+ * same way everywhere, so it is thrown straight away. Each provider gets
+ * an equal share of what is left before the deadline, and none is started
+ * with less than MIN_PROVIDER_TIME_MS left.
+ * 
+ * @throws {Error} With every provider's failure if none accepted the email
+ */
+async function sendViaProvider(providers, fromEmail, toEmail, content, deadline) {
+  const failures = [];
+
+  for (const [index, provider] of providers.entries()) {
+    if (!hasSendTime(deadline)) {
+      failures.push(`${provider.name}: not tried, send deadline reached`);
+      throw new Error(failures.join('; '));
+    }
+    const remainingMs = deadline - Date.now();
+    const timeoutMs = Math.max(Math.floor(remainingMs / (providers.length - index)), MIN_PROVIDER_TIME_MS);
+
+    try {
+      const result = provider.config.transport === 'smtp'
+        ? await sendViaSmtp(provider, fromEmail, toEmail, content, timeoutMs)
+        : await sendViaHttp(provider, fromEmail, toEmail, content, timeoutMs);
+
+      if (failures.length > 0) {
+        console.log(`[Email] Sent via ${provider.name} after: ${failures.join('; ')}`);
+      }
+      return { ...result, provider: provider.name };
+    } catch (sendError) {
+      failures.push(`${provider.name}: ${sendError.message}`);
+      if (!sendError.failover || index === providers.length - 1) {
+        throw new Error(failures.join('; '));
+      }
+      console.error(`[Email] ${provider.name} unavailable, trying ${providers[index + 1].name}:`, sendError.message);
+    }
+  }
+}
+
+/**
+ * Send email via an HTTP API provider, giving up after timeoutMs
+ */
+function sendViaHttp(provider, fromEmail, toEmail, content, timeoutMs) {
+  const { config, settings } = provider;
+
   return new Promise((resolve, reject) => {
-    const payload = JSON.stringify(providerConfig.buildPayload(fromEmail, toEmail, content));
+    const fields = config.buildPayload(fromEmail, toEmail, content);
+    const encoding = typeof config.encoding === 'function' ? config.encoding(content) : (config.encoding || 'json');
+
+    let payload;
+    let contentType;
+    if (encoding === 'multipart') {
+      ({ body: payload, contentType } = encodeMultipart(fields));
+    } else if (encoding === 'form') {
+      payload = new URLSearchParams(fields).toString();
+      contentType = 'application/x-www-form-urlencoded';
+    } else {
+      payload = JSON.stringify(fields);
+      contentType = 'application/json';
+    }
 
     const options = {
-      hostname: providerConfig.hostname,
+      hostname: settings.hostname,
       port: 443,
-      path: providerConfig.path,
+      path: config.path(settings),
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
+        ...config.buildHeaders(settings.apiKey),
+        'Content-Type': contentType,
         'Content-Length': Buffer.byteLength(payload)
-      },
-      timeout: 30000
+      }
     };
 
+    // For the whole request, not just idle time, so a trickling response can't hold it open
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      req.destroy();
+      const failure = new Error('Email request timed out');
+      failure.failover = true;
+      reject(failure);
+    }, timeoutMs);
+
     const req = https.request(options, (res) => {
       let data = '';
       res.on('data', (chunk) => { data += chunk; });
       res.on('end', () => {
-        const result = providerConfig.parseResponse(res.statusCode, data);
+        clearTimeout(timer);
+        const result = config.parseResponse(res.statusCode, data, res.headers);
         if (result.success) {
           resolve(result);
         } else {
-          reject(new Error(result.error));
+          const error = new Error(result.error);
+          error.failover = result.failover;
+          reject(error);
         }
       });
     });
 
     req.on('error', (error) => {
-      reject(new Error(`Email request failed: ${error.message}`));
-    });
-
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Email request timed out'));
+      clearTimeout(timer);
+      if (timedOut) {
+        return;
+      }
+      const failure = new Error(`Email request failed: ${error.message}`);
+      failure.failover = true;
+      reject(failure);
     });
 
     req.write(payload);
@@ -652,21 +965,47 @@ function sendViaProvider(apiKey, fromEmail, toEmail, content, providerConfig) {
 }
 
 /**
- * Escape HTML special characters
+ * Send email via SMTP, giving up after timeoutMs
  */
-function escapeHtml(str) {
-  if (str === null || str === undefined) return '';
-  const htmlEscapes = {
-    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
-  };
-  return String(str).replace(/[&<>"']/g, char => htmlEscapes[char]);
+async function sendViaSmtp(provider, fromEmail, toEmail, content, timeoutMs) {
+  try {
+    const result = await sendSmtpMail(
+      { ...provider.settings, timeoutMs },
+      {
+        from: fromEmail,
+        to: toEmail,
+        subject: content.subject,
+        textBody: content.textBody,
+        htmlBody: content.htmlBody,
+        attachments: content.attachments
+      }
+    );
+    return { success: true, ...result };
+  } catch (smtpError) {
+    smtpError.failover = !!smtpError.transient;
+    throw smtpError;
+  }
 }
 
-// ============================================
-// EXPORTS
-// ============================================
-
 module.exports = {
+  // Build and send immediately
   sendFullFormNotificationEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendQuarantineAlertEmail,
+
+  // Build only (for the email outbox)
+  buildFullFormNotificationEmail,
+  buildWelcomeEmail,
+  buildCheckoutRecoveryEmail,
+  buildQuarantineAlertEmail,
+  buildBounceAlertEmail,
+
+  // Provider names (for the delivery webhooks)
+  getProviderId,
+  buildProviderName,
+
+  // Send a previously rendered email
+  sendRenderedEmail,
+  getSendDeadline,
+  hasSendTime
 };
@@ -0,0 +1,416 @@
+/**
+ * Email Templates
+ *
+ * Renders the emails in netlify/functions/email-templates/ so copy and
+ * markup can be changed without touching JavaScript. Each email is a
+ * pair of files - NAME.html and NAME.txt - rendered with the same data,
+ * each wrapped in the matching layout (layouts/base.html, layouts/base.txt).
+ *
+ * TEMPLATE SYNTAX:
+ *   {{name}}  {{order.total}}      Value, HTML-escaped in .html files
+ *   {{{name}}}                     Value, never escaped (trusted markup only)
+ *   {{#if name}} ... {{else}} ... {{/if}}
+ *   {{#each rows}} ... {{/each}}   Repeats for each item; {{this}} is the item,
+ *                                  and names not on the item are looked up
+ *                                  in the surrounding data
+ *   {{> field-table}}              Partial (partials/field-table.html or .txt)
+ *                                  rendered with the current data
+ *   {{t welcome.intro}}            Message from the catalog (see LOCALES)
+ *   {{t welcome.setup setupHours}} Plural message, chosen by the count in setupHours
+ *   {{! comment }}  {{!-- comment --}}
+ *   Missing values render as nothing. A tag alone on its line (blocks,
+ *   partials, comments) takes the line with it, so text templates don't
+ *   collect blank lines.
+ *
+ * FRONT MATTER:
+ *   A template may start with "key: value" lines between --- markers.
+ *   Values are templates themselves (never escaped when rendered here; the
+ *   layout escapes them like any value). Keys from both files are passed
+ *   to both layouts. subject (kept in the .txt file) is the email subject;
+ *   the others (title, heading, footerNote, ...) are used by the layout.
+ *
+ * LOCALES:
+ *   Customer-facing copy lives in message catalogs, locales/<locale>.json
+ *   (one per locale in utils/i18n.js), nested by email. The email is
+ *   rendered in data.locale (English if missing or unsupported), and
+ *   messages missing from a catalog fall back to English.
+ *     "intro": "Hi {firstName},"     {name} is a value from the data
+ *     "setup": { "one": "... **{count} hour**", "other": "... **{count} hours**" }
+ *                                    Plural forms by Intl.PluralRules category;
+ *                                    {count} is the count the tag names
+ *   **text** is bold in HTML and plain in text. Catalog text is escaped in
+ *   .html files like any value; format amounts and dates with utils/i18n.js
+ *   before passing them in.
+ *
+ * Every layout and template also gets {{year}} and {{locale}}.
+ *
+ * Netlify bundles functions with esbuild, so the template files are
+ * shipped via included_files in netlify.toml.
+ *
+ * @module netlify/functions/utils/email-templates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, resolveLocale, pluralCategory } = require('./i18n');
+
+const VARIANTS = ['html', 'txt'];
+const DEFAULT_LAYOUT = 'base';
+
+// Where the templates are: next to the source, next to a bundled
+// function, or from the site root (included_files)
+const TEMPLATE_DIR_CANDIDATES = [
+  path.join(__dirname, '..', 'email-templates'),
+  path.join(__dirname, 'email-templates'),
+  path.resolve('netlify', 'functions', 'email-templates')
+];
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+// Block, partial and comment tags alone on a line (the line is dropped)
+const STANDALONE_TAG = /^[ \t]*(\{\{!--[\s\S]*?--\}\}|\{\{[#/!>][^}]*\}\}|\{\{\s*else\s*\}\})[ \t]*\r?\n/gm;
+
+// Marks where a **bold** run starts or ends while a message is rendered
+const EMPHASIS = '\u0000';
+
+const compiled = new Map();
+const catalogs = new Map();
+let templateDir = null;
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Directory holding the template files
+ *
+ * @throws {Error} If none of the candidate directories exists
+ */
+function getTemplateDir() {
+  if (!templateDir) {
+    templateDir = TEMPLATE_DIR_CANDIDATES.find(dir => fs.existsSync(path.join(dir, 'layouts')));
+    if (!templateDir) {
+      throw new Error('Email templates not found (is included_files set in netlify.toml?)');
+    }
+  }
+  return templateDir;
+}
+
+/**
+ * Read and compile a template file (cached)
+ *
+ * @param {string} relativePath - e.g. 'welcome.html' or 'partials/footer.txt'
+ * @returns {{ frontMatter: Object<string, Array>, nodes: Array }}
+ */
+function loadTemplate(relativePath) {
+  if (!compiled.has(relativePath)) {
+    const file = path.join(getTemplateDir(), relativePath);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Email template not found: ${relativePath}`);
+    }
+    compiled.set(relativePath, compileTemplate(fs.readFileSync(file, 'utf8'), relativePath));
+  }
+  return compiled.get(relativePath);
+}
+
+/**
+ * Read a locale's message catalog (cached)
+ *
+ * @throws {Error} If the catalog is missing or not valid JSON
+ */
+function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    const file = path.join(getTemplateDir(), 'locales', `${locale}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Email message catalog not found: locales/${locale}.json`);
+    }
+    try {
+      catalogs.set(locale, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (parseError) {
+      throw new Error(`Email message catalog locales/${locale}.json is not valid JSON: ${parseError.message}`);
+    }
+  }
+  return catalogs.get(locale);
+}
+
+/**
+ * A message from a locale's catalog, or from the English one if missing
+ *
+ * @returns {string|Object} Text, or plural forms keyed by category
+ * @throws {Error} If not even the English catalog has it
+ */
+function findMessage(locale, key) {
+  for (const candidate of [locale, DEFAULT_LOCALE]) {
+    const message = key.split('.').reduce(
+      (entry, part) => (entry !== null && typeof entry === 'object' ? entry[part] : undefined),
+      loadCatalog(candidate)
+    );
+    if (typeof message === 'string' || (message && typeof message.other === 'string')) {
+      return message;
+    }
+  }
+  throw new Error(`Email message not found: ${key}`);
+}
+
+// ============================================
+// COMPILING
+// ============================================
+
+/**
+ * Split off the front matter and parse the rest
+ */
+function compileTemplate(source, name) {
+  const frontMatter = {};
+  const match = source.match(FRONT_MATTER);
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (line.trim() && separator > 0) {
+        frontMatter[line.slice(0, separator).trim()] = parse(line.slice(separator + 1).trim(), name);
+      }
+    }
+    source = source.slice(match[0].length);
+  }
+  return { frontMatter, nodes: parse(source, name) };
+}
+
+/**
+ * Parse template text into a tree of nodes
+ *
+ * @throws {Error} On unclosed or mismatched blocks
+ */
+function parse(source, name) {
+  source = source.replace(STANDALONE_TAG, '$1');
+
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.otherwise : block.children;
+  };
+
+  while (position < source.length) {
+    const start = source.indexOf('{{', position);
+    if (start === -1) {
+      current().push({ type: 'text', value: source.slice(position) });
+      break;
+    }
+    if (start > position) {
+      current().push({ type: 'text', value: source.slice(position, start) });
+    }
+
+    // ----------------------------------------
+    // Find the end of the tag
+    // ----------------------------------------
+    let end;
+    let tag;
+    let raw = false;
+    if (source.startsWith('{{{', start)) {
+      end = source.indexOf('}}}', start);
+      tag = source.slice(start + 3, end).trim();
+      raw = true;
+      end += 3;
+    } else if (source.startsWith('{{!--', start)) {
+      end = source.indexOf('--}}', start) + 4;
+      tag = '!';
+    } else {
+      end = source.indexOf('}}', start);
+      tag = source.slice(start + 2, end).trim();
+      end += 2;
+    }
+    if (end < start + 2) {
+      throw new Error(`Unclosed tag in email template ${name}`);
+    }
+    position = end;
+
+    // ----------------------------------------
+    // Add the node
+    // ----------------------------------------
+    if (tag.startsWith('!')) {
+      continue;
+    }
+    if (tag.startsWith('#')) {
+      const [keyword, expression] = tag.slice(1).trim().split(/\s+/);
+      if (keyword !== 'if' && keyword !== 'each') {
+        throw new Error(`Unknown block {{#${keyword}}} in email template ${name}`);
+      }
+      const block = { type: keyword, path: expression, children: [], otherwise: [], inElse: false };
+      current().push(block);
+      stack.push(block);
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root) {
+        throw new Error(`{{else}} outside a block in email template ${name}`);
+      }
+      block.inElse = true;
+    } else if (tag.startsWith('/')) {
+      const block = stack.pop();
+      if (block === root || block.type !== tag.slice(1).trim()) {
+        throw new Error(`Unexpected {{${tag}}} in email template ${name}`);
+      }
+    } else if (tag.startsWith('>')) {
+      current().push({ type: 'partial', name: tag.slice(1).trim() });
+    } else if (/^t\s/.test(tag)) {
+      const [key, countPath] = tag.slice(1).trim().split(/\s+/);
+      current().push({ type: 'message', key, countPath });
+    } else {
+      current().push({ type: 'value', path: tag, raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in email template ${name}`);
+  }
+  return root.children;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Look a dotted name up in the innermost data that has its first part
+ */
+function lookup(scopes, expression) {
+  if (expression === 'this') {
+    return scopes[scopes.length - 1];
+  }
+
+  const [first, ...rest] = expression.split('.');
+  const scope = [...scopes].reverse().find(data => data !== null && typeof data === 'object' && first in data);
+  let value = scope ? scope[first] : undefined;
+  for (const key of rest) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Render a catalog message in the email's locale
+ */
+function renderMessage(node, scopes, variant) {
+  const locale = lookup(scopes, 'locale') || DEFAULT_LOCALE;
+  const count = node.countPath ? lookup(scopes, node.countPath) : undefined;
+
+  let message = findMessage(locale, node.key);
+  if (typeof message !== 'string') {
+    message = message[pluralCategory(count, locale)] || message.other;
+  }
+
+  // Placeholders are filled (and everything escaped) before emphasis is
+  // applied, so a value can never add markup
+  const text = message
+    .split(/(\{[\w.]+\})/)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        const literal = part.replace(/\*\*/g, EMPHASIS);
+        return variant === 'html' ? escapeHtml(literal) : literal;
+      }
+      const name = part.slice(1, -1);
+      const value = name === 'count' && node.countPath ? count : lookup(scopes, name);
+      const valueText = value === null || value === undefined ? '' : String(value);
+      return variant === 'html' ? escapeHtml(valueText) : valueText;
+    })
+    .join('');
+
+  if (variant !== 'html') {
+    return text.split(EMPHASIS).join('');
+  }
+  return text.split(EMPHASIS).map((run, index) => (index % 2 === 1 ? `<strong>${run}</strong>` : run)).join('');
+}
+
+/**
+ * Render parsed nodes
+ *
+ * @param {Array} nodes - From parse()
+ * @param {Array<Object>} scopes - Data, innermost last
+ * @param {string} variant - 'html' (values escaped) or 'txt'
+ */
+function renderNodes(nodes, scopes, variant) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'value') {
+      const value = lookup(scopes, node.path);
+      const text = value === null || value === undefined ? '' : String(value);
+      output += variant === 'html' && !node.raw ? escapeHtml(text) : text;
+    } else if (node.type === 'if') {
+      const branch = isTruthy(lookup(scopes, node.path)) ? node.children : node.otherwise;
+      output += renderNodes(branch, scopes, variant);
+    } else if (node.type === 'each') {
+      const items = lookup(scopes, node.path);
+      if (Array.isArray(items) && items.length > 0) {
+        for (const item of items) {
+          output += renderNodes(node.children, [...scopes, item], variant);
+        }
+      } else {
+        output += renderNodes(node.otherwise, scopes, variant);
+      }
+    } else if (node.type === 'message') {
+      output += renderMessage(node, scopes, variant);
+    } else if (node.type === 'partial') {
+      output += renderNodes(loadTemplate(`partials/${node.name}.${variant}`).nodes, scopes, variant);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render an email from its template files
+ *
+ * @param {string} name - Template name (NAME.html and NAME.txt)
+ * @param {Object} data - Values for the templates
+ * @param {string} [data.locale] - Language for catalog messages (default English)
+ * @returns {{ subject: string, textBody: string, htmlBody: string }}
+ * @throws {Error} If a template or message is missing or invalid, or there is no subject
+ */
+function renderEmail(name, data) {
+  const scope = { year: new Date().getFullYear(), ...data, locale: resolveLocale(data.locale) };
+  const templates = {};
+  const frontMatter = {};
+
+  // Front matter from both files is shared, so both layouts see every key
+  for (const variant of VARIANTS) {
+    templates[variant] = loadTemplate(`${name}.${variant}`);
+    for (const [key, nodes] of Object.entries(templates[variant].frontMatter)) {
+      frontMatter[key] = renderNodes(nodes, [scope], 'txt');
+    }
+  }
+
+  const subject = (frontMatter.subject || '').trim();
+  if (!subject) {
+    throw new Error(`Email template ${name} has no subject`);
+  }
+
+  const [htmlBody, textBody] = VARIANTS.map(variant => {
+    const content = renderNodes(templates[variant].nodes, [scope], variant);
+    const layout = loadTemplate(`layouts/${frontMatter.layout || DEFAULT_LAYOUT}.${variant}`);
+    return renderNodes(layout.nodes, [scope, { ...frontMatter, body: content }], variant);
+  });
+
+  return { subject, textBody, htmlBody };
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  const htmlEscapes = {
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  };
+  return String(str).replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+module.exports = {
+  renderEmail
+};
@@ -0,0 +1,99 @@
+/**
+ * Customer Locales
+ *
+ * The languages customer emails are written in, and South African
+ * formatting for the values put into them. The copy itself is in the
+ * message catalogs (email-templates/locales/<locale>.json, see
+ * email-templates.js).
+ *
+ * LOCALES:
+ *   en - English (default, and the fallback for any missing message)
+ *   af - Afrikaans
+ *   zu - isiZulu
+ *   The customer picks one on the details form (form_data.locale), which
+ *   defaults to the browser's language. Anything else - including
+ *   regional variants such as en-GB or af-NA - resolves to its language or
+ *   to English.
+ *
+ * FORMATTING:
+ *   Amounts are Rand in the South African style whatever the language
+ *   (R499,99, R1 499,99), and dates are in South African Standard Time
+ *   (Africa/Johannesburg), so a payment at 23:30 UTC shows the next day.
+ *
+ * @module netlify/functions/utils/i18n
+ */
+
+const SUPPORTED_LOCALES = Object.freeze(['en', 'af', 'zu']);
+const DEFAULT_LOCALE = 'en';
+
+const TIME_ZONE = 'Africa/Johannesburg';
+
+// en-ZA has the South African number style: space grouping, comma decimals
+const AMOUNT_FORMAT = new Intl.NumberFormat('en-ZA', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+// ============================================
+// LOCALES
+// ============================================
+
+/**
+ * Supported locale for a stored choice or browser language
+ *
+ * @param {string} [value] - e.g. 'af', 'zu-ZA', 'en-GB'
+ * @returns {string} One of SUPPORTED_LOCALES (DEFAULT_LOCALE if nothing matches)
+ */
+function resolveLocale(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Plural category for a count ('one', 'other', ...), as used for the
+ * keys of plural messages
+ *
+ * @param {number} count - The number the message is about
+ * @param {string} locale - A supported locale
+ */
+function pluralCategory(count, locale) {
+  return new Intl.PluralRules(`${locale}-ZA`).select(Number(count));
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Rand amount, e.g. R499,99
+ *
+ * @param {number|string} amount - Amount in Rand
+ * @returns {string}
+ */
+function formatCurrency(amount) {
+  return `R${AMOUNT_FORMAT.format(Number(amount) || 0)}`;
+}
+
+/**
+ * Long date in South African time, e.g. "19 Oktober 2026"
+ *
+ * @param {Date|string} date - The moment to show
+ * @param {string} locale - A supported locale
+ * @returns {string}
+ */
+function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(`${resolveLocale(locale)}-ZA`, {
+    dateStyle: 'long',
+    timeZone: TIME_ZONE
+  }).format(new Date(date));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TIME_ZONE,
+  resolveLocale,
+  pluralCategory,
+  formatCurrency,
+  formatDate
+};
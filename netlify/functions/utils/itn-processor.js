@@ -0,0 +1,650 @@
+/**
+ * ITN Processing
+ * 
+ * Business logic for a parsed PayFast ITN, from signature validation to
+ * provisioning. Shared by the payfast-itn webhook (live ITNs) and the
+ * admin-itn-events function (replays of ITNs stored in the event store).
+ * 
+ * Processing never throws: every outcome is returned as
+ *   { validation, result }
+ * where `validation` is how far the ITN got through validation
+ * (invalid_signature, signature_valid, server_rejected, unconfirmed,
+ * quarantined, valid) and `result` is the JSON body returned to PayFast.
+ * Only ITNs PayFast's server confirmed are quarantined (and alerted on);
+ * a mismatched ITN PayFast couldn't be asked about is left `unconfirmed`
+ * in the event store, to be replayed once it can. Once a reviewer releases
+ * a quarantine entry, its ITN is provisioned despite the mismatch.
+ * 
+ * PayFast may deliver the same ITN more than once, concurrently. The
+ * first COMPLETE ITN for a checkout converts it in a single transaction
+ * (see convertPaidCheckout); any other delivery is recorded as a repeat,
+ * and the owner and welcome emails carry dedupe keys so each is sent once.
+ * 
+ * @module netlify/functions/utils/itn-processor
+ */
+
+const { validatePayFastSignature, validatePayFastRequest } = require('./payfast-validator');
+const { 
+  getPendingFormData, 
+  convertPaidCheckout,
+  submissionExists,
+  findBySubmissionId,
+  transitionSubscriptionStatus,
+  recordPayment,
+  findPlanIdForSubmission,
+  getCheckoutRequest,
+  quarantineItn,
+  getQuarantinedItn
+} = require('./database');
+const { resolveTargetState } = require('./subscription-state');
+const { resolvePlan, classifyPlanAmount } = require('./plans');
+const {
+  buildFullFormNotificationEmail,
+  buildWelcomeEmail,
+  buildQuarantineAlertEmail,
+  getSendDeadline
+} = require('./email-sender');
+const { buildOutboxEntry, deliverQueuedEmail, queueEmail } = require('./email-outbox');
+
+/**
+ * Process a parsed ITN
+ * 
+ * @param {Object} itnData - Parsed ITN fields, in the order received
+ * @param {Object} payfastConfig - Credentials from getPayFastCredentials()
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.replay] - Re-running a stored ITN (accepts expired pending data)
+ * @param {boolean} [options.serverValidated] - ITN already passed PayFast server validation
+ * @param {boolean} [options.skipOwnerEmail] - Owner notification was already sent or queued
+ * @param {boolean} [options.skipCustomerEmail] - Welcome email was already sent or queued
+ * @param {number} [options.sendDeadline] - Deadline for all emails sent while processing,
+ *   from getSendDeadline() when the invocation started (default: one starting now)
+ * @returns {Promise<{validation: string, result: Object}>}
+ */
+async function processItn(itnData, payfastConfig, options = {}) {
+  let validation = 'unvalidated';
+  const sendDeadline = options.sendDeadline || getSendDeadline();
+
+  try {
+    // ----------------------------------------
+    // Step 4: Validate PayFast signature
+    // ----------------------------------------
+    const isValidSignature = validatePayFastSignature(itnData, payfastConfig.passphrase);
+
+    if (!isValidSignature) {
+      console.log('ERROR: Invalid PayFast signature');
+      validation = 'invalid_signature';
+      return { validation, result: { error: 'Invalid signature' } };
+    }
+    console.log('✓ PayFast signature validated');
+    validation = 'signature_valid';
+
+    // ----------------------------------------
+    // Step 5: Validate with PayFast server
+    // Before anything is stored or anyone alerted, so only ITNs PayFast
+    // confirms can be quarantined. Skipped when replaying an ITN that
+    // already passed at receipt
+    // ----------------------------------------
+    const validationResult = options.serverValidated
+      ? { valid: true, confirmed: true }
+      : await validatePayFastRequest(itnData, payfastConfig.merchantId);
+
+    if (!validationResult.valid) {
+      console.log('ERROR: PayFast validation failed:', validationResult.error);
+      validation = 'server_rejected';
+      return { validation, result: { error: validationResult.error } };
+    }
+    if (options.serverValidated) {
+      console.log('✓ PayFast server validation passed at receipt (replay)');
+    } else if (validationResult.confirmed) {
+      console.log('✓ PayFast server validation passed');
+    } else {
+      console.log('WARNING: PayFast server unreachable, accepted on signature');
+    }
+
+    // ----------------------------------------
+    // Step 6: Validate amount and merchant against what was issued
+    // payfast-redirect records the plan, amounts and merchant for each
+    // m_payment_id; older checkouts fall back to the stored plan, and to
+    // the subscription's own recurring amount (set when it is re-priced)
+    // ----------------------------------------
+    const checkoutRequest = await getCheckoutRequest(itnData.m_payment_id);
+    const subscription = checkoutRequest ? null : await findBySubmissionId(itnData.custom_str1);
+    const storedPlanId = checkoutRequest?.plan_id || await findPlanIdForSubmission(itnData.custom_str1);
+    let plan = resolvePlan(storedPlanId);
+    if (!plan) {
+      console.log('WARNING: Unknown plan on record, validating against default plan:', storedPlanId);
+      plan = resolvePlan();
+    }
+    
+    const expected = buildExpectedPayment(checkoutRequest, plan, payfastConfig.merchantId, subscription);
+    const amountGross = parseFloat(itnData.amount_gross || '0');
+    const amountMatch = classifyPlanAmount(expected, amountGross);
+    let isInitialPayment = amountMatch === 'initial';
+    
+    const mismatches = [];
+    if (itnData.merchant_id !== expected.merchantId) {
+      mismatches.push(`Merchant ID ${itnData.merchant_id || '(none)'} does not match issued ${expected.merchantId}`);
+    }
+    // Only money actually received is checked - FAILED/CANCELLED ITNs provision nothing
+    if (itnData.payment_status === 'COMPLETE' && !amountMatch) {
+      mismatches.push(
+        `Amount R${amountGross.toFixed(2)} matches neither the initial (R${expected.initialAmount}) ` +
+        `nor the recurring (R${expected.recurringAmount}) amount`
+      );
+    }
+    
+    // A reviewer who released this payment has already checked it in PayFast
+    const quarantined = mismatches.length > 0 ? await getQuarantinedItn(itnData.pf_payment_id) : null;
+    
+    if (quarantined?.status === 'released') {
+      mismatches.forEach(reason => console.log('WARNING: ITN mismatch:', reason));
+      console.log(`✓ Mismatch released by ${quarantined.reviewed_by || 'reviewer'} (quarantine ${quarantined.id})`);
+      if (!amountMatch) {
+        // The amount can't tell: the payment that created the submission is the initial one
+        const existing = subscription || await findBySubmissionId(itnData.custom_str1);
+        isInitialPayment = !existing || existing.payfast_payment_id === itnData.pf_payment_id;
+      }
+    } else if (mismatches.length > 0) {
+      mismatches.forEach(reason => console.log('WARNING: ITN mismatch:', reason));
+      if (!validationResult.confirmed) {
+        console.log('ACTION: Not quarantined - PayFast has not confirmed this ITN');
+        validation = 'unconfirmed';
+        return {
+          validation,
+          result: { error: 'ITN could not be confirmed with PayFast', action: 'not_quarantined' }
+        };
+      }
+      const entry = await holdForReview(itnData, mismatches, expected, sendDeadline);
+      console.log('ACTION: ITN quarantined for manual review:', entry.id);
+      validation = 'quarantined';
+      return {
+        validation,
+        result: {
+          message: 'ITN quarantined for manual review',
+          quarantineId: entry.id,
+          action: 'quarantined'
+        }
+      };
+    }
+    
+    if (amountMatch === 'initial') {
+      console.log(`✓ Initial payment (R${expected.initialAmount}) - plan ${plan.id}`);
+    } else if (amountMatch === 'recurring') {
+      console.log(`✓ Recurring payment (R${expected.recurringAmount}) - plan ${plan.id}`);
+    }
+    if (!quarantined) {
+      console.log('✓ Amount and merchant match issued checkout');
+    }
+    validation = 'valid';
+
+    // ----------------------------------------
+    // Step 7: Extract submission ID from custom_str1
+    // ----------------------------------------
+    const submissionId = itnData.custom_str1 || '';
+    
+    if (!submissionId) {
+      console.error('ERROR: No submissionId in custom_str1');
+      return { validation, result: { error: 'Missing submission ID' } };
+    }
+    console.log('Submission ID:', submissionId);
+
+    // ----------------------------------------
+    // Step 8: Check payment status
+    // CRITICAL: Only COMPLETE payments create submissions
+    // Other statuses only move an existing subscription's state
+    // ----------------------------------------
+    const paymentStatus = itnData.payment_status;
+    console.log('Payment Status:', paymentStatus);
+
+    if (paymentStatus !== 'COMPLETE') {
+      console.log('INFO: Payment not complete, status:', paymentStatus);
+      if (await submissionExists(submissionId)) {
+        await recordLedgerEntry(submissionId, itnData, isInitialPayment);
+      }
+      const lifecycle = await applySubscriptionTransition(submissionId, itnData, isInitialPayment);
+
+      if (!lifecycle.changed) {
+        // DO NOT store anything for incomplete payments without a subscription
+        console.log('ACTION: No data persisted (only COMPLETE payments are stored)');
+      }
+      return {
+        validation,
+        result: {
+          message: 'ITN received',
+          status: paymentStatus,
+          action: lifecycle.changed ? 'subscription_status_updated' : 'no_action_required',
+          subscriptionStatus: lifecycle.changed ? lifecycle.toStatus : undefined
+        }
+      };
+    }
+    console.log('✓ Payment status is COMPLETE');
+
+    // ----------------------------------------
+    // Step 9: Check for idempotency (prevent duplicate processing)
+    // An existing submission means this is a recurring charge
+    // or a resend of an ITN we already processed
+    // ----------------------------------------
+    if (await submissionExists(submissionId)) {
+      return { validation, result: await recordRepeatItn(submissionId, itnData, isInitialPayment) };
+    }
+
+    // ----------------------------------------
+    // Step 10: Retrieve FULL form data from pending table
+    // Replays may run after expiry, so expired records are accepted
+    // ----------------------------------------
+    console.log('Retrieving full form data from pending table...');
+    const pendingRecord = await getPendingFormData(submissionId, !!options.replay);
+    
+    // Fallback: store what we have from ITN (not ideal, but better than losing the payment)
+    const fallbackFormData = {
+      submissionId: submissionId,
+      businessName: itnData.custom_str2 || '',
+      ownerFirstName: itnData.name_first || '',
+      ownerLastName: itnData.name_last || '',
+      businessEmail: itnData.email_address || '',
+      _note: 'INCOMPLETE DATA - Original form data not found in pending table'
+    };
+    
+    let fullFormData = fallbackFormData;
+    if (pendingRecord) {
+      // Parse the form_data JSONB
+      fullFormData = typeof pendingRecord.form_data === 'string' 
+        ? JSON.parse(pendingRecord.form_data) 
+        : pendingRecord.form_data;
+      
+      console.log('✓ Full form data retrieved');
+      console.log('  Form fields:', Object.keys(fullFormData).length);
+    } else {
+      console.error('ERROR: No pending form data found for:', submissionId);
+      console.log('RECOVERY: Storing minimal data from ITN');
+    }
+
+    // ----------------------------------------
+    // Step 11: Render the OWNER notification and CUSTOMER welcome emails
+    // Dedupe keys make each go out once per submission, whichever
+    // delivery of the ITN gets there first
+    // No emails for fallback data - there is nothing to tell the owner yet
+    // A rendering failure only loses that email, never the submission
+    // ----------------------------------------
+    const emails = [];
+    const customerEmail = pendingRecord ? fullFormData.businessEmail : null;
+    
+    if (pendingRecord && options.skipOwnerEmail) {
+      console.log('INFO: Owner notification already sent or queued, skipping (replay)');
+    } else if (pendingRecord) {
+      try {
+        emails.push(buildOutboxEntry(
+          buildFullFormNotificationEmail(submissionId, fullFormData, itnData),
+          { kind: 'owner_notification', submissionId, dedupeKey: `owner_notification:${submissionId}` }
+        ));
+      } catch (emailError) {
+        console.error('ERROR: Owner notification email failed:', emailError.message);
+      }
+    }
+    
+    if (customerEmail && options.skipCustomerEmail) {
+      console.log('INFO: Welcome email already sent or queued, skipping (replay)');
+    } else if (customerEmail) {
+      try {
+        emails.push(buildOutboxEntry(
+          buildWelcomeEmail({
+            email: customerEmail,
+            firstName: fullFormData.ownerFirstName || '',
+            lastName: fullFormData.ownerLastName || '',
+            businessName: fullFormData.businessName || '',
+            submissionId: submissionId,
+            locale: fullFormData.locale,
+            recurringAmount: expected.recurringAmount,
+            subscribedAt: new Date()
+          }),
+          { kind: 'welcome', submissionId, dedupeKey: `welcome:${submissionId}` }
+        ));
+      } catch (customerEmailError) {
+        console.error('ERROR: Customer welcome email failed:', customerEmailError.message);
+      }
+    } else if (pendingRecord) {
+      console.log('INFO: No customer email available, skipping welcome email');
+    }
+
+    // ----------------------------------------
+    // Step 12: Convert the checkout (NON-BLOCKING but logged)
+    // One transaction, holding the pending record's lock: create the paid
+    // submission, record the payment, queue the emails and delete the
+    // pending record. A concurrent delivery of this ITN finds it done.
+    // The pending record is kept if this fails, so a replay can still use it
+    // ----------------------------------------
+    let conversion = null;
+    
+    try {
+      conversion = await convertPaidCheckout({
+        submissionId: submissionId,
+        paymentData: itnData,
+        planId: plan.id,
+        recurringAmount: expected.recurringAmount,
+        paymentType: isInitialPayment ? 'initial' : 'recurring',
+        allowExpired: !!options.replay,
+        fallbackFormData: fallbackFormData,
+        emails: emails
+      });
+    } catch (dbError) {
+      console.error('ERROR: Database save failed:', dbError.message);
+      console.log('RECOVERY DATA:', JSON.stringify({
+        submissionId: submissionId,
+        formDataKeys: Object.keys(fullFormData),
+        paymentId: itnData.pf_payment_id
+      }));
+    }
+    
+    if (conversion && !conversion.converted) {
+      console.log('INFO: Checkout converted by a concurrent ITN:', submissionId);
+      return { validation, result: await recordRepeatItn(submissionId, itnData, isInitialPayment) };
+    }
+    
+    const databaseSaveSuccess = !!conversion;
+    if (databaseSaveSuccess) {
+      console.log('✓ Paid submission saved to database');
+      console.log('✓ Pending form data cleaned up');
+    }
+    
+    if (databaseSaveSuccess && !pendingRecord) {
+      return {
+        validation,
+        result: {
+          message: 'ITN processed with fallback data',
+          submissionId: submissionId,
+          warning: 'Original form data not found'
+        }
+      };
+    }
+
+    // ----------------------------------------
+    // Step 13: Deliver the emails (NON-BLOCKING)
+    // Failed sends stay in the outbox and are retried later, as do emails
+    // the send deadline leaves no time for. If the conversion failed they
+    // are queued on their own, keeping their dedupe keys so a replay does
+    // not send them twice
+    // ----------------------------------------
+    const deliveries = {};
+    
+    for (const entry of emails) {
+      const queued = conversion
+        ? conversion.emails.find(row => row.kind === entry.kind)
+        : null;
+      if (conversion && !queued) {
+        console.log(`INFO: ${entry.kind} email already queued, skipping`);
+        continue;
+      }
+      
+      try {
+        const delivery = queued
+          ? await deliverQueuedEmail(queued, { deadline: sendDeadline })
+          : await queueEmail(entry.email, entry, { deadline: sendDeadline });
+        deliveries[entry.kind] = delivery;
+        if (delivery.duplicate) {
+          console.log(`INFO: ${entry.kind} email already queued, skipping`);
+        } else if (delivery.deferred) {
+          console.log(`INFO: ${entry.kind} email left in the outbox, send deadline reached (outbox ${delivery.id})`);
+        } else {
+          console.log(delivery.sent
+            ? `✓ ${entry.kind} email sent`
+            : `WARNING: ${entry.kind} email failed, queued for retry (outbox ${delivery.id})`);
+        }
+      } catch (emailError) {
+        console.error(`ERROR: ${entry.kind} email failed:`, emailError.message);
+      }
+    }
+    
+    const ownerEmailSent = !!deliveries.owner_notification?.sent;
+    const ownerEmailQueued = !ownerEmailSent && !!deliveries.owner_notification?.queued;
+    const customerEmailSent = !!deliveries.welcome?.sent;
+    const customerEmailQueued = !customerEmailSent && !!deliveries.welcome?.queued;
+
+    // ----------------------------------------
+    // Step 14: Report the outcome
+    // ----------------------------------------
+    console.log('═══════════════════════════════════════════════════════════════');
+    console.log('ITN Processing Complete');
+    console.log('  Submission ID:', submissionId);
+    console.log('  Database:', databaseSaveSuccess ? 'SAVED' : 'FAILED');
+    console.log('  Owner email:', describeEmailOutcome(deliveries.owner_notification));
+    console.log('  Customer email:', describeEmailOutcome(deliveries.welcome));
+    console.log('  Form fields stored:', Object.keys(fullFormData).length);
+    console.log('═══════════════════════════════════════════════════════════════');
+
+    return {
+      validation,
+      result: {
+        message: 'ITN processed successfully',
+        submissionId: submissionId,
+        databaseSaved: databaseSaveSuccess,
+        ownerEmailSent: ownerEmailSent,
+        ownerEmailQueued: ownerEmailQueued,
+        customerEmailSent: customerEmailSent,
+        customerEmailQueued: customerEmailQueued
+      }
+    };
+
+  } catch (error) {
+    console.error('ERROR: ITN processing failed:', error.message);
+    console.error('Stack:', error.stack);
+
+    return {
+      validation,
+      result: { 
+        message: 'ITN received with errors',
+        error: error.message
+      }
+    };
+  }
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Build the amounts and merchant an ITN must match
+ * Prefers what was issued at checkout, falls back to the plan catalog
+ * (with the subscription's recurring amount, if it has one)
+ *
+ * @param {Object|null} checkoutRequest - checkout_requests row for the m_payment_id
+ * @param {Object} plan - The resolved plan
+ * @param {string} merchantId - The configured merchant ID
+ * @param {Object|null} [subscription] - The submission, when there is no checkout request
+ * @returns {{ source: string, planId: string, merchantId: string, initialAmount: string, recurringAmount: string }}
+ */
+function buildExpectedPayment(checkoutRequest, plan, merchantId, subscription = null) {
+  if (checkoutRequest) {
+    return {
+      source: 'checkout_request',
+      planId: checkoutRequest.plan_id,
+      merchantId: checkoutRequest.merchant_id,
+      initialAmount: parseFloat(checkoutRequest.amount).toFixed(2),
+      recurringAmount: checkoutRequest.recurring_amount !== null
+        ? parseFloat(checkoutRequest.recurring_amount).toFixed(2)
+        : plan.recurringAmount
+    };
+  }
+  const storedAmount = subscription?.recurring_amount;
+  const hasStoredAmount = storedAmount !== null && storedAmount !== undefined;
+  return {
+    source: hasStoredAmount ? 'subscription' : 'plan',
+    planId: plan.id,
+    merchantId: merchantId,
+    initialAmount: plan.initialAmount,
+    recurringAmount: hasStoredAmount ? parseFloat(storedAmount).toFixed(2) : plan.recurringAmount
+  };
+}
+
+/**
+ * Quarantine an ITN and alert the owner (once per PayFast payment)
+ *
+ * @param {Object} itnData - Parsed ITN data
+ * @param {Array<string>} reasons - Why it was held
+ * @param {Object} expected - What was expected
+ * @param {number} sendDeadline - Deadline for the alert email
+ * @returns {Promise<Object>} The quarantine entry
+ */
+async function holdForReview(itnData, reasons, expected, sendDeadline) {
+  const { entry, inserted } = await quarantineItn({ itnData, reasons, expected });
+
+  if (inserted) {
+    try {
+      const alert = await queueEmail(buildQuarantineAlertEmail(entry), {
+        kind: 'quarantine_alert',
+        submissionId: entry.submission_id,
+        dedupeKey: `quarantine_alert:${entry.id}`
+      }, { deadline: sendDeadline });
+      console.log(alert.sent
+        ? '✓ Quarantine alert sent to owner'
+        : `WARNING: Quarantine alert not sent, queued for retry (outbox ${alert.id})`);
+    } catch (emailError) {
+      console.error('ERROR: Quarantine alert email failed:', emailError.message);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Describe an email step for the summary log
+ *
+ * @param {Object} [delivery] - Result of delivering or queueing the email (none if skipped or failed)
+ * @returns {string} SENT, QUEUED or SKIPPED
+ */
+function describeEmailOutcome(delivery) {
+  if (delivery?.sent) return 'SENT';
+  if (delivery?.queued) return 'QUEUED';
+  return 'SKIPPED';
+}
+
+/**
+ * Record an ITN for a submission that already exists: a recurring charge,
+ * or a resend of an ITN that was already processed
+ *
+ * @param {string} submissionId - The submission the ITN belongs to
+ * @param {Object} itnData - Parsed ITN data
+ * @param {boolean} isInitialPayment - True for the initial R0.00 ITN
+ * @returns {Promise<Object>} The result body for PayFast
+ */
+async function recordRepeatItn(submissionId, itnData, isInitialPayment) {
+  const ledger = await recordLedgerEntry(submissionId, itnData, isInitialPayment);
+  const lifecycle = await applySubscriptionTransition(submissionId, itnData, isInitialPayment);
+  const isNewPayment = ledger.recorded && ledger.inserted;
+
+  if (isNewPayment) {
+    console.log('✓ Recurring payment recorded:', itnData.pf_payment_id);
+  } else {
+    console.log('INFO: Payment already recorded (duplicate ITN):', submissionId);
+  }
+  return {
+    message: isNewPayment ? 'Recurring payment recorded' : 'Duplicate ITN - already processed',
+    submissionId: submissionId,
+    paymentId: itnData.pf_payment_id,
+    subscriptionStatus: lifecycle.changed ? lifecycle.toStatus : undefined
+  };
+}
+
+/**
+ * Record an ITN in the payments ledger
+ * Failures are logged and never thrown - PayFast always gets a 200
+ *
+ * @param {string} submissionId - The submission the ITN belongs to
+ * @param {Object} itnData - Parsed ITN data
+ * @param {boolean} isInitialPayment - True for the initial R0.00 ITN
+ * @returns {Promise<{recorded: boolean, inserted?: boolean}>}
+ */
+async function recordLedgerEntry(submissionId, itnData, isInitialPayment) {
+  if (!itnData.pf_payment_id) {
+    console.log('WARNING: ITN has no pf_payment_id, payment not recorded in ledger');
+    return { recorded: false };
+  }
+
+  try {
+    const result = await recordPayment({
+      submissionId: submissionId,
+      paymentData: itnData,
+      paymentType: isInitialPayment ? 'initial' : 'recurring'
+    });
+    return { recorded: true, inserted: result.inserted };
+  } catch (ledgerError) {
+    console.error('ERROR: Payment ledger write failed:', ledgerError.message);
+    return { recorded: false };
+  }
+}
+
+/**
+ * Move an existing subscription to the state implied by an ITN
+ * Failures are logged and never thrown - PayFast always gets a 200
+ *
+ * @param {string} submissionId - The submission the ITN belongs to
+ * @param {Object} itnData - Parsed ITN data
+ * @param {boolean} isInitialPayment - True for the initial R0.00 ITN
+ * @returns {Promise<{changed: boolean, toStatus?: string}>}
+ */
+async function applySubscriptionTransition(submissionId, itnData, isInitialPayment) {
+  const targetStatus = resolveTargetState(itnData.payment_status, isInitialPayment);
+
+  if (!targetStatus) {
+    console.log('WARNING: Unrecognised payment status:', itnData.payment_status);
+    return { changed: false };
+  }
+
+  try {
+    const result = await transitionSubscriptionStatus(submissionId, targetStatus, {
+      paymentStatus: itnData.payment_status,
+      payfastPaymentId: itnData.pf_payment_id,
+      reason: `ITN ${itnData.payment_status} (R${itnData.amount_gross || '0.00'})`
+    });
+
+    if (!result.found) {
+      console.log('INFO: No subscription found for lifecycle update:', submissionId);
+    } else if (result.changed) {
+      console.log(`✓ Subscription status: ${result.fromStatus} → ${result.toStatus}`);
+    }
+    return result;
+  } catch (lifecycleError) {
+    console.error('ERROR: Subscription status update failed:', lifecycleError.message);
+    return { changed: false };
+  }
+}
+
+/**
+ * Parse URL-encoded ITN body into an object (preserves field order)
+ * 
+ * @param {string} body - Raw request body
+ * @returns {Object} Parsed fields
+ */
+function parseItnBody(body) {
+  const params = new URLSearchParams(body);
+  const data = {};
+  for (const [key, value] of params.entries()) {
+    data[key] = value;
+  }
+  return data;
+}
+
+/**
+ * Work out what a replay of a stored ITN can skip from the event's earlier
+ * results. A quarantined ITN had already passed PayFast server validation
+ * 
+ * @param {Array<Object>} results - Earlier itn_event_results rows
+ * @returns {Object} Options for processItn
+ */
+function buildReplayOptions(results) {
+  const previous = results || [];
+  return {
+    replay: true,
+    serverValidated: previous.some(r =>
+      r.validation_outcome === 'valid' || r.validation_outcome === 'quarantined'),
+    skipOwnerEmail: previous.some(r =>
+      r.processing_result?.ownerEmailSent === true || r.processing_result?.ownerEmailQueued === true),
+    skipCustomerEmail: previous.some(r =>
+      r.processing_result?.customerEmailSent === true || r.processing_result?.customerEmailQueued === true)
+  };
+}
+
+module.exports = {
+  processItn,
+  parseItnBody,
+  buildReplayOptions
+};
@@ -0,0 +1,87 @@
+/**
+ * Migration 001: Pending form data and submissions
+ *
+ * The two core tables: pending_form_data holds the form until payment
+ * succeeds, submissions holds paid customers only.
+ */
+
+module.exports = {
+  version: 1,
+  name: 'pending_form_data_and_submissions',
+
+  async up(client) {
+    // ----------------------------------------
+    // PENDING FORM DATA TABLE
+    // Temporary storage before payment confirmation
+    // This table is for the payment flow handoff only
+    // ----------------------------------------
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pending_form_data (
+        id SERIAL PRIMARY KEY,
+        submission_id VARCHAR(50) UNIQUE NOT NULL,
+        
+        -- Complete form data as JSONB (the ENTIRE form submission)
+        form_data JSONB NOT NULL,
+        
+        -- Timestamps
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        
+        -- Auto-expire after 2 hours (deleted by the pending-cleanup scheduled function)
+        expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '2 hours')
+      );
+      
+      -- Index for fast lookups
+      CREATE INDEX IF NOT EXISTS idx_pending_submission_id 
+        ON pending_form_data(submission_id);
+      
+      -- Index for cleanup queries
+      CREATE INDEX IF NOT EXISTS idx_pending_expires_at 
+        ON pending_form_data(expires_at);
+    `);
+
+    // ----------------------------------------
+    // SUBMISSIONS TABLE
+    // ONLY contains PAID customers (payment_status = 'COMPLETE')
+    // ----------------------------------------
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS submissions (
+        id SERIAL PRIMARY KEY,
+        submission_id VARCHAR(50) UNIQUE NOT NULL,
+        
+        -- Core business fields (extracted for easy querying)
+        business_name VARCHAR(255),
+        owner_first_name VARCHAR(100),
+        owner_last_name VARCHAR(100),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        industry VARCHAR(255),
+        
+        -- Payment fields (all successful payments)
+        payment_status VARCHAR(50) NOT NULL DEFAULT 'COMPLETE',
+        payfast_payment_id VARCHAR(100),
+        subscription_token VARCHAR(255),
+        amount_gross DECIMAL(10, 2),
+        amount_net DECIMAL(10, 2),
+        
+        -- COMPLETE form data as JSONB (the ENTIRE original form submission)
+        -- This is the CRITICAL field - contains every field client submitted
+        form_data JSONB NOT NULL DEFAULT '{}',
+        
+        -- Payment metadata from ITN
+        payment_data JSONB DEFAULT '{}',
+        
+        -- Timestamps
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      
+      -- Index for fast lookups by submission_id
+      CREATE INDEX IF NOT EXISTS idx_submissions_submission_id 
+        ON submissions(submission_id);
+      
+      -- Index for email lookups
+      CREATE INDEX IF NOT EXISTS idx_submissions_email 
+        ON submissions(email);
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration 002: Subscription lifecycle
+ *
+ * Current state lives on the submission row,
+ * every transition is recorded in the history table.
+ */
+
+module.exports = {
+  version: 2,
+  name: 'subscription_lifecycle',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS subscription_status VARCHAR(20) NOT NULL DEFAULT 'trialing',
+        ADD COLUMN IF NOT EXISTS subscription_status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+      CREATE TABLE IF NOT EXISTS subscription_status_history (
+        id SERIAL PRIMARY KEY,
+        submission_id VARCHAR(50) NOT NULL REFERENCES submissions(submission_id),
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+
+        -- What caused the transition (ITN payment status, PayFast payment ID)
+        payment_status VARCHAR(50),
+        payfast_payment_id VARCHAR(100),
+        reason TEXT,
+
+        changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for per-subscription history lookups
+      CREATE INDEX IF NOT EXISTS idx_subscription_history_submission_id
+        ON subscription_status_history(submission_id, changed_at);
+    `);
+  }
+};
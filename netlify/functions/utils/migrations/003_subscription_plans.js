@@ -0,0 +1,21 @@
+/**
+ * Migration 003: Subscription plans
+ *
+ * The plan chosen at checkout (see utils/plans.js).
+ */
+
+module.exports = {
+  version: 3,
+  name: 'subscription_plans',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE pending_form_data
+        ADD COLUMN IF NOT EXISTS plan_id VARCHAR(50);
+
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS plan_id VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS recurring_amount DECIMAL(10, 2);
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 004: Checkout requests
+ *
+ * What payfast-redirect issued for each m_payment_id,
+ * so ITNs can be checked against it.
+ */
+
+module.exports = {
+  version: 4,
+  name: 'checkout_requests',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS checkout_requests (
+        m_payment_id VARCHAR(50) PRIMARY KEY,
+        plan_id VARCHAR(50) NOT NULL,
+        merchant_id VARCHAR(50) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        recurring_amount DECIMAL(10, 2),
+        frequency VARCHAR(10),
+        cycles VARCHAR(10),
+        issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 005: ITN quarantine
+ *
+ * ITNs that did not match what was issued, held for manual review.
+ */
+
+module.exports = {
+  version: 5,
+  name: 'itn_quarantine',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS itn_quarantine (
+        id SERIAL PRIMARY KEY,
+        submission_id VARCHAR(50),
+        m_payment_id VARCHAR(50),
+        pf_payment_id VARCHAR(100),
+
+        -- Why it was held and what we expected instead
+        reasons JSONB NOT NULL DEFAULT '[]',
+        expected JSONB NOT NULL DEFAULT '{}',
+        itn_data JSONB NOT NULL DEFAULT '{}',
+
+        -- Review workflow: open → released | rejected
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        reviewed_by VARCHAR(100),
+        review_note TEXT,
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- One quarantine entry per PayFast payment (PayFast resends ITNs)
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_itn_quarantine_pf_payment_id
+        ON itn_quarantine(pf_payment_id);
+
+      -- Index for the review queue
+      CREATE INDEX IF NOT EXISTS idx_itn_quarantine_status
+        ON itn_quarantine(status, created_at);
+    `);
+  }
+};
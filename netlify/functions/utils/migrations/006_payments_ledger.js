@@ -0,0 +1,39 @@
+/**
+ * Migration 006: Payments ledger
+ *
+ * One row per PayFast payment (initial R0.00 and every recurring charge).
+ */
+
+module.exports = {
+  version: 6,
+  name: 'payments_ledger',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id SERIAL PRIMARY KEY,
+        pf_payment_id VARCHAR(100) UNIQUE NOT NULL,
+        submission_id VARCHAR(50) NOT NULL REFERENCES submissions(submission_id),
+
+        -- initial (first month free) or recurring
+        payment_type VARCHAR(20) NOT NULL,
+        payment_status VARCHAR(50) NOT NULL,
+        amount_gross DECIMAL(10, 2),
+        amount_fee DECIMAL(10, 2),
+        amount_net DECIMAL(10, 2),
+        billing_date DATE,
+
+        -- Full ITN as received
+        itn_data JSONB NOT NULL DEFAULT '{}',
+
+        -- Timestamps
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for per-subscriber payment history
+      CREATE INDEX IF NOT EXISTS idx_payments_submission_id
+        ON payments(submission_id, received_at);
+    `);
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Migration 007: ITN event store
+ *
+ * Every ITN exactly as received, plus one result row per processing
+ * run (the original and each replay). Both tables are append-only.
+ */
+
+module.exports = {
+  version: 7,
+  name: 'itn_event_store',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS itn_events (
+        id BIGSERIAL PRIMARY KEY,
+
+        -- Request exactly as received
+        raw_body TEXT NOT NULL,
+        headers JSONB NOT NULL DEFAULT '{}',
+        source_ip VARCHAR(64),
+
+        -- Copied out of raw_body for lookups
+        pf_payment_id VARCHAR(100),
+        m_payment_id VARCHAR(100),
+        submission_id VARCHAR(50),
+        payment_status VARCHAR(50),
+
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_itn_events_submission_id
+        ON itn_events(submission_id, received_at);
+
+      CREATE INDEX IF NOT EXISTS idx_itn_events_pf_payment_id
+        ON itn_events(pf_payment_id);
+
+      CREATE TABLE IF NOT EXISTS itn_event_results (
+        id BIGSERIAL PRIMARY KEY,
+        event_id BIGINT NOT NULL REFERENCES itn_events(id),
+
+        -- invalid_signature, signature_valid, quarantined, server_rejected, valid
+        validation_outcome VARCHAR(30) NOT NULL,
+        processing_result JSONB NOT NULL DEFAULT '{}',
+
+        is_replay BOOLEAN NOT NULL DEFAULT FALSE,
+        replayed_by VARCHAR(100),
+        recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_itn_event_results_event_id
+        ON itn_event_results(event_id, recorded_at);
+
+      -- Reject UPDATE and DELETE so stored events can't be rewritten
+      CREATE OR REPLACE FUNCTION reject_itn_event_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS itn_events_append_only ON itn_events;
+      CREATE TRIGGER itn_events_append_only
+        BEFORE UPDATE OR DELETE ON itn_events
+        FOR EACH ROW EXECUTE FUNCTION reject_itn_event_change();
+
+      DROP TRIGGER IF EXISTS itn_event_results_append_only ON itn_event_results;
+      CREATE TRIGGER itn_event_results_append_only
+        BEFORE UPDATE OR DELETE ON itn_event_results
+        FOR EACH ROW EXECUTE FUNCTION reject_itn_event_change();
+    `);
+  }
+};
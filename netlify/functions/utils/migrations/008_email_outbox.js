@@ -0,0 +1,44 @@
+/**
+ * Migration 008: Email outbox
+ *
+ * Rendered emails awaiting delivery; retried with backoff by the
+ * email-outbox-worker scheduled function until sent or dead.
+ */
+
+module.exports = {
+  version: 8,
+  name: 'email_outbox',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id BIGSERIAL PRIMARY KEY,
+
+        -- owner_notification, welcome, quarantine_alert
+        kind VARCHAR(50) NOT NULL,
+        submission_id VARCHAR(50),
+
+        -- Rendered email
+        to_address VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+
+        -- pending, sent, dead
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        -- Timestamps
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Index for the worker's due-email query
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+        ON email_outbox(status, next_attempt_at);
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 009: Abandoned checkout stats
+ *
+ * Counts kept after expired pending rows (and their PII) are deleted.
+ * One row per SAST calendar day the checkouts were started, per plan.
+ */
+
+module.exports = {
+  version: 9,
+  name: 'checkout_expiry_stats',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS checkout_expiry_stats (
+        period_date DATE NOT NULL,
+        plan_id VARCHAR(50) NOT NULL,
+
+        -- Expired without a paid submission
+        abandoned_count INTEGER NOT NULL DEFAULT 0,
+        -- Expired leftovers of checkouts that were paid (cleanup had failed)
+        converted_count INTEGER NOT NULL DEFAULT 0,
+
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (period_date, plan_id)
+      );
+    `);
+  }
+};
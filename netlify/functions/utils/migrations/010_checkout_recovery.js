@@ -0,0 +1,25 @@
+/**
+ * Migration 010: Checkout recovery
+ *
+ * Recovery emails sent per pending checkout, and addresses that
+ * opted out of them (stored normalised: trimmed, lower case).
+ */
+
+module.exports = {
+  version: 10,
+  name: 'checkout_recovery',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE pending_form_data
+        ADD COLUMN IF NOT EXISTS recovery_emails_sent INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_recovery_email_at TIMESTAMP WITH TIME ZONE;
+
+      CREATE TABLE IF NOT EXISTS email_opt_outs (
+        email VARCHAR(255) PRIMARY KEY,
+        source VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * Migration 011: PII encryption
+ *
+ * Columns for field-level encryption (see utils/pii-encryption.js):
+ * the key each row was encrypted with, blind indexes for matching by
+ * email and phone, and TEXT columns wide enough for encrypted values.
+ * Existing rows stay plaintext until the pii-reencryption job rewrites them.
+ */
+
+module.exports = {
+  version: 11,
+  name: 'pii_encryption',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE pending_form_data
+        ADD COLUMN IF NOT EXISTS email_bidx VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(32);
+
+      CREATE INDEX IF NOT EXISTS idx_pending_email_bidx
+        ON pending_form_data(email_bidx);
+
+      ALTER TABLE submissions
+        ALTER COLUMN owner_first_name TYPE TEXT,
+        ALTER COLUMN owner_last_name TYPE TEXT,
+        ALTER COLUMN email TYPE TEXT,
+        ALTER COLUMN phone TYPE TEXT,
+        ALTER COLUMN subscription_token TYPE TEXT,
+        ADD COLUMN IF NOT EXISTS email_bidx VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS phone_bidx VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(32);
+
+      -- Encrypted emails can't be looked up; the blind index replaces this
+      DROP INDEX IF EXISTS idx_submissions_email;
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_email_bidx
+        ON submissions(email_bidx);
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_phone_bidx
+        ON submissions(phone_bidx);
+
+      -- Opt-outs are matched by blind index; the plaintext address is
+      -- kept only until the re-encryption job converts the row
+      ALTER TABLE email_opt_outs
+        DROP CONSTRAINT IF EXISTS email_opt_outs_pkey,
+        ALTER COLUMN email DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS id BIGSERIAL PRIMARY KEY,
+        ADD COLUMN IF NOT EXISTS email_bidx VARCHAR(64);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_email_opt_outs_email_bidx
+        ON email_opt_outs(email_bidx);
+    `);
+  }
+};
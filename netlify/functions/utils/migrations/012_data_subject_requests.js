@@ -0,0 +1,71 @@
+/**
+ * Migration 012: Data-subject requests (POPIA)
+ *
+ * Audit trail of access and erasure requests, erasure markers on
+ * submissions and itn_events, and the one change the append-only ITN
+ * store now allows: redacting an event's raw body once, during erasure.
+ */
+
+module.exports = {
+  version: 12,
+  name: 'data_subject_requests',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_subject_requests (
+        id BIGSERIAL PRIMARY KEY,
+
+        -- access or erasure; completed or refused
+        request_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+
+        -- Blind index of the subject's email (the address itself is not kept)
+        email_bidx VARCHAR(64) NOT NULL,
+
+        requested_by VARCHAR(100),
+        reference VARCHAR(200),
+
+        -- Record counts, or why the request was refused
+        summary JSONB NOT NULL DEFAULT '{}',
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_data_subject_requests_email_bidx
+        ON data_subject_requests(email_bidx, created_at);
+
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE itn_events
+        ADD COLUMN IF NOT EXISTS redacted_at TIMESTAMP WITH TIME ZONE;
+
+      -- itn_events stays append-only except for a one-time redaction:
+      -- raw_body may change only while redacted_at is set for the first time
+      CREATE OR REPLACE FUNCTION guard_itn_event_change() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'UPDATE'
+          AND OLD.redacted_at IS NULL
+          AND NEW.redacted_at IS NOT NULL
+          AND NEW.id = OLD.id
+          AND NEW.headers = OLD.headers
+          AND NEW.source_ip IS NOT DISTINCT FROM OLD.source_ip
+          AND NEW.pf_payment_id IS NOT DISTINCT FROM OLD.pf_payment_id
+          AND NEW.m_payment_id IS NOT DISTINCT FROM OLD.m_payment_id
+          AND NEW.submission_id IS NOT DISTINCT FROM OLD.submission_id
+          AND NEW.payment_status IS NOT DISTINCT FROM OLD.payment_status
+          AND NEW.received_at IS NOT DISTINCT FROM OLD.received_at
+        THEN
+          RETURN NEW;
+        END IF;
+        RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS itn_events_append_only ON itn_events;
+      CREATE TRIGGER itn_events_append_only
+        BEFORE UPDATE OR DELETE ON itn_events
+        FOR EACH ROW EXECUTE FUNCTION guard_itn_event_change();
+    `);
+  }
+};
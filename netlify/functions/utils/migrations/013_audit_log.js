@@ -0,0 +1,57 @@
+/**
+ * Migration 013: Audit log
+ *
+ * One append-only entry per change made through the storage operations:
+ * who (actor), what (action on an entity) and a PII-redacted
+ * before/after diff. See utils/audit.js.
+ */
+
+module.exports = {
+  version: 13,
+  name: 'audit_log',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+
+        -- itn, admin, customer, job, script, test or system
+        actor_type VARCHAR(20) NOT NULL,
+        actor_id VARCHAR(100),
+
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(100),
+
+        -- Set whenever the change concerns a subscriber, for per-customer history
+        submission_id VARCHAR(50),
+
+        -- { field: { from, to } } with PII values redacted
+        changes JSONB NOT NULL DEFAULT '{}',
+        details JSONB NOT NULL DEFAULT '{}',
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+        ON audit_log(entity_type, entity_id, created_at);
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_submission_id
+        ON audit_log(submission_id, created_at);
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created_at
+        ON audit_log(created_at);
+
+      CREATE OR REPLACE FUNCTION reject_append_only_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+      CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION reject_append_only_change();
+    `);
+  }
+};
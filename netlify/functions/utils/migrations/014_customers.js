@@ -0,0 +1,45 @@
+/**
+ * Migration 014: Customers
+ *
+ * The person behind one or more submissions, deduplicated by email and
+ * phone blind index (see utils/customers.js). Contact details are
+ * encrypted like the submissions columns. Existing submissions are linked
+ * by the customers backfill, which needs the PII keys and so can't run
+ * here.
+ */
+
+module.exports = {
+  version: 14,
+  name: 'customers',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id BIGSERIAL PRIMARY KEY,
+
+        -- Encrypted (utils/pii-encryption.js)
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT,
+        phone TEXT,
+
+        email_bidx VARCHAR(64) UNIQUE,
+        phone_bidx VARCHAR(64),
+        pii_key_id VARCHAR(32),
+
+        erased_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customers_phone_bidx
+        ON customers(phone_bidx);
+
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS customer_id BIGINT REFERENCES customers(id);
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_customer_id
+        ON submissions(customer_id);
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 015: Email outbox dedupe keys
+ *
+ * Emails that must go out once per event (the welcome email for a
+ * submission, the alert for a quarantined ITN) carry a dedupe key; a
+ * second insert with the same key is ignored. Existing rows have none.
+ */
+
+module.exports = {
+  version: 15,
+  name: 'email_outbox_dedupe',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE email_outbox
+        ADD COLUMN IF NOT EXISTS dedupe_key VARCHAR(100);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_email_outbox_dedupe_key
+        ON email_outbox(dedupe_key);
+    `);
+  }
+};
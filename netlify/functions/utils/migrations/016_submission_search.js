@@ -0,0 +1,70 @@
+/**
+ * Migration 016: Submission search
+ *
+ * Full-text and trigram search over the unencrypted columns and form_data
+ * fields (see searchSubmissions in storage/postgres.js):
+ * - search_vector: weighted tsvector (business name, then industry and
+ *   location, then the free-text description fields)
+ * - search_text: the same text lower-cased, for trigram matching of
+ *   fragments and misspellings
+ * Both are generated columns, so they follow every write and erasure.
+ *
+ * Owner names and phone numbers are encrypted and can only be matched
+ * exactly, through blind indexes. last_name_bidx is new: existing rows get
+ * it when the pii-reencryption job next rewrites them (their pii_key_id is
+ * cleared here so the job picks them up).
+ */
+
+module.exports = {
+  version: 16,
+  name: 'submission_search',
+
+  async up(client) {
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', coalesce(business_name, '')), 'A') ||
+          setweight(to_tsvector('simple',
+            coalesce(industry, '') || ' ' ||
+            coalesce(form_data->>'city', '') || ' ' ||
+            coalesce(form_data->>'province', '')), 'B') ||
+          setweight(to_tsvector('simple',
+            coalesce(form_data->>'businessDescription', '') || ' ' ||
+            coalesce(form_data->>'targetAudience', '') || ' ' ||
+            coalesce(form_data->>'keySellingPoints', '') || ' ' ||
+            coalesce(form_data->>'mainGoals', '')), 'C')
+        ) STORED,
+        ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+          lower(
+            coalesce(business_name, '') || ' ' ||
+            coalesce(industry, '') || ' ' ||
+            coalesce(form_data->>'city', '') || ' ' ||
+            coalesce(form_data->>'province', '') || ' ' ||
+            coalesce(form_data->>'businessDescription', '') || ' ' ||
+            coalesce(form_data->>'targetAudience', '') || ' ' ||
+            coalesce(form_data->>'keySellingPoints', '') || ' ' ||
+            coalesce(form_data->>'mainGoals', '')
+          )
+        ) STORED,
+        ADD COLUMN IF NOT EXISTS last_name_bidx VARCHAR(64);
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_search_vector
+        ON submissions USING GIN (search_vector);
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_search_text_trgm
+        ON submissions USING GIN (search_text gin_trgm_ops);
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_last_name_bidx
+        ON submissions(last_name_bidx);
+
+      -- Search filters
+      CREATE INDEX IF NOT EXISTS idx_submissions_created_at
+        ON submissions(created_at);
+
+      UPDATE submissions SET pii_key_id = NULL
+      WHERE owner_last_name IS NOT NULL AND last_name_bidx IS NULL;
+    `);
+  }
+};
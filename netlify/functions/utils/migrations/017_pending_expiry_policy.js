@@ -0,0 +1,19 @@
+/**
+ * Migration 017: Pending checkout expiry from the retention policy
+ *
+ * expires_at defaulted to two hours after insert. How long a checkout
+ * stays payable is now set by the retention policy (utils/retention.js)
+ * and written explicitly by storePendingFormData, so the default goes.
+ */
+
+module.exports = {
+  version: 17,
+  name: 'pending_expiry_policy',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE pending_form_data
+        ALTER COLUMN expires_at DROP DEFAULT;
+    `);
+  }
+};
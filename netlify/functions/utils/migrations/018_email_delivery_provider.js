@@ -0,0 +1,20 @@
+/**
+ * Migration 018: Which provider delivered each email
+ *
+ * Emails fail over between providers (EMAIL_PROVIDERS), so the outbox
+ * records the provider that accepted each one and the message ID it
+ * returned. Emails sent before this have neither.
+ */
+
+module.exports = {
+  version: 18,
+  name: 'email_delivery_provider',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE email_outbox
+        ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+    `);
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration 019: Email delivery events
+ *
+ * Delivered, bounced, complained and opened events reported by the email
+ * providers' webhooks, linked to the outbox email (and so the submission)
+ * they are about. Customers get an email status so addresses that
+ * hard-bounce or complain can be spotted.
+ */
+
+module.exports = {
+  version: 19,
+  name: 'email_events',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_events (
+        id BIGSERIAL PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        provider_event_id VARCHAR(255) NOT NULL,
+        provider_message_id VARCHAR(255),
+        email_outbox_id BIGINT REFERENCES email_outbox(id),
+        submission_id VARCHAR(50),
+        event_type VARCHAR(20) NOT NULL,
+        bounce_type VARCHAR(10),
+        detail TEXT,
+        occurred_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE (provider, provider_event_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_events_submission
+        ON email_events(submission_id, occurred_at);
+
+      CREATE INDEX IF NOT EXISTS idx_email_events_outbox
+        ON email_events(email_outbox_id);
+
+      -- Webhooks identify the email by the provider's message ID, which
+      -- some providers return wrapped in angle brackets
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_provider_message
+        ON email_outbox(provider, (TRIM(BOTH '<>' FROM provider_message_id)));
+
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS email_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS email_status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS email_status_at TIMESTAMP WITH TIME ZONE;
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 020: Email attachments
+ *
+ * Outbox emails can carry attachments (the owner notification's design
+ * brief), stored with the email so retries send them too. A JSON array of
+ * { filename, contentType, content } with base64 content; NULL for
+ * emails without any.
+ */
+
+module.exports = {
+  version: 20,
+  name: 'email_attachments',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE email_outbox
+        ADD COLUMN IF NOT EXISTS attachments JSONB;
+    `);
+  }
+};
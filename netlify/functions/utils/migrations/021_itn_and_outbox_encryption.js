@@ -0,0 +1,37 @@
+/**
+ * Migration 021: ITN copy and outbox encryption
+ *
+ * The payer fields of the itn_data copies on payments and itn_quarantine,
+ * and the recipient and rendered content of outbox emails, are encrypted
+ * like the rest of the PII (see utils/pii-encryption.js). Adds the key
+ * each row was encrypted with and blind indexes for the addresses the
+ * data-subject requests match on. Existing rows stay plaintext until the
+ * pii-reencryption job rewrites them.
+ */
+
+module.exports = {
+  version: 21,
+  name: 'itn_and_outbox_encryption',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(32);
+
+      ALTER TABLE itn_quarantine
+        ADD COLUMN IF NOT EXISTS email_bidx VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(32);
+
+      CREATE INDEX IF NOT EXISTS idx_itn_quarantine_email_bidx
+        ON itn_quarantine(email_bidx);
+
+      ALTER TABLE email_outbox
+        ALTER COLUMN to_address TYPE TEXT,
+        ADD COLUMN IF NOT EXISTS to_address_bidx VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(32);
+
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_to_address_bidx
+        ON email_outbox(to_address_bidx);
+    `);
+  }
+};
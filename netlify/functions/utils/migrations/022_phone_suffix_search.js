@@ -0,0 +1,28 @@
+/**
+ * Migration 022: Phone suffix search
+ *
+ * Phone numbers are encrypted, so searchSubmissions could only match a
+ * whole number through phone_bidx. phone_suffix_bidx holds blind indexes
+ * of each number's endings (see phoneSuffixBlindIndexes in
+ * utils/pii-encryption.js), so a search for its last digits finds it.
+ * Existing rows get it when the pii-reencryption job next rewrites them
+ * (their pii_key_id is cleared here so the job picks them up).
+ */
+
+module.exports = {
+  version: 22,
+  name: 'phone_suffix_search',
+
+  async up(client) {
+    await client.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS phone_suffix_bidx TEXT[];
+
+      CREATE INDEX IF NOT EXISTS idx_submissions_phone_suffix_bidx
+        ON submissions USING GIN (phone_suffix_bidx);
+
+      UPDATE submissions SET pii_key_id = NULL
+      WHERE phone IS NOT NULL AND phone_suffix_bidx IS NULL;
+    `);
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 023: Subscription status of pre-lifecycle submissions
+ *
+ * Migration 002 added subscription_status with a 'trialing' default, which
+ * also marked every submission that already existed as trialing. Those are
+ * the rows with no status history (every newer submission records its
+ * first transition when it is created); the paid ones are subscribers
+ * past their trial, so they become active, from when they were created.
+ * New rows keep the 'trialing' default. The local database server always
+ * had the column, so it has no such rows.
+ */
+
+module.exports = {
+  version: 23,
+  name: 'subscription_status_backfill',
+
+  async up(client) {
+    await client.query(`
+      WITH backfilled AS (
+        UPDATE submissions s SET
+          subscription_status = 'active',
+          subscription_status_changed_at = s.created_at
+        WHERE s.subscription_status = 'trialing'
+          AND s.payment_status = 'COMPLETE'
+          AND NOT EXISTS (
+            SELECT 1 FROM subscription_status_history h
+            WHERE h.submission_id = s.submission_id
+          )
+        RETURNING s.submission_id, s.payment_status, s.payfast_payment_id, s.created_at
+      )
+      INSERT INTO subscription_status_history (
+        submission_id, from_status, to_status, payment_status, payfast_payment_id, reason, changed_at
+      )
+      SELECT submission_id, NULL, 'active', payment_status, payfast_payment_id,
+             'Subscribed before lifecycle tracking', created_at
+      FROM backfilled;
+    `);
+  }
+};
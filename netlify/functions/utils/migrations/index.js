@@ -0,0 +1,51 @@
+/**
+ * Schema Migrations (PostgreSQL)
+ *
+ * Every schema change, in the order it is applied. Applied versions are
+ * recorded in the schema_migrations table by runMigrations() in
+ * storage/postgres.js; run them with `npm run migrate` or
+ * POST /api/admin/migrations. The http storage backend's server keeps its
+ * own schema (see scripts/local-db-server.js).
+ *
+ * ADDING A MIGRATION:
+ * 1. Create NNN_short_name.js exporting { version, name, up(client) }
+ *    with the next version number
+ * 2. Add it to the end of the list below (listed explicitly so the
+ *    esbuild bundler includes every file)
+ * 3. Never edit a migration once it has been applied anywhere - add a
+ *    new one instead (edited files are reported as "modified": the
+ *    checksum is of the file itself, which netlify.toml's included_files
+ *    ships with the functions, since bundling rewrites the code)
+ *
+ * Each migration runs in its own transaction. Migrations 001-010 are the
+ * schema that initializeSchema() used to create on every request; they use
+ * IF NOT EXISTS so databases created that way adopt them without changes.
+ *
+ * @module netlify/functions/utils/migrations
+ */
+
+module.exports = [
+  require('./001_pending_form_data_and_submissions'),
+  require('./002_subscription_lifecycle'),
+  require('./003_subscription_plans'),
+  require('./004_checkout_requests'),
+  require('./005_itn_quarantine'),
+  require('./006_payments_ledger'),
+  require('./007_itn_event_store'),
+  require('./008_email_outbox'),
+  require('./009_checkout_expiry_stats'),
+  require('./010_checkout_recovery'),
+  require('./011_pii_encryption'),
+  require('./012_data_subject_requests'),
+  require('./013_audit_log'),
+  require('./014_customers'),
+  require('./015_email_outbox_dedupe'),
+  require('./016_submission_search'),
+  require('./017_pending_expiry_policy'),
+  require('./018_email_delivery_provider'),
+  require('./019_email_events'),
+  require('./020_email_attachments'),
+  require('./021_itn_and_outbox_encryption'),
+  require('./022_phone_suffix_search'),
+  require('./023_subscription_status_backfill')
+];
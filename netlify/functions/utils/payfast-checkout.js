@@ -0,0 +1,290 @@
+/**
+ * PayFast Checkout Helpers
+ * 
+ * Builds the signed PayFast checkout form for a pending submission.
+ * Shared by payfast-redirect (first checkout) and resume-checkout
+ * (checkout reissued from an abandoned-checkout recovery email), along
+ * with the plain message page the links from emails land on
+ * (resume-checkout, email-opt-out).
+ * 
+ * @module netlify/functions/utils/payfast-checkout
+ */
+
+const crypto = require('crypto');
+const { recordCheckoutRequest } = require('./database');
+const { buildPayFastPlanFields } = require('./plans');
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Build the signed PayFast form fields for a checkout
+ * 
+ * @param {Object} params - Checkout parameters
+ * @param {Object} params.payfastConfig - Config from getPayFastConfig()
+ * @param {string} params.siteUrl - SITE_URL (for return, cancel and notify URLs)
+ * @param {string} params.submissionId - Submission ID (m_payment_id and custom_str1)
+ * @param {Object} params.formData - Full form data
+ * @param {Object} params.plan - Plan from the catalog
+ * @param {string} params.timestamp - Original submission timestamp
+ * @returns {Object} Form fields in PayFast's signature order, signature last
+ */
+function buildCheckoutFormFields({ payfastConfig, siteUrl, submissionId, formData, plan, timestamp }) {
+  const notificationEmail = process.env.NOTIFICATION_EMAIL || '';
+  
+  // Extract customer details from form data
+  const firstName = formData.ownerFirstName || '';
+  const lastName = formData.ownerLastName || '';
+  const email = formData.businessEmail || '';
+  const phone = (formData.businessPhone || '').replace(/[\s\-\(\)]/g, '');
+  const businessName = formData.businessName || '';
+  
+  // Amounts, item details and billing schedule come from the plan
+  const planFields = buildPayFastPlanFields(plan);
+  
+  // Build fields in PayFast's required order for signature
+  const formFields = {
+    // 1. Merchant details
+    merchant_id: payfastConfig.merchantId,
+    merchant_key: payfastConfig.merchantKey,
+    return_url: siteUrl + '/thank-you-page.html',
+    cancel_url: siteUrl + '/subscribe.html',
+    notify_url: siteUrl + '/.netlify/functions/payfast-itn',
+    
+    // 2. Customer details
+    name_first: firstName,
+    name_last: lastName,
+    email_address: email,
+    cell_number: phone,
+    
+    // 3. Transaction details
+    m_payment_id: submissionId,
+    ...planFields.transaction,
+    
+    // 4. Custom fields for tracking
+    // IMPORTANT: custom_str1 MUST be submissionId for ITN to find pending data
+    custom_str1: submissionId,
+    custom_str2: businessName,
+    custom_str3: timestamp,
+    
+    // 5. Transaction options
+    email_confirmation: '1',
+    confirmation_address: notificationEmail,
+    
+    // 6. Subscription details (Recurring Billing)
+    ...planFields.subscription
+  };
+
+  // Signature goes last, over every field above
+  formFields.signature = generatePayFastSignature(formFields, payfastConfig.passphrase);
+  return formFields;
+}
+
+/**
+ * Record exactly what PayFast will be asked to charge for a checkout
+ * 
+ * @param {string} submissionId - Submission ID (the m_payment_id)
+ * @param {Object} plan - Plan from the catalog
+ * @param {string} merchantId - Merchant ID the checkout is issued for
+ * @returns {Promise<Object>} The checkout_requests row
+ */
+function recordIssuedCheckout(submissionId, plan, merchantId) {
+  return recordCheckoutRequest({
+    mPaymentId: submissionId,
+    planId: plan.id,
+    merchantId: merchantId,
+    amount: plan.initialAmount,
+    recurringAmount: plan.recurringAmount,
+    frequency: plan.frequency,
+    cycles: plan.cycles
+  });
+}
+
+// ============================================
+// FORM AND SIGNATURE
+// ============================================
+
+/**
+ * Generate HTML page with auto-submitting form
+ */
+function generateAutoSubmitForm(actionUrl, fields) {
+  const hiddenFields = Object.entries(fields)
+    .filter(([_, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const escapedValue = escapeHtml(String(value));
+      return `    <input type="hidden" name="${name}" value="${escapedValue}"/>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <meta name="robots" content="noindex,nofollow"/>
+  <title>Redirecting to Payment...</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #0a0a1a 0%, #1a1a3a 100%);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #ffffff;
+    }
+    .container { text-align: center; padding: 2rem; }
+    .spinner {
+      width: 48px; height: 48px;
+      border: 4px solid rgba(255,255,255,0.1);
+      border-top-color: #0a84ff;
+      border-radius: 50%;
+      animation: spin 1s linear infinite;
+      margin: 0 auto 1.5rem;
+    }
+    @keyframes spin { to { transform: rotate(360deg); } }
+    h1 { font-size: 1.5rem; font-weight: 600; margin-bottom: 0.75rem; }
+    p { color: rgba(255,255,255,0.7); font-size: 0.95rem; }
+    .fallback { margin-top: 2rem; padding-top: 1.5rem; border-top: 1px solid rgba(255,255,255,0.1); }
+    .fallback button {
+      background: #0a84ff; color: white; border: none;
+      padding: 0.75rem 1.5rem; border-radius: 0.5rem;
+      font-size: 1rem; cursor: pointer; transition: background 0.2s;
+    }
+    .fallback button:hover { background: #0070e0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="spinner"></div>
+    <h1>Redirecting to Secure Payment</h1>
+    <p>Please wait while we connect you to PayFast...</p>
+    
+    <form id="payfastForm" method="POST" action="${escapeHtml(actionUrl)}">
+${hiddenFields}
+      <div class="fallback">
+        <p style="margin-bottom: 1rem;">If you are not redirected automatically:</p>
+        <button type="submit">Continue to Payment</button>
+      </div>
+    </form>
+  </div>
+
+  <script>
+    setTimeout(function() {
+      document.getElementById('payfastForm').submit();
+    }, 800);
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Whether a form's email address is usable: one address, nothing that
+ * could break out of an email header or SMTP command
+ *
+ * @param {string} email - Address as entered
+ * @returns {boolean}
+ */
+function isValidEmailAddress(email) {
+  const value = String(email || '').trim();
+  return value.length <= 254 && /^[^\s@<>"(),;:]+@[^\s@<>"(),;:]+\.[^\s@<>"(),;:]+$/.test(value);
+}
+
+/**
+ * Build a simple HTML message page response, with a link back to the site
+ *
+ * @param {number} statusCode - HTTP status
+ * @param {string} title - Page title and heading
+ * @param {string} message - Text under the heading
+ * @param {string} [extraHtml] - Markup after the message (e.g. a form), not escaped
+ * @returns {Object} Netlify function response
+ */
+function htmlMessageResponse(statusCode, title, message, extraHtml = '') {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store'
+    },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <meta name="robots" content="noindex,nofollow"/>
+  <title>${escapeHtml(title)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #0a0a1a 0%, #1a1a3a 100%);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #ffffff;
+    }
+    .container { text-align: center; padding: 2rem; max-width: 480px; }
+    h1 { font-size: 1.5rem; font-weight: 600; margin-bottom: 0.75rem; }
+    p { color: rgba(255,255,255,0.7); font-size: 0.95rem; margin-bottom: 1.5rem; }
+    form { margin-bottom: 1.5rem; }
+    button {
+      background: #0a84ff; color: white; border: none;
+      padding: 0.75rem 1.5rem; border-radius: 0.5rem;
+      font-size: 1rem; cursor: pointer;
+    }
+    a { color: #0a84ff; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+    ${extraHtml}
+    <a href="/">Back to our website</a>
+  </div>
+</body>
+</html>`
+  };
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const htmlEscapes = {
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  };
+  return str.replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+/**
+ * Generate PayFast security signature
+ */
+function generatePayFastSignature(data, passphrase) {
+  const paramString = Object.entries(data)
+    .filter(([key, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => {
+      const encoded = encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
+      return `${key}=${encoded}`;
+    })
+    .join('&');
+
+  const stringToHash = passphrase 
+    ? `${paramString}&passphrase=${encodeURIComponent(passphrase.trim()).replace(/%20/g, '+')}`
+    : paramString;
+
+  return crypto.createHash('md5').update(stringToHash).digest('hex');
+}
+
+module.exports = {
+  buildCheckoutFormFields,
+  recordIssuedCheckout,
+  generateAutoSubmitForm,
+  generatePayFastSignature,
+  isValidEmailAddress,
+  htmlMessageResponse,
+  escapeHtml
+};
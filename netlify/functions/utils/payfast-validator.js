@@ -10,6 +10,7 @@
  */
 
 const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
 const { getPayFastValidateUrl, getPayFastHostname } = require('./payfast-config');
 
@@ -74,7 +75,9 @@ function validatePayFastSignature(data, passphrase = '') {
  * 
  * @param {Object} data - The ITN data object from PayFast
  * @param {string} merchantId - The merchant ID to validate against
- * @returns {Promise<{valid: boolean, error?: string}>} Validation result
+ * @returns {Promise<{valid: boolean, confirmed?: boolean, error?: string}>} Validation result;
+ *   confirmed is false when PayFast's server couldn't be reached (the ITN
+ *   is still accepted on its signature)
  */
 async function validatePayFastRequest(data, merchantId) {
   // Step 1: Verify merchant ID matches
@@ -105,9 +108,10 @@ async function validatePayFastRequest(data, merchantId) {
     }
   } catch (error) {
     // Don't fail if server validation has issues - signature validation is primary
+    return { valid: true, confirmed: false };
   }
 
-  return { valid: true };
+  return { valid: true, confirmed: true };
 }
 
 /**
@@ -115,7 +119,8 @@ async function validatePayFastRequest(data, merchantId) {
  * 
  * Sends the ITN data back to PayFast to confirm it's legitimate.
  * This is an additional security measure.
- * Uses dynamically constructed URL based on PAYFAST_MODE.
+ * Uses dynamically constructed URL based on PAYFAST_MODE
+ * (plain HTTP is only used by the local simulator).
  * 
  * @param {Object} data - The ITN data to validate
  * @returns {Promise<boolean>} True if PayFast confirms the ITN
@@ -131,10 +136,11 @@ function confirmWithPayFast(data) {
     // Get URL dynamically based on PAYFAST_MODE
     const validateUrl = getPayFastValidateUrl();
     const url = new URL(validateUrl);
+    const transport = url.protocol === 'http:' ? http : https;
     
     const options = {
       hostname: url.hostname,
-      port: 443,
+      port: url.port || (transport === http ? 80 : 443),
       path: url.pathname,
       method: 'POST',
       headers: {
@@ -143,7 +149,7 @@ function confirmWithPayFast(data) {
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = transport.request(options, (res) => {
       let responseData = '';
 
       res.on('data', (chunk) => {
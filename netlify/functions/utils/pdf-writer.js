@@ -0,0 +1,298 @@
+/**
+ * PDF Writer
+ *
+ * Minimal PDF 1.4 writer for printable reports: a title, then sections of
+ * label/value rows, on as many A4 pages as it takes. No dependencies, so it
+ * bundles like the rest of the functions.
+ *
+ * FONTS:
+ *   Helvetica and Helvetica-Bold, the standard PDF fonts every viewer has,
+ *   so nothing is embedded. They cover WinAnsi (Latin-1 plus curly quotes,
+ *   dashes and the like); any other character prints as "?".
+ *
+ * LAYOUT:
+ *   Values wrap to the value column and may run onto the next page; a
+ *   section heading is never left alone at the bottom of a page. Each page
+ *   has a "Page n of N" footer.
+ *
+ * @module netlify/functions/utils/pdf-writer
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const FOOTER_HEIGHT = 20;
+
+const LABEL_WIDTH = 150;
+const COLUMN_GAP = 12;
+const VALUE_WIDTH = PAGE_WIDTH - 2 * MARGIN - LABEL_WIDTH - COLUMN_GAP;
+
+const STYLES = {
+  title: { font: 'F2', size: 20 },
+  subtitle: { font: 'F1', size: 10, gray: 0.4 },
+  heading: { font: 'F2', size: 11 },
+  label: { font: 'F2', size: 9, gray: 0.4 },
+  value: { font: 'F1', size: 10 },
+  footer: { font: 'F1', size: 8, gray: 0.5 }
+};
+const LINE_SPACING = 1.35;
+
+// Glyph widths (1/1000 em) of ASCII 32-126, from the standard font metrics
+const GLYPH_WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding has (code in the font)
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// ============================================
+// TEXT
+// ============================================
+
+/**
+ * Text as WinAnsi character codes (a latin1 string)
+ */
+function toWinAnsi(text) {
+  let encoded = '';
+  for (const char of String(text).replace(/\t/g, ' ')) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+      encoded += char;
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if (code >= 0x20 && !(code >= 0xfe00 && code <= 0xfe0f) && code !== 0x200d) {
+      // Not in the font (variation selectors and joiners are dropped)
+      encoded += '?';
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Width of WinAnsi text in points
+ */
+function measure(encoded, style) {
+  let units = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    units += (code >= 32 && code <= 126) ? GLYPH_WIDTHS[style.font][code - 32] : DEFAULT_GLYPH_WIDTH;
+  }
+  return units * style.size / 1000;
+}
+
+/**
+ * Break text into lines no wider than width (WinAnsi-encoded lines)
+ */
+function wrapText(text, style, width) {
+  const lines = [];
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of toWinAnsi(paragraph).split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate, style) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      // A word too long for a line of its own is split anywhere
+      line = '';
+      for (const char of word) {
+        if (line && measure(line + char, style) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * A PDF literal string
+ */
+function pdfString(encoded) {
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function lineHeight(style) {
+  return style.size * LINE_SPACING;
+}
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Lay the document out into pages of content-stream operators
+ */
+function layout({ title, subtitle, sections }) {
+  const pages = [];
+  let ops;
+  let y;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) {
+      newPage();
+    }
+  };
+  const text = (encoded, style, x, baseline) => {
+    ops.push(`${style.gray !== undefined ? style.gray : 0} g`);
+    ops.push(`BT /${style.font} ${style.size} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(encoded)} Tj ET`);
+  };
+
+  newPage();
+
+  // ----------------------------------------
+  // Title block
+  // ----------------------------------------
+  for (const line of wrapText(title, STYLES.title, PAGE_WIDTH - 2 * MARGIN)) {
+    y -= lineHeight(STYLES.title);
+    text(line, STYLES.title, MARGIN, y);
+  }
+  if (subtitle) {
+    for (const line of wrapText(subtitle, STYLES.subtitle, PAGE_WIDTH - 2 * MARGIN)) {
+      y -= lineHeight(STYLES.subtitle);
+      text(line, STYLES.subtitle, MARGIN, y);
+    }
+  }
+  y -= 10;
+
+  // ----------------------------------------
+  // Sections
+  // ----------------------------------------
+  const headingHeight = lineHeight(STYLES.heading) + 8;
+  const rowLineHeight = lineHeight(STYLES.value);
+
+  for (const section of sections) {
+    // Keep the heading with at least its first row
+    ensureSpace(12 + headingHeight + rowLineHeight + 8);
+    y -= 12;
+
+    ops.push('0.93 0.95 0.98 rg');
+    ops.push(`${MARGIN} ${(y - headingHeight).toFixed(2)} ${(PAGE_WIDTH - 2 * MARGIN).toFixed(2)} ${headingHeight.toFixed(2)} re f`);
+    text(toWinAnsi(section.heading), STYLES.heading, MARGIN + 8, y - headingHeight + 8);
+    y -= headingHeight + 4;
+
+    for (const row of section.rows) {
+      const labelLines = wrapText(row.label, STYLES.label, LABEL_WIDTH);
+      const valueLines = wrapText(row.value, STYLES.value, VALUE_WIDTH);
+      const count = Math.max(labelLines.length, valueLines.length);
+
+      for (let i = 0; i < count; i++) {
+        ensureSpace(rowLineHeight);
+        y -= rowLineHeight;
+        if (labelLines[i]) {
+          text(labelLines[i], STYLES.label, MARGIN + 8, y + 1);
+        }
+        if (valueLines[i]) {
+          text(valueLines[i], STYLES.value, MARGIN + 8 + LABEL_WIDTH + COLUMN_GAP, y);
+        }
+      }
+
+      y -= 4;
+      ops.push(`0.88 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${y.toFixed(2)} l S`);
+    }
+  }
+
+  // ----------------------------------------
+  // Footers, now the page count is known
+  // ----------------------------------------
+  pages.forEach((pageOps, index) => {
+    ops = pageOps;
+    const footer = toWinAnsi(`${title} - Page ${index + 1} of ${pages.length}`);
+    text(footer, STYLES.footer, PAGE_WIDTH - MARGIN - measure(footer, STYLES.footer), MARGIN - 10);
+  });
+
+  return pages;
+}
+
+// ============================================
+// FILE
+// ============================================
+
+/**
+ * Date in PDF format (D:YYYYMMDDHHmmSSZ)
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Write a report as a PDF file
+ *
+ * @param {Object} document - What to print
+ * @param {string} document.title - Title, also the PDF's title and the footer text
+ * @param {string} [document.subtitle] - Smaller line under the title
+ * @param {Array<{heading: string, rows: Array<{label: string, value: string}>}>} document.sections
+ * @returns {Buffer} The PDF file
+ */
+function writePdf({ title, subtitle, sections }) {
+  const pages = layout({ title, subtitle, sections });
+
+  // Objects 1-5 are fixed; each page adds a page object and its content stream
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R >>`,
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${pdfString(toWinAnsi(title))} /Producer (Software Solutions Services) /CreationDate (${pdfDate(new Date())}) >>`
+  ];
+  pages.forEach((ops, index) => {
+    const content = ops.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+
+  // Everything is latin1, so string lengths are byte offsets
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(output.length);
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  writePdf
+};
@@ -0,0 +1,594 @@
+/**
+ * PII Field Encryption
+ *
+ * Application-level envelope encryption for the customer fields we hold:
+ * names, email, phone numbers, street address and free-text notes in
+ * form_data, the PayFast token and payer details in payment_data and in
+ * the itn_data copies on payments and itn_quarantine, the matching
+ * dedicated columns on submissions, the contact details on customers,
+ * and the recipient and rendered content of outbox emails. Storage
+ * backends encrypt on write and decrypt on read, so callers only ever
+ * see plaintext.
+ *
+ * ENVELOPE (one per field value):
+ *   enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ *   - A random 256-bit data key encrypts the JSON-encoded value (AES-256-GCM,
+ *     bound to its field name so values can't be moved between fields)
+ *   - The data key is wrapped with the master key named by keyId (AES-256-GCM)
+ *   - Both parts are base64url(iv + ciphertext + tag)
+ * Values without the prefix are legacy plaintext and are returned as-is
+ * until the re-encryption job (pii-reencryption) rewrites them.
+ *
+ * BLIND INDEXES:
+ *   Searchable values (email, phone, owner surname) also get a
+ *   deterministic HMAC-SHA256 of their normalised form, stored in *_bidx
+ *   columns, so rows can be matched without decrypting. Matches are
+ *   exact, except that each phone number also gets indexes of its
+ *   endings so it can be found by its last digits; other fragments of an
+ *   encrypted value can't be searched for.
+ *
+ * KEY ROTATION:
+ * 1. Add the new key to PII_ENCRYPTION_KEYS, keeping the old one
+ * 2. Point PII_ACTIVE_KEY_ID at the new key (new writes use it)
+ * 3. Run `npm run pii:reencrypt` (or wait for the scheduled job) until
+ *    it reports nothing left, then remove the old key
+ *
+ * NOT COVERED: the raw ITN store (itn_events is append-only evidence of
+ * what PayFast sent; retention redacts its payer fields instead).
+ *
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   PII_ENCRYPTION_KEYS  - Master keys as keyId:base64key pairs, comma separated
+ *                          (each key 32 random bytes; keyId letters, digits, - and _)
+ *   PII_ACTIVE_KEY_ID    - keyId used for new encryptions
+ *   PII_BLIND_INDEX_KEY  - base64 32-byte key for blind indexes (never rotated
+ *                          without recomputing every *_bidx column)
+ *
+ * @module netlify/functions/utils/pii-encryption
+ */
+
+const crypto = require('crypto');
+
+const ENVELOPE_PREFIX = 'enc:v1:';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Fewest trailing digits a phone number can be searched by
+const MIN_PHONE_SUFFIX_DIGITS = 4;
+
+// form_data fields that identify a person or hold free text about them
+const FORM_DATA_PII_FIELDS = Object.freeze([
+  'ownerFirstName',
+  'ownerLastName',
+  'businessEmail',
+  'businessPhone',
+  'whatsappNumber',
+  'streetAddress',
+  'additionalNotes'
+]);
+
+// payment_data (ITN) fields: the subscription token and payer details
+const PAYMENT_DATA_PII_FIELDS = Object.freeze([
+  'token',
+  'name_first',
+  'name_last',
+  'email_address',
+  'cell_number'
+]);
+
+// Dedicated submissions columns copied from the fields above
+const SUBMISSION_PII_COLUMNS = Object.freeze([
+  'owner_first_name',
+  'owner_last_name',
+  'email',
+  'phone',
+  'subscription_token'
+]);
+
+// customers columns (the person behind one or more submissions)
+const CUSTOMER_PII_COLUMNS = Object.freeze([
+  'first_name',
+  'last_name',
+  'email',
+  'phone'
+]);
+
+// email_outbox columns: the recipient and everything rendered for them
+const OUTBOX_PII_COLUMNS = Object.freeze([
+  'to_address',
+  'subject',
+  'text_body',
+  'html_body',
+  'attachments'
+]);
+
+let keyring = null;
+
+// ============================================
+// KEYS
+// ============================================
+
+/**
+ * Decode a base64 key and check its length
+ */
+function decodeKey(encoded, name) {
+  const key = Buffer.from(String(encoded || '').trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${name} must be ${KEY_BYTES} bytes, base64 encoded.`);
+  }
+  return key;
+}
+
+/**
+ * Load the master keys, active key ID and blind index key from the environment
+ *
+ * @returns {{ keys: Map<string, Buffer>, activeKeyId: string, blindIndexKey: Buffer }}
+ * @throws {Error} If any of the variables is missing or malformed
+ */
+function getKeyring() {
+  if (keyring) {
+    return keyring;
+  }
+
+  const keyList = process.env.PII_ENCRYPTION_KEYS;
+  const activeKeyId = (process.env.PII_ACTIVE_KEY_ID || '').trim();
+
+  if (!keyList) {
+    throw new Error('PII_ENCRYPTION_KEYS environment variable is required.');
+  }
+  if (!activeKeyId) {
+    throw new Error('PII_ACTIVE_KEY_ID environment variable is required.');
+  }
+
+  const keys = new Map();
+  for (const entry of keyList.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('PII_ENCRYPTION_KEYS entries must look like keyId:base64key.');
+    }
+    keys.set(keyId, decodeKey(entry.slice(separator + 1), `PII_ENCRYPTION_KEYS key "${keyId}"`));
+  }
+
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`PII_ACTIVE_KEY_ID "${activeKeyId}" is not in PII_ENCRYPTION_KEYS.`);
+  }
+
+  keyring = {
+    keys,
+    activeKeyId,
+    blindIndexKey: decodeKey(process.env.PII_BLIND_INDEX_KEY, 'PII_BLIND_INDEX_KEY')
+  };
+  return keyring;
+}
+
+/**
+ * Get the key ID new encryptions use
+ * @returns {string} The active key ID
+ */
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+// ============================================
+// AES-256-GCM
+// ============================================
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES, data.length - TAG_BYTES)), decipher.final()]);
+}
+
+// ============================================
+// VALUES
+// ============================================
+
+/**
+ * Check whether a stored value is an encryption envelope
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+/**
+ * Get the key ID an envelope was encrypted with
+ * @returns {string|null} The key ID, or null for plaintext
+ */
+function getKeyIdOf(value) {
+  return isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Encrypt a value with the active key
+ *
+ * @param {*} value - Any JSON-serialisable value
+ * @param {string} context - Field name the value belongs to (e.g. 'form_data.businessEmail')
+ * @returns {string} The envelope
+ */
+function encryptValue(value, context) {
+  const { keys, activeKeyId } = getKeyring();
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey, activeKeyId);
+  const ciphertext = seal(dataKey, Buffer.from(JSON.stringify(value)), context);
+
+  return `${ENVELOPE_PREFIX}${activeKeyId}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Decrypt an envelope (plaintext values are returned unchanged)
+ *
+ * @param {*} value - Stored value
+ * @param {string} context - Field name it was encrypted for
+ * @returns {*} The original value
+ * @throws {Error} If the key is unknown or the envelope was tampered with
+ */
+function decryptValue(value, context) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, ciphertext] = value.slice(ENVELOPE_PREFIX.length).split(':');
+  const masterKey = getKeyring().keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Unknown PII encryption key "${keyId}" (needed for ${context}).`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey, keyId);
+  return JSON.parse(open(dataKey, ciphertext, context).toString('utf8'));
+}
+
+/**
+ * Encrypt the named fields of an object (empty values are left alone)
+ *
+ * @param {Object} data - Object to encrypt
+ * @param {Array<string>} fields - Field names to encrypt
+ * @param {string} prefix - Context prefix (e.g. 'form_data')
+ * @returns {Object} A copy with the fields encrypted
+ */
+function encryptFields(data, fields, prefix) {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const encrypted = { ...data };
+  for (const field of fields) {
+    const value = data[field];
+    if (value !== undefined && value !== null && value !== '' && !isEncrypted(value)) {
+      encrypted[field] = encryptValue(value, `${prefix}.${field}`);
+    }
+  }
+  return encrypted;
+}
+
+/**
+ * Decrypt the named fields of an object
+ *
+ * @param {Object} data - Object with encrypted fields
+ * @param {Array<string>} fields - Field names to decrypt
+ * @param {string} prefix - Context prefix used when encrypting
+ * @returns {Object} A copy with the fields decrypted
+ */
+function decryptFields(data, fields, prefix) {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const decrypted = { ...data };
+  for (const field of fields) {
+    if (field in data) {
+      decrypted[field] = decryptValue(data[field], `${prefix}.${field}`);
+    }
+  }
+  return decrypted;
+}
+
+// ============================================
+// BLIND INDEXES
+// ============================================
+
+/**
+ * Normalise an email address for matching (trimmed, lower case)
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Normalise a South African phone number for matching
+ * Digits only, with the national 0 prefix replaced by 27
+ * ("068 659 2320", "+27 68 659 2320" and "27686592320" all match)
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.startsWith('0') ? `27${digits.slice(1)}` : digits;
+}
+
+/**
+ * Normalise a name for matching
+ * Lower case, accents removed, single spaces ("  Van der  Merwé" matches "van der merwe")
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Deterministic blind index of a normalised value
+ *
+ * @param {string} kind - What the value is ('email', 'phone', 'last_name'), so equal strings of different kinds differ
+ * @param {string} normalized - The normalised value
+ * @returns {string|null} Hex HMAC-SHA256, or null for an empty value
+ */
+function blindIndex(kind, normalized) {
+  if (!normalized) {
+    return null;
+  }
+  return crypto
+    .createHmac('sha256', getKeyring().blindIndexKey)
+    .update(`${kind}:${normalized}`)
+    .digest('hex');
+}
+
+function emailBlindIndex(email) {
+  return blindIndex('email', normalizeEmail(email));
+}
+
+function phoneBlindIndex(phone) {
+  return blindIndex('phone', normalizePhone(phone));
+}
+
+function lastNameBlindIndex(lastName) {
+  return blindIndex('last_name', normalizeName(lastName));
+}
+
+/**
+ * Blind indexes of a phone number's endings, for searching by its last
+ * digits: one per ending of MIN_PHONE_SUFFIX_DIGITS digits or more
+ *
+ * @returns {Array<string>|null} Hex HMACs, or null for a shorter or empty number
+ */
+function phoneSuffixBlindIndexes(phone) {
+  const digits = normalizePhone(phone);
+  if (digits.length < MIN_PHONE_SUFFIX_DIGITS) {
+    return null;
+  }
+
+  const indexes = [];
+  for (let length = MIN_PHONE_SUFFIX_DIGITS; length <= digits.length; length++) {
+    indexes.push(blindIndex('phone_suffix', digits.slice(-length)));
+  }
+  return indexes;
+}
+
+/**
+ * Blind index to look a search query up in phoneSuffixBlindIndexes()
+ * ("123 4567" finds 068 123 4567)
+ *
+ * @returns {string|null} Hex HMAC, or null unless the query is a phone
+ *   number fragment (digits, spaces, +, - and brackets) of MIN_PHONE_SUFFIX_DIGITS digits or more
+ */
+function phoneSuffixSearchIndex(query) {
+  const text = String(query || '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (!/^[\d\s+()-]+$/.test(text) || digits.length < MIN_PHONE_SUFFIX_DIGITS) {
+    return null;
+  }
+  return blindIndex('phone_suffix', digits);
+}
+
+// ============================================
+// RECORDS
+// ============================================
+
+/**
+ * Encrypt form data for storage
+ */
+function encryptFormData(formData) {
+  return encryptFields(formData, FORM_DATA_PII_FIELDS, 'form_data');
+}
+
+/**
+ * Decrypt stored form data
+ */
+function decryptFormData(formData) {
+  const parsed = typeof formData === 'string' ? JSON.parse(formData) : formData;
+  return decryptFields(parsed, FORM_DATA_PII_FIELDS, 'form_data');
+}
+
+/**
+ * Encrypt ITN payment data for storage
+ */
+function encryptPaymentData(paymentData) {
+  return encryptFields(paymentData, PAYMENT_DATA_PII_FIELDS, 'payment_data');
+}
+
+/**
+ * Decrypt stored ITN payment data
+ */
+function decryptPaymentData(paymentData) {
+  const parsed = typeof paymentData === 'string' ? JSON.parse(paymentData) : paymentData;
+  return decryptFields(parsed, PAYMENT_DATA_PII_FIELDS, 'payment_data');
+}
+
+/**
+ * Encrypt the payer fields of an ITN copy
+ *
+ * @param {string} table - Table holding the copy ('payments' or 'itn_quarantine')
+ * @param {Object} itnData - ITN data
+ */
+function encryptItnData(table, itnData) {
+  return encryptFields(itnData, PAYMENT_DATA_PII_FIELDS, `${table}.itn_data`);
+}
+
+/**
+ * Decrypt a stored ITN copy
+ *
+ * @param {string} table - Table holding the copy ('payments' or 'itn_quarantine')
+ * @param {Object|string} itnData - Stored itn_data
+ */
+function decryptItnData(table, itnData) {
+  const parsed = typeof itnData === 'string' ? JSON.parse(itnData) : itnData;
+  return decryptFields(parsed, PAYMENT_DATA_PII_FIELDS, `${table}.itn_data`);
+}
+
+/**
+ * Encrypt a submission column value
+ */
+function encryptColumn(column, value) {
+  return value === null || value === undefined || value === '' ? null : encryptValue(value, `submissions.${column}`);
+}
+
+/**
+ * Encrypt a customers column value
+ */
+function encryptCustomerColumn(column, value) {
+  return value === null || value === undefined || value === '' ? null : encryptValue(value, `customers.${column}`);
+}
+
+/**
+ * Encrypt an email_outbox column value (empty values are left alone:
+ * the bodies are NOT NULL and attachments are NULL when there are none)
+ */
+function encryptOutboxColumn(column, value) {
+  return value === null || value === undefined || value === '' ? value : encryptValue(value, `email_outbox.${column}`);
+}
+
+/**
+ * Decrypt a pending_form_data row
+ */
+function decryptPendingRow(row) {
+  if (!row) {
+    return row;
+  }
+  return { ...row, form_data: decryptFormData(row.form_data) };
+}
+
+/**
+ * Decrypt a submissions row (form_data, payment_data and the PII columns)
+ */
+function decryptSubmissionRow(row) {
+  if (!row) {
+    return row;
+  }
+
+  const decrypted = { ...row };
+  if ('form_data' in row) {
+    decrypted.form_data = decryptFormData(row.form_data);
+  }
+  if ('payment_data' in row) {
+    decrypted.payment_data = decryptPaymentData(row.payment_data);
+  }
+  for (const column of SUBMISSION_PII_COLUMNS) {
+    if (column in row) {
+      decrypted[column] = decryptValue(row[column], `submissions.${column}`);
+    }
+  }
+  return decrypted;
+}
+
+/**
+ * Decrypt a customers row
+ */
+function decryptCustomerRow(row) {
+  if (!row) {
+    return row;
+  }
+
+  const decrypted = { ...row };
+  for (const column of CUSTOMER_PII_COLUMNS) {
+    if (column in row) {
+      decrypted[column] = decryptValue(row[column], `customers.${column}`);
+    }
+  }
+  return decrypted;
+}
+
+/**
+ * Decrypt a payments or itn_quarantine row's itn_data
+ *
+ * @param {string} table - 'payments' or 'itn_quarantine'
+ * @param {Object} row - The row
+ */
+function decryptItnRow(table, row) {
+  if (!row || !('itn_data' in row)) {
+    return row;
+  }
+  return { ...row, itn_data: decryptItnData(table, row.itn_data) };
+}
+
+/**
+ * Decrypt an email_outbox row
+ */
+function decryptOutboxRow(row) {
+  if (!row) {
+    return row;
+  }
+
+  const decrypted = { ...row };
+  for (const column of OUTBOX_PII_COLUMNS) {
+    if (column in row) {
+      decrypted[column] = decryptValue(row[column], `email_outbox.${column}`);
+    }
+  }
+  return decrypted;
+}
+
+module.exports = {
+  // Keys
+  getActiveKeyId,
+  getKeyIdOf,
+
+  // Values
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+
+  // Blind indexes
+  normalizeEmail,
+  normalizePhone,
+  normalizeName,
+  emailBlindIndex,
+  phoneBlindIndex,
+  lastNameBlindIndex,
+  phoneSuffixBlindIndexes,
+  phoneSuffixSearchIndex,
+
+  // Records
+  encryptFormData,
+  decryptFormData,
+  encryptPaymentData,
+  decryptPaymentData,
+  encryptItnData,
+  decryptItnData,
+  encryptColumn,
+  encryptCustomerColumn,
+  encryptOutboxColumn,
+  decryptPendingRow,
+  decryptSubmissionRow,
+  decryptCustomerRow,
+  decryptItnRow,
+  decryptOutboxRow,
+
+  FORM_DATA_PII_FIELDS,
+  PAYMENT_DATA_PII_FIELDS,
+  SUBMISSION_PII_COLUMNS,
+  CUSTOMER_PII_COLUMNS,
+  OUTBOX_PII_COLUMNS
+};
@@ -0,0 +1,120 @@
+/**
+ * Subscription Plan Catalog
+ *
+ * Single source of truth for every package we sell through PayFast.
+ * payfast-redirect builds the PayFast subscription fields from the chosen
+ * plan, and payfast-itn validates incoming amounts against the same plan.
+ *
+ * PLAN FIELDS:
+ *   id              - Stable identifier stored on pending and paid records
+ *   itemName        - PayFast item_name (shown on the PayFast checkout)
+ *   itemDescription - PayFast item_description
+ *   initialAmount   - Amount charged today (Rand, 2 decimal string)
+ *   recurringAmount - Amount charged every billing cycle (Rand, 2 decimal string)
+ *   frequency       - PayFast frequency code (3 = monthly)
+ *   cycles          - Number of billing cycles (0 = until cancelled)
+ *
+ * @module netlify/functions/utils/plans
+ */
+
+// ============================================
+// CATALOG
+// ============================================
+
+const PLANS = Object.freeze({
+  'landing-page-monthly': Object.freeze({
+    id: 'landing-page-monthly',
+    itemName: 'Landing Page Subscription - First Month Free',
+    itemDescription: 'Professional landing page design and hosting subscription',
+    initialAmount: '0.00',
+    recurringAmount: '499.99',
+    frequency: '3',  // Monthly
+    cycles: '0'      // Indefinite
+  })
+});
+
+// Plan used when a request does not name one (and for records created before plans existed)
+const DEFAULT_PLAN_ID = 'landing-page-monthly';
+
+// Amounts within half a cent are considered equal
+const AMOUNT_TOLERANCE = 0.005;
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Get a plan by ID
+ *
+ * @param {string} planId - The plan ID
+ * @returns {Object|null} The plan, or null if unknown
+ */
+function getPlan(planId) {
+  if (!planId || !Object.prototype.hasOwnProperty.call(PLANS, planId)) {
+    return null;
+  }
+  return PLANS[planId];
+}
+
+/**
+ * Resolve a requested plan ID, falling back to the default when none is given
+ *
+ * @param {string} [planId] - The requested plan ID
+ * @returns {Object|null} The plan, or null if an unknown ID was requested
+ */
+function resolvePlan(planId) {
+  return getPlan(planId || DEFAULT_PLAN_ID);
+}
+
+// ============================================
+// PAYFAST HELPERS
+// ============================================
+
+/**
+ * Build the PayFast transaction and subscription fields for a plan
+ *
+ * @param {Object} plan - A plan from the catalog
+ * @returns {{ transaction: Object, subscription: Object }} Field groups in PayFast signature order
+ */
+function buildPayFastPlanFields(plan) {
+  return {
+    transaction: {
+      amount: plan.initialAmount,
+      item_name: plan.itemName,
+      item_description: plan.itemDescription
+    },
+    subscription: {
+      subscription_type: '1',
+      recurring_amount: plan.recurringAmount,
+      frequency: plan.frequency,
+      cycles: plan.cycles
+    }
+  };
+}
+
+/**
+ * Classify an ITN amount against a plan
+ *
+ * @param {Object} plan - A plan from the catalog
+ * @param {number|string} amountGross - ITN amount_gross
+ * @returns {'initial'|'recurring'|null} Which plan amount matched, or null for neither
+ */
+function classifyPlanAmount(plan, amountGross) {
+  const amount = parseFloat(amountGross || '0');
+  if (Math.abs(amount - parseFloat(plan.initialAmount)) < AMOUNT_TOLERANCE) {
+    return 'initial';
+  }
+  if (Math.abs(amount - parseFloat(plan.recurringAmount)) < AMOUNT_TOLERANCE) {
+    return 'recurring';
+  }
+  return null;
+}
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN_ID,
+  getPlan,
+  resolvePlan,
+  buildPayFastPlanFields,
+  classifyPlanAmount
+};
@@ -0,0 +1,367 @@
+/**
+ * Business Metrics
+ *
+ * Monthly signups, subscribers, MRR, churn and trial-to-paid conversion,
+ * with breakdowns by industry, province and business type. Computed here
+ * from getSubscriptionFacts() rather than in SQL, so both storage backends
+ * report the same numbers. Served by the admin-metrics function.
+ *
+ * DEFINITIONS (months are SAST calendar months, YYYY-MM):
+ *   signups             - Subscriptions created in the month
+ *   activeSubscribers   - Paying subscriptions (active or past_due) at month end
+ *   trialing            - Subscriptions still in their free month at month end
+ *   mrr                 - Recurring amounts of the active subscribers (every
+ *                         plan bills monthly)
+ *   churned             - Paying subscriptions cancelled in the month
+ *   churnedMrr          - Their recurring amounts
+ *   churnRate           - churned / activeSubscribers at the start of the month
+ *   trialsEnded         - Trials that moved out of trialing in the month
+ *   trialsConverted     - Of those, how many moved to active (first charge paid)
+ *   trialConversionRate - trialsConverted / trialsEnded
+ *   Rates are null when there is nothing to divide by.
+ *
+ * BREAKDOWNS:
+ *   Per industry, province and business type (B2B/B2C): signups in the
+ *   reported months, with active subscribers and MRR as they are now.
+ *   Submissions without the field are counted as 'unknown'.
+ *
+ * @module netlify/functions/utils/reporting
+ */
+
+const { getSubscriptionFacts } = require('./database');
+const { SUBSCRIPTION_STATES } = require('./subscription-state');
+
+const SAST_OFFSET_MS = 2 * 60 * 60 * 1000;
+
+// Months reported when no range is given
+const DEFAULT_MONTHS = 12;
+
+const PAYING_STATES = [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.PAST_DUE];
+
+// Breakdown name → subscription fact holding it
+const BREAKDOWNS = Object.freeze({
+  industry: 'industry',
+  province: 'province',
+  businessType: 'business_type'
+});
+
+// Tables a report can be exported as (CSV)
+const METRICS_TABLES = ['months', ...Object.keys(BREAKDOWNS)];
+
+const MONTH_COLUMNS = [
+  'month', 'signups', 'activeSubscribers', 'trialing', 'mrr', 'churned', 'churnedMrr',
+  'churnRate', 'trialsEnded', 'trialsConverted', 'trialConversionRate'
+];
+const BREAKDOWN_COLUMNS = ['value', 'signups', 'activeSubscribers', 'mrr'];
+
+// ============================================
+// MONTHS
+// ============================================
+
+/**
+ * SAST month (YYYY-MM) of a timestamp
+ */
+function sastMonth(timestamp) {
+  return new Date(new Date(timestamp).getTime() + SAST_OFFSET_MS).toISOString().slice(0, 7);
+}
+
+/**
+ * Instant a SAST month starts (ms since epoch)
+ */
+function monthStart(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return Date.UTC(year, monthIndex - 1, 1) - SAST_OFFSET_MS;
+}
+
+/**
+ * The month after a month
+ */
+function nextMonth(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * Every month from one month to another, inclusive
+ */
+function monthRange(from, to) {
+  const months = [];
+  for (let month = from; month <= to; month = nextMonth(month)) {
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * The months a report covers, defaulting to the last DEFAULT_MONTHS
+ * months up to this one
+ *
+ * @param {Object} [range] - Requested range
+ * @param {string} [range.from] - First month (YYYY-MM)
+ * @param {string} [range.to] - Last month (YYYY-MM)
+ * @returns {{from: string, to: string, months: number}} months is 0 if from is after to
+ */
+function resolveMetricsRange({ from, to } = {}) {
+  const lastMonth = to || sastMonth(Date.now());
+  const [year, monthIndex] = lastMonth.split('-').map(Number);
+  const firstMonth = from || new Date(Date.UTC(year, monthIndex - DEFAULT_MONTHS, 1)).toISOString().slice(0, 7);
+  const [firstYear, firstMonthIndex] = firstMonth.split('-').map(Number);
+  const months = Math.max(0, (year - firstYear) * 12 + (monthIndex - firstMonthIndex) + 1);
+  return { from: firstMonth, to: lastMonth, months };
+}
+
+// ============================================
+// SUBSCRIPTION TIMELINES
+// ============================================
+
+/**
+ * Each subscription's status changes, oldest first
+ *
+ * Subscriptions from before the status history was kept get one built
+ * from their creation and their current status.
+ */
+function buildTimelines(subscriptions, transitions) {
+  const timelines = new Map(subscriptions.map(sub => [sub.submission_id, []]));
+
+  for (const transition of transitions) {
+    const timeline = timelines.get(transition.submission_id);
+    if (timeline) {
+      timeline.push({
+        from: transition.from_status,
+        to: transition.to_status,
+        at: new Date(transition.changed_at).getTime()
+      });
+    }
+  }
+
+  for (const sub of subscriptions) {
+    const timeline = timelines.get(sub.submission_id);
+    if (timeline.length > 0) {
+      continue;
+    }
+    timeline.push({ from: null, to: SUBSCRIPTION_STATES.TRIALING, at: new Date(sub.created_at).getTime() });
+    if (sub.subscription_status !== SUBSCRIPTION_STATES.TRIALING) {
+      timeline.push({
+        from: SUBSCRIPTION_STATES.TRIALING,
+        to: sub.subscription_status,
+        at: new Date(sub.subscription_status_changed_at || sub.created_at).getTime()
+      });
+    }
+  }
+
+  return timelines;
+}
+
+/**
+ * Status of a subscription just before an instant (null if not yet created)
+ */
+function statusAt(timeline, instant) {
+  let status = null;
+  for (const change of timeline) {
+    if (change.at >= instant) {
+      break;
+    }
+    status = change.to;
+  }
+  return status;
+}
+
+function amountOf(sub) {
+  return sub.recurring_amount !== null && sub.recurring_amount !== undefined
+    ? parseFloat(sub.recurring_amount)
+    : 0;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Metrics for one month
+ */
+function monthMetrics(month, subscriptions, timelines) {
+  const start = monthStart(month);
+  const end = monthStart(nextMonth(month));
+  const metrics = {
+    month,
+    signups: 0,
+    activeSubscribers: 0,
+    trialing: 0,
+    mrr: 0,
+    churned: 0,
+    churnedMrr: 0,
+    churnRate: null,
+    trialsEnded: 0,
+    trialsConverted: 0,
+    trialConversionRate: null
+  };
+  let payingAtStart = 0;
+
+  for (const sub of subscriptions) {
+    const timeline = timelines.get(sub.submission_id);
+
+    if (sastMonth(sub.created_at) === month) {
+      metrics.signups++;
+    }
+    if (PAYING_STATES.includes(statusAt(timeline, start))) {
+      payingAtStart++;
+    }
+
+    const statusAtEnd = statusAt(timeline, end);
+    if (PAYING_STATES.includes(statusAtEnd)) {
+      metrics.activeSubscribers++;
+      metrics.mrr += amountOf(sub);
+    } else if (statusAtEnd === SUBSCRIPTION_STATES.TRIALING) {
+      metrics.trialing++;
+    }
+
+    for (const change of timeline) {
+      if (change.at < start || change.at >= end) {
+        continue;
+      }
+      if (change.to === SUBSCRIPTION_STATES.CANCELLED && PAYING_STATES.includes(change.from)) {
+        metrics.churned++;
+        metrics.churnedMrr += amountOf(sub);
+      }
+      if (change.from === SUBSCRIPTION_STATES.TRIALING) {
+        metrics.trialsEnded++;
+        if (change.to === SUBSCRIPTION_STATES.ACTIVE) {
+          metrics.trialsConverted++;
+        }
+      }
+    }
+  }
+
+  metrics.mrr = roundMoney(metrics.mrr);
+  metrics.churnedMrr = roundMoney(metrics.churnedMrr);
+  metrics.churnRate = rate(metrics.churned, payingAtStart);
+  metrics.trialConversionRate = rate(metrics.trialsConverted, metrics.trialsEnded);
+  return metrics;
+}
+
+/**
+ * Signups in the range and current subscribers/MRR per value of a field
+ */
+function breakdown(subscriptions, field, { from, to }) {
+  const groups = new Map();
+
+  for (const sub of subscriptions) {
+    const value = (sub[field] && String(sub[field]).trim()) || 'unknown';
+    const group = groups.get(value) || { value, signups: 0, activeSubscribers: 0, mrr: 0 };
+    const signupMonth = sastMonth(sub.created_at);
+
+    if (signupMonth >= from && signupMonth <= to) {
+      group.signups++;
+    }
+    if (PAYING_STATES.includes(sub.subscription_status)) {
+      group.activeSubscribers++;
+      group.mrr += amountOf(sub);
+    }
+    groups.set(value, group);
+  }
+
+  return [...groups.values()]
+    .map(group => ({ ...group, mrr: roundMoney(group.mrr) }))
+    .sort((a, b) => b.activeSubscribers - a.activeSubscribers || b.signups - a.signups || a.value.localeCompare(b.value));
+}
+
+/**
+ * Build the business metrics report
+ *
+ * @param {Object} [options] - Report options
+ * @param {string} [options.from] - First month (YYYY-MM), default 12 months ago
+ * @param {string} [options.to] - Last month (YYYY-MM), default this month
+ * @returns {Promise<Object>} { generatedAt, from, to, current, months, breakdowns }
+ */
+async function buildMetricsReport({ from, to } = {}) {
+  const range = resolveMetricsRange({ from, to });
+  const { subscriptions, transitions } = await getSubscriptionFacts();
+  const timelines = buildTimelines(subscriptions, transitions);
+
+  const current = {
+    activeSubscribers: 0,
+    trialing: 0,
+    pastDue: 0,
+    cancelled: 0,
+    mrr: 0
+  };
+  for (const sub of subscriptions) {
+    if (PAYING_STATES.includes(sub.subscription_status)) {
+      current.activeSubscribers++;
+      current.mrr += amountOf(sub);
+    }
+    if (sub.subscription_status === SUBSCRIPTION_STATES.TRIALING) current.trialing++;
+    if (sub.subscription_status === SUBSCRIPTION_STATES.PAST_DUE) current.pastDue++;
+    if (sub.subscription_status === SUBSCRIPTION_STATES.CANCELLED) current.cancelled++;
+  }
+  current.mrr = roundMoney(current.mrr);
+
+  const breakdowns = {};
+  for (const [name, field] of Object.entries(BREAKDOWNS)) {
+    breakdowns[name] = breakdown(subscriptions, field, range);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    from: range.from,
+    to: range.to,
+    current,
+    months: monthRange(range.from, range.to).map(month => monthMetrics(month, subscriptions, timelines)),
+    breakdowns
+  };
+}
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Quote a CSV field; text that a spreadsheet would run as a formula
+ * (industry is free text) is prefixed with a quote
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One table of a metrics report as CSV
+ *
+ * @param {Object} report - From buildMetricsReport()
+ * @param {string} table - 'months' or a breakdown (industry, province, businessType)
+ * @returns {string} CSV with a header row
+ */
+function metricsToCsv(report, table) {
+  const rows = table === 'months' ? report.months : report.breakdowns[table];
+  if (!rows) {
+    throw new Error(`Unknown metrics table: ${table}`);
+  }
+
+  const columns = table === 'months' ? MONTH_COLUMNS : BREAKDOWN_COLUMNS;
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  METRICS_TABLES,
+  resolveMetricsRange,
+  buildMetricsReport,
+  metricsToCsv
+};
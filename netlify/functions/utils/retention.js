@@ -0,0 +1,227 @@
+/**
+ * Data Retention Policy
+ *
+ * How long each kind of personal data is kept, and what happens to it
+ * afterwards. Enforced daily by the retention-enforcer scheduled
+ * function; GET /api/admin/retention shows what a run would do now
+ * (dry run) without changing anything.
+ *
+ * CATEGORIES (period counted from):
+ *   abandonedCheckouts  - pending_form_data rows of checkouts never paid
+ *                         (expiry). checkoutTtlHours is how long a
+ *                         checkout stays payable; retainDays must cover
+ *                         the recovery window so resume links keep working.
+ *                         Rows with a COMPLETE ITN awaiting replay are kept.
+ *                         pending-cleanup also applies this rule, hourly.
+ *   cancelledCustomers  - submissions of cancelled subscriptions
+ *                         (cancellation). Anonymised like an erasure
+ *                         request (see utils/data-subject.js); the customer
+ *                         record too once none of its submissions is left.
+ *   itnPayloads         - ITN bodies in the event store, payments ledger and
+ *                         ITN quarantine (receipt). Payer fields are
+ *                         replaced; open quarantine entries are kept until
+ *                         reviewed.
+ *   logoMetadata        - form_data.logoUpload of paid submissions
+ *                         (submission). delete removes it, anonymise keeps
+ *                         only the file type and size.
+ *
+ * ACTIONS:
+ *   delete    - Remove the data
+ *   anonymise - Remove the personal parts, keep the rest
+ *   Not every action suits every category: payments, the ITN event store
+ *   and subscription history are financial records, so customers and ITN
+ *   payloads can only be anonymised; abandoned checkouts are only deleted
+ *   (their counts are archived first).
+ *
+ * CONFIGURATION:
+ *   DEFAULT_RETENTION_POLICY below, overridden per category by the
+ *   RETENTION_POLICY environment variable (JSON), e.g.
+ *     {"cancelledCustomers": {"retainDays": 730}, "logoMetadata": {"action": "anonymise"}}
+ *   An invalid policy throws, so a typo never silently keeps data forever.
+ *
+ * @module netlify/functions/utils/retention
+ */
+
+const { cleanupExpiredPendingData, applyRetentionRule } = require('./database');
+const { RECOVERY_WINDOW_HOURS } = require('./checkout-recovery');
+
+const RETENTION_CATEGORIES = Object.freeze({
+  ABANDONED_CHECKOUTS: 'abandonedCheckouts',
+  CANCELLED_CUSTOMERS: 'cancelledCustomers',
+  ITN_PAYLOADS: 'itnPayloads',
+  LOGO_METADATA: 'logoMetadata'
+});
+
+const RETENTION_ACTIONS = Object.freeze({
+  DELETE: 'delete',
+  ANONYMISE: 'anonymise'
+});
+
+// Actions each category may be configured with
+const ALLOWED_ACTIONS = Object.freeze({
+  abandonedCheckouts: [RETENTION_ACTIONS.DELETE],
+  cancelledCustomers: [RETENTION_ACTIONS.ANONYMISE],
+  itnPayloads: [RETENTION_ACTIONS.ANONYMISE],
+  logoMetadata: [RETENTION_ACTIONS.DELETE, RETENTION_ACTIONS.ANONYMISE]
+});
+
+const DEFAULT_RETENTION_POLICY = Object.freeze({
+  abandonedCheckouts: { action: RETENTION_ACTIONS.DELETE, checkoutTtlHours: 2, retainDays: 3 },
+  cancelledCustomers: { action: RETENTION_ACTIONS.ANONYMISE, retainDays: 365 },
+  itnPayloads: { action: RETENTION_ACTIONS.ANONYMISE, retainDays: 90 },
+  logoMetadata: { action: RETENTION_ACTIONS.DELETE, retainDays: 30 }
+});
+
+// Rows changed per applyRetentionRule call
+const BATCH_SIZE = 100;
+
+// ============================================
+// POLICY
+// ============================================
+
+/**
+ * Check one category's rule
+ *
+ * @throws {Error} If the rule is invalid
+ */
+function validateRule(category, rule) {
+  if (!ALLOWED_ACTIONS[category].includes(rule.action)) {
+    throw new Error(`${category}.action must be one of: ${ALLOWED_ACTIONS[category].join(', ')}`);
+  }
+  if (!Number.isInteger(rule.retainDays) || rule.retainDays < 1) {
+    throw new Error(`${category}.retainDays must be a whole number of days (at least 1)`);
+  }
+
+  if (category === RETENTION_CATEGORIES.ABANDONED_CHECKOUTS) {
+    if (typeof rule.checkoutTtlHours !== 'number' || rule.checkoutTtlHours <= 0) {
+      throw new Error(`${category}.checkoutTtlHours must be a positive number of hours`);
+    }
+    if (rule.retainDays * 24 < RECOVERY_WINDOW_HOURS) {
+      throw new Error(`${category}.retainDays must cover the ${RECOVERY_WINDOW_HOURS} hour recovery window`);
+    }
+  }
+}
+
+/**
+ * The retention policy in force: the defaults with any RETENTION_POLICY
+ * overrides applied
+ *
+ * @returns {Object} One rule per category: { action, retainDays[, checkoutTtlHours] }
+ * @throws {Error} If RETENTION_POLICY is not valid JSON or a rule is invalid
+ */
+function getRetentionPolicy() {
+  let overrides = {};
+  if (process.env.RETENTION_POLICY) {
+    try {
+      overrides = JSON.parse(process.env.RETENTION_POLICY);
+    } catch (parseError) {
+      throw new Error('RETENTION_POLICY must be valid JSON');
+    }
+  }
+
+  for (const category of Object.keys(overrides)) {
+    if (!DEFAULT_RETENTION_POLICY[category]) {
+      throw new Error(`RETENTION_POLICY has an unknown category: ${category}`);
+    }
+  }
+
+  const policy = {};
+  for (const [category, defaults] of Object.entries(DEFAULT_RETENTION_POLICY)) {
+    policy[category] = { ...defaults, ...overrides[category] };
+    validateRule(category, policy[category]);
+  }
+  return policy;
+}
+
+/**
+ * How long a new or reopened checkout stays payable
+ *
+ * @returns {number} Hours
+ */
+function getCheckoutTtlHours() {
+  return getRetentionPolicy().abandonedCheckouts.checkoutTtlHours;
+}
+
+// ============================================
+// ENFORCEMENT
+// ============================================
+
+/**
+ * Apply the retention policy, or report what applying it would do
+ *
+ * Each category is worked through in batches until nothing is due or the
+ * time budget runs out; the next run picks up the rest. A dry run changes
+ * nothing and reports how much is due.
+ *
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun=false] - Only count what is due
+ * @param {number} [options.timeBudgetMs] - Stop starting new batches after this long
+ * @returns {Promise<Object>} { dryRun, generatedAt, complete, categories: { [category]: { action, retainDays, due, processed } } }
+ *   due is what was due when the run started; complete is false if the
+ *   time budget ran out first
+ */
+async function enforceRetentionPolicy({ dryRun = false, timeBudgetMs = Infinity } = {}) {
+  const policy = getRetentionPolicy();
+  const startedAt = Date.now();
+  const report = {
+    dryRun,
+    generatedAt: new Date().toISOString(),
+    complete: true,
+    categories: {}
+  };
+
+  for (const [category, rule] of Object.entries(policy)) {
+    const entry = { action: rule.action, retainDays: rule.retainDays, due: 0, processed: 0 };
+    report.categories[category] = entry;
+
+    if (Date.now() - startedAt >= timeBudgetMs) {
+      report.complete = false;
+      continue;
+    }
+
+    // ----------------------------------------
+    // Abandoned checkouts (also archived into checkout_expiry_stats)
+    // ----------------------------------------
+    if (category === RETENTION_CATEGORIES.ABANDONED_CHECKOUTS) {
+      const summary = await cleanupExpiredPendingData({ graceHours: rule.retainDays * 24, dryRun });
+      entry.due = summary.deleted;
+      entry.processed = dryRun ? 0 : summary.deleted;
+      entry.heldForReplay = summary.heldForReplay;
+      continue;
+    }
+
+    // ----------------------------------------
+    // Everything else, in batches
+    // ----------------------------------------
+    const applyBatch = () => applyRetentionRule({
+      category,
+      action: rule.action,
+      retainDays: rule.retainDays,
+      dryRun,
+      limit: BATCH_SIZE
+    });
+
+    let batch = await applyBatch();
+    entry.due = batch.due;
+    entry.processed = batch.processed;
+    while (batch.processed > 0 && batch.processed < batch.due && Date.now() - startedAt < timeBudgetMs) {
+      batch = await applyBatch();
+      entry.processed += batch.processed;
+    }
+
+    if (!dryRun && entry.processed < entry.due) {
+      report.complete = false;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  RETENTION_CATEGORIES,
+  RETENTION_ACTIONS,
+  DEFAULT_RETENTION_POLICY,
+  getRetentionPolicy,
+  getCheckoutTtlHours,
+  enforceRetentionPolicy
+};
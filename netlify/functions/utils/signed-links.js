@@ -0,0 +1,100 @@
+/**
+ * Signed Link Utility
+ *
+ * Creates and verifies tamper-proof tokens for links sent by email
+ * (resume checkout, email opt-out), so the link itself carries the
+ * submission it applies to. Tokens are only signed, not encrypted, and
+ * links end up in access logs: carry IDs, never personal details.
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ * Payload: { p: purpose, ...data, exp?: unix seconds }
+ *
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   EMAIL_LINK_SECRET - Signing secret for email links (at least 32 characters)
+ *
+ * @module netlify/functions/utils/signed-links
+ */
+
+const crypto = require('crypto');
+
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Get the signing secret
+ * @returns {string} The secret
+ * @throws {Error} If EMAIL_LINK_SECRET is missing or too short
+ */
+function getLinkSecret() {
+  const secret = process.env.EMAIL_LINK_SECRET;
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`EMAIL_LINK_SECRET environment variable is required (at least ${MIN_SECRET_LENGTH} characters).`);
+  }
+  return secret;
+}
+
+/**
+ * HMAC a token payload
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getLinkSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ *
+ * @param {string} purpose - What the token is for (e.g. 'resume', 'opt-out')
+ * @param {Object} data - Data carried by the token
+ * @param {Date} [expiresAt] - Expiry; omit for a token that never expires
+ * @returns {string} The token (URL-safe)
+ */
+function createSignedToken(purpose, data, expiresAt) {
+  const payload = { p: purpose, ...data };
+  if (expiresAt) {
+    payload.exp = Math.floor(expiresAt.getTime() / 1000);
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a signed token
+ *
+ * @param {string} token - The token from the link
+ * @param {string} purpose - The purpose the token must have been created for
+ * @returns {{ valid: boolean, data?: Object, error?: string }}
+ */
+function verifySignedToken(token, purpose) {
+  const [encodedPayload, signature, extra] = String(token || '').split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return { valid: false, error: 'Malformed link' };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'Invalid link signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (parseError) {
+    return { valid: false, error: 'Malformed link' };
+  }
+
+  if (payload.p !== purpose) {
+    return { valid: false, error: 'Link is not valid for this action' };
+  }
+  if (payload.exp && payload.exp * 1000 < Date.now()) {
+    return { valid: false, error: 'Link has expired' };
+  }
+
+  const { p, exp, ...data } = payload;
+  return { valid: true, data };
+}
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken
+};
@@ -0,0 +1,396 @@
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP submission client (RFC 5321) behind the smtp email
+ * provider in email-sender.js, so mail can go out through any mail server
+ * when the HTTP providers are down. No dependencies, so it bundles like
+ * the rest of the functions.
+ *
+ * One connection per email:
+ *   EHLO → STARTTLS → EHLO → AUTH (PLAIN or LOGIN) → MAIL FROM → RCPT TO
+ *   → DATA → QUIT
+ *
+ * TLS MODES:
+ *   starttls - Upgrade with STARTTLS; refuses servers that don't offer it (default)
+ *   implicit - TLS from the first byte (usually port 465)
+ *   none     - Plain text, for the local SMTP sink (scripts/smtp-sink.js) only
+ *
+ * ERRORS:
+ *   A 4xx reply, a dropped connection or a timeout is transient
+ *   (error.transient = true) - another provider may well succeed. A 5xx
+ *   reply is permanent, as is an address containing CR, LF, < or > (it
+ *   could inject SMTP commands or headers), refused before connecting.
+ *
+ * @module netlify/functions/utils/smtp-client
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+
+const TLS_MODES = ['starttls', 'implicit', 'none'];
+
+// Longest base64 line in the message body (RFC 2045)
+const BASE64_LINE_LENGTH = 76;
+
+// ============================================
+// MESSAGE
+// ============================================
+
+/**
+ * Refuse an address that could end the command or header it is written
+ * into (CR/LF) or its angle brackets
+ *
+ * @throws {Error} Permanent - no provider should send to it
+ */
+function checkAddress(address, label) {
+  if (!address || /[\r\n<>]/.test(String(address))) {
+    throw new Error(`SMTP ${label} address is missing or contains CR, LF, < or >`);
+  }
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded words if it isn't plain ASCII
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+
+  // Split on characters (never inside one) so each encoded word stays short
+  const words = [];
+  let chunk = '';
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`)
+    .join('\r\n ');
+}
+
+/**
+ * Wrap base64 to BASE64_LINE_LENGTH
+ */
+function wrapBase64(encoded) {
+  return encoded.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g'))?.join('\r\n') || '';
+}
+
+/**
+ * Base64-encode a body part, wrapped to BASE64_LINE_LENGTH
+ */
+function encodeBody(text) {
+  return wrapBase64(Buffer.from(text || '').toString('base64'));
+}
+
+/**
+ * Build a multipart/alternative MIME message with text and HTML parts;
+ * with attachments, that goes first inside a multipart/mixed message
+ *
+ * @param {Object} email - Message parts
+ * @param {string} email.from - Sender address
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject (may contain any Unicode)
+ * @param {string} email.textBody - Plain-text body
+ * @param {string} email.htmlBody - HTML body
+ * @param {string} email.messageId - Message-ID, including the angle brackets
+ * @param {Array<{filename: string, contentType: string, content: string}>} [email.attachments] - Files, base64 content
+ * @returns {string} The message, CRLF line endings, ready for DATA
+ * @throws {Error} If from or to contains CR, LF, < or >
+ */
+function buildMimeMessage({ from, to, subject, textBody, htmlBody, messageId, attachments = [] }) {
+  checkAddress(from, 'sender');
+  checkAddress(to, 'recipient');
+
+  const boundary = `sss-${crypto.randomBytes(12).toString('hex')}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+  const alternative = [
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(textBody),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(htmlBody),
+    `--${boundary}--`
+  ];
+
+  if (!attachments || attachments.length === 0) {
+    return [...headers, ...alternative, ''].join('\r\n');
+  }
+
+  const mixedBoundary = `sss-${crypto.randomBytes(12).toString('hex')}`;
+  const files = attachments.flatMap(attachment => {
+    const filename = encodeHeader(String(attachment.filename).replace(/["\\\r\n]/g, '_'));
+    return [
+      `--${mixedBoundary}`,
+      `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${filename}"`,
+      '',
+      wrapBase64(attachment.content)
+    ];
+  });
+
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+    '',
+    `--${mixedBoundary}`,
+    ...alternative,
+    ...files,
+    `--${mixedBoundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// ============================================
+// CONNECTION
+// ============================================
+
+/**
+ * Error marked transient (worth trying another provider)
+ */
+function transientError(message) {
+  const error = new Error(message);
+  error.transient = true;
+  return error;
+}
+
+/**
+ * Open a plain or TLS connection
+ *
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure, socket }) {
+  return new Promise((resolve, reject) => {
+    const connection = secure
+      ? tls.connect({ host, port, socket, servername: net.isIP(host) ? undefined : host })
+      : net.connect({ host, port });
+
+    connection.once(secure ? 'secureConnect' : 'connect', () => {
+      connection.removeAllListeners('error');
+      resolve(connection);
+    });
+    connection.once('error', (error) => {
+      reject(transientError(`SMTP connection to ${host}:${port} failed: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Read SMTP replies from a socket
+ *
+ * @returns {{ read: function(): Promise<{code: number, text: string, lines: Array<string>}>, detach: function() }}
+ */
+function attachReader(socket, host) {
+  let buffer = '';
+  let failure = null;
+  let pending = null;
+  const lines = [];
+
+  const settle = () => {
+    if (!pending) {
+      return;
+    }
+    const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last !== -1) {
+      const reply = lines.splice(0, last + 1);
+      const { resolve } = pending;
+      pending = null;
+      resolve({
+        code: parseInt(reply[last].slice(0, 3), 10),
+        text: reply.join(' | '),
+        lines: reply.map(line => line.slice(4))
+      });
+    } else if (failure) {
+      const { reject } = pending;
+      pending = null;
+      reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('latin1');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    settle();
+  };
+  const onError = (error) => {
+    failure = failure || (error.transient ? error : transientError(`SMTP connection to ${host} failed: ${error.message}`));
+    settle();
+  };
+  const onClose = () => {
+    failure = failure || transientError(`SMTP server ${host} closed the connection`);
+    settle();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        settle();
+      });
+    },
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      // A late reset must not become an uncaught error
+      socket.on('error', () => {});
+    }
+  };
+}
+
+/**
+ * Capabilities listed in an EHLO reply (upper case, first word of each line)
+ */
+function parseCapabilities(reply) {
+  return reply.lines.slice(1).map(line => line.toUpperCase().split(/\s+/));
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Send one email over SMTP
+ *
+ * @param {Object} options - Server settings
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port (usually 587, or 465 for implicit TLS)
+ * @param {string} [options.tlsMode='starttls'] - starttls, implicit or none
+ * @param {string} [options.user] - Username; AUTH is skipped without one
+ * @param {string} [options.pass] - Password
+ * @param {number} [options.timeoutMs=10000] - Limit for the whole session
+ * @param {Object} email - { from, to, subject, textBody, htmlBody, attachments? }
+ * @returns {Promise<{ messageId: string, response: string }>} Message-ID sent and the server's reply to DATA
+ * @throws {Error} error.transient is true for 4xx replies, connection failures and timeouts;
+ *   unsafe addresses are refused before connecting
+ */
+async function sendSmtpMail({ host, port, tlsMode = 'starttls', user, pass, timeoutMs = 10000 }, email) {
+  if (!TLS_MODES.includes(tlsMode)) {
+    throw new Error(`SMTP TLS mode must be one of: ${TLS_MODES.join(', ')}`);
+  }
+  checkAddress(email.from, 'sender');
+  checkAddress(email.to, 'recipient');
+
+  const domain = String(email.from).split('@').pop().replace(/[^a-zA-Z0-9.-]/g, '') || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  let socket = null;
+  let finished = false;
+  let timer;
+
+  const session = async () => {
+    socket = await connect({ host, port, secure: tlsMode === 'implicit' });
+    let reader = attachReader(socket, host);
+
+    const command = async (line, expected, label) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.read();
+      if (!expected.includes(reply.code)) {
+        const message = `SMTP ${label} rejected by ${host}: ${reply.text}`;
+        throw reply.code >= 400 && reply.code < 500 ? transientError(message) : new Error(message);
+      }
+      return reply;
+    };
+
+    // ----------------------------------------
+    // Greeting, EHLO and STARTTLS
+    // ----------------------------------------
+    await command(null, [220], 'greeting');
+    let capabilities = parseCapabilities(await command(`EHLO ${domain}`, [250], 'EHLO'));
+
+    if (tlsMode === 'starttls') {
+      if (!capabilities.some(([name]) => name === 'STARTTLS')) {
+        throw new Error(`SMTP server ${host} does not offer STARTTLS`);
+      }
+      await command('STARTTLS', [220], 'STARTTLS');
+      reader.detach();
+      socket = await connect({ host, port, secure: true, socket });
+      reader = attachReader(socket, host);
+      capabilities = parseCapabilities(await command(`EHLO ${domain}`, [250], 'EHLO'));
+    }
+
+    // ----------------------------------------
+    // Authenticate
+    // ----------------------------------------
+    if (user) {
+      const auth = capabilities.find(([name]) => name === 'AUTH') || [];
+      if (auth.includes('PLAIN')) {
+        const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      } else if (auth.includes('LOGIN')) {
+        await command('AUTH LOGIN', [334], 'AUTH');
+        await command(Buffer.from(user).toString('base64'), [334], 'AUTH');
+        await command(Buffer.from(pass || '').toString('base64'), [235], 'AUTH');
+      } else {
+        throw new Error(`SMTP server ${host} offers no supported AUTH mechanism (PLAIN or LOGIN)`);
+      }
+    }
+
+    // ----------------------------------------
+    // Envelope and message
+    // ----------------------------------------
+    await command(`MAIL FROM:<${email.from}>`, [250], 'MAIL FROM');
+    await command(`RCPT TO:<${email.to}>`, [250, 251], 'RCPT TO');
+    await command('DATA', [354], 'DATA');
+
+    // Lines starting with a dot are escaped by doubling it
+    const message = buildMimeMessage({ ...email, messageId }).replace(/^\./gm, '..');
+    const accepted = await command(`${message}\r\n.`, [250], 'message');
+
+    finished = true;
+    reader.detach();
+    socket.end('QUIT\r\n');
+    return { messageId, response: accepted.text };
+  };
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(transientError(`SMTP session with ${host}:${port} timed out`));
+      if (socket) {
+        socket.destroy();
+      }
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([session(), timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (socket && !finished) {
+      socket.destroy();
+    }
+  }
+}
+
+module.exports = {
+  TLS_MODES,
+  buildMimeMessage,
+  sendSmtpMail
+};
@@ -0,0 +1,186 @@
+/**
+ * ============================================
+ * HTTP STORAGE BACKEND - Local SQLite Database API
+ * Software Solutions Services
+ * ============================================
+ *
+ * Forwards every storage operation to the local database server (reached
+ * through a tunnel), which runs it against SQLite. Used through the
+ * storage interface in utils/database.js (DATABASE_BACKEND=http).
+ * The reference server is scripts/local-db-server.js.
+ *
+ * PROTOCOL:
+ *   POST {SSS_DB_API_URL}/v1/ops/{operation}
+ *   Body: { "args": [...], "actor": {...} } - the operation's arguments, as
+ *         JSON, and the audit actor of the request (see utils/audit.js)
+ *   200:  { "result": ... }
+ *   4xx/5xx: { "error": "message" }
+ *
+ * Each request is signed:
+ *   X-SSS-Timestamp: unix seconds
+ *   X-SSS-Nonce:     random hex, never reused
+ *   X-SSS-Signature: hex HMAC-SHA256(SSS_DB_SECRET, "timestamp.nonce.path.body")
+ * path is /v1/ops/{operation}, without any path SSS_DB_API_URL has (e.g.
+ * https://tunnel.example.com/sss-db), so a proxy in front of the server
+ * may strip that prefix or pass it on. The server rejects stale
+ * timestamps (over 5 minutes) and repeated nonces.
+ *
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   SSS_DB_API_URL - URL of the local database server
+ *   SSS_DB_SECRET  - Shared signing secret (at least 32 characters)
+ *
+ * @module netlify/functions/utils/storage/http
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getActor } = require('../audit');
+
+const MIN_SECRET_LENGTH = 32;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Get the database API URL and signing secret
+ *
+ * @returns {{ apiUrl: URL, secret: string }}
+ * @throws {Error} If SSS_DB_API_URL or SSS_DB_SECRET is missing or invalid
+ */
+function getApiConfig() {
+  const apiUrl = process.env.SSS_DB_API_URL;
+  const secret = process.env.SSS_DB_SECRET;
+
+  if (!apiUrl) {
+    throw new Error('SSS_DB_API_URL environment variable is required for the http storage backend.');
+  }
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`SSS_DB_SECRET environment variable is required (at least ${MIN_SECRET_LENGTH} characters).`);
+  }
+
+  return { apiUrl: new URL(apiUrl), secret };
+}
+
+/**
+ * Sign a request
+ *
+ * Shared with the reference server so both compute the same value.
+ *
+ * @param {string} secret - SSS_DB_SECRET
+ * @param {Object} parts - What is signed
+ * @param {string} parts.timestamp - X-SSS-Timestamp
+ * @param {string} parts.nonce - X-SSS-Nonce
+ * @param {string} parts.path - Request path
+ * @param {string} parts.body - Request body, exactly as sent
+ * @returns {string} Hex HMAC-SHA256
+ */
+function signRequest(secret, { timestamp, nonce, path, body }) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${path}.${body}`)
+    .digest('hex');
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Run a storage operation on the database server
+ *
+ * @param {string} operation - Operation name (see STORAGE_OPERATIONS)
+ * @param {Array} args - The operation's arguments
+ * @returns {Promise<*>} The operation's result
+ */
+function callOperation(operation, args) {
+  const { apiUrl, secret } = getApiConfig();
+
+  // Drop trailing undefined arguments so the server's defaults apply
+  // (JSON would turn them into null)
+  const sentArgs = [...args];
+  while (sentArgs.length > 0 && sentArgs[sentArgs.length - 1] === undefined) {
+    sentArgs.pop();
+  }
+
+  const body = JSON.stringify({ args: sentArgs, actor: getActor() });
+  const operationPath = `/v1/ops/${operation}`;
+  const path = `${apiUrl.pathname.replace(/\/$/, '')}${operationPath}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const transport = apiUrl.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: apiUrl.hostname,
+      port: apiUrl.port || (transport === http ? 80 : 443),
+      path,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'Accept': 'application/json',
+        'X-SSS-Timestamp': timestamp,
+        'X-SSS-Nonce': nonce,
+        'X-SSS-Signature': signRequest(secret, { timestamp, nonce, path: operationPath, body })
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    };
+
+    const req = transport.request(options, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => { responseData += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(responseData);
+        } catch (parseError) {
+          reject(new Error(`Database API returned invalid JSON (${res.statusCode})`));
+          return;
+        }
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(parsed.result === undefined ? null : parsed.result);
+        } else {
+          reject(new Error(parsed.error || `Database API error: ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Database API request failed: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Database API request timed out'));
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+// Loaded here rather than at the top: database.js loads this module on first use
+const { STORAGE_OPERATIONS } = require('../database');
+
+const operations = {};
+for (const operation of STORAGE_OPERATIONS) {
+  operations[operation] = (...args) => callOperation(operation, args);
+}
+
+/**
+ * Nothing to close - each operation is a single HTTP request
+ */
+operations.closePool = async function closePool() {};
+
+module.exports = {
+  ...operations,
+  signRequest
+};
@@ -0,0 +1,3880 @@
+/**
+ * ============================================
+ * POSTGRES STORAGE BACKEND - Neon PostgreSQL
+ * Software Solutions Services
+ * ============================================
+ * 
+ * Clean PostgreSQL storage backend using Netlify DB (Neon).
+ * Used through the storage interface in utils/database.js
+ * (DATABASE_BACKEND=postgres, the default).
+ * 
+ * CRITICAL DESIGN PRINCIPLE:
+ * - The `submissions` table ONLY contains PAID customers
+ * - Form data is stored temporarily in `pending_form_data` until payment succeeds
+ * - On successful payment (ITN COMPLETE), data moves from pending to submissions
+ * - No unpaid submissions are ever persisted in the main table
+ * - Each submission links to a `customers` row, shared by every order
+ *   from the same person (see utils/customers.js)
+ * 
+ * PII:
+ * - Customer fields are encrypted on write and decrypted on read
+ *   (see utils/pii-encryption.js); match people by the *_bidx blind
+ *   indexes, never by the encrypted columns
+ * 
+ * AUDIT LOG:
+ * - Every mutating operation calls recordAudit() inside its transaction,
+ *   so the change and its audit_log entry commit together
+ * 
+ * SCHEMA:
+ * - Created and changed only by the migrations in utils/migrations, applied
+ *   by runMigrations() at deploy time (never by request handlers)
+ * 
+ * ENVIRONMENT VARIABLES REQUIRED:
+ *   DATABASE_URL - Provided automatically by Netlify DB integration
+ * 
+ * @module netlify/functions/utils/storage/postgres
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { SUBSCRIPTION_STATES, isValidState, canTransition } = require('../subscription-state');
+const pii = require('../pii-encryption');
+const audit = require('../audit');
+const customers = require('../customers');
+const dataSubject = require('../data-subject');
+const emailEvents = require('../email-events');
+const MIGRATIONS = require('../migrations');
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+
+let pool = null;
+
+/**
+ * Get or create the database connection pool
+ * Uses SSL for secure connection to Neon
+ * 
+ * @returns {Pool} PostgreSQL connection pool
+ */
+function getPool() {
+  if (!pool) {
+    // Netlify Neon integration uses NETLIFY_DATABASE_URL
+    // Fall back to DATABASE_URL for local development
+    const connectionString = process.env.NETLIFY_DATABASE_URL || process.env.DATABASE_URL;
+    
+    if (!connectionString) {
+      throw new Error(
+        'NETLIFY_DATABASE_URL or DATABASE_URL environment variable is required. ' +
+        'Enable Netlify DB integration in your Netlify site settings.'
+      );
+    }
+    
+    pool = new Pool({
+      connectionString,
+      ssl: {
+        rejectUnauthorized: true // Enforce SSL verification
+      },
+      max: 5, // Max connections in pool
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000
+    });
+    
+    // Handle pool errors gracefully
+    pool.on('error', (err) => {
+      console.error('[Database] Unexpected pool error:', err.message);
+    });
+  }
+  
+  return pool;
+}
+
+// ============================================
+// AUDIT LOG
+// (Append-only; see utils/audit.js)
+// ============================================
+
+/**
+ * Append an audit_log entry for a change, as the current actor
+ * 
+ * Call with the client of the change's own transaction.
+ * 
+ * @param {Object} client - Connected client (inside a transaction)
+ * @param {Object} entry - What changed
+ * @param {string} entry.action - What happened (created, updated, status_changed, ...)
+ * @param {string} entry.entityType - Kind of record (submission, payment, email, ...)
+ * @param {string|number} [entry.entityId] - The record's ID (omit for bulk changes)
+ * @param {string} [entry.submissionId] - Subscriber the change concerns
+ * @param {Object} [entry.before] - Record before the change
+ * @param {Object} [entry.after] - Record after the change
+ * @param {Object} [entry.details] - Anything else worth keeping (no PII)
+ */
+async function recordAudit(client, { action, entityType, entityId, submissionId, before = null, after = null, details = {} }) {
+  const actor = audit.getActor();
+  
+  await client.query(`
+    INSERT INTO audit_log (
+      actor_type, actor_id, action, entity_type, entity_id, submission_id, changes, details
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    actor.type,
+    actor.id,
+    action,
+    entityType,
+    entityId === undefined || entityId === null ? null : String(entityId),
+    submissionId || null,
+    JSON.stringify(audit.diffRecords(before, after)),
+    JSON.stringify(details)
+  ]);
+}
+
+/**
+ * Query the audit log, newest first
+ * 
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.submissionId] - Changes concerning this subscriber
+ * @param {string} [filters.entityType] - Kind of record
+ * @param {string} [filters.entityId] - Record ID (with entityType)
+ * @param {string} [filters.actorType] - itn, admin, customer, job, script, test or system
+ * @param {string} [filters.actorId] - e.g. the admin user
+ * @param {string} [filters.action] - e.g. status_changed
+ * @param {string} [filters.from] - Earliest date or timestamp (inclusive)
+ * @param {string} [filters.to] - Latest date or timestamp (exclusive)
+ * @param {number} [filters.limit=100] - Maximum rows (capped at 500)
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function listAuditLog({ submissionId, entityType, entityId, actorType, actorId, action, from, to, limit = 100 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT * FROM audit_log
+      WHERE ($1::text IS NULL OR submission_id = $1)
+        AND ($2::text IS NULL OR entity_type = $2)
+        AND ($3::text IS NULL OR entity_id = $3)
+        AND ($4::text IS NULL OR actor_type = $4)
+        AND ($5::text IS NULL OR actor_id = $5)
+        AND ($6::text IS NULL OR action = $6)
+        AND ($7::timestamptz IS NULL OR created_at >= $7)
+        AND ($8::timestamptz IS NULL OR created_at < $8)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $9
+    `, [
+      submissionId || null,
+      entityType || null,
+      entityId !== undefined && entityId !== null ? String(entityId) : null,
+      actorType || null,
+      actorId || null,
+      action || null,
+      from || null,
+      to || null,
+      Math.min(parseInt(limit, 10) || 100, 500)
+    ]);
+    
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// pg advisory lock key held while migrations run ("SSSM")
+const MIGRATION_LOCK_KEY = 0x5353534d;
+
+// Where the migration files are: next to the source, or from the site
+// root in a bundled function (included_files)
+const MIGRATION_DIR_CANDIDATES = [
+  path.join(__dirname, '..', 'migrations'),
+  path.resolve('netlify', 'functions', 'utils', 'migrations')
+];
+
+/**
+ * Fingerprint a migration so edits after it was applied can be spotted
+ * 
+ * Hashes the migration's file as written, not its code: the bundler
+ * rewrites the code (e.g. drops comments), so `npm run migrate` and a
+ * bundled function would disagree.
+ * 
+ * @throws {Error} If the migration file can't be found
+ */
+function migrationChecksum(migration) {
+  const file = `${String(migration.version).padStart(3, '0')}_${migration.name}.js`;
+  const dir = MIGRATION_DIR_CANDIDATES.find(candidate => fs.existsSync(path.join(candidate, file)));
+  if (!dir) {
+    throw new Error(`Migration file ${file} not found (is included_files set in netlify.toml?)`);
+  }
+  
+  const source = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r\n/g, '\n');
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+/**
+ * Checksum recorded before migrations were fingerprinted by file
+ * (only matches when computed from the unbundled source)
+ */
+function legacyMigrationChecksum(migration) {
+  return crypto.createHash('sha256').update(migration.up.toString()).digest('hex');
+}
+
+/**
+ * Read the applied migrations (empty if schema_migrations doesn't exist yet)
+ */
+async function readAppliedMigrations(client) {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+  
+  const result = await client.query(`
+    SELECT version, name, checksum, applied_at, duration_ms
+    FROM schema_migrations
+    ORDER BY version
+  `);
+  return result.rows;
+}
+
+/**
+ * Compare the migrations in the code with those applied to the database
+ * 
+ * @returns {Promise<Object>} Status:
+ *   { currentVersion, latestVersion, upToDate, applied, pending, modified, unknown }
+ *   modified - applied migrations whose file has changed since
+ *   unknown  - applied versions with no migration file (a newer deploy ran them)
+ */
+async function getMigrationStatus() {
+  const client = await getPool().connect();
+  
+  try {
+    const applied = await readAppliedMigrations(client);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const knownVersions = new Set(MIGRATIONS.map(m => m.version));
+    
+    const pending = MIGRATIONS
+      .filter(m => !appliedByVersion.has(m.version))
+      .map(m => ({ version: m.version, name: m.name }));
+    
+    const modified = MIGRATIONS
+      .filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== migrationChecksum(m))
+      .map(m => ({ version: m.version, name: m.name }));
+    
+    const unknown = applied
+      .filter(row => !knownVersions.has(row.version))
+      .map(row => ({ version: row.version, name: row.name }));
+    
+    return {
+      currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+      latestVersion: MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0,
+      upToDate: pending.length === 0,
+      applied,
+      pending,
+      modified,
+      unknown
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply every pending migration, in order
+ * 
+ * Holds a session-level advisory lock for the whole run, so concurrent
+ * runs (overlapping deploys, an admin request during a deploy) wait and
+ * then find nothing left to do. Each migration is applied and recorded
+ * in one transaction; the run stops at the first failure.
+ * 
+ * @returns {Promise<{applied: Array<{version: number, name: string, durationMs: number}>, currentVersion: number}>}
+ * @throws {Error} If a migration fails (earlier ones in the run stay applied)
+ */
+async function runMigrations() {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          duration_ms INTEGER,
+          applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      
+      const appliedRows = await readAppliedMigrations(client);
+      const appliedVersions = new Set(appliedRows.map(row => row.version));
+      const applied = [];
+      
+      // Re-record checksums from before they were taken from the file,
+      // where the code still matches (so edits stay reported as modified)
+      for (const migration of MIGRATIONS) {
+        const row = appliedRows.find(r => r.version === migration.version);
+        if (row && row.checksum === legacyMigrationChecksum(migration)) {
+          await client.query(
+            'UPDATE schema_migrations SET checksum = $2 WHERE version = $1',
+            [migration.version, migrationChecksum(migration)]
+          );
+        }
+      }
+      
+      for (const migration of MIGRATIONS) {
+        if (appliedVersions.has(migration.version)) {
+          continue;
+        }
+        
+        const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+        const startedAt = Date.now();
+        
+        try {
+          await client.query('BEGIN');
+          await migration.up(client);
+          await client.query(`
+            INSERT INTO schema_migrations (version, name, checksum, duration_ms)
+            VALUES ($1, $2, $3, $4)
+          `, [migration.version, migration.name, migrationChecksum(migration), Date.now() - startedAt]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${label} failed: ${error.message}`);
+        }
+        
+        const durationMs = Date.now() - startedAt;
+        applied.push({ version: migration.version, name: migration.name, durationMs });
+        console.log(`[Database] Applied migration ${label} (${durationMs}ms)`);
+      }
+      
+      const currentVersion = Math.max(0, ...appliedVersions, ...applied.map(m => m.version));
+      if (applied.length > 0) {
+        await recordAudit(client, {
+          action: 'migrated',
+          entityType: 'schema',
+          entityId: currentVersion,
+          details: { applied: applied.map(m => m.version) }
+        });
+      }
+      return { applied, currentVersion };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// PENDING FORM DATA OPERATIONS
+// (Before payment is confirmed)
+// ============================================
+
+/**
+ * Store form data temporarily before payment
+ * Called from payfast-redirect when user starts payment flow
+ * 
+ * @param {string} submissionId - Unique submission ID
+ * @param {Object} formData - Complete form data object (ALL fields)
+ * @param {string} [planId] - ID of the plan chosen at checkout
+ * @param {number} ttlHours - How long the checkout stays payable (retention policy)
+ * @returns {Promise<Object>} The stored pending record
+ */
+async function storePendingFormData(submissionId, formData, planId = null, ttlHours) {
+  if (!submissionId) {
+    throw new Error('submissionId is required');
+  }
+  
+  if (!formData || typeof formData !== 'object') {
+    throw new Error('formData must be a valid object');
+  }
+  
+  if (!(ttlHours > 0)) {
+    throw new Error('ttlHours must be a positive number');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      'SELECT * FROM pending_form_data WHERE submission_id = $1 FOR UPDATE',
+      [submissionId]
+    );
+    
+    // Upsert to handle retries/refreshes
+    const result = await client.query(`
+      INSERT INTO pending_form_data (submission_id, form_data, plan_id, email_bidx, pii_key_id, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + $6::float8 * INTERVAL '1 hour')
+      ON CONFLICT (submission_id) DO UPDATE SET
+        form_data = EXCLUDED.form_data,
+        plan_id = EXCLUDED.plan_id,
+        email_bidx = EXCLUDED.email_bidx,
+        pii_key_id = EXCLUDED.pii_key_id,
+        created_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+      RETURNING *
+    `, [
+      submissionId,
+      JSON.stringify(pii.encryptFormData(formData)),
+      planId,
+      pii.emailBlindIndex(formData.businessEmail),
+      pii.getActiveKeyId(),
+      ttlHours
+    ]);
+    
+    const before = pii.decryptPendingRow(existing.rows[0]) || null;
+    const stored = pii.decryptPendingRow(result.rows[0]);
+    await recordAudit(client, {
+      action: before ? 'updated' : 'created',
+      entityType: 'pending_checkout',
+      entityId: submissionId,
+      submissionId,
+      before,
+      after: stored
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Pending form data stored:', submissionId);
+    return stored;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Retrieve pending form data by submission ID
+ * 
+ * @param {string} submissionId - The submission ID to find
+ * @param {boolean} ignoreExpiry - If true, return even expired records (for recovery)
+ * @returns {Promise<Object|null>} The form data or null if not found
+ */
+async function getPendingFormData(submissionId, ignoreExpiry = false) {
+  if (!submissionId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    // Build query - optionally ignore expiry for data recovery
+    const query = ignoreExpiry 
+      ? `SELECT * FROM pending_form_data WHERE submission_id = $1`
+      : `SELECT * FROM pending_form_data WHERE submission_id = $1 AND expires_at > NOW()`;
+    
+    const result = await client.query(query, [submissionId]);
+    
+    if (result.rows.length === 0) {
+      console.log('[Database] Pending form data not found:', submissionId, ignoreExpiry ? '(ignoring expiry)' : '');
+      return null;
+    }
+    
+    console.log('[Database] Pending form data retrieved:', submissionId);
+    return pii.decryptPendingRow(result.rows[0]);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reopen a pending checkout for payment (resume link)
+ * 
+ * Moves expires_at forward so the ITN for the reissued checkout finds the
+ * form data. Only rows still inside the recovery window can be reopened.
+ * 
+ * @param {string} submissionId - The submission ID
+ * @param {number} windowHours - How long after expiry a checkout may be resumed
+ * @param {number} ttlHours - How long the reopened checkout stays payable (retention policy)
+ * @returns {Promise<Object|null>} The pending record, or null if purged or outside the window
+ */
+async function reopenPendingCheckout(submissionId, windowHours, ttlHours) {
+  if (!submissionId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      'SELECT * FROM pending_form_data WHERE submission_id = $1 FOR UPDATE',
+      [submissionId]
+    );
+    
+    const result = await client.query(`
+      UPDATE pending_form_data SET
+        expires_at = GREATEST(expires_at, NOW() + $3::float8 * INTERVAL '1 hour')
+      WHERE submission_id = $1
+        AND expires_at > NOW() - make_interval(hours => $2)
+      RETURNING *
+    `, [submissionId, windowHours, ttlHours]);
+    
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      console.log('[Database] Pending checkout not reopened (purged or outside window):', submissionId);
+      return null;
+    }
+    
+    await recordAudit(client, {
+      action: 'reopened',
+      entityType: 'pending_checkout',
+      entityId: submissionId,
+      submissionId,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Pending checkout reopened:', submissionId);
+    return pii.decryptPendingRow(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete pending form data (after successful payment or cleanup)
+ * 
+ * @param {string} submissionId - The submission ID to delete
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deletePendingFormData(submissionId) {
+  if (!submissionId) {
+    return false;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      DELETE FROM pending_form_data WHERE submission_id = $1
+      RETURNING *
+    `, [submissionId]);
+    
+    const deleted = result.rowCount > 0;
+    if (deleted) {
+      await recordAudit(client, {
+        action: 'deleted',
+        entityType: 'pending_checkout',
+        entityId: submissionId,
+        submissionId,
+        before: pii.decryptPendingRow(result.rows[0]),
+        after: null
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    if (deleted) {
+      console.log('[Database] Pending form data deleted:', submissionId);
+    }
+    return deleted;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Clean up expired pending form data
+ * Called by the retention enforcer (abandonedCheckouts rule)
+ * 
+ * Deleted rows are counted into checkout_expiry_stats in the same
+ * statement, so abandonment can still be reported once the PII is gone.
+ * 
+ * Rows with a COMPLETE ITN but no paid submission are kept: the save
+ * failed and the ITN still needs to be replayed from the event store.
+ * 
+ * @param {Object} [options] - Cleanup options
+ * @param {number} [options.graceHours=0] - Keep rows this long after expiry (recovery window)
+ * @param {boolean} [options.dryRun=false] - Roll back instead of committing (counts what would go)
+ * @returns {Promise<{deleted: number, abandoned: number, converted: number, heldForReplay: number}>}
+ */
+async function cleanupExpiredPendingData({ graceHours = 0, dryRun = false } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      WITH expired AS (
+        DELETE FROM pending_form_data p
+        WHERE p.expires_at < NOW() - make_interval(hours => $1)
+          AND NOT EXISTS (
+            SELECT 1 FROM itn_events e
+            WHERE e.submission_id = p.submission_id
+              AND e.payment_status = 'COMPLETE'
+              AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.submission_id = p.submission_id)
+          )
+        RETURNING
+          p.submission_id,
+          p.plan_id,
+          p.created_at,
+          EXISTS (SELECT 1 FROM submissions s WHERE s.submission_id = p.submission_id) AS converted
+      ),
+      archived AS (
+        INSERT INTO checkout_expiry_stats (period_date, plan_id, abandoned_count, converted_count)
+        SELECT
+          (created_at AT TIME ZONE 'Africa/Johannesburg')::date,
+          COALESCE(plan_id, 'unknown'),
+          COUNT(*) FILTER (WHERE NOT converted),
+          COUNT(*) FILTER (WHERE converted)
+        FROM expired
+        GROUP BY 1, 2
+        ON CONFLICT (period_date, plan_id) DO UPDATE SET
+          abandoned_count = checkout_expiry_stats.abandoned_count + EXCLUDED.abandoned_count,
+          converted_count = checkout_expiry_stats.converted_count + EXCLUDED.converted_count,
+          updated_at = NOW()
+      )
+      SELECT
+        COUNT(*)::int AS deleted,
+        (COUNT(*) FILTER (WHERE NOT converted))::int AS abandoned,
+        (COUNT(*) FILTER (WHERE converted))::int AS converted,
+        COALESCE(array_agg(submission_id), '{}') AS submission_ids,
+        (
+          -- Statement snapshot predates the DELETE, so match the kept rows directly
+          SELECT COUNT(*)::int FROM pending_form_data p
+          WHERE p.expires_at < NOW() - make_interval(hours => $1)
+            AND EXISTS (
+              SELECT 1 FROM itn_events e
+              WHERE e.submission_id = p.submission_id
+                AND e.payment_status = 'COMPLETE'
+                AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.submission_id = p.submission_id)
+            )
+        ) AS held_for_replay
+      FROM expired
+    `, [graceHours]);
+    
+    const { deleted, abandoned, converted, held_for_replay: heldForReplay, submission_ids: submissionIds } = result.rows[0];
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return { deleted, abandoned, converted, heldForReplay };
+    }
+    
+    if (deleted > 0) {
+      await recordAudit(client, {
+        action: 'expired',
+        entityType: 'pending_checkout',
+        details: { deleted, abandoned, converted, graceHours, submissionIds }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Expired pending data cleaned up:', deleted, 'records');
+    return { deleted, abandoned, converted, heldForReplay };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Report abandoned checkouts per period
+ * 
+ * @param {Object} [options] - Report options
+ * @param {string} [options.period='day'] - day, week or month
+ * @param {string} [options.from] - First date (YYYY-MM-DD), default 30 days ago
+ * @param {string} [options.to] - Last date (YYYY-MM-DD), default today
+ * @returns {Promise<Array<{period: string, abandoned: number, converted: number, by_plan: Object}>>}
+ *   One row per period, oldest first
+ */
+async function getAbandonedCheckoutReport({ period = 'day', from, to } = {}) {
+  if (!['day', 'week', 'month'].includes(period)) {
+    throw new Error('period must be day, week or month');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      WITH per_plan AS (
+        SELECT
+          date_trunc($1, period_date)::date AS period,
+          plan_id,
+          SUM(abandoned_count)::int AS abandoned,
+          SUM(converted_count)::int AS converted
+        FROM checkout_expiry_stats
+        WHERE period_date >= COALESCE($2::date, CURRENT_DATE - 30)
+          AND period_date <= COALESCE($3::date, CURRENT_DATE)
+        GROUP BY 1, 2
+      )
+      SELECT
+        to_char(period, 'YYYY-MM-DD') AS period,
+        SUM(abandoned)::int AS abandoned,
+        SUM(converted)::int AS converted,
+        jsonb_object_agg(plan_id, abandoned) AS by_plan
+      FROM per_plan
+      GROUP BY period
+      ORDER BY period
+    `, [period, from || null, to || null]);
+    
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// PAID SUBMISSIONS OPERATIONS
+// (Only called after payment is COMPLETE)
+// ============================================
+
+/**
+ * Create a paid submission record
+ * 
+ * CRITICAL: This should ONLY be called when payment_status === 'COMPLETE'
+ * This is the ONLY way data enters the submissions table
+ * 
+ * Uses upsert for idempotency (PayFast may retry ITN)
+ * 
+ * @param {Object} params - Submission parameters
+ * @param {string} params.submissionId - Unique submission ID (required)
+ * @param {Object} params.formData - Complete original form data (required)
+ * @param {Object} params.paymentData - Payment data from ITN
+ * @param {string} [params.planId] - ID of the subscribed plan
+ * @param {number|string} [params.recurringAmount] - Recurring amount the checkout was issued with
+ * @returns {Promise<Object>} The created/updated submission
+ */
+async function createPaidSubmission(params) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    const { submission } = await upsertPaidSubmission(client, params);
+    await client.query('COMMIT');
+    
+    console.log('[Database] Paid submission created/updated:', params.submissionId);
+    return submission;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Upsert a paid submission, with its customer, first status transition
+ * and audit entry, inside the caller's transaction
+ * 
+ * @param {Object} client - Connected client (inside a transaction)
+ * @param {Object} params - As for createPaidSubmission()
+ * @returns {Promise<{submission: Object, inserted: boolean}>} The decrypted row, and whether it is new
+ */
+async function upsertPaidSubmission(client, { submissionId, formData, paymentData, planId, recurringAmount }) {
+  if (!submissionId) {
+    throw new Error('submissionId is required');
+  }
+  
+  if (!formData || typeof formData !== 'object') {
+    throw new Error('formData is required and must be an object');
+  }
+  
+  // Extract commonly-queried fields for dedicated columns
+  // (PII columns encrypted, with blind indexes for matching)
+  const coreFields = {
+    submission_id: submissionId,
+    business_name: formData.businessName || null,
+    owner_first_name: pii.encryptColumn('owner_first_name', formData.ownerFirstName),
+    owner_last_name: pii.encryptColumn('owner_last_name', formData.ownerLastName),
+    email: pii.encryptColumn('email', formData.businessEmail),
+    phone: pii.encryptColumn('phone', formData.businessPhone),
+    email_bidx: pii.emailBlindIndex(formData.businessEmail),
+    phone_bidx: pii.phoneBlindIndex(formData.businessPhone),
+    phone_suffix_bidx: pii.phoneSuffixBlindIndexes(formData.businessPhone),
+    last_name_bidx: pii.lastNameBlindIndex(formData.ownerLastName),
+    industry: formData.industry || null,
+    payment_status: 'COMPLETE',
+    payfast_payment_id: paymentData?.pf_payment_id || paymentData?.pfPaymentId || null,
+    subscription_token: pii.encryptColumn('subscription_token', paymentData?.token),
+    amount_gross: paymentData?.amount_gross ? parseFloat(paymentData.amount_gross) : null,
+    amount_net: paymentData?.amount_net ? parseFloat(paymentData.amount_net) : null,
+    plan_id: planId || null,
+    recurring_amount: recurringAmount !== undefined && recurringAmount !== null ? parseFloat(recurringAmount) : null
+  };
+  
+  const existing = await client.query(
+    'SELECT * FROM submissions WHERE submission_id = $1 FOR UPDATE',
+    [submissionId]
+  );
+  
+  // Attach to the customer (a repeat client's earlier row, or a new one)
+  const match = existing.rows[0]?.customer_id
+    ? null
+    : await findOrCreateCustomer(client, customers.identityFromFormData(formData));
+  
+  // Upsert for idempotency (duplicate ITN handling)
+  const result = await client.query(`
+    INSERT INTO submissions (
+      submission_id,
+      business_name,
+      owner_first_name,
+      owner_last_name,
+      email,
+      phone,
+      industry,
+      payment_status,
+      payfast_payment_id,
+      subscription_token,
+      amount_gross,
+      amount_net,
+      form_data,
+      payment_data,
+      plan_id,
+      recurring_amount,
+      email_bidx,
+      phone_bidx,
+      last_name_bidx,
+      pii_key_id,
+      customer_id,
+      phone_suffix_bidx,
+      created_at,
+      updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW(), NOW())
+    ON CONFLICT (submission_id) DO UPDATE SET
+      payment_status = 'COMPLETE',
+      payfast_payment_id = COALESCE(EXCLUDED.payfast_payment_id, submissions.payfast_payment_id),
+      subscription_token = COALESCE(EXCLUDED.subscription_token, submissions.subscription_token),
+      amount_gross = COALESCE(EXCLUDED.amount_gross, submissions.amount_gross),
+      amount_net = COALESCE(EXCLUDED.amount_net, submissions.amount_net),
+      payment_data = COALESCE(EXCLUDED.payment_data, submissions.payment_data),
+      plan_id = COALESCE(submissions.plan_id, EXCLUDED.plan_id),
+      recurring_amount = COALESCE(submissions.recurring_amount, EXCLUDED.recurring_amount),
+      customer_id = COALESCE(submissions.customer_id, EXCLUDED.customer_id),
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) AS inserted
+  `, [
+    coreFields.submission_id,
+    coreFields.business_name,
+    coreFields.owner_first_name,
+    coreFields.owner_last_name,
+    coreFields.email,
+    coreFields.phone,
+    coreFields.industry,
+    coreFields.payment_status,
+    coreFields.payfast_payment_id,
+    coreFields.subscription_token,
+    coreFields.amount_gross,
+    coreFields.amount_net,
+    JSON.stringify(pii.encryptFormData(formData)),
+    JSON.stringify(pii.encryptPaymentData(paymentData || {})),
+    coreFields.plan_id,
+    coreFields.recurring_amount,
+    coreFields.email_bidx,
+    coreFields.phone_bidx,
+    coreFields.last_name_bidx,
+    pii.getActiveKeyId(),
+    match ? match.customer.id : null,
+    coreFields.phone_suffix_bidx
+  ]);
+  
+  // A new subscription starts its free trial - record it as the first transition
+  const { inserted, ...submission } = result.rows[0];
+  if (inserted) {
+    await client.query(`
+      INSERT INTO subscription_status_history (
+        submission_id, from_status, to_status, payment_status, payfast_payment_id, reason
+      ) VALUES ($1, NULL, $2, $3, $4, $5)
+    `, [
+      submissionId,
+      SUBSCRIPTION_STATES.TRIALING,
+      paymentData?.payment_status || null,
+      coreFields.payfast_payment_id,
+      'Subscription created'
+    ]);
+  }
+  
+  // A resent ITN overwrites the payment fields - the diff shows what changed
+  const stored = pii.decryptSubmissionRow(submission);
+  await recordAudit(client, {
+    action: inserted ? 'created' : 'updated',
+    entityType: 'submission',
+    entityId: submissionId,
+    submissionId,
+    before: pii.decryptSubmissionRow(existing.rows[0]) || null,
+    after: stored,
+    details: { payfastPaymentId: coreFields.payfast_payment_id }
+  });
+  
+  return { submission: stored, inserted };
+}
+
+/**
+ * Convert a paid checkout into a submission, exactly once
+ * 
+ * PayFast may deliver the same ITN concurrently. The pending record is
+ * locked, and in one transaction the submission is created, the initial
+ * payment recorded, the emails queued and the pending record deleted. A
+ * second invocation waits for the lock and then finds the submission
+ * already there: it changes nothing and gets { converted: false }.
+ * 
+ * Emails are queued with their dedupe keys and left for the caller to
+ * deliver once committed (see deliverQueuedEmail in utils/email-outbox.js).
+ * 
+ * @param {Object} params - Conversion parameters
+ * @param {string} params.submissionId - The submission ID (required)
+ * @param {Object} params.paymentData - Payment data from the ITN
+ * @param {string} [params.planId] - ID of the subscribed plan
+ * @param {number|string} [params.recurringAmount] - Recurring amount the checkout was issued with
+ * @param {string} [params.paymentType='initial'] - Ledger payment type of this ITN
+ * @param {boolean} [params.allowExpired=false] - Use an expired pending record (replays)
+ * @param {Object} params.fallbackFormData - Form data to store if there is no pending record
+ * @param {Array<Object>} [params.emails] - Emails to queue, as enqueueEmail() params
+ * @returns {Promise<{converted: boolean, submission?: Object, fromPending?: boolean, emails?: Array<Object>}>}
+ */
+async function convertPaidCheckout({ submissionId, paymentData, planId, recurringAmount, paymentType = 'initial', allowExpired = false, fallbackFormData, emails = [] }) {
+  if (!submissionId) {
+    throw new Error('submissionId is required');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Concurrent deliveries of the ITN queue up here
+    const pending = await client.query(`
+      SELECT * FROM pending_form_data
+      WHERE submission_id = $1 AND ($2 OR expires_at > NOW())
+      FOR UPDATE
+    `, [submissionId, allowExpired]);
+    
+    const pendingRecord = pii.decryptPendingRow(pending.rows[0]) || null;
+    const formData = pendingRecord ? pendingRecord.form_data : fallbackFormData;
+    
+    const { submission, inserted } = await upsertPaidSubmission(client, {
+      submissionId,
+      formData,
+      paymentData,
+      planId,
+      recurringAmount
+    });
+    
+    if (!inserted) {
+      await client.query('ROLLBACK');
+      console.log('[Database] Checkout already converted:', submissionId);
+      return { converted: false };
+    }
+    
+    if (paymentData?.pf_payment_id) {
+      await upsertPayment(client, { submissionId, paymentData, paymentType });
+    }
+    
+    const queued = [];
+    for (const email of emails) {
+      const row = await insertOutboxEmail(client, { ...email, submissionId });
+      if (row) {
+        queued.push(row);
+      }
+    }
+    
+    if (pendingRecord) {
+      await client.query('DELETE FROM pending_form_data WHERE id = $1', [pendingRecord.id]);
+      await recordAudit(client, {
+        action: 'deleted',
+        entityType: 'pending_checkout',
+        entityId: submissionId,
+        submissionId,
+        before: pendingRecord,
+        after: null,
+        details: { reason: 'converted' }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Checkout converted:', submissionId, pendingRecord ? '' : '(fallback data)');
+    return { converted: true, submission, fromPending: !!pendingRecord, emails: queued };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check if a submission already exists (for idempotency check)
+ * 
+ * @param {string} submissionId - The submission ID to check
+ * @returns {Promise<boolean>} True if submission exists
+ */
+async function submissionExists(submissionId) {
+  if (!submissionId) {
+    return false;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT 1 FROM submissions WHERE submission_id = $1 LIMIT 1',
+      [submissionId]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find a submission by submission_id
+ * 
+ * @param {string} submissionId - The submission ID to find
+ * @returns {Promise<Object|null>} The submission or null if not found
+ */
+async function findBySubmissionId(submissionId) {
+  if (!submissionId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT * FROM submissions WHERE submission_id = $1',
+      [submissionId]
+    );
+    
+    return pii.decryptSubmissionRow(result.rows[0]) || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find the plan a submission subscribed to
+ * Checks paid submissions first, then pending checkouts (including expired ones)
+ * 
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<string|null>} The plan ID, or null if none was recorded
+ */
+async function findPlanIdForSubmission(submissionId) {
+  if (!submissionId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT plan_id FROM submissions WHERE submission_id = $1 AND plan_id IS NOT NULL
+      UNION ALL
+      SELECT plan_id FROM pending_form_data WHERE submission_id = $1 AND plan_id IS NOT NULL
+      LIMIT 1
+    `, [submissionId]);
+    
+    return result.rows[0]?.plan_id || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Search paid submissions
+ * 
+ * Matches the query against the searchable text (business name, industry,
+ * city, province and the description fields) by full text and by trigram
+ * similarity, so fragments and small misspellings are found too. Encrypted
+ * details can only match exactly: a whole email address, phone number or
+ * owner surname, or the submission ID - except that a phone number is
+ * also found by its last digits (at least 4, e.g. "123 4567"). Exact
+ * matches rank first, then by text rank plus similarity, newest first.
+ * 
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - What to look for (at least 2 characters)
+ * @param {string} [params.subscriptionStatus] - Only subscriptions in this state (see subscription-state.js)
+ * @param {string} [params.from] - Created on or after this SAST date (YYYY-MM-DD)
+ * @param {string} [params.to] - Created on or before this SAST date (YYYY-MM-DD)
+ * @param {number} [params.limit=20] - Page size (max 100)
+ * @param {number} [params.offset=0] - Matches to skip
+ * @returns {Promise<{total: number, results: Array<Object>}>} Matching submissions, decrypted
+ */
+async function searchSubmissions({ query, subscriptionStatus, from, to, limit = 20, offset = 0 } = {}) {
+  const term = String(query || '').trim();
+  if (term.length < 2) {
+    throw new Error('query must be at least 2 characters');
+  }
+  if (subscriptionStatus && !isValidState(subscriptionStatus)) {
+    throw new Error(`Invalid subscription status: ${subscriptionStatus}`);
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const matches = `
+      WITH q AS (
+        SELECT websearch_to_tsquery('simple', $1::text) AS tsq, lower($1::text) AS term
+      )
+      SELECT
+        s.*,
+        (s.submission_id = $1 OR s.email_bidx = $2 OR s.phone_bidx = $3 OR s.last_name_bidx = $4) AS exact_match,
+        ts_rank_cd(s.search_vector, q.tsq) + word_similarity(q.term, s.search_text) AS text_rank
+      FROM submissions s, q
+      WHERE (
+          s.search_vector @@ q.tsq
+          OR q.term <% s.search_text
+          OR s.search_text LIKE '%' || $5 || '%'
+          OR s.submission_id = $1
+          OR s.email_bidx = $2
+          OR s.phone_bidx = $3
+          OR s.last_name_bidx = $4
+          OR ($9::text IS NOT NULL AND s.phone_suffix_bidx @> ARRAY[$9::text])
+        )
+        AND ($6::text IS NULL OR s.subscription_status = $6)
+        AND ($7::date IS NULL OR s.created_at >= $7::date::timestamp AT TIME ZONE 'Africa/Johannesburg')
+        AND ($8::date IS NULL OR s.created_at < ($8::date + 1)::timestamp AT TIME ZONE 'Africa/Johannesburg')
+    `;
+    const params = [
+      term,
+      pii.emailBlindIndex(term),
+      pii.phoneBlindIndex(term),
+      pii.lastNameBlindIndex(term),
+      term.toLowerCase().replace(/[\\%_]/g, '\\$&'),
+      subscriptionStatus || null,
+      from || null,
+      to || null,
+      pii.phoneSuffixSearchIndex(term)
+    ];
+    
+    const count = await client.query(`SELECT COUNT(*)::int AS total FROM (${matches}) m`, params);
+    const page = await client.query(`
+      SELECT
+        submission_id, business_name, owner_first_name, owner_last_name, email, phone,
+        industry, payment_status, subscription_status, plan_id, customer_id, created_at,
+        exact_match, text_rank
+      FROM (${matches}) m
+      ORDER BY exact_match DESC, text_rank DESC, created_at DESC, id DESC
+      LIMIT $10 OFFSET $11
+    `, [...params, Math.min(parseInt(limit, 10) || 20, 100), Math.max(parseInt(offset, 10) || 0, 0)]);
+    
+    return {
+      total: count.rows[0].total,
+      results: page.rows.map(row => pii.decryptSubmissionRow(row))
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// CUSTOMER OPERATIONS
+// (The person behind one or more submissions - see utils/customers.js)
+// ============================================
+
+/**
+ * Find the customer matching an identity, creating one if none does
+ * 
+ * Call inside the transaction that links the submission, so the
+ * customer row stays locked until it commits.
+ * 
+ * @param {Object} client - Connected client (inside a transaction)
+ * @param {Object} identity - From customers.identityFromFormData() or identityFromSubmission()
+ * @returns {Promise<{customer: Object, created: boolean}|null>} The customers row
+ *          (encrypted), or null without an email or phone
+ */
+async function findOrCreateCustomer(client, identity) {
+  if (!identity.emailBidx && !identity.phoneBidx) {
+    return null;
+  }
+  
+  // Email match first, then phone
+  const existing = await client.query(`
+    SELECT * FROM customers
+    WHERE email_bidx = $1 OR phone_bidx = $2
+    ORDER BY CASE WHEN email_bidx = $1 THEN 0 ELSE 1 END, id
+    LIMIT 1
+    FOR UPDATE
+  `, [identity.emailBidx, identity.phoneBidx]);
+  
+  if (existing.rows.length > 0) {
+    const before = existing.rows[0];
+    const result = await client.query(`
+      UPDATE customers SET
+        first_name = COALESCE(first_name, $2),
+        last_name = COALESCE(last_name, $3),
+        email = COALESCE(email, $4),
+        phone = COALESCE(phone, $5),
+        email_bidx = COALESCE(email_bidx, $6),
+        phone_bidx = COALESCE(phone_bidx, $7),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      before.id,
+      pii.encryptCustomerColumn('first_name', identity.firstName),
+      pii.encryptCustomerColumn('last_name', identity.lastName),
+      pii.encryptCustomerColumn('email', identity.email),
+      pii.encryptCustomerColumn('phone', identity.phone),
+      identity.emailBidx,
+      identity.phoneBidx
+    ]);
+    
+    // Only worth an entry when a missing detail was filled in
+    const decryptedBefore = pii.decryptCustomerRow(before);
+    const decryptedAfter = pii.decryptCustomerRow(result.rows[0]);
+    if (Object.keys(audit.diffRecords(decryptedBefore, decryptedAfter)).length > 0) {
+      await recordAudit(client, {
+        action: 'updated',
+        entityType: 'customer',
+        entityId: before.id,
+        before: decryptedBefore,
+        after: decryptedAfter
+      });
+    }
+    return { customer: result.rows[0], created: false };
+  }
+  
+  // A concurrent checkout may have just created the same customer
+  const result = await client.query(`
+    INSERT INTO customers (first_name, last_name, email, phone, email_bidx, phone_bidx, pii_key_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (email_bidx) DO UPDATE SET updated_at = NOW()
+    RETURNING *, (xmax = 0) AS inserted
+  `, [
+    pii.encryptCustomerColumn('first_name', identity.firstName),
+    pii.encryptCustomerColumn('last_name', identity.lastName),
+    pii.encryptCustomerColumn('email', identity.email),
+    pii.encryptCustomerColumn('phone', identity.phone),
+    identity.emailBidx,
+    identity.phoneBidx,
+    pii.getActiveKeyId()
+  ]);
+  
+  const { inserted, ...customer } = result.rows[0];
+  if (inserted) {
+    await recordAudit(client, {
+      action: 'created',
+      entityType: 'customer',
+      entityId: customer.id,
+      after: pii.decryptCustomerRow(customer)
+    });
+  }
+  return { customer, created: inserted };
+}
+
+/**
+ * Get a customer with all their submissions
+ * 
+ * @param {number|string} customerId - The customer's ID
+ * @returns {Promise<Object|null>} The customer with a submissions array, or null
+ */
+async function getCustomer(customerId) {
+  if (!customerId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const customer = await client.query('SELECT * FROM customers WHERE id = $1', [customerId]);
+    if (customer.rows.length === 0) {
+      return null;
+    }
+    
+    const submissions = await client.query(`
+      SELECT submission_id, business_name, plan_id, recurring_amount, subscription_status,
+             payfast_payment_id, created_at
+      FROM submissions
+      WHERE customer_id = $1
+      ORDER BY created_at
+    `, [customerId]);
+    
+    return { ...pii.decryptCustomerRow(customer.rows[0]), submissions: submissions.rows };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link submissions paid before customers existed to their customer
+ * 
+ * Works in batches; call until done. Submissions without an email or
+ * phone (erased ones) are left unlinked.
+ * 
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=50] - Submissions per batch
+ * @returns {Promise<{linked: number, created: number, done: boolean}>}
+ */
+async function backfillCustomers({ limit = 50 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const rows = await client.query(`
+      SELECT id, submission_id, ${pii.SUBMISSION_PII_COLUMNS.join(', ')}
+      FROM submissions
+      WHERE customer_id IS NULL
+        AND erased_at IS NULL
+        AND (email IS NOT NULL OR phone IS NOT NULL)
+      ORDER BY created_at, id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [limit]);
+    
+    let linked = 0;
+    let created = 0;
+    for (const row of rows.rows) {
+      const match = await findOrCreateCustomer(client, customers.identityFromSubmission(pii.decryptSubmissionRow(row)));
+      if (!match) {
+        continue;
+      }
+      const customer = match.customer;
+      created += match.created ? 1 : 0;
+      
+      await client.query('UPDATE submissions SET customer_id = $2 WHERE id = $1', [row.id, customer.id]);
+      await recordAudit(client, {
+        action: 'customer_linked',
+        entityType: 'submission',
+        entityId: row.submission_id,
+        submissionId: row.submission_id,
+        before: { customer_id: null },
+        after: { customer_id: customer.id }
+      });
+      linked++;
+    }
+    
+    await client.query('COMMIT');
+    
+    const result = { linked, created, done: rows.rows.length < limit };
+    if (linked > 0) {
+      console.log('[Database] Customers backfilled:', JSON.stringify(result));
+    }
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// CHECKOUT REQUEST OPERATIONS
+// (What was sent to PayFast for each m_payment_id)
+// ============================================
+
+/**
+ * Record the amounts and merchant issued to PayFast for a checkout
+ * Called from payfast-redirect; a retried checkout replaces the earlier values
+ * 
+ * @param {Object} params - Checkout parameters
+ * @param {string} params.mPaymentId - The m_payment_id sent to PayFast (required)
+ * @param {string} params.planId - The plan ID (required)
+ * @param {string} params.merchantId - The merchant_id sent to PayFast (required)
+ * @param {string} params.amount - Initial amount
+ * @param {string} params.recurringAmount - Recurring amount
+ * @param {string} params.frequency - PayFast frequency code
+ * @param {string} params.cycles - Number of cycles
+ * @returns {Promise<Object>} The stored checkout request
+ */
+async function recordCheckoutRequest({ mPaymentId, planId, merchantId, amount, recurringAmount, frequency, cycles }) {
+  if (!mPaymentId || !planId || !merchantId) {
+    throw new Error('mPaymentId, planId and merchantId are required');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      'SELECT * FROM checkout_requests WHERE m_payment_id = $1 FOR UPDATE',
+      [mPaymentId]
+    );
+    
+    const result = await client.query(`
+      INSERT INTO checkout_requests (
+        m_payment_id, plan_id, merchant_id, amount, recurring_amount, frequency, cycles
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (m_payment_id) DO UPDATE SET
+        plan_id = EXCLUDED.plan_id,
+        merchant_id = EXCLUDED.merchant_id,
+        amount = EXCLUDED.amount,
+        recurring_amount = EXCLUDED.recurring_amount,
+        frequency = EXCLUDED.frequency,
+        cycles = EXCLUDED.cycles,
+        issued_at = NOW()
+      RETURNING *
+    `, [mPaymentId, planId, merchantId, amount, recurringAmount || null, frequency || null, cycles || null]);
+    
+    await recordAudit(client, {
+      action: existing.rows.length ? 'updated' : 'created',
+      entityType: 'checkout_request',
+      entityId: mPaymentId,
+      submissionId: mPaymentId,
+      before: existing.rows[0] || null,
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Checkout request recorded:', mPaymentId);
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get what was issued to PayFast for an m_payment_id
+ * 
+ * @param {string} mPaymentId - The m_payment_id
+ * @returns {Promise<Object|null>} The checkout request or null if none was recorded
+ */
+async function getCheckoutRequest(mPaymentId) {
+  if (!mPaymentId) {
+    return null;
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT * FROM checkout_requests WHERE m_payment_id = $1',
+      [mPaymentId]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// ITN QUARANTINE OPERATIONS
+// (ITNs held back for manual review)
+// ============================================
+
+/**
+ * Hold an ITN for manual review
+ * 
+ * @param {Object} params - Quarantine parameters
+ * @param {Object} params.itnData - The full ITN data (required)
+ * @param {Array<string>} params.reasons - Why the ITN was held (required)
+ * @param {Object} params.expected - What was expected instead
+ * @returns {Promise<{entry: Object, inserted: boolean}>} inserted is false for a resent ITN
+ */
+async function quarantineItn({ itnData, reasons, expected }) {
+  if (!itnData || !Array.isArray(reasons) || reasons.length === 0) {
+    throw new Error('itnData and at least one reason are required');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      'SELECT * FROM itn_quarantine WHERE pf_payment_id = $1 FOR UPDATE',
+      [itnData.pf_payment_id || null]
+    );
+    
+    const result = await client.query(`
+      INSERT INTO itn_quarantine (
+        submission_id, m_payment_id, pf_payment_id, reasons, expected, itn_data, email_bidx, pii_key_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (pf_payment_id) DO UPDATE SET
+        itn_data = EXCLUDED.itn_data,
+        email_bidx = EXCLUDED.email_bidx,
+        pii_key_id = EXCLUDED.pii_key_id
+      RETURNING *, (xmax = 0) AS inserted
+    `, [
+      itnData.custom_str1 || null,
+      itnData.m_payment_id || null,
+      itnData.pf_payment_id || null,
+      JSON.stringify(reasons),
+      JSON.stringify(expected || {}),
+      JSON.stringify(pii.encryptItnData('itn_quarantine', itnData)),
+      pii.emailBlindIndex(itnData.email_address),
+      pii.getActiveKeyId()
+    ]);
+    
+    const { inserted, ...stored } = result.rows[0];
+    const entry = pii.decryptItnRow('itn_quarantine', stored);
+    await recordAudit(client, {
+      action: inserted ? 'quarantined' : 'resent',
+      entityType: 'itn_quarantine',
+      entityId: entry.id,
+      submissionId: entry.submission_id,
+      before: existing.rows[0] || null,
+      after: stored
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] ITN quarantined:', entry.id, inserted ? '(new)' : '(resent)');
+    return { entry, inserted };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List quarantined ITNs
+ * 
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - open, released or rejected
+ * @param {number} [filters.limit=50] - Maximum rows
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function listQuarantinedItns({ status, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT * FROM itn_quarantine
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [status || null, Math.min(parseInt(limit, 10) || 50, 500)]);
+    
+    return result.rows.map(row => pii.decryptItnRow('itn_quarantine', row));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the quarantine entry for a PayFast payment
+ * 
+ * @param {string} pfPaymentId - PayFast payment ID
+ * @returns {Promise<Object|null>} The entry, or null if the payment was never quarantined
+ */
+async function getQuarantinedItn(pfPaymentId) {
+  if (!pfPaymentId) return null;
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT * FROM itn_quarantine WHERE pf_payment_id = $1',
+      [pfPaymentId]
+    );
+    return result.rows[0] ? pii.decryptItnRow('itn_quarantine', result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the outcome of a manual review
+ * 
+ * @param {number} id - Quarantine entry ID
+ * @param {Object} review - Review details
+ * @param {string} review.status - 'released' or 'rejected'
+ * @param {string} review.reviewedBy - Who reviewed it
+ * @param {string} [review.note] - Review note
+ * @returns {Promise<Object|null>} The updated entry, or null if not found or already reviewed
+ */
+async function resolveQuarantinedItn(id, { status, reviewedBy, note }) {
+  if (status !== 'released' && status !== 'rejected') {
+    throw new Error('status must be "released" or "rejected"');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      `SELECT * FROM itn_quarantine WHERE id = $1 AND status = 'open' FOR UPDATE`,
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const result = await client.query(`
+      UPDATE itn_quarantine SET
+        status = $2,
+        reviewed_by = $3,
+        review_note = $4,
+        reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, reviewedBy || null, note || null]);
+    
+    await recordAudit(client, {
+      action: status,
+      entityType: 'itn_quarantine',
+      entityId: id,
+      submissionId: result.rows[0].submission_id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    return pii.decryptItnRow('itn_quarantine', result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// ITN EVENT STORE OPERATIONS
+// (Append-only: events and results are never updated)
+// ============================================
+
+/**
+ * Store an ITN exactly as received
+ * 
+ * Called before any parsing or validation, so even ITNs that fail
+ * signature checks are kept.
+ * 
+ * @param {Object} params - Event parameters
+ * @param {string} params.rawBody - Request body, unmodified
+ * @param {Object} [params.headers] - Request headers
+ * @param {string} [params.sourceIp] - Client IP address
+ * @returns {Promise<Object>} The stored event
+ */
+async function recordItnEvent({ rawBody, headers, sourceIp }) {
+  const fields = new URLSearchParams(rawBody || '');
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      INSERT INTO itn_events (
+        raw_body,
+        headers,
+        source_ip,
+        pf_payment_id,
+        m_payment_id,
+        submission_id,
+        payment_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      rawBody || '',
+      JSON.stringify(headers || {}),
+      sourceIp || null,
+      fields.get('pf_payment_id'),
+      fields.get('m_payment_id'),
+      fields.get('custom_str1'),
+      fields.get('payment_status')
+    ]);
+    
+    const stored = result.rows[0];
+    await recordAudit(client, {
+      action: 'received',
+      entityType: 'itn_event',
+      entityId: stored.id,
+      submissionId: stored.submission_id,
+      details: { pfPaymentId: stored.pf_payment_id, paymentStatus: stored.payment_status, sourceIp: stored.source_ip }
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] ITN event stored:', stored.id);
+    return stored;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the outcome of processing a stored ITN
+ * 
+ * @param {number} eventId - The ITN event ID
+ * @param {Object} outcome - Processing outcome
+ * @param {string} outcome.validation - How far the ITN got through validation
+ * @param {Object} outcome.result - The processing result
+ * @param {string} [outcome.replayedBy] - Admin user, when this was a replay
+ * @returns {Promise<Object>} The stored result
+ */
+async function recordItnEventResult(eventId, { validation, result, replayedBy }) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const inserted = await client.query(`
+      INSERT INTO itn_event_results (
+        event_id,
+        validation_outcome,
+        processing_result,
+        is_replay,
+        replayed_by
+      ) VALUES ($1, $2, $3, $4, $5)
+      RETURNING *, (SELECT submission_id FROM itn_events WHERE id = $1) AS submission_id
+    `, [
+      eventId,
+      validation,
+      JSON.stringify(result || {}),
+      !!replayedBy,
+      replayedBy || null
+    ]);
+    
+    const { submission_id: submissionId, ...stored } = inserted.rows[0];
+    await recordAudit(client, {
+      action: replayedBy ? 'replayed' : 'processed',
+      entityType: 'itn_event',
+      entityId: eventId,
+      submissionId,
+      details: { resultId: stored.id, validation }
+    });
+    
+    await client.query('COMMIT');
+    return stored;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a stored ITN event with every processing result
+ * 
+ * @param {number} eventId - The ITN event ID
+ * @returns {Promise<Object|null>} The event with a `results` array (oldest first), or null
+ */
+async function getItnEvent(eventId) {
+  const client = await getPool().connect();
+  
+  try {
+    const eventResult = await client.query(
+      `SELECT * FROM itn_events WHERE id = $1`,
+      [eventId]
+    );
+    
+    if (eventResult.rows.length === 0) {
+      return null;
+    }
+    
+    const results = await client.query(`
+      SELECT * FROM itn_event_results
+      WHERE event_id = $1
+      ORDER BY recorded_at ASC, id ASC
+    `, [eventId]);
+    
+    return { ...eventResult.rows[0], results: results.rows };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List stored ITN events with their latest processing result
+ * 
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.submissionId] - Only events for this submission
+ * @param {string} [filters.pfPaymentId] - Only events for this PayFast payment
+ * @param {string} [filters.validation] - Only events whose latest outcome matches
+ * @param {number} [filters.limit=50] - Maximum rows
+ * @returns {Promise<Array<Object>>} Events, newest first
+ */
+async function listItnEvents({ submissionId, pfPaymentId, validation, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT e.id, e.pf_payment_id, e.m_payment_id, e.submission_id,
+             e.payment_status, e.source_ip, e.received_at,
+             latest.validation_outcome, latest.processing_result,
+             latest.is_replay, latest.recorded_at AS processed_at
+      FROM itn_events e
+      LEFT JOIN LATERAL (
+        SELECT * FROM itn_event_results r
+        WHERE r.event_id = e.id
+        ORDER BY r.recorded_at DESC, r.id DESC
+        LIMIT 1
+      ) latest ON TRUE
+      WHERE ($1::text IS NULL OR e.submission_id = $1)
+        AND ($2::text IS NULL OR e.pf_payment_id = $2)
+        AND ($3::text IS NULL OR latest.validation_outcome = $3)
+      ORDER BY e.received_at DESC, e.id DESC
+      LIMIT $4
+    `, [submissionId || null, pfPaymentId || null, validation || null, Math.min(parseInt(limit, 10) || 50, 500)]);
+    
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// EMAIL OUTBOX OPERATIONS
+// (Rendered emails, delivered and retried by utils/email-outbox.js)
+// ============================================
+
+/**
+ * Add a rendered email to the outbox
+ * 
+ * @param {Object} params - Email parameters
+ * @param {string} params.kind - Email kind (owner_notification, welcome, quarantine_alert)
+ * @param {string} [params.submissionId] - Related submission
+ * @param {Object} params.email - Rendered email { to, subject, textBody, htmlBody, attachments? }
+ * @param {Date} [params.nextAttemptAt] - When the worker may first pick it up
+ * @param {string} [params.dedupeKey] - Queue this email at most once (e.g. 'welcome:<submissionId>')
+ * @returns {Promise<Object|null>} The outbox row (null if dedupeKey was already queued)
+ */
+async function enqueueEmail(params) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    const queued = await insertOutboxEmail(client, params);
+    await client.query('COMMIT');
+    return queued;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Insert an outbox email and its audit entry inside the caller's
+ * transaction (see enqueueEmail)
+ */
+async function insertOutboxEmail(client, { kind, submissionId, email, nextAttemptAt, dedupeKey }) {
+  if (!kind) {
+    throw new Error('kind is required');
+  }
+  if (!email?.to) {
+    throw new Error('email.to is required');
+  }
+  
+  // A dedupe key already in the outbox means this email was queued before
+  const result = await client.query(`
+    INSERT INTO email_outbox (
+      kind,
+      submission_id,
+      to_address,
+      subject,
+      text_body,
+      html_body,
+      attachments,
+      next_attempt_at,
+      dedupe_key,
+      to_address_bidx,
+      pii_key_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9, $10, $11)
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING *
+  `, [
+    kind,
+    submissionId || null,
+    pii.encryptOutboxColumn('to_address', email.to),
+    pii.encryptOutboxColumn('subject', email.subject || ''),
+    pii.encryptOutboxColumn('text_body', email.textBody || ''),
+    pii.encryptOutboxColumn('html_body', email.htmlBody || ''),
+    email.attachments?.length ? JSON.stringify(pii.encryptOutboxColumn('attachments', email.attachments)) : null,
+    nextAttemptAt || null,
+    dedupeKey || null,
+    pii.emailBlindIndex(email.to),
+    pii.getActiveKeyId()
+  ]);
+  
+  if (result.rows.length === 0) {
+    console.log('[Database] Email already queued:', dedupeKey);
+    return null;
+  }
+  
+  await recordAudit(client, {
+    action: 'queued',
+    entityType: 'email',
+    entityId: result.rows[0].id,
+    submissionId,
+    details: { kind }
+  });
+  
+  console.log('[Database] Email queued:', result.rows[0].id, kind);
+  return pii.decryptOutboxRow(result.rows[0]);
+}
+
+/**
+ * Claim pending emails that are due for delivery
+ * 
+ * Claimed rows have next_attempt_at pushed forward by the lease, so a
+ * concurrent worker run skips them until this one records the attempt.
+ * 
+ * @param {Object} [options] - Claim options
+ * @param {number} [options.limit=20] - Maximum emails to claim
+ * @param {number} [options.leaseSeconds=300] - How long the claim lasts
+ * @returns {Promise<Array<Object>>} Claimed outbox rows, oldest due first
+ */
+async function claimDueEmails({ limit = 20, leaseSeconds = 300 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      UPDATE email_outbox SET
+        next_attempt_at = NOW() + make_interval(secs => $2),
+        updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, leaseSeconds]);
+    
+    if (result.rows.length > 0) {
+      await recordAudit(client, {
+        action: 'claimed',
+        entityType: 'email',
+        details: { ids: result.rows.map(row => row.id), leaseSeconds }
+      });
+    }
+    
+    await client.query('COMMIT');
+    return result.rows.map(pii.decryptOutboxRow);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a delivery attempt
+ * 
+ * @param {number} id - Outbox email ID
+ * @param {Object} attempt - Attempt outcome
+ * @param {boolean} attempt.sent - Whether the provider accepted the email
+ * @param {string} [attempt.error] - Failure reason
+ * @param {Date|null} [attempt.nextAttemptAt] - Next retry; null moves a failed email to dead
+ * @param {string} [attempt.provider] - Provider that accepted the email
+ * @param {string} [attempt.providerMessageId] - Message ID the provider returned
+ * @returns {Promise<Object|null>} The updated row
+ */
+async function recordEmailAttempt(id, { sent, error, nextAttemptAt, provider, providerMessageId }) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query('SELECT * FROM email_outbox WHERE id = $1 FOR UPDATE', [id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const result = await client.query(`
+      UPDATE email_outbox SET
+        attempts = attempts + 1,
+        status = CASE
+          WHEN $2 THEN 'sent'
+          WHEN $4::timestamptz IS NULL THEN 'dead'
+          ELSE 'pending'
+        END,
+        last_error = CASE WHEN $2 THEN last_error ELSE $3 END,
+        next_attempt_at = CASE WHEN $2 THEN next_attempt_at ELSE $4 END,
+        sent_at = CASE WHEN $2 THEN NOW() ELSE sent_at END,
+        provider = CASE WHEN $2 THEN $5 ELSE provider END,
+        provider_message_id = CASE WHEN $2 THEN $6 ELSE provider_message_id END,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, !!sent, error || null, nextAttemptAt || null, provider || null, providerMessageId || null]);
+    
+    const updated = result.rows[0];
+    await recordAudit(client, {
+      action: sent ? 'sent' : (updated.status === 'dead' ? 'dead' : 'failed'),
+      entityType: 'email',
+      entityId: id,
+      submissionId: updated.submission_id,
+      before: existing.rows[0],
+      after: updated
+    });
+    
+    await client.query('COMMIT');
+    return pii.decryptOutboxRow(updated);
+  } catch (queryError) {
+    await client.query('ROLLBACK');
+    throw queryError;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List outbox emails (without bodies)
+ * 
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - pending, sent or dead
+ * @param {number} [filters.limit=50] - Maximum rows
+ * @returns {Promise<Array<Object>>} Emails, newest first
+ */
+async function listOutboxEmails({ status, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT id, kind, submission_id, to_address, subject, status, attempts,
+             last_error, next_attempt_at, sent_at, provider, created_at, updated_at
+      FROM email_outbox
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [status || null, Math.min(parseInt(limit, 10) || 50, 500)]);
+    
+    return result.rows.map(pii.decryptOutboxRow);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a single outbox email, including its bodies
+ * 
+ * @param {number} id - Outbox email ID
+ * @returns {Promise<Object|null>} The outbox row
+ */
+async function getOutboxEmail(id) {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT * FROM email_outbox WHERE id = $1`,
+      [id]
+    );
+    return pii.decryptOutboxRow(result.rows[0] || null);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Count outbox emails by status
+ * 
+ * @returns {Promise<Object>} e.g. { pending: 2, sent: 140, dead: 1 }
+ */
+async function countOutboxEmails() {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT status, COUNT(*)::int AS count FROM email_outbox GROUP BY status
+    `);
+    
+    const counts = { pending: 0, sent: 0, dead: 0 };
+    result.rows.forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Move a dead email back to pending for another round of retries
+ * 
+ * @param {number} id - Outbox email ID
+ * @returns {Promise<Object|null>} The updated row, or null if not found or not dead
+ */
+async function requeueDeadEmail(id) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const existing = await client.query(
+      `SELECT * FROM email_outbox WHERE id = $1 AND status = 'dead' FOR UPDATE`,
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const result = await client.query(`
+      UPDATE email_outbox SET
+        status = 'pending',
+        attempts = 0,
+        next_attempt_at = NOW(),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+    
+    await recordAudit(client, {
+      action: 'requeued',
+      entityType: 'email',
+      entityId: id,
+      submissionId: result.rows[0].submission_id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+    
+    await client.query('COMMIT');
+    return pii.decryptOutboxRow(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// EMAIL EVENT OPERATIONS
+// (Delivery webhooks from the email providers)
+// ============================================
+
+/**
+ * Record a delivery event for an email the outbox sent
+ * 
+ * Matched to the outbox email by provider and message ID. A hard bounce
+ * or complaint about an email sent to the customer also marks the
+ * customer's address (see customerEmailStatus in utils/email-events.js).
+ * Events already recorded (providers retry webhooks) change nothing.
+ * 
+ * @param {Object} params - Event from parseWebhookEvents(), plus the provider
+ * @param {string} params.provider - Provider name
+ * @param {string} params.providerEventId - The provider's ID for the event
+ * @param {string} params.providerMessageId - The provider's ID for the email
+ * @param {string} params.type - delivered, bounced, complained or opened
+ * @param {string|null} [params.bounceType] - hard or soft
+ * @param {string|null} [params.detail] - Bounce or complaint reason
+ * @param {Date|null} [params.occurredAt] - When it happened
+ * @returns {Promise<{duplicate: boolean, event: Object|null, email: Object|null, customerId: number|null, customerStatus: string|null}>}
+ *   email is the matched outbox email (without bodies), or null if none matched
+ */
+async function recordEmailEvent({ provider, providerEventId, providerMessageId, type, bounceType = null, detail = null, occurredAt = null }) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const emails = await client.query(`
+      SELECT e.id, e.kind, e.submission_id, e.to_address, s.customer_id
+      FROM email_outbox e
+      LEFT JOIN submissions s ON s.submission_id = e.submission_id
+      WHERE e.provider = $1 AND TRIM(BOTH '<>' FROM e.provider_message_id) = $2
+      ORDER BY e.id DESC
+      LIMIT 1
+    `, [provider, providerMessageId]);
+    const email = pii.decryptOutboxRow(emails.rows[0] || null);
+    
+    const inserted = await client.query(`
+      INSERT INTO email_events (
+        provider, provider_event_id, provider_message_id, email_outbox_id, submission_id,
+        event_type, bounce_type, detail, occurred_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (provider, provider_event_id) DO NOTHING
+      RETURNING *
+    `, [
+      provider,
+      providerEventId,
+      providerMessageId,
+      email ? email.id : null,
+      email ? email.submission_id : null,
+      type,
+      bounceType,
+      detail,
+      occurredAt
+    ]);
+    
+    if (inserted.rows.length === 0) {
+      await client.query('COMMIT');
+      return { duplicate: true, event: null, email, customerId: null, customerStatus: null };
+    }
+    
+    const event = inserted.rows[0];
+    await recordAudit(client, {
+      action: 'recorded',
+      entityType: 'email_event',
+      entityId: event.id,
+      submissionId: event.submission_id,
+      details: { provider, type, bounceType, emailId: event.email_outbox_id }
+    });
+    
+    // ----------------------------------------
+    // Mark the customer's address
+    // ----------------------------------------
+    const customerId = email ? email.customer_id : null;
+    const customerStatus = email && customerId ? emailEvents.customerEmailStatus({ type, bounceType }, email.kind) : null;
+    
+    if (customerStatus) {
+      const updated = await client.query(`
+        UPDATE customers SET
+          email_status = $2,
+          email_status_reason = $3,
+          email_status_at = NOW(),
+          updated_at = NOW()
+        WHERE id = $1 AND erased_at IS NULL
+        RETURNING id
+      `, [customerId, customerStatus, detail]);
+      
+      if (updated.rows.length > 0) {
+        await recordAudit(client, {
+          action: 'email_flagged',
+          entityType: 'customer',
+          entityId: customerId,
+          submissionId: event.submission_id,
+          details: { emailStatus: customerStatus, emailEventId: event.id }
+        });
+      }
+    }
+    
+    await client.query('COMMIT');
+    return { duplicate: false, event, email, customerId, customerStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delivery events for one outbox email or all of a submission's emails
+ * 
+ * @param {Object} filters - One of the two
+ * @param {number} [filters.emailId] - Outbox email ID
+ * @param {string} [filters.submissionId] - Submission ID
+ * @returns {Promise<Array<Object>>} Events with their email's kind, oldest first
+ */
+async function getEmailEvents({ emailId, submissionId } = {}) {
+  if (!emailId && !submissionId) {
+    throw new Error('emailId or submissionId is required');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT ev.*, e.kind AS email_kind
+      FROM email_events ev
+      LEFT JOIN email_outbox e ON e.id = ev.email_outbox_id
+      WHERE ($1::bigint IS NULL OR ev.email_outbox_id = $1)
+        AND ($2::text IS NULL OR ev.submission_id = $2)
+      ORDER BY COALESCE(ev.occurred_at, ev.created_at), ev.id
+    `, [emailId || null, submissionId || null]);
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// CHECKOUT RECOVERY OPERATIONS
+// (Abandoned checkouts, before the pending row is purged)
+// ============================================
+
+/**
+ * Claim expired checkouts that are due a recovery email
+ * 
+ * Eligible: expired but still inside the recovery window, under the
+ * per-checkout cap, not emailed within the interval, the newest checkout
+ * for its address, and the address has not paid or opted out.
+ * Claiming increments recovery_emails_sent, so the cap holds even if
+ * the email later fails.
+ * 
+ * @param {Object} options - Recovery limits
+ * @param {number} options.maxEmails - Recovery emails per checkout
+ * @param {number} options.intervalHours - Minimum hours between emails for a checkout
+ * @param {number} options.windowHours - How long after expiry a checkout is recoverable
+ * @param {number} [options.limit=25] - Maximum checkouts per run
+ * @returns {Promise<Array<Object>>} Claimed pending records
+ */
+async function claimRecoveryCandidates({ maxEmails, intervalHours, windowHours, limit = 25 }) {
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      UPDATE pending_form_data SET
+        recovery_emails_sent = recovery_emails_sent + 1,
+        last_recovery_email_at = NOW()
+      WHERE id IN (
+        SELECT c.id FROM pending_form_data c
+        WHERE c.expires_at < NOW()
+          AND c.expires_at > NOW() - make_interval(hours => $3)
+          AND c.recovery_emails_sent < $1
+          AND (c.last_recovery_email_at IS NULL
+               OR c.last_recovery_email_at < NOW() - make_interval(hours => $2))
+          -- Addresses are matched by blind index (rows not yet
+          -- re-encrypted have none and wait for the pii-reencryption job)
+          AND c.email_bidx IS NOT NULL
+          -- Only the newest checkout per address
+          AND NOT EXISTS (
+            SELECT 1 FROM pending_form_data newer
+            WHERE newer.email_bidx = c.email_bidx
+              AND newer.created_at > c.created_at
+          )
+          -- Already paid (this checkout or another with the same address)
+          AND NOT EXISTS (
+            SELECT 1 FROM submissions s
+            WHERE s.submission_id = c.submission_id
+               OR s.email_bidx = c.email_bidx
+          )
+          -- Paid but not yet saved (awaiting ITN replay)
+          AND NOT EXISTS (
+            SELECT 1 FROM itn_events e
+            WHERE e.submission_id = c.submission_id AND e.payment_status = 'COMPLETE'
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM email_opt_outs o
+            WHERE o.email_bidx = c.email_bidx
+          )
+        ORDER BY c.expires_at
+        LIMIT $4
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [maxEmails, intervalHours, windowHours, limit]);
+    
+    for (const row of result.rows) {
+      await recordAudit(client, {
+        action: 'recovery_claimed',
+        entityType: 'pending_checkout',
+        entityId: row.submission_id,
+        submissionId: row.submission_id,
+        details: { recoveryEmailsSent: row.recovery_emails_sent }
+      });
+    }
+    
+    await client.query('COMMIT');
+    return result.rows.map(pii.decryptPendingRow);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record that an address opted out of recovery emails
+ * 
+ * @param {string} email - Email address
+ * @param {string} source - Where the opt-out came from (e.g. 'recovery_email')
+ * @returns {Promise<boolean>} True if newly opted out
+ */
+async function recordEmailOptOut(email, source) {
+  const emailBidx = pii.emailBlindIndex(email);
+  if (!emailBidx) {
+    throw new Error('email is required');
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Only the blind index is stored - enough to match, not to read back
+    const result = await client.query(`
+      INSERT INTO email_opt_outs (email_bidx, source)
+      VALUES ($1, $2)
+      ON CONFLICT (email_bidx) DO NOTHING
+      RETURNING id
+    `, [emailBidx, source]);
+    
+    if (result.rowCount > 0) {
+      await recordAudit(client, {
+        action: 'opted_out',
+        entityType: 'email_opt_out',
+        entityId: result.rows[0].id,
+        details: { source }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Email opt-out recorded', result.rowCount > 0 ? '(new)' : '(existing)');
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// PII RE-ENCRYPTION OPERATIONS
+// (Key rotation and encryption of legacy plaintext rows)
+// ============================================
+
+/**
+ * Re-encrypt one batch of rows not yet under the active key
+ * 
+ * Picks pending checkouts, submissions, customers, payments, quarantined
+ * ITNs and outbox emails whose pii_key_id is not the active key (NULL =
+ * legacy plaintext), decrypts them with whichever key they used, encrypts
+ * them with the active key and recomputes the blind indexes. Legacy
+ * plaintext opt-outs are converted to blind indexes.
+ * Rows are locked (SKIP LOCKED), so concurrent runs share the work.
+ * 
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.limit=50] - Maximum rows per table
+ * @returns {Promise<{keyId: string, pending: number, submissions: number, customers: number, payments: number, quarantinedItns: number, emails: number, optOuts: number, done: boolean}>}
+ *   done is true once a batch found nothing left to convert
+ * @throws {Error} If a row was encrypted with a key no longer in PII_ENCRYPTION_KEYS
+ */
+async function reencryptPii({ limit = 50 } = {}) {
+  const keyId = pii.getActiveKeyId();
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // ----------------------------------------
+    // Pending checkouts
+    // ----------------------------------------
+    const pendingRows = await client.query(`
+      SELECT id, submission_id, form_data FROM pending_form_data
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of pendingRows.rows) {
+      const formData = pii.decryptFormData(row.form_data);
+      await client.query(`
+        UPDATE pending_form_data SET form_data = $2, email_bidx = $3, pii_key_id = $4
+        WHERE id = $1
+      `, [row.id, JSON.stringify(pii.encryptFormData(formData)), pii.emailBlindIndex(formData.businessEmail), keyId]);
+    }
+    
+    // ----------------------------------------
+    // Paid submissions
+    // ----------------------------------------
+    const submissionRows = await client.query(`
+      SELECT id, submission_id, form_data, payment_data, ${pii.SUBMISSION_PII_COLUMNS.join(', ')}
+      FROM submissions
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of submissionRows.rows) {
+      const submission = pii.decryptSubmissionRow(row);
+      await client.query(`
+        UPDATE submissions SET
+          form_data = $2,
+          payment_data = $3,
+          owner_first_name = $4,
+          owner_last_name = $5,
+          email = $6,
+          phone = $7,
+          subscription_token = $8,
+          email_bidx = $9,
+          phone_bidx = $10,
+          last_name_bidx = $11,
+          pii_key_id = $12,
+          phone_suffix_bidx = $13
+        WHERE id = $1
+      `, [
+        row.id,
+        JSON.stringify(pii.encryptFormData(submission.form_data)),
+        JSON.stringify(pii.encryptPaymentData(submission.payment_data || {})),
+        pii.encryptColumn('owner_first_name', submission.owner_first_name),
+        pii.encryptColumn('owner_last_name', submission.owner_last_name),
+        pii.encryptColumn('email', submission.email),
+        pii.encryptColumn('phone', submission.phone),
+        pii.encryptColumn('subscription_token', submission.subscription_token),
+        pii.emailBlindIndex(submission.email),
+        pii.phoneBlindIndex(submission.phone),
+        pii.lastNameBlindIndex(submission.owner_last_name),
+        keyId,
+        pii.phoneSuffixBlindIndexes(submission.phone)
+      ]);
+    }
+    
+    // ----------------------------------------
+    // Customers
+    // ----------------------------------------
+    const customerRows = await client.query(`
+      SELECT id, ${pii.CUSTOMER_PII_COLUMNS.join(', ')}
+      FROM customers
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of customerRows.rows) {
+      const customer = pii.decryptCustomerRow(row);
+      await client.query(`
+        UPDATE customers SET first_name = $2, last_name = $3, email = $4, phone = $5, pii_key_id = $6
+        WHERE id = $1
+      `, [
+        row.id,
+        pii.encryptCustomerColumn('first_name', customer.first_name),
+        pii.encryptCustomerColumn('last_name', customer.last_name),
+        pii.encryptCustomerColumn('email', customer.email),
+        pii.encryptCustomerColumn('phone', customer.phone),
+        keyId
+      ]);
+    }
+    
+    // ----------------------------------------
+    // ITN copies: payments ledger and quarantine
+    // ----------------------------------------
+    const paymentRows = await client.query(`
+      SELECT id, itn_data FROM payments
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of paymentRows.rows) {
+      const itnData = pii.decryptItnData('payments', row.itn_data);
+      await client.query(
+        'UPDATE payments SET itn_data = $2, pii_key_id = $3 WHERE id = $1',
+        [row.id, JSON.stringify(pii.encryptItnData('payments', itnData)), keyId]
+      );
+    }
+    
+    const quarantineRows = await client.query(`
+      SELECT id, itn_data FROM itn_quarantine
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of quarantineRows.rows) {
+      const itnData = pii.decryptItnData('itn_quarantine', row.itn_data);
+      await client.query(
+        'UPDATE itn_quarantine SET itn_data = $2, email_bidx = $3, pii_key_id = $4 WHERE id = $1',
+        [row.id, JSON.stringify(pii.encryptItnData('itn_quarantine', itnData)), pii.emailBlindIndex(itnData.email_address), keyId]
+      );
+    }
+    
+    // ----------------------------------------
+    // Outbox emails
+    // ----------------------------------------
+    const emailRows = await client.query(`
+      SELECT id, ${pii.OUTBOX_PII_COLUMNS.join(', ')}
+      FROM email_outbox
+      WHERE pii_key_id IS DISTINCT FROM $1
+      ORDER BY id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [keyId, limit]);
+    
+    for (const row of emailRows.rows) {
+      const email = pii.decryptOutboxRow(row);
+      await client.query(`
+        UPDATE email_outbox SET
+          to_address = $2,
+          subject = $3,
+          text_body = $4,
+          html_body = $5,
+          attachments = $6,
+          to_address_bidx = $7,
+          pii_key_id = $8
+        WHERE id = $1
+      `, [
+        row.id,
+        pii.encryptOutboxColumn('to_address', email.to_address),
+        pii.encryptOutboxColumn('subject', email.subject),
+        pii.encryptOutboxColumn('text_body', email.text_body),
+        pii.encryptOutboxColumn('html_body', email.html_body),
+        email.attachments ? JSON.stringify(pii.encryptOutboxColumn('attachments', email.attachments)) : null,
+        email.to_address === dataSubject.ERASED_VALUE ? null : pii.emailBlindIndex(email.to_address),
+        keyId
+      ]);
+    }
+    
+    // ----------------------------------------
+    // Legacy plaintext opt-outs
+    // ----------------------------------------
+    const optOutRows = await client.query(`
+      SELECT id, email FROM email_opt_outs
+      WHERE email IS NOT NULL
+      ORDER BY id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [limit]);
+    
+    for (const row of optOutRows.rows) {
+      const emailBidx = pii.emailBlindIndex(row.email);
+      const existing = await client.query(
+        'SELECT 1 FROM email_opt_outs WHERE email_bidx = $1',
+        [emailBidx]
+      );
+      
+      // The address opted out again after the upgrade - keep that row
+      if (existing.rows.length > 0) {
+        await client.query('DELETE FROM email_opt_outs WHERE id = $1', [row.id]);
+      } else {
+        await client.query(
+          'UPDATE email_opt_outs SET email = NULL, email_bidx = $2 WHERE id = $1',
+          [row.id, emailBidx]
+        );
+      }
+    }
+    
+    const converted = {
+      pending: pendingRows.rows.length,
+      submissions: submissionRows.rows.length,
+      customers: customerRows.rows.length,
+      payments: paymentRows.rows.length,
+      quarantinedItns: quarantineRows.rows.length,
+      emails: emailRows.rows.length,
+      optOuts: optOutRows.rows.length
+    };
+    const done = Object.values(converted).every(count => count === 0);
+    
+    if (!done) {
+      await recordAudit(client, {
+        action: 'reencrypted',
+        entityType: 'pii',
+        entityId: keyId,
+        details: {
+          ...converted,
+          submissionIds: [
+            ...pendingRows.rows.map(row => row.submission_id),
+            ...submissionRows.rows.map(row => row.submission_id)
+          ]
+        }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    if (!done) {
+      console.log('[Database] PII re-encrypted under key', keyId + ':', JSON.stringify(converted));
+    }
+    return { keyId, ...converted, done };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// DATA-SUBJECT REQUEST OPERATIONS
+// (POPIA access and erasure - see utils/data-subject.js)
+// ============================================
+
+/**
+ * Find every pending checkout and submission belonging to an email address
+ * Rows not yet re-encrypted (pii_key_id NULL) are matched on plaintext.
+ * 
+ * @param {Object} client - Connected client (inside a transaction)
+ * @param {string} email - Normalised email address
+ * @param {boolean} forUpdate - Lock the rows
+ * @returns {Promise<{emailBidx: string, pending: Array, submissions: Array, submissionIds: Array<string>}>}
+ */
+async function findDataSubjectRows(client, email, forUpdate) {
+  const emailBidx = pii.emailBlindIndex(email);
+  const lock = forUpdate ? 'FOR UPDATE' : '';
+  
+  const pending = await client.query(`
+    SELECT * FROM pending_form_data
+    WHERE email_bidx = $1
+       OR (pii_key_id IS NULL AND LOWER(TRIM(form_data->>'businessEmail')) = $2)
+    ORDER BY created_at
+    ${lock}
+  `, [emailBidx, email]);
+  
+  // Including orders placed under another address by the same customer
+  const submissions = await client.query(`
+    SELECT * FROM submissions
+    WHERE email_bidx = $1
+       OR (pii_key_id IS NULL AND LOWER(TRIM(email)) = $2)
+       OR customer_id IN (SELECT id FROM customers WHERE email_bidx = $1)
+    ORDER BY created_at
+    ${lock}
+  `, [emailBidx, email]);
+  
+  // Their customer rows: by email, or linked from their submissions
+  const customerRows = await client.query(`
+    SELECT * FROM customers
+    WHERE email_bidx = $1 OR id = ANY($2)
+    ORDER BY id
+    ${lock}
+  `, [emailBidx, submissions.rows.map(row => row.customer_id).filter(Boolean)]);
+  
+  const submissionIds = [...new Set([
+    ...pending.rows.map(row => row.submission_id),
+    ...submissions.rows.map(row => row.submission_id)
+  ])];
+  
+  return {
+    emailBidx,
+    pending: pending.rows.map(pii.decryptPendingRow),
+    submissions: submissions.rows.map(pii.decryptSubmissionRow),
+    customers: customerRows.rows.map(pii.decryptCustomerRow),
+    submissionIds
+  };
+}
+
+/**
+ * Record a data-subject request in its audit trail (and the audit log)
+ */
+async function insertDataSubjectRequest(client, { requestType, status, emailBidx, requestedBy, reference, summary }) {
+  const result = await client.query(`
+    INSERT INTO data_subject_requests (request_type, status, email_bidx, requested_by, reference, summary)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [requestType, status, emailBidx, requestedBy || null, reference || null, JSON.stringify(summary)]);
+  
+  const requestId = result.rows[0].id;
+  await recordAudit(client, {
+    action: `${requestType}_${status}`,
+    entityType: 'data_subject_request',
+    entityId: requestId,
+    details: summary
+  });
+  return requestId;
+}
+
+/**
+ * Export everything held about one person (POPIA access request)
+ * 
+ * @param {string} email - The person's email address
+ * @param {Object} [request] - Audit details
+ * @param {string} [request.requestedBy] - Admin handling the request
+ * @param {string} [request.reference] - Ticket or correspondence reference
+ * @returns {Promise<{requestId: number, data: Object}>} Audit entry ID and the export
+ * @throws {Error} If the email address is invalid
+ */
+async function exportDataSubject(email, { requestedBy, reference } = {}) {
+  const normalized = dataSubject.normalizeSubjectEmail(email);
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const found = await findDataSubjectRows(client, normalized, false);
+    const ids = found.submissionIds;
+    
+    const history = await client.query(`
+      SELECT submission_id, from_status, to_status, payment_status, payfast_payment_id, reason, changed_at
+      FROM subscription_status_history
+      WHERE submission_id = ANY($1)
+      ORDER BY changed_at
+    `, [ids]);
+    
+    const payments = await client.query(
+      'SELECT * FROM payments WHERE submission_id = ANY($1) ORDER BY received_at',
+      [ids]
+    );
+    
+    const itnEvents = await client.query(`
+      SELECT id, raw_body, pf_payment_id, m_payment_id, submission_id, payment_status, received_at, redacted_at
+      FROM itn_events
+      WHERE submission_id = ANY($1)
+      ORDER BY received_at
+    `, [ids]);
+    
+    const quarantine = await client.query(`
+      SELECT * FROM itn_quarantine
+      WHERE submission_id = ANY($1)
+         OR email_bidx = $3
+         OR (pii_key_id IS NULL AND LOWER(TRIM(itn_data->>'email_address')) = $2)
+      ORDER BY created_at
+    `, [ids, normalized, found.emailBidx]);
+    
+    const emails = await client.query(`
+      SELECT id, kind, submission_id, to_address, subject, text_body, status, sent_at, created_at
+      FROM email_outbox
+      WHERE submission_id = ANY($1)
+         OR to_address_bidx = $3
+         OR (pii_key_id IS NULL AND LOWER(to_address) = $2)
+      ORDER BY created_at
+    `, [ids, normalized, found.emailBidx]);
+    
+    const optOut = await client.query(
+      'SELECT source, created_at FROM email_opt_outs WHERE email_bidx = $1',
+      [found.emailBidx]
+    );
+    
+    const data = {
+      email: normalized,
+      generatedAt: new Date().toISOString(),
+      customers: found.customers,
+      pendingCheckouts: found.pending,
+      submissions: found.submissions,
+      subscriptionHistory: history.rows,
+      payments: payments.rows.map(row => pii.decryptItnRow('payments', row)),
+      itnEvents: itnEvents.rows,
+      quarantinedItns: quarantine.rows.map(row => pii.decryptItnRow('itn_quarantine', row)),
+      emails: emails.rows.map(pii.decryptOutboxRow),
+      emailOptOut: optOut.rows[0] || null
+    };
+    
+    const requestId = await insertDataSubjectRequest(client, {
+      requestType: dataSubject.REQUEST_TYPES.ACCESS,
+      status: 'completed',
+      emailBidx: found.emailBidx,
+      requestedBy,
+      reference,
+      summary: countRecords(data)
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Data-subject export', requestId + ':', JSON.stringify(countRecords(data)));
+    return { requestId, data };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Erase one person's PII, keeping the financial records (POPIA erasure request)
+ * 
+ * Refused (and audited as refused) while any of their subscriptions is
+ * still live. See utils/data-subject.js for what is removed and kept.
+ * 
+ * @param {string} email - The person's email address
+ * @param {Object} [request] - Audit details
+ * @param {string} [request.requestedBy] - Admin handling the request
+ * @param {string} [request.reference] - Ticket or correspondence reference
+ * @returns {Promise<{requestId: number, erased: boolean, reason?: string, summary: Object}>}
+ * @throws {Error} If the email address is invalid
+ */
+async function eraseDataSubject(email, { requestedBy, reference } = {}) {
+  const normalized = dataSubject.normalizeSubjectEmail(email);
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const found = await findDataSubjectRows(client, normalized, true);
+    const ids = found.submissionIds;
+    const audit = { emailBidx: found.emailBidx, requestedBy, reference };
+    
+    // ----------------------------------------
+    // Refuse while a subscription is live
+    // ----------------------------------------
+    const live = found.submissions.filter(dataSubject.isLiveSubscription);
+    if (live.length > 0) {
+      const summary = {
+        reason: 'Live subscription - cancel it in PayFast first',
+        liveSubmissions: live.map(row => row.submission_id)
+      };
+      const requestId = await insertDataSubjectRequest(client, {
+        ...audit,
+        requestType: dataSubject.REQUEST_TYPES.ERASURE,
+        status: 'refused',
+        summary
+      });
+      await client.query('COMMIT');
+      
+      console.log('[Database] Data-subject erasure', requestId, 'refused: live subscription');
+      return { requestId, erased: false, reason: summary.reason, summary };
+    }
+    
+    // ----------------------------------------
+    // Anonymise
+    // ----------------------------------------
+    const pending = await client.query(
+      'DELETE FROM pending_form_data WHERE id = ANY($1)',
+      [found.pending.map(row => row.id)]
+    );
+    
+    const submissions = await client.query(`
+      UPDATE submissions SET
+        owner_first_name = NULL,
+        owner_last_name = NULL,
+        email = NULL,
+        phone = NULL,
+        subscription_token = NULL,
+        email_bidx = NULL,
+        phone_bidx = NULL,
+        phone_suffix_bidx = NULL,
+        last_name_bidx = NULL,
+        form_data = form_data - $2::text[],
+        payment_data = COALESCE(payment_data, '{}'::jsonb) - $3::text[],
+        erased_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ANY($1)
+    `, [found.submissions.map(row => row.id), pii.FORM_DATA_PII_FIELDS, pii.PAYMENT_DATA_PII_FIELDS]);
+    
+    const customerRows = await client.query(`
+      UPDATE customers SET
+        first_name = NULL,
+        last_name = NULL,
+        email = NULL,
+        phone = NULL,
+        email_bidx = NULL,
+        phone_bidx = NULL,
+        erased_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ANY($1)
+    `, [found.customers.map(row => row.id)]);
+    
+    const payments = await client.query(`
+      UPDATE payments SET itn_data = itn_data - $2::text[], updated_at = NOW()
+      WHERE submission_id = ANY($1)
+    `, [ids, pii.PAYMENT_DATA_PII_FIELDS]);
+    
+    const quarantine = await client.query(`
+      UPDATE itn_quarantine SET itn_data = itn_data - $3::text[], email_bidx = NULL
+      WHERE submission_id = ANY($1)
+         OR email_bidx = $4
+         OR (pii_key_id IS NULL AND LOWER(TRIM(itn_data->>'email_address')) = $2)
+    `, [ids, normalized, pii.PAYMENT_DATA_PII_FIELDS, found.emailBidx]);
+    
+    // The event store only accepts this once per event (see migration 012)
+    const events = await client.query(
+      'SELECT id, raw_body FROM itn_events WHERE submission_id = ANY($1) AND redacted_at IS NULL',
+      [ids]
+    );
+    for (const row of events.rows) {
+      await client.query(
+        'UPDATE itn_events SET raw_body = $2, redacted_at = NOW() WHERE id = $1',
+        [row.id, dataSubject.redactItnBody(row.raw_body)]
+      );
+    }
+    
+    const emails = await client.query(`
+      UPDATE email_outbox SET
+        to_address = CASE WHEN to_address_bidx = $4 OR (pii_key_id IS NULL AND LOWER(to_address) = $2) THEN $3 ELSE to_address END,
+        to_address_bidx = CASE WHEN to_address_bidx = $4 THEN NULL ELSE to_address_bidx END,
+        subject = $3,
+        text_body = $3,
+        html_body = $3,
+        attachments = NULL,
+        status = CASE WHEN status = 'pending' THEN 'dead' ELSE status END,
+        last_error = CASE WHEN status = 'pending' THEN 'Cancelled by data-subject erasure' ELSE last_error END,
+        updated_at = NOW()
+      WHERE submission_id = ANY($1)
+         OR to_address_bidx = $4
+         OR (pii_key_id IS NULL AND LOWER(to_address) = $2)
+    `, [ids, normalized, dataSubject.ERASED_VALUE, found.emailBidx]);
+    
+    const summary = {
+      pendingCheckouts: pending.rowCount,
+      submissions: submissions.rowCount,
+      customers: customerRows.rowCount,
+      payments: payments.rowCount,
+      quarantinedItns: quarantine.rowCount,
+      itnEvents: events.rows.length,
+      emails: emails.rowCount
+    };
+    
+    const requestId = await insertDataSubjectRequest(client, {
+      ...audit,
+      requestType: dataSubject.REQUEST_TYPES.ERASURE,
+      status: 'completed',
+      summary
+    });
+    
+    await client.query('COMMIT');
+    
+    console.log('[Database] Data-subject erasure', requestId + ':', JSON.stringify(summary));
+    return { requestId, erased: true, summary };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List data-subject requests, newest first
+ * 
+ * @param {Object} [options] - Filters
+ * @param {string} [options.email] - Only requests about this address
+ * @param {number} [options.limit=50] - Maximum rows (capped at 500)
+ * @returns {Promise<Array<Object>>} Audit entries
+ */
+async function listDataSubjectRequests({ email, limit = 50 } = {}) {
+  const emailBidx = email ? pii.emailBlindIndex(email) : null;
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT id, request_type, status, requested_by, reference, summary, created_at
+      FROM data_subject_requests
+      WHERE ($1::text IS NULL OR email_bidx = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [emailBidx, Math.min(parseInt(limit, 10) || 50, 500)]);
+    
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Count the records in each section of a data-subject export
+ */
+function countRecords(data) {
+  return {
+    customers: data.customers.length,
+    pendingCheckouts: data.pendingCheckouts.length,
+    submissions: data.submissions.length,
+    payments: data.payments.length,
+    itnEvents: data.itnEvents.length,
+    quarantinedItns: data.quarantinedItns.length,
+    emails: data.emails.length,
+    emailOptOut: !!data.emailOptOut
+  };
+}
+
+// ============================================
+// DATA RETENTION OPERATIONS
+// (Categories, actions and periods are in utils/retention.js)
+// ============================================
+
+// logoUpload fields kept when logo metadata is anonymised
+const LOGO_METADATA_KEPT_FIELDS = ['fileType', 'fileSize'];
+
+/**
+ * Anonymise cancelled subscriptions past their retention period
+ * 
+ * Same columns as an erasure request (eraseDataSubject), but per
+ * submission rather than per person: customers are only anonymised once
+ * none of their submissions is left.
+ */
+async function anonymiseCancelledSubmissions(client, { retainDays, dryRun, limit }) {
+  const dueCondition = `
+    subscription_status = $1
+    AND erased_at IS NULL
+    AND COALESCE(subscription_status_changed_at, created_at) < NOW() - make_interval(days => $2)
+  `;
+  
+  const due = await client.query(
+    `SELECT COUNT(*)::int AS count FROM submissions WHERE ${dueCondition}`,
+    [SUBSCRIPTION_STATES.CANCELLED, retainDays]
+  );
+  if (dryRun) {
+    return { due: due.rows[0].count, processed: 0 };
+  }
+  
+  const rows = await client.query(`
+    SELECT id, submission_id FROM submissions
+    WHERE ${dueCondition}
+    ORDER BY id
+    LIMIT $3
+    FOR UPDATE SKIP LOCKED
+  `, [SUBSCRIPTION_STATES.CANCELLED, retainDays, limit]);
+  const ids = rows.rows.map(row => row.id);
+  const submissionIds = rows.rows.map(row => row.submission_id);
+  
+  await client.query(`
+    UPDATE submissions SET
+      owner_first_name = NULL,
+      owner_last_name = NULL,
+      email = NULL,
+      phone = NULL,
+      subscription_token = NULL,
+      email_bidx = NULL,
+      phone_bidx = NULL,
+      phone_suffix_bidx = NULL,
+      last_name_bidx = NULL,
+      form_data = form_data - $2::text[],
+      payment_data = COALESCE(payment_data, '{}'::jsonb) - $3::text[],
+      erased_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ANY($1)
+  `, [ids, pii.FORM_DATA_PII_FIELDS, pii.PAYMENT_DATA_PII_FIELDS]);
+  
+  const customerRows = await client.query(`
+    UPDATE customers c SET
+      first_name = NULL,
+      last_name = NULL,
+      email = NULL,
+      phone = NULL,
+      email_bidx = NULL,
+      phone_bidx = NULL,
+      erased_at = NOW(),
+      updated_at = NOW()
+    WHERE c.id IN (SELECT customer_id FROM submissions WHERE id = ANY($1))
+      AND c.erased_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.customer_id = c.id AND s.erased_at IS NULL)
+  `, [ids]);
+  
+  const payments = await client.query(`
+    UPDATE payments SET itn_data = itn_data - $2::text[], updated_at = NOW()
+    WHERE submission_id = ANY($1)
+  `, [submissionIds, pii.PAYMENT_DATA_PII_FIELDS]);
+  
+  const quarantine = await client.query(
+    'UPDATE itn_quarantine SET itn_data = itn_data - $2::text[], email_bidx = NULL WHERE submission_id = ANY($1)',
+    [submissionIds, pii.PAYMENT_DATA_PII_FIELDS]
+  );
+  
+  const events = await redactItnEvents(client, 'submission_id = ANY($1)', [submissionIds]);
+  
+  const emails = await client.query(`
+    UPDATE email_outbox SET
+      to_address = $2,
+      to_address_bidx = NULL,
+      subject = $2,
+      text_body = $2,
+      html_body = $2,
+      attachments = NULL,
+      status = CASE WHEN status = 'pending' THEN 'dead' ELSE status END,
+      last_error = CASE WHEN status = 'pending' THEN 'Cancelled by retention policy' ELSE last_error END,
+      updated_at = NOW()
+    WHERE submission_id = ANY($1)
+  `, [submissionIds, dataSubject.ERASED_VALUE]);
+  
+  return {
+    due: due.rows[0].count,
+    processed: ids.length,
+    details: {
+      customers: customerRows.rowCount,
+      payments: payments.rowCount,
+      quarantinedItns: quarantine.rowCount,
+      itnEvents: events,
+      emails: emails.rowCount,
+      submissionIds
+    }
+  };
+}
+
+/**
+ * Replace the payer fields of ITN payloads past their retention period,
+ * in the event store, payments ledger and closed quarantine entries
+ */
+async function anonymiseItnPayloads(client, { retainDays, dryRun, limit }) {
+  const due = await client.query(`
+    SELECT
+      (SELECT COUNT(*) FROM itn_events
+        WHERE redacted_at IS NULL AND received_at < NOW() - make_interval(days => $1))
+      + (SELECT COUNT(*) FROM payments
+        WHERE itn_data ?| $2::text[] AND received_at < NOW() - make_interval(days => $1))
+      + (SELECT COUNT(*) FROM itn_quarantine
+        WHERE itn_data ?| $2::text[] AND status <> 'open' AND created_at < NOW() - make_interval(days => $1))
+      AS count
+  `, [retainDays, pii.PAYMENT_DATA_PII_FIELDS]);
+  if (dryRun) {
+    return { due: Number(due.rows[0].count), processed: 0 };
+  }
+  
+  const events = await redactItnEvents(
+    client,
+    'received_at < NOW() - make_interval(days => $1) ORDER BY id LIMIT $2',
+    [retainDays, limit]
+  );
+  
+  const payments = await client.query(`
+    UPDATE payments SET itn_data = itn_data - $2::text[], updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM payments
+      WHERE itn_data ?| $2::text[] AND received_at < NOW() - make_interval(days => $1)
+      ORDER BY id
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+  `, [retainDays, pii.PAYMENT_DATA_PII_FIELDS, limit]);
+  
+  const quarantine = await client.query(`
+    UPDATE itn_quarantine SET itn_data = itn_data - $2::text[], email_bidx = NULL
+    WHERE id IN (
+      SELECT id FROM itn_quarantine
+      WHERE itn_data ?| $2::text[] AND status <> 'open' AND created_at < NOW() - make_interval(days => $1)
+      ORDER BY id
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+  `, [retainDays, pii.PAYMENT_DATA_PII_FIELDS, limit]);
+  
+  return {
+    due: Number(due.rows[0].count),
+    processed: events + payments.rowCount + quarantine.rowCount,
+    details: {
+      itnEvents: events,
+      payments: payments.rowCount,
+      quarantinedItns: quarantine.rowCount
+    }
+  };
+}
+
+/**
+ * Delete, or strip to type and size, the logo metadata of submissions
+ * past their retention period
+ */
+async function expireLogoMetadata(client, { action, retainDays, dryRun, limit }) {
+  const dueCondition = action === 'delete'
+    ? `form_data ? 'logoUpload'`
+    : `jsonb_typeof(form_data->'logoUpload') = 'object' AND (form_data->'logoUpload') - $2::text[] <> '{}'::jsonb`;
+  const where = `${dueCondition} AND created_at < NOW() - make_interval(days => $1)`;
+  
+  const due = await client.query(
+    `SELECT COUNT(*)::int AS count FROM submissions WHERE ${where}`,
+    [retainDays, LOGO_METADATA_KEPT_FIELDS]
+  );
+  if (dryRun) {
+    return { due: due.rows[0].count, processed: 0 };
+  }
+  
+  const newFormData = action === 'delete'
+    ? `form_data - 'logoUpload'`
+    : `jsonb_set(form_data, '{logoUpload}', (
+        SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+        FROM jsonb_each(form_data->'logoUpload')
+        WHERE key = ANY($2::text[])
+      ))`;
+  
+  const result = await client.query(`
+    UPDATE submissions SET form_data = ${newFormData}, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM submissions
+      WHERE ${where}
+      ORDER BY id
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING submission_id
+  `, [retainDays, LOGO_METADATA_KEPT_FIELDS, limit]);
+  
+  return {
+    due: due.rows[0].count,
+    processed: result.rowCount,
+    details: { submissionIds: result.rows.map(row => row.submission_id) }
+  };
+}
+
+/**
+ * Redact the raw bodies of unredacted ITN events matching a condition
+ * (the event store only accepts this once per event, see migration 012)
+ * 
+ * @returns {Promise<number>} Events redacted
+ */
+async function redactItnEvents(client, condition, params) {
+  const events = await client.query(
+    `SELECT id, raw_body FROM itn_events WHERE redacted_at IS NULL AND ${condition} FOR UPDATE SKIP LOCKED`,
+    params
+  );
+  for (const row of events.rows) {
+    await client.query(
+      'UPDATE itn_events SET raw_body = $2, redacted_at = NOW() WHERE id = $1',
+      [row.id, dataSubject.redactItnBody(row.raw_body)]
+    );
+  }
+  return events.rows.length;
+}
+
+// Retention category → function applying its rule to one batch
+const RETENTION_RULES = Object.freeze({
+  cancelledCustomers: anonymiseCancelledSubmissions,
+  itnPayloads: anonymiseItnPayloads,
+  logoMetadata: expireLogoMetadata
+});
+
+/**
+ * Apply one retention rule to a batch of rows past their retention period
+ * Called by utils/retention.js, which validates the rule (abandoned
+ * checkouts go through cleanupExpiredPendingData instead)
+ * 
+ * Rows are locked (SKIP LOCKED), so concurrent runs share the work.
+ * 
+ * @param {Object} rule - The rule to apply
+ * @param {string} rule.category - cancelledCustomers, itnPayloads or logoMetadata
+ * @param {string} rule.action - delete or anonymise
+ * @param {number} rule.retainDays - Retention period in days
+ * @param {boolean} [rule.dryRun=false] - Only count what is due
+ * @param {number} [rule.limit=100] - Maximum rows per table
+ * @returns {Promise<{due: number, processed: number}>} Rows past their period
+ *   before this batch, and rows changed by it
+ */
+async function applyRetentionRule({ category, action, retainDays, dryRun = false, limit = 100 }) {
+  const applyRule = RETENTION_RULES[category];
+  if (!applyRule) {
+    throw new Error(`Unknown retention category: ${category}`);
+  }
+  
+  const client = await getPool().connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const { due, processed, details } = await applyRule(client, { action, retainDays, dryRun, limit });
+    
+    if (processed > 0) {
+      await recordAudit(client, {
+        action: action === 'delete' ? 'deleted' : 'anonymised',
+        entityType: 'retention',
+        entityId: category,
+        details: { retainDays, processed, ...details }
+      });
+    }
+    
+    await client.query('COMMIT');
+    
+    if (processed > 0) {
+      console.log('[Database] Retention', category, action + ':', processed, 'of', due, 'due');
+    }
+    return { due, processed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// PAYMENTS LEDGER OPERATIONS
+// (Every ITN for an existing submission)
+// ============================================
+
+/**
+ * Record a PayFast payment in the ledger
+ *
+ * Keyed by pf_payment_id: a resent ITN updates the existing row instead
+ * of adding a new one, so each charge appears exactly once.
+ *
+ * @param {Object} params - Payment parameters
+ * @param {string} params.submissionId - The submission the payment belongs to (required)
+ * @param {Object} params.paymentData - Payment data from ITN (pf_payment_id required)
+ * @param {string} params.paymentType - 'initial' or 'recurring'
+ * @returns {Promise<{payment: Object, inserted: boolean, previousStatus: string|null}>}
+ */
+async function recordPayment(params) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const recorded = await upsertPayment(client, params);
+    await client.query('COMMIT');
+    return recorded;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Upsert a ledger entry and its audit entry inside the caller's transaction
+ * (see recordPayment)
+ */
+async function upsertPayment(client, { submissionId, paymentData, paymentType }) {
+  if (!submissionId) {
+    throw new Error('submissionId is required');
+  }
+
+  const pfPaymentId = paymentData?.pf_payment_id;
+  if (!pfPaymentId) {
+    throw new Error('paymentData.pf_payment_id is required');
+  }
+
+  const parseAmount = (value) => (value !== undefined && value !== '' ? parseFloat(value) : null);
+
+
+  const existing = await client.query(
+    'SELECT * FROM payments WHERE pf_payment_id = $1 FOR UPDATE',
+    [pfPaymentId]
+  );
+
+  const result = await client.query(`
+    INSERT INTO payments (
+      pf_payment_id,
+      submission_id,
+      payment_type,
+      payment_status,
+      amount_gross,
+      amount_fee,
+      amount_net,
+      billing_date,
+      itn_data,
+      pii_key_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (pf_payment_id) DO UPDATE SET
+      payment_status = EXCLUDED.payment_status,
+      itn_data = EXCLUDED.itn_data,
+      pii_key_id = EXCLUDED.pii_key_id,
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) AS inserted
+  `, [
+    pfPaymentId,
+    submissionId,
+    paymentType,
+    paymentData.payment_status || 'UNKNOWN',
+    parseAmount(paymentData.amount_gross),
+    parseAmount(paymentData.amount_fee),
+    parseAmount(paymentData.amount_net),
+    paymentData.billing_date || null,
+    JSON.stringify(pii.encryptItnData('payments', paymentData)),
+    pii.getActiveKeyId()
+  ]);
+
+  const { inserted, ...stored } = result.rows[0];
+  const payment = pii.decryptItnRow('payments', stored);
+  const previous = existing.rows[0] || null;
+  await recordAudit(client, {
+    action: inserted ? 'created' : 'updated',
+    entityType: 'payment',
+    entityId: pfPaymentId,
+    submissionId,
+    before: previous,
+    after: stored
+  });
+
+  console.log('[Database] Payment recorded:', pfPaymentId, inserted ? '(new)' : '(existing)');
+  return { payment, inserted, previousStatus: previous?.payment_status || null };
+}
+
+/**
+ * List every recorded payment for a subscriber
+ *
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Array<Object>>} Payments, oldest first
+ */
+async function getPaymentHistory(submissionId) {
+  if (!submissionId) {
+    return [];
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    const result = await client.query(`
+      SELECT pf_payment_id, payment_type, payment_status, amount_gross, amount_fee,
+             amount_net, billing_date, received_at, updated_at
+      FROM payments
+      WHERE submission_id = $1
+      ORDER BY received_at ASC, id ASC
+    `, [submissionId]);
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Calculate a subscriber's lifetime value from COMPLETE payments
+ *
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Object>} Totals (amounts as numbers, in Rand)
+ */
+async function getLifetimeValue(submissionId) {
+  if (!submissionId) {
+    return null;
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    const result = await client.query(`
+      SELECT
+        COUNT(*)::int AS payment_count,
+        COALESCE(SUM(amount_gross), 0) AS total_gross,
+        COALESCE(SUM(amount_fee), 0) AS total_fees,
+        COALESCE(SUM(amount_net), 0) AS total_net,
+        MIN(received_at) AS first_payment_at,
+        MAX(received_at) AS last_payment_at
+      FROM payments
+      WHERE submission_id = $1 AND payment_status = 'COMPLETE'
+    `, [submissionId]);
+
+    const row = result.rows[0];
+    return {
+      submissionId,
+      paymentCount: row.payment_count,
+      totalGross: parseFloat(row.total_gross),
+      totalFees: parseFloat(row.total_fees),
+      totalNet: parseFloat(row.total_net),
+      firstPaymentAt: row.first_payment_at,
+      lastPaymentAt: row.last_payment_at
+    };
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// SUBSCRIPTION LIFECYCLE OPERATIONS
+// (Driven by ITNs after the initial payment)
+// ============================================
+
+/**
+ * Move a subscription to a new state and record the transition
+ *
+ * Runs in a transaction with the submission row locked so concurrent
+ * ITNs for the same subscription are applied one after the other.
+ * Transitions not allowed by the state machine are ignored (not thrown),
+ * since PayFast may deliver ITNs out of order.
+ *
+ * @param {string} submissionId - The submission ID whose subscription changes
+ * @param {string} toStatus - Target subscription state
+ * @param {Object} [details] - What caused the transition
+ * @param {string} [details.paymentStatus] - ITN payment_status
+ * @param {string} [details.payfastPaymentId] - ITN pf_payment_id
+ * @param {string} [details.reason] - Free-text reason
+ * @returns {Promise<{found: boolean, changed: boolean, fromStatus: string|null, toStatus: string}>}
+ */
+async function transitionSubscriptionStatus(submissionId, toStatus, details = {}) {
+  if (!submissionId) {
+    throw new Error('submissionId is required');
+  }
+
+  if (!isValidState(toStatus)) {
+    throw new Error(`Invalid subscription status: ${toStatus}`);
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT subscription_status FROM submissions WHERE submission_id = $1 FOR UPDATE',
+      [submissionId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { found: false, changed: false, fromStatus: null, toStatus };
+    }
+
+    const fromStatus = current.rows[0].subscription_status;
+
+    if (!canTransition(fromStatus, toStatus)) {
+      await client.query('ROLLBACK');
+      console.log('[Database] Subscription transition ignored:', submissionId, fromStatus, '→', toStatus);
+      return { found: true, changed: false, fromStatus, toStatus };
+    }
+
+    await client.query(`
+      UPDATE submissions SET
+        subscription_status = $2,
+        subscription_status_changed_at = NOW(),
+        updated_at = NOW()
+      WHERE submission_id = $1
+    `, [submissionId, toStatus]);
+
+    await client.query(`
+      INSERT INTO subscription_status_history (
+        submission_id, from_status, to_status, payment_status, payfast_payment_id, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+      submissionId,
+      fromStatus,
+      toStatus,
+      details.paymentStatus || null,
+      details.payfastPaymentId || null,
+      details.reason || null
+    ]);
+
+    await recordAudit(client, {
+      action: 'status_changed',
+      entityType: 'submission',
+      entityId: submissionId,
+      submissionId,
+      before: { subscription_status: fromStatus },
+      after: { subscription_status: toStatus },
+      details: {
+        paymentStatus: details.paymentStatus || null,
+        payfastPaymentId: details.payfastPaymentId || null,
+        reason: details.reason || null
+      }
+    });
+
+    await client.query('COMMIT');
+    console.log('[Database] Subscription status changed:', submissionId, fromStatus, '→', toStatus);
+    return { found: true, changed: true, fromStatus, toStatus };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Change the recurring amount expected for a subscription
+ * Called after re-pricing at PayFast so later ITNs are validated
+ * against the new amount instead of being quarantined (the ITN check
+ * reads the checkout request, or the submission if it has none)
+ *
+ * @param {string} submissionId - The submission (and m_payment_id)
+ * @param {number|string} recurringAmount - New recurring amount in Rand
+ * @returns {Promise<boolean>} True if the submission was updated
+ */
+async function updateRecurringAmount(submissionId, recurringAmount) {
+  const amount = parseFloat(recurringAmount);
+  if (!submissionId || isNaN(amount)) {
+    throw new Error('submissionId and a numeric recurringAmount are required');
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      'SELECT recurring_amount FROM submissions WHERE submission_id = $1 FOR UPDATE',
+      [submissionId]
+    );
+    const result = await client.query(`
+      UPDATE submissions SET recurring_amount = $2, updated_at = NOW()
+      WHERE submission_id = $1
+    `, [submissionId, amount]);
+    await client.query(`
+      UPDATE checkout_requests SET recurring_amount = $2
+      WHERE m_payment_id = $1
+    `, [submissionId, amount]);
+    if (result.rowCount > 0) {
+      await recordAudit(client, {
+        action: 'recurring_amount_changed',
+        entityType: 'submission',
+        entityId: submissionId,
+        submissionId,
+        before: { recurring_amount: existing.rows[0].recurring_amount },
+        after: { recurring_amount: amount }
+      });
+    }
+    await client.query('COMMIT');
+
+    console.log('[Database] Recurring amount updated:', submissionId, amount);
+    return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the recorded subscription state transitions for a submission
+ *
+ * @param {string} submissionId - The submission ID
+ * @returns {Promise<Array<Object>>} Transitions, oldest first
+ */
+async function getSubscriptionHistory(submissionId) {
+  if (!submissionId) {
+    return [];
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    const result = await client.query(`
+      SELECT from_status, to_status, payment_status, payfast_payment_id, reason, changed_at
+      FROM subscription_status_history
+      WHERE submission_id = $1
+      ORDER BY changed_at ASC, id ASC
+    `, [submissionId]);
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// REPORTING OPERATIONS
+// (Raw facts for utils/reporting.js - no PII)
+// ============================================
+
+/**
+ * Every subscription and status transition, for business metrics
+ * 
+ * Province and business type come from form_data, where they are stored
+ * unencrypted. Metrics are computed from these rows by utils/reporting.js
+ * so both storage backends report the same numbers.
+ * 
+ * @returns {Promise<{subscriptions: Array<Object>, transitions: Array<Object>}>}
+ */
+async function getSubscriptionFacts() {
+  const client = await getPool().connect();
+  
+  try {
+    const subscriptions = await client.query(`
+      SELECT
+        submission_id,
+        plan_id,
+        industry,
+        form_data->>'province' AS province,
+        form_data->>'businessType' AS business_type,
+        recurring_amount,
+        subscription_status,
+        subscription_status_changed_at,
+        created_at
+      FROM submissions
+      ORDER BY created_at ASC, id ASC
+    `);
+    
+    const transitions = await client.query(`
+      SELECT submission_id, from_status, to_status, changed_at
+      FROM subscription_status_history
+      ORDER BY changed_at ASC, id ASC
+    `);
+    
+    return { subscriptions: subscriptions.rows, transitions: transitions.rows };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check database connection health
+ * 
+ * @returns {Promise<Object>} Health status
+ */
+async function healthCheck() {
+  const client = await getPool().connect();
+  
+  try {
+    const result = await client.query('SELECT NOW() as time, version() as version');
+    return {
+      healthy: true,
+      timestamp: result.rows[0].time,
+      database: 'PostgreSQL (Neon)',
+      version: result.rows[0].version.split(' ')[1]
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      error: error.message
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close the database connection pool
+ */
+async function closePool() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+    console.log('[Database] Connection pool closed');
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Schema migrations
+  runMigrations,
+  getMigrationStatus,
+  
+  // Pending form data (before payment)
+  storePendingFormData,
+  getPendingFormData,
+  deletePendingFormData,
+  reopenPendingCheckout,
+  cleanupExpiredPendingData,
+  getAbandonedCheckoutReport,
+  
+  // Paid submissions (after payment COMPLETE)
+  createPaidSubmission,
+  convertPaidCheckout,
+  submissionExists,
+  findBySubmissionId,
+  findPlanIdForSubmission,
+  searchSubmissions,
+
+  // Customers
+  getCustomer,
+  backfillCustomers,
+
+  // Checkout requests and ITN quarantine
+  recordCheckoutRequest,
+  getCheckoutRequest,
+  quarantineItn,
+  listQuarantinedItns,
+  getQuarantinedItn,
+  resolveQuarantinedItn,
+
+  // ITN event store
+  recordItnEvent,
+  recordItnEventResult,
+  getItnEvent,
+  listItnEvents,
+
+  // Checkout recovery
+  claimRecoveryCandidates,
+  recordEmailOptOut,
+
+  // PII re-encryption
+  reencryptPii,
+
+  // Data-subject requests
+  exportDataSubject,
+  eraseDataSubject,
+  listDataSubjectRequests,
+
+  // Data retention
+  applyRetentionRule,
+
+  // Audit log
+  listAuditLog,
+
+  // Email outbox
+  enqueueEmail,
+  claimDueEmails,
+  recordEmailAttempt,
+  listOutboxEmails,
+  getOutboxEmail,
+  countOutboxEmails,
+  requeueDeadEmail,
+
+  // Email delivery events
+  recordEmailEvent,
+  getEmailEvents,
+
+  // Payments ledger
+  recordPayment,
+  getPaymentHistory,
+  getLifetimeValue,
+
+  // Subscription lifecycle (after the initial payment)
+  transitionSubscriptionStatus,
+  updateRecurringAmount,
+  getSubscriptionHistory,
+
+  // Reporting
+  getSubscriptionFacts,
+
+  // Utilities
+  healthCheck,
+  closePool
+};
@@ -0,0 +1,109 @@
+/**
+ * Subscription State Machine
+ *
+ * Defines the lifecycle of a PayFast subscription held on a `submissions` row
+ * and maps incoming ITN payment statuses onto it.
+ *
+ * STATES:
+ *   trialing  - Initial R0.00 payment received (first month free)
+ *   active    - At least one recurring charge has succeeded
+ *   past_due  - A recurring charge failed or is still pending
+ *   cancelled - Subscription cancelled in PayFast (terminal)
+ *
+ * ALLOWED TRANSITIONS:
+ *   trialing  → active, past_due, cancelled
+ *   active    → past_due, cancelled
+ *   past_due  → active, cancelled
+ *   cancelled → (none)
+ *
+ * @module netlify/functions/utils/subscription-state
+ */
+
+// ============================================
+// STATES
+// ============================================
+
+const SUBSCRIPTION_STATES = Object.freeze({
+  TRIALING: 'trialing',
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  CANCELLED: 'cancelled'
+});
+
+// Every state a row may move to from its current state
+const ALLOWED_TRANSITIONS = Object.freeze({
+  [SUBSCRIPTION_STATES.TRIALING]: [
+    SUBSCRIPTION_STATES.ACTIVE,
+    SUBSCRIPTION_STATES.PAST_DUE,
+    SUBSCRIPTION_STATES.CANCELLED
+  ],
+  [SUBSCRIPTION_STATES.ACTIVE]: [
+    SUBSCRIPTION_STATES.PAST_DUE,
+    SUBSCRIPTION_STATES.CANCELLED
+  ],
+  [SUBSCRIPTION_STATES.PAST_DUE]: [
+    SUBSCRIPTION_STATES.ACTIVE,
+    SUBSCRIPTION_STATES.CANCELLED
+  ],
+  [SUBSCRIPTION_STATES.CANCELLED]: []
+});
+
+// ============================================
+// TRANSITION RULES
+// ============================================
+
+/**
+ * Check whether a value is a known subscription state
+ *
+ * @param {string} state - The state to check
+ * @returns {boolean}
+ */
+function isValidState(state) {
+  return Object.prototype.hasOwnProperty.call(ALLOWED_TRANSITIONS, state);
+}
+
+/**
+ * Check whether a subscription may move from one state to another
+ *
+ * @param {string} fromState - Current state
+ * @param {string} toState - Requested state
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(fromState, toState) {
+  if (!isValidState(fromState) || !isValidState(toState)) {
+    return false;
+  }
+  return ALLOWED_TRANSITIONS[fromState].includes(toState);
+}
+
+/**
+ * Resolve the subscription state an ITN should move a subscription to
+ *
+ * PayFast sends one ITN per charge attempt and one when the subscription
+ * is cancelled. The initial R0.00 ITN starts the free trial; any later
+ * COMPLETE charge means the subscription is paid up.
+ *
+ * @param {string} paymentStatus - ITN payment_status (COMPLETE, FAILED, PENDING, CANCELLED)
+ * @param {boolean} isInitialPayment - True for the first (R0.00) ITN of a subscription
+ * @returns {string|null} Target state, or null if the status is not recognised
+ */
+function resolveTargetState(paymentStatus, isInitialPayment) {
+  switch ((paymentStatus || '').toUpperCase()) {
+    case 'COMPLETE':
+      return isInitialPayment ? SUBSCRIPTION_STATES.TRIALING : SUBSCRIPTION_STATES.ACTIVE;
+    case 'FAILED':
+    case 'PENDING':
+      return SUBSCRIPTION_STATES.PAST_DUE;
+    case 'CANCELLED':
+      return SUBSCRIPTION_STATES.CANCELLED;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  SUBSCRIPTION_STATES,
+  isValidState,
+  canTransition,
+  resolveTargetState
+};
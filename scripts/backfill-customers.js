@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Customers Backfill CLI
+ *
+ * Links every submission that has no customer yet - those paid before
+ * the customers table existed - to its customer, creating customers as
+ * needed (see utils/customers.js for how people are matched). Safe to
+ * run repeatedly; production deploys run it after `npm run migrate`.
+ *
+ * USAGE:
+ *   npm run customers:backfill
+ *
+ * ENVIRONMENT VARIABLES:
+ *   PII_ENCRYPTION_KEYS, PII_ACTIVE_KEY_ID, PII_BLIND_INDEX_KEY - see utils/pii-encryption.js
+ *   DATABASE_BACKEND and its connection settings - see scripts/migrate.js
+ *
+ * @module scripts/backfill-customers
+ */
+
+const { backfillCustomers, closePool } = require('../netlify/functions/utils/database');
+const { ACTOR_TYPES, runAsActor } = require('../netlify/functions/utils/audit');
+
+const BATCH_SIZE = 200;
+
+async function main() {
+  const totals = { linked: 0, created: 0 };
+
+  try {
+    let batch;
+    do {
+      batch = await backfillCustomers({ limit: BATCH_SIZE });
+      totals.linked += batch.linked;
+      totals.created += batch.created;
+    } while (!batch.done);
+
+    console.log(`✓ Every submission has a customer: linked ${totals.linked} submission(s), created ${totals.created} customer(s)`);
+    return 0;
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    return 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runAsActor({ type: ACTOR_TYPES.SCRIPT, id: 'backfill-customers' }, main).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,2733 @@
+#!/usr/bin/env node
+/**
+ * Local Database Server (reference implementation)
+ *
+ * The database API behind the http storage backend
+ * (netlify/functions/utils/storage/http.js), backed by a SQLite file.
+ * Run it on a local machine and expose it through a tunnel, or point a
+ * local `netlify dev` straight at it for fully offline testing.
+ *
+ * Implements every operation in STORAGE_OPERATIONS (utils/database.js)
+ * with the same arguments, validation and result shapes as the postgres
+ * backend. Each operation runs in its own SQLite transaction, together
+ * with its audit_log entries.
+ *
+ * PROTOCOL (see storage/http.js):
+ *   POST /v1/ops/{operation}  { "args": [...], "actor": {...} }  →  { "result": ... }
+ *   The path may have a prefix (SSS_DB_API_URL's path, if a proxy passes it
+ *   on); the signature covers /v1/ops/{operation} only.
+ *   Requests must carry a valid X-SSS-Signature, a timestamp within
+ *   5 minutes and a nonce not seen before. The actor is the site's audit
+ *   actor (utils/audit.js) and is recorded as sent.
+ *
+ * USAGE (Node.js 22.13 or later, for node:sqlite):
+ *   npm run db:local
+ *   Then set on the site: DATABASE_BACKEND=http,
+ *   SSS_DB_API_URL=http://localhost:8002 (or the tunnel URL), SSS_DB_SECRET
+ *
+ * ENVIRONMENT VARIABLES:
+ *   SSS_DB_SECRET      - Shared signing secret, same as the site (required)
+ *   SSS_DB_LOCAL_PORT  - Port to listen on (default: 8002)
+ *   SSS_DB_LOCAL_FILE  - SQLite database file (default: .data/local-db.sqlite)
+ *   PII_ENCRYPTION_KEYS, PII_ACTIVE_KEY_ID, PII_BLIND_INDEX_KEY - Same as
+ *                        the site; PII is encrypted here, as in postgres
+ *
+ * @module scripts/local-db-server
+ */
+
+// node:sqlite is available without a flag from Node.js 22.13
+const MIN_NODE_VERSION = [22, 13];
+const [nodeMajor, nodeMinor] = process.versions.node.split('.').map(Number);
+if (nodeMajor < MIN_NODE_VERSION[0] || (nodeMajor === MIN_NODE_VERSION[0] && nodeMinor < MIN_NODE_VERSION[1])) {
+  console.error(
+    `The local database server needs Node.js ${MIN_NODE_VERSION.join('.')} or later (for node:sqlite); ` +
+    `this is ${process.version}. The site itself runs on Node.js 18 or later.`
+  );
+  process.exit(1);
+}
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+
+const { STORAGE_OPERATIONS } = require('../netlify/functions/utils/database');
+const { signRequest } = require('../netlify/functions/utils/storage/http');
+const pii = require('../netlify/functions/utils/pii-encryption');
+const audit = require('../netlify/functions/utils/audit');
+const customers = require('../netlify/functions/utils/customers');
+const dataSubject = require('../netlify/functions/utils/data-subject');
+const emailEvents = require('../netlify/functions/utils/email-events');
+const {
+  SUBSCRIPTION_STATES,
+  isValidState,
+  canTransition
+} = require('../netlify/functions/utils/subscription-state');
+
+const PORT = parseInt(process.env.SSS_DB_LOCAL_PORT || '8002', 10);
+const DB_FILE = process.env.SSS_DB_LOCAL_FILE || path.join(__dirname, '..', '.data', 'local-db.sqlite');
+const SECRET = process.env.SSS_DB_SECRET;
+
+const MIN_SECRET_LENGTH = 32;
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SAST_OFFSET_MS = 2 * HOUR_MS;
+
+// Columns stored as JSON text, returned as objects (JSONB in postgres)
+const JSON_COLUMNS = new Set([
+  'form_data', 'payment_data', 'reasons', 'expected', 'itn_data', 'headers', 'processing_result', 'summary',
+  'changes', 'details', 'attachments', 'phone_suffix_bidx'
+]);
+const BOOLEAN_COLUMNS = new Set(['is_replay']);
+
+// Nonces seen within the clock-skew window, with their expiry (ms)
+const seenNonces = new Map();
+
+let db = null;
+
+// ============================================
+// SCHEMA
+// ============================================
+
+// Timestamps are stored as ISO 8601 UTC text, so they compare as strings
+const NOW_SQL = `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    sql: `
+      CREATE TABLE pending_form_data (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT UNIQUE NOT NULL,
+        form_data TEXT NOT NULL,
+        plan_id TEXT,
+        recovery_emails_sent INTEGER NOT NULL DEFAULT 0,
+        last_recovery_email_at TEXT,
+        created_at TEXT DEFAULT ${NOW_SQL},
+        expires_at TEXT
+      );
+      CREATE INDEX idx_pending_expires_at ON pending_form_data(expires_at);
+
+      CREATE TABLE submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT UNIQUE NOT NULL,
+        business_name TEXT,
+        owner_first_name TEXT,
+        owner_last_name TEXT,
+        email TEXT,
+        phone TEXT,
+        industry TEXT,
+        payment_status TEXT NOT NULL DEFAULT 'COMPLETE',
+        payfast_payment_id TEXT,
+        subscription_token TEXT,
+        amount_gross REAL,
+        amount_net REAL,
+        form_data TEXT NOT NULL DEFAULT '{}',
+        payment_data TEXT DEFAULT '{}',
+        plan_id TEXT,
+        recurring_amount REAL,
+        subscription_status TEXT NOT NULL DEFAULT 'trialing',
+        subscription_status_changed_at TEXT DEFAULT ${NOW_SQL},
+        created_at TEXT DEFAULT ${NOW_SQL},
+        updated_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_submissions_email ON submissions(email);
+
+      CREATE TABLE subscription_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT NOT NULL REFERENCES submissions(submission_id),
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        payment_status TEXT,
+        payfast_payment_id TEXT,
+        reason TEXT,
+        changed_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_subscription_history_submission_id
+        ON subscription_status_history(submission_id, changed_at);
+
+      CREATE TABLE checkout_requests (
+        m_payment_id TEXT PRIMARY KEY,
+        plan_id TEXT NOT NULL,
+        merchant_id TEXT NOT NULL,
+        amount REAL NOT NULL,
+        recurring_amount REAL,
+        frequency TEXT,
+        cycles TEXT,
+        issued_at TEXT DEFAULT ${NOW_SQL}
+      );
+
+      CREATE TABLE itn_quarantine (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        submission_id TEXT,
+        m_payment_id TEXT,
+        pf_payment_id TEXT,
+        reasons TEXT NOT NULL DEFAULT '[]',
+        expected TEXT NOT NULL DEFAULT '{}',
+        itn_data TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'open',
+        reviewed_by TEXT,
+        review_note TEXT,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE UNIQUE INDEX idx_itn_quarantine_pf_payment_id ON itn_quarantine(pf_payment_id);
+
+      CREATE TABLE payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pf_payment_id TEXT UNIQUE NOT NULL,
+        submission_id TEXT NOT NULL REFERENCES submissions(submission_id),
+        payment_type TEXT NOT NULL,
+        payment_status TEXT NOT NULL,
+        amount_gross REAL,
+        amount_fee REAL,
+        amount_net REAL,
+        billing_date TEXT,
+        itn_data TEXT NOT NULL DEFAULT '{}',
+        received_at TEXT DEFAULT ${NOW_SQL},
+        updated_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_payments_submission_id ON payments(submission_id, received_at);
+
+      CREATE TABLE itn_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raw_body TEXT NOT NULL,
+        headers TEXT NOT NULL DEFAULT '{}',
+        source_ip TEXT,
+        pf_payment_id TEXT,
+        m_payment_id TEXT,
+        submission_id TEXT,
+        payment_status TEXT,
+        received_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_itn_events_submission_id ON itn_events(submission_id, received_at);
+
+      CREATE TABLE itn_event_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL REFERENCES itn_events(id),
+        validation_outcome TEXT NOT NULL,
+        processing_result TEXT NOT NULL DEFAULT '{}',
+        is_replay INTEGER NOT NULL DEFAULT 0,
+        replayed_by TEXT,
+        recorded_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_itn_event_results_event_id ON itn_event_results(event_id, recorded_at);
+
+      CREATE TRIGGER itn_events_no_update BEFORE UPDATE ON itn_events
+        BEGIN SELECT RAISE(ABORT, 'itn_events is append-only'); END;
+      CREATE TRIGGER itn_events_no_delete BEFORE DELETE ON itn_events
+        BEGIN SELECT RAISE(ABORT, 'itn_events is append-only'); END;
+      CREATE TRIGGER itn_event_results_no_update BEFORE UPDATE ON itn_event_results
+        BEGIN SELECT RAISE(ABORT, 'itn_event_results is append-only'); END;
+      CREATE TRIGGER itn_event_results_no_delete BEFORE DELETE ON itn_event_results
+        BEGIN SELECT RAISE(ABORT, 'itn_event_results is append-only'); END;
+
+      CREATE TABLE email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        submission_id TEXT,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TEXT DEFAULT ${NOW_SQL},
+        sent_at TEXT,
+        created_at TEXT DEFAULT ${NOW_SQL},
+        updated_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+
+      CREATE TABLE checkout_expiry_stats (
+        period_date TEXT NOT NULL,
+        plan_id TEXT NOT NULL,
+        abandoned_count INTEGER NOT NULL DEFAULT 0,
+        converted_count INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT DEFAULT ${NOW_SQL},
+        PRIMARY KEY (period_date, plan_id)
+      );
+
+      CREATE TABLE email_opt_outs (
+        email TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW_SQL}
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'pii_encryption',
+    sql: `
+      ALTER TABLE pending_form_data ADD COLUMN email_bidx TEXT;
+      ALTER TABLE pending_form_data ADD COLUMN pii_key_id TEXT;
+      CREATE INDEX idx_pending_email_bidx ON pending_form_data(email_bidx);
+
+      ALTER TABLE submissions ADD COLUMN email_bidx TEXT;
+      ALTER TABLE submissions ADD COLUMN phone_bidx TEXT;
+      ALTER TABLE submissions ADD COLUMN pii_key_id TEXT;
+      DROP INDEX idx_submissions_email;
+      CREATE INDEX idx_submissions_email_bidx ON submissions(email_bidx);
+      CREATE INDEX idx_submissions_phone_bidx ON submissions(phone_bidx);
+
+      -- SQLite can't drop a primary key, so the table is rebuilt
+      ALTER TABLE email_opt_outs RENAME TO email_opt_outs_legacy;
+      CREATE TABLE email_opt_outs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT,
+        email_bidx TEXT UNIQUE,
+        source TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW_SQL}
+      );
+      INSERT INTO email_opt_outs (email, source, created_at)
+        SELECT email, source, created_at FROM email_opt_outs_legacy;
+      DROP TABLE email_opt_outs_legacy;
+    `
+  },
+  {
+    version: 3,
+    name: 'data_subject_requests',
+    sql: `
+      CREATE TABLE data_subject_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        email_bidx TEXT NOT NULL,
+        requested_by TEXT,
+        reference TEXT,
+        summary TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_data_subject_requests_email_bidx ON data_subject_requests(email_bidx, created_at);
+
+      ALTER TABLE submissions ADD COLUMN erased_at TEXT;
+      ALTER TABLE itn_events ADD COLUMN redacted_at TEXT;
+
+      -- Still append-only, except for a one-time raw_body redaction
+      DROP TRIGGER itn_events_no_update;
+      CREATE TRIGGER itn_events_no_update BEFORE UPDATE ON itn_events
+        WHEN NOT (
+          OLD.redacted_at IS NULL AND NEW.redacted_at IS NOT NULL
+          AND NEW.id = OLD.id
+          AND NEW.headers IS OLD.headers
+          AND NEW.source_ip IS OLD.source_ip
+          AND NEW.pf_payment_id IS OLD.pf_payment_id
+          AND NEW.m_payment_id IS OLD.m_payment_id
+          AND NEW.submission_id IS OLD.submission_id
+          AND NEW.payment_status IS OLD.payment_status
+          AND NEW.received_at IS OLD.received_at
+        )
+        BEGIN SELECT RAISE(ABORT, 'itn_events is append-only'); END;
+    `
+  },
+  {
+    version: 4,
+    name: 'audit_log',
+    sql: `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        submission_id TEXT,
+        changes TEXT NOT NULL DEFAULT '{}',
+        details TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+      CREATE INDEX idx_audit_log_submission_id ON audit_log(submission_id, created_at);
+      CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `
+  },
+  {
+    version: 5,
+    name: 'customers',
+    sql: `
+      CREATE TABLE customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT,
+        phone TEXT,
+        email_bidx TEXT UNIQUE,
+        phone_bidx TEXT,
+        pii_key_id TEXT,
+        erased_at TEXT,
+        created_at TEXT DEFAULT ${NOW_SQL},
+        updated_at TEXT DEFAULT ${NOW_SQL}
+      );
+      CREATE INDEX idx_customers_phone_bidx ON customers(phone_bidx);
+
+      ALTER TABLE submissions ADD COLUMN customer_id INTEGER REFERENCES customers(id);
+      CREATE INDEX idx_submissions_customer_id ON submissions(customer_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'email_outbox_dedupe',
+    sql: `
+      ALTER TABLE email_outbox ADD COLUMN dedupe_key TEXT;
+      CREATE UNIQUE INDEX idx_email_outbox_dedupe_key ON email_outbox(dedupe_key);
+    `
+  },
+  {
+    // No full-text index here - searchSubmissions scans with LIKE
+    version: 7,
+    name: 'submission_search',
+    sql: `
+      ALTER TABLE submissions ADD COLUMN last_name_bidx TEXT;
+      CREATE INDEX idx_submissions_last_name_bidx ON submissions(last_name_bidx);
+      CREATE INDEX idx_submissions_created_at ON submissions(created_at);
+      UPDATE submissions SET pii_key_id = NULL
+      WHERE owner_last_name IS NOT NULL AND last_name_bidx IS NULL;
+    `
+  },
+  {
+    version: 8,
+    name: 'email_delivery_provider',
+    sql: `
+      ALTER TABLE email_outbox ADD COLUMN provider TEXT;
+      ALTER TABLE email_outbox ADD COLUMN provider_message_id TEXT;
+    `
+  },
+  {
+    version: 9,
+    name: 'email_events',
+    sql: `
+      CREATE TABLE email_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        provider_event_id TEXT NOT NULL,
+        provider_message_id TEXT,
+        email_outbox_id INTEGER REFERENCES email_outbox(id),
+        submission_id TEXT,
+        event_type TEXT NOT NULL,
+        bounce_type TEXT,
+        detail TEXT,
+        occurred_at TEXT,
+        created_at TEXT DEFAULT ${NOW_SQL},
+        UNIQUE (provider, provider_event_id)
+      );
+      CREATE INDEX idx_email_events_submission ON email_events(submission_id, occurred_at);
+      CREATE INDEX idx_email_events_outbox ON email_events(email_outbox_id);
+      CREATE INDEX idx_email_outbox_provider_message ON email_outbox(provider, trim(provider_message_id, '<>'));
+      ALTER TABLE customers ADD COLUMN email_status TEXT;
+      ALTER TABLE customers ADD COLUMN email_status_reason TEXT;
+      ALTER TABLE customers ADD COLUMN email_status_at TEXT;
+    `
+  },
+  {
+    version: 10,
+    name: 'email_attachments',
+    sql: `
+      ALTER TABLE email_outbox ADD COLUMN attachments TEXT;
+    `
+  },
+  {
+    version: 11,
+    name: 'itn_and_outbox_encryption',
+    sql: `
+      ALTER TABLE payments ADD COLUMN pii_key_id TEXT;
+      ALTER TABLE itn_quarantine ADD COLUMN email_bidx TEXT;
+      ALTER TABLE itn_quarantine ADD COLUMN pii_key_id TEXT;
+      CREATE INDEX idx_itn_quarantine_email_bidx ON itn_quarantine(email_bidx);
+      ALTER TABLE email_outbox ADD COLUMN to_address_bidx TEXT;
+      ALTER TABLE email_outbox ADD COLUMN pii_key_id TEXT;
+      CREATE INDEX idx_email_outbox_to_address_bidx ON email_outbox(to_address_bidx);
+    `
+  },
+  {
+    // A JSON array here (TEXT[] in postgres) - searchSubmissions scans it
+    version: 12,
+    name: 'phone_suffix_search',
+    sql: `
+      ALTER TABLE submissions ADD COLUMN phone_suffix_bidx TEXT;
+      UPDATE submissions SET pii_key_id = NULL
+      WHERE phone IS NOT NULL AND phone_suffix_bidx IS NULL;
+    `
+  }
+];
+
+/**
+ * Fingerprint a migration so edits after it was applied can be spotted
+ * (its SQL text, which this unbundled script always sees as written)
+ */
+function migrationChecksum(migration) {
+  return crypto.createHash('sha256').update(migration.sql).digest('hex');
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Current time, or an offset from it, as stored ISO text
+ */
+function isoNow(offsetMs = 0) {
+  return new Date(Date.now() + offsetMs).toISOString();
+}
+
+/**
+ * Phone suffix blind indexes as stored JSON text (NULL without a phone)
+ */
+function phoneSuffixColumn(phone) {
+  const indexes = pii.phoneSuffixBlindIndexes(phone);
+  return indexes ? JSON.stringify(indexes) : null;
+}
+
+/**
+ * Convert a stored row to the shape the postgres backend returns
+ */
+function decodeRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const decoded = { ...row };
+  for (const [column, value] of Object.entries(decoded)) {
+    if (JSON_COLUMNS.has(column) && typeof value === 'string') {
+      decoded[column] = JSON.parse(value);
+    } else if (BOOLEAN_COLUMNS.has(column) && value !== null) {
+      decoded[column] = value === 1;
+    }
+  }
+  return decoded;
+}
+
+function queryOne(sql, ...params) {
+  return decodeRow(db.prepare(sql).get(...params));
+}
+
+function queryAll(sql, ...params) {
+  return db.prepare(sql).all(...params).map(decodeRow);
+}
+
+function execute(sql, ...params) {
+  return db.prepare(sql).run(...params);
+}
+
+/**
+ * Clamp a list limit the way the postgres backend does
+ */
+function listLimit(limit) {
+  return Math.min(parseInt(limit, 10) || 50, 500);
+}
+
+/**
+ * SAST calendar date (YYYY-MM-DD) of a stored timestamp
+ */
+function sastDate(timestamp) {
+  return new Date(Date.parse(timestamp) + SAST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Start of the day, ISO week (Monday) or month containing a date
+ */
+function truncateDate(date, period) {
+  if (period === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  if (period === 'week') {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+/**
+ * Append an audit_log entry for a change, as the current actor
+ * (same entries as recordAudit() in storage/postgres.js)
+ */
+function recordAudit({ action, entityType, entityId, submissionId, before = null, after = null, details = {} }) {
+  const actor = audit.getActor();
+  execute(`
+    INSERT INTO audit_log (
+      actor_type, actor_id, action, entity_type, entity_id, submission_id, changes, details
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, actor.type, actor.id, action, entityType,
+    entityId === undefined || entityId === null ? null : String(entityId),
+    submissionId || null, JSON.stringify(audit.diffRecords(before, after)), JSON.stringify(details));
+}
+
+/**
+ * Find the customer matching an identity, creating one if none does
+ * (same rules as findOrCreateCustomer() in storage/postgres.js)
+ */
+function findOrCreateCustomer(identity) {
+  if (!identity.emailBidx && !identity.phoneBidx) {
+    return null;
+  }
+
+  const before = queryOne(`
+    SELECT * FROM customers
+    WHERE email_bidx = ?1 OR phone_bidx = ?2
+    ORDER BY CASE WHEN email_bidx = ?1 THEN 0 ELSE 1 END, id
+    LIMIT 1
+  `, identity.emailBidx, identity.phoneBidx);
+
+  if (before) {
+    const updated = queryOne(`
+      UPDATE customers SET
+        first_name = COALESCE(first_name, ?),
+        last_name = COALESCE(last_name, ?),
+        email = COALESCE(email, ?),
+        phone = COALESCE(phone, ?),
+        email_bidx = COALESCE(email_bidx, ?),
+        phone_bidx = COALESCE(phone_bidx, ?),
+        updated_at = ${NOW_SQL}
+      WHERE id = ?
+      RETURNING *
+    `,
+      pii.encryptCustomerColumn('first_name', identity.firstName),
+      pii.encryptCustomerColumn('last_name', identity.lastName),
+      pii.encryptCustomerColumn('email', identity.email),
+      pii.encryptCustomerColumn('phone', identity.phone),
+      identity.emailBidx,
+      identity.phoneBidx,
+      before.id
+    );
+
+    const decryptedBefore = pii.decryptCustomerRow(before);
+    const decryptedAfter = pii.decryptCustomerRow(updated);
+    if (Object.keys(audit.diffRecords(decryptedBefore, decryptedAfter)).length > 0) {
+      recordAudit({
+        action: 'updated',
+        entityType: 'customer',
+        entityId: before.id,
+        before: decryptedBefore,
+        after: decryptedAfter
+      });
+    }
+    return { customer: updated, created: false };
+  }
+
+  const customer = queryOne(`
+    INSERT INTO customers (first_name, last_name, email, phone, email_bidx, phone_bidx, pii_key_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `,
+    pii.encryptCustomerColumn('first_name', identity.firstName),
+    pii.encryptCustomerColumn('last_name', identity.lastName),
+    pii.encryptCustomerColumn('email', identity.email),
+    pii.encryptCustomerColumn('phone', identity.phone),
+    identity.emailBidx,
+    identity.phoneBidx,
+    pii.getActiveKeyId()
+  );
+
+  recordAudit({
+    action: 'created',
+    entityType: 'customer',
+    entityId: customer.id,
+    after: pii.decryptCustomerRow(customer)
+  });
+  return { customer, created: true };
+}
+
+/**
+ * Copy of an object without the named fields
+ */
+function withoutFields(data, fields) {
+  const copy = { ...(data || {}) };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Pending checkouts and submissions belonging to a normalised email address
+ * (rows not yet re-encrypted are matched on plaintext, as in postgres)
+ */
+function findDataSubjectRows(email) {
+  const emailBidx = pii.emailBlindIndex(email);
+  const pending = queryAll(`
+    SELECT * FROM pending_form_data
+    WHERE email_bidx = ?
+       OR (pii_key_id IS NULL AND LOWER(TRIM(json_extract(form_data, '$.businessEmail'))) = ?)
+    ORDER BY created_at
+  `, emailBidx, email).map(pii.decryptPendingRow);
+  const submissions = queryAll(`
+    SELECT * FROM submissions
+    WHERE email_bidx = ?1
+       OR (pii_key_id IS NULL AND LOWER(TRIM(email)) = ?2)
+       OR customer_id IN (SELECT id FROM customers WHERE email_bidx = ?1)
+    ORDER BY created_at
+  `, emailBidx, email).map(pii.decryptSubmissionRow);
+
+  // Their customer rows: by email, or linked from their submissions
+  const customerRows = queryAll(`
+    SELECT * FROM customers
+    WHERE email_bidx = ? OR id IN (SELECT value FROM json_each(?))
+    ORDER BY id
+  `, emailBidx, JSON.stringify(submissions.map(row => row.customer_id).filter(Boolean))).map(pii.decryptCustomerRow);
+
+  const submissionIds = [...new Set([
+    ...pending.map(row => row.submission_id),
+    ...submissions.map(row => row.submission_id)
+  ])];
+  return { emailBidx, pending, submissions, customers: customerRows, submissionIds: JSON.stringify(submissionIds) };
+}
+
+function insertDataSubjectRequest({ requestType, status, emailBidx, requestedBy, reference, summary }) {
+  const requestId = queryOne(`
+    INSERT INTO data_subject_requests (request_type, status, email_bidx, requested_by, reference, summary)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING id
+  `, requestType, status, emailBidx, requestedBy || null, reference || null, JSON.stringify(summary)).id;
+
+  recordAudit({
+    action: `${requestType}_${status}`,
+    entityType: 'data_subject_request',
+    entityId: requestId,
+    details: summary
+  });
+  return requestId;
+}
+
+// ============================================
+// SEARCH
+// (Trigram matching like pg_trgm's <% in storage/postgres.js)
+// ============================================
+
+// pg_trgm's default word_similarity_threshold
+const WORD_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Lower-cased words (runs of letters and digits), as pg_trgm splits text
+ */
+function trigramWords(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Trigrams of some words, each padded as pg_trgm pads it ("cat": "  c", " ca", "cat", "at ")
+ */
+function trigramsOf(words) {
+  const trigrams = new Set();
+  for (const word of words) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  }
+  return trigrams;
+}
+
+/**
+ * Share of the query's trigrams found in the best-matching run of as
+ * many consecutive words of the text (0-1, close to pg_trgm's word_similarity)
+ */
+function wordSimilarity(query, text) {
+  const queryWords = trigramWords(query);
+  const queryTrigrams = trigramsOf(queryWords);
+  if (queryTrigrams.size === 0) {
+    return 0;
+  }
+
+  const textWords = trigramWords(text);
+  let best = 0;
+  for (let start = 0; start < textWords.length; start++) {
+    const window = trigramsOf(textWords.slice(start, start + queryWords.length));
+    const shared = [...queryTrigrams].filter(trigram => window.has(trigram)).length;
+    best = Math.max(best, shared / queryTrigrams.size);
+  }
+  return best;
+}
+
+// ============================================
+// DATA RETENTION
+// (One batch of a rule, as in storage/postgres.js)
+// ============================================
+
+// logoUpload fields kept when logo metadata is anonymised
+const LOGO_METADATA_KEPT_FIELDS = ['fileType', 'fileSize'];
+
+/**
+ * Redact the raw bodies of unredacted ITN events (once per event)
+ *
+ * @returns {number} Events redacted
+ */
+function redactItnEvents(events) {
+  for (const row of events) {
+    execute(
+      'UPDATE itn_events SET raw_body = ?, redacted_at = ? WHERE id = ?',
+      dataSubject.redactItnBody(row.raw_body), isoNow(), row.id
+    );
+  }
+  return events.length;
+}
+
+function hasPaymentPii(itnData) {
+  return pii.PAYMENT_DATA_PII_FIELDS.some(field => field in (itnData || {}));
+}
+
+function anonymiseCancelledSubmissions({ cutoff, dryRun, limit }) {
+  const rows = queryAll(`
+    SELECT * FROM submissions
+    WHERE subscription_status = ? AND erased_at IS NULL
+      AND COALESCE(subscription_status_changed_at, created_at) < ?
+    ORDER BY id
+  `, SUBSCRIPTION_STATES.CANCELLED, cutoff);
+  if (dryRun) {
+    return { due: rows.length, processed: 0 };
+  }
+
+  const batch = rows.slice(0, limit);
+  const submissionIds = batch.map(row => row.submission_id);
+  const inIds = 'IN (SELECT value FROM json_each(?))';
+
+  for (const row of batch) {
+    execute(`
+      UPDATE submissions SET
+        owner_first_name = NULL, owner_last_name = NULL, email = NULL, phone = NULL,
+        subscription_token = NULL, email_bidx = NULL, phone_bidx = NULL, last_name_bidx = NULL,
+        phone_suffix_bidx = NULL,
+        form_data = ?, payment_data = ?, erased_at = ?, updated_at = ?
+      WHERE id = ?
+    `,
+      JSON.stringify(withoutFields(row.form_data, pii.FORM_DATA_PII_FIELDS)),
+      JSON.stringify(withoutFields(row.payment_data, pii.PAYMENT_DATA_PII_FIELDS)),
+      isoNow(),
+      isoNow(),
+      row.id
+    );
+  }
+
+  const customerRows = execute(`
+    UPDATE customers SET
+      first_name = NULL, last_name = NULL, email = NULL, phone = NULL,
+      email_bidx = NULL, phone_bidx = NULL, erased_at = ?, updated_at = ?
+    WHERE id IN (SELECT customer_id FROM submissions WHERE submission_id ${inIds})
+      AND erased_at IS NULL
+      AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.customer_id = customers.id AND s.erased_at IS NULL)
+  `, isoNow(), isoNow(), JSON.stringify(submissionIds)).changes;
+
+  const payments = queryAll(`SELECT id, itn_data FROM payments WHERE submission_id ${inIds}`, JSON.stringify(submissionIds));
+  for (const row of payments) {
+    execute(
+      'UPDATE payments SET itn_data = ?, updated_at = ? WHERE id = ?',
+      JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), isoNow(), row.id
+    );
+  }
+
+  const quarantine = queryAll(`SELECT id, itn_data FROM itn_quarantine WHERE submission_id ${inIds}`, JSON.stringify(submissionIds));
+  for (const row of quarantine) {
+    execute(
+      'UPDATE itn_quarantine SET itn_data = ?, email_bidx = NULL WHERE id = ?',
+      JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), row.id
+    );
+  }
+
+  const events = redactItnEvents(queryAll(
+    `SELECT id, raw_body FROM itn_events WHERE submission_id ${inIds} AND redacted_at IS NULL`,
+    JSON.stringify(submissionIds)
+  ));
+
+  const emails = execute(`
+    UPDATE email_outbox SET
+      to_address = ?,
+      to_address_bidx = NULL,
+      subject = ?,
+      text_body = ?,
+      html_body = ?,
+      attachments = NULL,
+      status = CASE WHEN status = 'pending' THEN 'dead' ELSE status END,
+      last_error = CASE WHEN status = 'pending' THEN 'Cancelled by retention policy' ELSE last_error END,
+      updated_at = ?
+    WHERE submission_id ${inIds}
+  `,
+    dataSubject.ERASED_VALUE, dataSubject.ERASED_VALUE, dataSubject.ERASED_VALUE, dataSubject.ERASED_VALUE,
+    isoNow(), JSON.stringify(submissionIds)
+  ).changes;
+
+  return {
+    due: rows.length,
+    processed: batch.length,
+    details: {
+      customers: customerRows,
+      payments: payments.length,
+      quarantinedItns: quarantine.length,
+      itnEvents: events,
+      emails,
+      submissionIds
+    }
+  };
+}
+
+function anonymiseItnPayloads({ cutoff, dryRun, limit }) {
+  const events = queryAll(
+    'SELECT id, raw_body FROM itn_events WHERE redacted_at IS NULL AND received_at < ? ORDER BY id',
+    cutoff
+  );
+  const payments = queryAll('SELECT id, itn_data FROM payments WHERE received_at < ? ORDER BY id', cutoff)
+    .filter(row => hasPaymentPii(row.itn_data));
+  const quarantine = queryAll(`SELECT id, itn_data FROM itn_quarantine WHERE status <> 'open' AND created_at < ? ORDER BY id`, cutoff)
+    .filter(row => hasPaymentPii(row.itn_data));
+
+  const due = events.length + payments.length + quarantine.length;
+  if (dryRun) {
+    return { due, processed: 0 };
+  }
+
+  const redacted = redactItnEvents(events.slice(0, limit));
+  const paymentBatch = payments.slice(0, limit);
+  for (const row of paymentBatch) {
+    execute(
+      'UPDATE payments SET itn_data = ?, updated_at = ? WHERE id = ?',
+      JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), isoNow(), row.id
+    );
+  }
+  const quarantineBatch = quarantine.slice(0, limit);
+  for (const row of quarantineBatch) {
+    execute(
+      'UPDATE itn_quarantine SET itn_data = ?, email_bidx = NULL WHERE id = ?',
+      JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), row.id
+    );
+  }
+
+  return {
+    due,
+    processed: redacted + paymentBatch.length + quarantineBatch.length,
+    details: {
+      itnEvents: redacted,
+      payments: paymentBatch.length,
+      quarantinedItns: quarantineBatch.length
+    }
+  };
+}
+
+function expireLogoMetadata({ action, cutoff, dryRun, limit }) {
+  const rows = queryAll('SELECT id, submission_id, form_data FROM submissions WHERE created_at < ? ORDER BY id', cutoff)
+    .filter(row => {
+      const logo = row.form_data?.logoUpload;
+      if (action === 'delete') {
+        return row.form_data && 'logoUpload' in row.form_data;
+      }
+      return logo && typeof logo === 'object' && Object.keys(logo).some(key => !LOGO_METADATA_KEPT_FIELDS.includes(key));
+    });
+  if (dryRun) {
+    return { due: rows.length, processed: 0 };
+  }
+
+  const batch = rows.slice(0, limit);
+  for (const row of batch) {
+    const formData = withoutFields(row.form_data, ['logoUpload']);
+    if (action !== 'delete') {
+      formData.logoUpload = Object.fromEntries(
+        Object.entries(row.form_data.logoUpload).filter(([key]) => LOGO_METADATA_KEPT_FIELDS.includes(key))
+      );
+    }
+    execute(
+      'UPDATE submissions SET form_data = ?, updated_at = ? WHERE id = ?',
+      JSON.stringify(formData), isoNow(), row.id
+    );
+  }
+
+  return {
+    due: rows.length,
+    processed: batch.length,
+    details: { submissionIds: batch.map(row => row.submission_id) }
+  };
+}
+
+// Retention category → function applying its rule to one batch
+const RETENTION_RULES = Object.freeze({
+  cancelledCustomers: anonymiseCancelledSubmissions,
+  itnPayloads: anonymiseItnPayloads,
+  logoMetadata: expireLogoMetadata
+});
+
+// ============================================
+// OPERATIONS
+// (Same arguments and results as storage/postgres.js)
+// ============================================
+
+const OPERATIONS = {
+  // ----------------------------------------
+  // Audit log
+  // ----------------------------------------
+  listAuditLog({ submissionId, entityType, entityId, actorType, actorId, action, from, to, limit = 100 } = {}) {
+    return queryAll(`
+      SELECT * FROM audit_log
+      WHERE (?1 IS NULL OR submission_id = ?1)
+        AND (?2 IS NULL OR entity_type = ?2)
+        AND (?3 IS NULL OR entity_id = ?3)
+        AND (?4 IS NULL OR actor_type = ?4)
+        AND (?5 IS NULL OR actor_id = ?5)
+        AND (?6 IS NULL OR action = ?6)
+        AND (?7 IS NULL OR created_at >= ?7)
+        AND (?8 IS NULL OR created_at < ?8)
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?9
+    `,
+      submissionId || null,
+      entityType || null,
+      entityId !== undefined && entityId !== null ? String(entityId) : null,
+      actorType || null,
+      actorId || null,
+      action || null,
+      from ? new Date(from).toISOString() : null,
+      to ? new Date(to).toISOString() : null,
+      Math.min(parseInt(limit, 10) || 100, 500)
+    );
+  },
+
+  // ----------------------------------------
+  // Schema migrations
+  // ----------------------------------------
+  runMigrations() {
+    const appliedVersions = new Set(
+      db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+      if (appliedVersions.has(migration.version)) {
+        continue;
+      }
+
+      const startedAt = Date.now();
+      db.exec(migration.sql);
+      execute(`
+        INSERT INTO schema_migrations (version, name, checksum, duration_ms)
+        VALUES (?, ?, ?, ?)
+      `, migration.version, migration.name, migrationChecksum(migration), Date.now() - startedAt);
+
+      applied.push({ version: migration.version, name: migration.name, durationMs: Date.now() - startedAt });
+      console.log(`[Local DB] Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    const currentVersion = Math.max(0, ...appliedVersions, ...applied.map(m => m.version));
+    if (applied.length > 0) {
+      recordAudit({
+        action: 'migrated',
+        entityType: 'schema',
+        entityId: currentVersion,
+        details: { applied: applied.map(m => m.version) }
+      });
+    }
+    return { applied, currentVersion };
+  },
+
+  getMigrationStatus() {
+    const applied = queryAll(`
+      SELECT version, name, checksum, applied_at, duration_ms FROM schema_migrations ORDER BY version
+    `);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const knownVersions = new Set(MIGRATIONS.map(m => m.version));
+
+    const pending = MIGRATIONS
+      .filter(m => !appliedByVersion.has(m.version))
+      .map(m => ({ version: m.version, name: m.name }));
+    const modified = MIGRATIONS
+      .filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== migrationChecksum(m))
+      .map(m => ({ version: m.version, name: m.name }));
+    const unknown = applied
+      .filter(row => !knownVersions.has(row.version))
+      .map(row => ({ version: row.version, name: row.name }));
+
+    return {
+      currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+      latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+      upToDate: pending.length === 0,
+      applied,
+      pending,
+      modified,
+      unknown
+    };
+  },
+
+  // ----------------------------------------
+  // Pending form data (before payment)
+  // ----------------------------------------
+  storePendingFormData(submissionId, formData, planId = null, ttlHours) {
+    if (!submissionId) {
+      throw new Error('submissionId is required');
+    }
+    if (!formData || typeof formData !== 'object') {
+      throw new Error('formData must be a valid object');
+    }
+    if (!(ttlHours > 0)) {
+      throw new Error('ttlHours must be a positive number');
+    }
+
+    const before = pii.decryptPendingRow(queryOne('SELECT * FROM pending_form_data WHERE submission_id = ?', submissionId));
+    const stored = pii.decryptPendingRow(queryOne(`
+      INSERT INTO pending_form_data (
+        submission_id, form_data, plan_id, email_bidx, pii_key_id, created_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (submission_id) DO UPDATE SET
+        form_data = excluded.form_data,
+        plan_id = excluded.plan_id,
+        email_bidx = excluded.email_bidx,
+        pii_key_id = excluded.pii_key_id,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at
+      RETURNING *
+    `,
+      submissionId,
+      JSON.stringify(pii.encryptFormData(formData)),
+      planId,
+      pii.emailBlindIndex(formData.businessEmail),
+      pii.getActiveKeyId(),
+      isoNow(),
+      isoNow(ttlHours * HOUR_MS)
+    ));
+
+    recordAudit({
+      action: before ? 'updated' : 'created',
+      entityType: 'pending_checkout',
+      entityId: submissionId,
+      submissionId,
+      before,
+      after: stored
+    });
+    return stored;
+  },
+
+  getPendingFormData(submissionId, ignoreExpiry = false) {
+    if (!submissionId) {
+      return null;
+    }
+
+    return pii.decryptPendingRow(ignoreExpiry
+      ? queryOne('SELECT * FROM pending_form_data WHERE submission_id = ?', submissionId)
+      : queryOne('SELECT * FROM pending_form_data WHERE submission_id = ? AND expires_at > ?', submissionId, isoNow()));
+  },
+
+  deletePendingFormData(submissionId) {
+    if (!submissionId) {
+      return false;
+    }
+    const deleted = queryOne('DELETE FROM pending_form_data WHERE submission_id = ? RETURNING *', submissionId);
+    if (deleted) {
+      recordAudit({
+        action: 'deleted',
+        entityType: 'pending_checkout',
+        entityId: submissionId,
+        submissionId,
+        before: pii.decryptPendingRow(deleted),
+        after: null
+      });
+    }
+    return !!deleted;
+  },
+
+  reopenPendingCheckout(submissionId, windowHours, ttlHours) {
+    if (!submissionId) {
+      return null;
+    }
+
+    const before = queryOne('SELECT * FROM pending_form_data WHERE submission_id = ?', submissionId);
+    const reopened = queryOne(`
+      UPDATE pending_form_data SET expires_at = MAX(expires_at, ?)
+      WHERE submission_id = ? AND expires_at > ?
+      RETURNING *
+    `, isoNow(ttlHours * HOUR_MS), submissionId, isoNow(-windowHours * HOUR_MS));
+    if (!reopened) {
+      return null;
+    }
+
+    recordAudit({
+      action: 'reopened',
+      entityType: 'pending_checkout',
+      entityId: submissionId,
+      submissionId,
+      before,
+      after: reopened
+    });
+    return pii.decryptPendingRow(reopened);
+  },
+
+  cleanupExpiredPendingData({ graceHours = 0, dryRun = false } = {}) {
+    const cutoff = isoNow(-graceHours * HOUR_MS);
+    const awaitingReplay = `
+      EXISTS (
+        SELECT 1 FROM itn_events e
+        WHERE e.submission_id = p.submission_id
+          AND e.payment_status = 'COMPLETE'
+          AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.submission_id = p.submission_id)
+      )
+    `;
+
+    const expired = db.prepare(`
+      SELECT p.id, p.submission_id, p.plan_id, p.created_at,
+             EXISTS (SELECT 1 FROM submissions s WHERE s.submission_id = p.submission_id) AS converted
+      FROM pending_form_data p
+      WHERE p.expires_at < ? AND NOT ${awaitingReplay}
+    `).all(cutoff);
+
+    const heldForReplay = db.prepare(`
+      SELECT COUNT(*) AS count FROM pending_form_data p
+      WHERE p.expires_at < ? AND ${awaitingReplay}
+    `).get(cutoff).count;
+
+    if (dryRun) {
+      const wouldConvert = expired.filter(row => row.converted).length;
+      return {
+        deleted: expired.length,
+        abandoned: expired.length - wouldConvert,
+        converted: wouldConvert,
+        heldForReplay
+      };
+    }
+
+    const stats = new Map();
+    for (const row of expired) {
+      execute('DELETE FROM pending_form_data WHERE id = ?', row.id);
+
+      const key = `${sastDate(row.created_at)}|${row.plan_id || 'unknown'}`;
+      const counts = stats.get(key) || { abandoned: 0, converted: 0 };
+      counts[row.converted ? 'converted' : 'abandoned']++;
+      stats.set(key, counts);
+    }
+
+    for (const [key, counts] of stats) {
+      const [periodDate, planId] = key.split('|');
+      execute(`
+        INSERT INTO checkout_expiry_stats (period_date, plan_id, abandoned_count, converted_count)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (period_date, plan_id) DO UPDATE SET
+          abandoned_count = checkout_expiry_stats.abandoned_count + excluded.abandoned_count,
+          converted_count = checkout_expiry_stats.converted_count + excluded.converted_count,
+          updated_at = ${NOW_SQL}
+      `, periodDate, planId, counts.abandoned, counts.converted);
+    }
+
+    const converted = expired.filter(row => row.converted).length;
+    if (expired.length > 0) {
+      recordAudit({
+        action: 'expired',
+        entityType: 'pending_checkout',
+        details: {
+          deleted: expired.length,
+          abandoned: expired.length - converted,
+          converted,
+          graceHours,
+          submissionIds: expired.map(row => row.submission_id)
+        }
+      });
+    }
+    return {
+      deleted: expired.length,
+      abandoned: expired.length - converted,
+      converted,
+      heldForReplay
+    };
+  },
+
+  getAbandonedCheckoutReport({ period = 'day', from, to } = {}) {
+    if (!['day', 'week', 'month'].includes(period)) {
+      throw new Error('period must be day, week or month');
+    }
+
+    const rows = db.prepare(`
+      SELECT period_date, plan_id, abandoned_count, converted_count
+      FROM checkout_expiry_stats
+      WHERE period_date >= ? AND period_date <= ?
+    `).all(from || isoNow(-30 * 24 * HOUR_MS).slice(0, 10), to || isoNow().slice(0, 10));
+
+    const periods = new Map();
+    for (const row of rows) {
+      const key = truncateDate(row.period_date, period);
+      const entry = periods.get(key) || { period: key, abandoned: 0, converted: 0, by_plan: {} };
+      entry.abandoned += row.abandoned_count;
+      entry.converted += row.converted_count;
+      entry.by_plan[row.plan_id] = (entry.by_plan[row.plan_id] || 0) + row.abandoned_count;
+      periods.set(key, entry);
+    }
+
+    return [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+  },
+
+  // ----------------------------------------
+  // Paid submissions (after payment COMPLETE)
+  // ----------------------------------------
+  createPaidSubmission({ submissionId, formData, paymentData, planId, recurringAmount }) {
+    if (!submissionId) {
+      throw new Error('submissionId is required');
+    }
+    if (!formData || typeof formData !== 'object') {
+      throw new Error('formData is required and must be an object');
+    }
+
+    const payfastPaymentId = paymentData?.pf_payment_id || paymentData?.pfPaymentId || null;
+    const existing = queryOne('SELECT * FROM submissions WHERE submission_id = ?', submissionId);
+    const match = existing?.customer_id ? null : findOrCreateCustomer(customers.identityFromFormData(formData));
+
+    const submission = queryOne(`
+      INSERT INTO submissions (
+        submission_id, business_name, owner_first_name, owner_last_name, email, phone, industry,
+        payment_status, payfast_payment_id, subscription_token, amount_gross, amount_net,
+        form_data, payment_data, plan_id, recurring_amount, email_bidx, phone_bidx, last_name_bidx,
+        pii_key_id, customer_id, phone_suffix_bidx
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'COMPLETE', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (submission_id) DO UPDATE SET
+        payment_status = 'COMPLETE',
+        payfast_payment_id = COALESCE(excluded.payfast_payment_id, submissions.payfast_payment_id),
+        subscription_token = COALESCE(excluded.subscription_token, submissions.subscription_token),
+        amount_gross = COALESCE(excluded.amount_gross, submissions.amount_gross),
+        amount_net = COALESCE(excluded.amount_net, submissions.amount_net),
+        payment_data = COALESCE(excluded.payment_data, submissions.payment_data),
+        plan_id = COALESCE(submissions.plan_id, excluded.plan_id),
+        recurring_amount = COALESCE(submissions.recurring_amount, excluded.recurring_amount),
+        customer_id = COALESCE(submissions.customer_id, excluded.customer_id),
+        updated_at = ${NOW_SQL}
+      RETURNING *
+    `,
+      submissionId,
+      formData.businessName || null,
+      pii.encryptColumn('owner_first_name', formData.ownerFirstName),
+      pii.encryptColumn('owner_last_name', formData.ownerLastName),
+      pii.encryptColumn('email', formData.businessEmail),
+      pii.encryptColumn('phone', formData.businessPhone),
+      formData.industry || null,
+      payfastPaymentId,
+      pii.encryptColumn('subscription_token', paymentData?.token),
+      paymentData?.amount_gross ? parseFloat(paymentData.amount_gross) : null,
+      paymentData?.amount_net ? parseFloat(paymentData.amount_net) : null,
+      JSON.stringify(pii.encryptFormData(formData)),
+      JSON.stringify(pii.encryptPaymentData(paymentData || {})),
+      planId || null,
+      recurringAmount !== undefined && recurringAmount !== null ? parseFloat(recurringAmount) : null,
+      pii.emailBlindIndex(formData.businessEmail),
+      pii.phoneBlindIndex(formData.businessPhone),
+      pii.lastNameBlindIndex(formData.ownerLastName),
+      pii.getActiveKeyId(),
+      match ? match.customer.id : null,
+      phoneSuffixColumn(formData.businessPhone)
+    );
+
+    // A new subscription starts its free trial - record it as the first transition
+    if (!existing) {
+      execute(`
+        INSERT INTO subscription_status_history (
+          submission_id, from_status, to_status, payment_status, payfast_payment_id, reason
+        ) VALUES (?, NULL, ?, ?, ?, ?)
+      `, submissionId, SUBSCRIPTION_STATES.TRIALING, paymentData?.payment_status || null, payfastPaymentId, 'Subscription created');
+    }
+
+    const stored = pii.decryptSubmissionRow(submission);
+    recordAudit({
+      action: existing ? 'updated' : 'created',
+      entityType: 'submission',
+      entityId: submissionId,
+      submissionId,
+      before: pii.decryptSubmissionRow(existing),
+      after: stored,
+      details: { payfastPaymentId }
+    });
+    return stored;
+  },
+
+  // Operations run one at a time, so the existence check can't race
+  convertPaidCheckout({ submissionId, paymentData, planId, recurringAmount, paymentType = 'initial', allowExpired = false, fallbackFormData, emails = [] }) {
+    if (!submissionId) {
+      throw new Error('submissionId is required');
+    }
+    if (queryOne('SELECT 1 AS found FROM submissions WHERE submission_id = ?', submissionId)) {
+      return { converted: false };
+    }
+
+    const pendingRecord = pii.decryptPendingRow(queryOne(
+      'SELECT * FROM pending_form_data WHERE submission_id = ? AND (? OR expires_at > ?)',
+      submissionId, allowExpired ? 1 : 0, isoNow()
+    )) || null;
+
+    const submission = OPERATIONS.createPaidSubmission({
+      submissionId,
+      formData: pendingRecord ? pendingRecord.form_data : fallbackFormData,
+      paymentData,
+      planId,
+      recurringAmount
+    });
+    if (paymentData?.pf_payment_id) {
+      OPERATIONS.recordPayment({ submissionId, paymentData, paymentType });
+    }
+
+    const queued = emails
+      .map(email => OPERATIONS.enqueueEmail({ ...email, submissionId }))
+      .filter(Boolean);
+
+    if (pendingRecord) {
+      execute('DELETE FROM pending_form_data WHERE id = ?', pendingRecord.id);
+      recordAudit({
+        action: 'deleted',
+        entityType: 'pending_checkout',
+        entityId: submissionId,
+        submissionId,
+        before: pendingRecord,
+        after: null,
+        details: { reason: 'converted' }
+      });
+    }
+    return { converted: true, submission, fromPending: !!pendingRecord, emails: queued };
+  },
+
+  submissionExists(submissionId) {
+    if (!submissionId) {
+      return false;
+    }
+    return !!queryOne('SELECT 1 AS found FROM submissions WHERE submission_id = ?', submissionId);
+  },
+
+  findBySubmissionId(submissionId) {
+    if (!submissionId) {
+      return null;
+    }
+    return pii.decryptSubmissionRow(queryOne('SELECT * FROM submissions WHERE submission_id = ?', submissionId));
+  },
+
+  findPlanIdForSubmission(submissionId) {
+    if (!submissionId) {
+      return null;
+    }
+
+    const row = queryOne(`
+      SELECT plan_id FROM submissions WHERE submission_id = ? AND plan_id IS NOT NULL
+      UNION ALL
+      SELECT plan_id FROM pending_form_data WHERE submission_id = ? AND plan_id IS NOT NULL
+      LIMIT 1
+    `, submissionId, submissionId);
+    return row?.plan_id || null;
+  },
+
+  // No full-text search in SQLite: every query word must appear in the
+  // searchable text, or the query must be a close trigram match (as in
+  // postgres, for misspellings), and the business name ranks above the
+  // other fields
+  searchSubmissions({ query, subscriptionStatus, from, to, limit = 20, offset = 0 } = {}) {
+    const term = String(query || '').trim();
+    if (term.length < 2) {
+      throw new Error('query must be at least 2 characters');
+    }
+    if (subscriptionStatus && !isValidState(subscriptionStatus)) {
+      throw new Error(`Invalid subscription status: ${subscriptionStatus}`);
+    }
+
+    const words = term.toLowerCase().split(/\s+/);
+    const blindIndexes = [pii.emailBlindIndex(term), pii.phoneBlindIndex(term), pii.lastNameBlindIndex(term)];
+    const phoneSuffixIndex = pii.phoneSuffixSearchIndex(term);
+    const rows = queryAll(`
+      SELECT * FROM submissions
+      WHERE (? IS NULL OR subscription_status = ?)
+      ORDER BY created_at DESC, id DESC
+    `, subscriptionStatus || null, subscriptionStatus || null);
+
+    const matches = [];
+    for (const row of rows) {
+      const created = sastDate(row.created_at);
+      if ((from && created < from) || (to && created > to)) {
+        continue;
+      }
+
+      const formData = row.form_data || {};
+      const name = String(row.business_name || '').toLowerCase();
+      const text = [
+        row.business_name, row.industry, formData.city, formData.province, formData.businessDescription,
+        formData.targetAudience, formData.keySellingPoints, formData.mainGoals
+      ].filter(Boolean).join(' ').toLowerCase();
+
+      const exactMatch = row.submission_id === term ||
+        [row.email_bidx, row.phone_bidx, row.last_name_bidx].some(bidx => bidx && blindIndexes.includes(bidx));
+      const phoneSuffixMatch = !!phoneSuffixIndex && (row.phone_suffix_bidx || []).includes(phoneSuffixIndex);
+      const found = words.filter(word => text.includes(word)).length;
+      const similarity = wordSimilarity(term, text);
+      if (!exactMatch && !phoneSuffixMatch && found < words.length && similarity < WORD_SIMILARITY_THRESHOLD) {
+        continue;
+      }
+
+      matches.push({
+        submission_id: row.submission_id,
+        business_name: row.business_name,
+        owner_first_name: row.owner_first_name,
+        owner_last_name: row.owner_last_name,
+        email: row.email,
+        phone: row.phone,
+        industry: row.industry,
+        payment_status: row.payment_status,
+        subscription_status: row.subscription_status,
+        plan_id: row.plan_id,
+        customer_id: row.customer_id,
+        created_at: row.created_at,
+        exact_match: exactMatch,
+        text_rank: found / words.length + words.filter(word => name.includes(word)).length / words.length + similarity
+      });
+    }
+
+    // Stable sort keeps newest first among equal ranks
+    matches.sort((a, b) => Number(b.exact_match) - Number(a.exact_match) || b.text_rank - a.text_rank);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+    return {
+      total: matches.length,
+      results: matches
+        .slice(start, start + Math.min(parseInt(limit, 10) || 20, 100))
+        .map(row => pii.decryptSubmissionRow(row))
+    };
+  },
+
+  // ----------------------------------------
+  // Customers
+  // ----------------------------------------
+  getCustomer(customerId) {
+    if (!customerId) {
+      return null;
+    }
+
+    const customer = queryOne('SELECT * FROM customers WHERE id = ?', customerId);
+    if (!customer) {
+      return null;
+    }
+
+    const submissions = queryAll(`
+      SELECT submission_id, business_name, plan_id, recurring_amount, subscription_status,
+             payfast_payment_id, created_at
+      FROM submissions WHERE customer_id = ? ORDER BY created_at
+    `, customerId);
+    return { ...pii.decryptCustomerRow(customer), submissions };
+  },
+
+  backfillCustomers({ limit = 50 } = {}) {
+    const rows = queryAll(`
+      SELECT id, submission_id, ${pii.SUBMISSION_PII_COLUMNS.join(', ')}
+      FROM submissions
+      WHERE customer_id IS NULL AND erased_at IS NULL AND (email IS NOT NULL OR phone IS NOT NULL)
+      ORDER BY created_at, id
+      LIMIT ?
+    `, limit);
+
+    let linked = 0;
+    let created = 0;
+    for (const row of rows) {
+      const match = findOrCreateCustomer(customers.identityFromSubmission(pii.decryptSubmissionRow(row)));
+      if (!match) {
+        continue;
+      }
+      created += match.created ? 1 : 0;
+
+      execute('UPDATE submissions SET customer_id = ? WHERE id = ?', match.customer.id, row.id);
+      recordAudit({
+        action: 'customer_linked',
+        entityType: 'submission',
+        entityId: row.submission_id,
+        submissionId: row.submission_id,
+        before: { customer_id: null },
+        after: { customer_id: match.customer.id }
+      });
+      linked++;
+    }
+
+    return { linked, created, done: rows.length < limit };
+  },
+
+  // ----------------------------------------
+  // Checkout requests and ITN quarantine
+  // ----------------------------------------
+  recordCheckoutRequest({ mPaymentId, planId, merchantId, amount, recurringAmount, frequency, cycles }) {
+    if (!mPaymentId || !planId || !merchantId) {
+      throw new Error('mPaymentId, planId and merchantId are required');
+    }
+
+    const before = queryOne('SELECT * FROM checkout_requests WHERE m_payment_id = ?', mPaymentId);
+    const request = queryOne(`
+      INSERT INTO checkout_requests (
+        m_payment_id, plan_id, merchant_id, amount, recurring_amount, frequency, cycles
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (m_payment_id) DO UPDATE SET
+        plan_id = excluded.plan_id,
+        merchant_id = excluded.merchant_id,
+        amount = excluded.amount,
+        recurring_amount = excluded.recurring_amount,
+        frequency = excluded.frequency,
+        cycles = excluded.cycles,
+        issued_at = ${NOW_SQL}
+      RETURNING *
+    `, mPaymentId, planId, merchantId, parseFloat(amount), recurringAmount ? parseFloat(recurringAmount) : null,
+      frequency || null, cycles ? String(cycles) : null);
+
+    recordAudit({
+      action: before ? 'updated' : 'created',
+      entityType: 'checkout_request',
+      entityId: mPaymentId,
+      submissionId: mPaymentId,
+      before,
+      after: request
+    });
+    return request;
+  },
+
+  getCheckoutRequest(mPaymentId) {
+    if (!mPaymentId) {
+      return null;
+    }
+    return queryOne('SELECT * FROM checkout_requests WHERE m_payment_id = ?', mPaymentId);
+  },
+
+  quarantineItn({ itnData, reasons, expected }) {
+    if (!itnData || !Array.isArray(reasons) || reasons.length === 0) {
+      throw new Error('itnData and at least one reason are required');
+    }
+
+    const pfPaymentId = itnData.pf_payment_id || null;
+    const existing = pfPaymentId
+      ? queryOne('SELECT * FROM itn_quarantine WHERE pf_payment_id = ?', pfPaymentId)
+      : null;
+
+    const stored = queryOne(`
+      INSERT INTO itn_quarantine (
+        submission_id, m_payment_id, pf_payment_id, reasons, expected, itn_data, email_bidx, pii_key_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (pf_payment_id) DO UPDATE SET
+        itn_data = excluded.itn_data,
+        email_bidx = excluded.email_bidx,
+        pii_key_id = excluded.pii_key_id
+      RETURNING *
+    `, itnData.custom_str1 || null, itnData.m_payment_id || null, pfPaymentId,
+      JSON.stringify(reasons), JSON.stringify(expected || {}),
+      JSON.stringify(pii.encryptItnData('itn_quarantine', itnData)),
+      pii.emailBlindIndex(itnData.email_address), pii.getActiveKeyId());
+
+    recordAudit({
+      action: existing ? 'resent' : 'quarantined',
+      entityType: 'itn_quarantine',
+      entityId: stored.id,
+      submissionId: stored.submission_id,
+      before: existing,
+      after: stored
+    });
+    return { entry: pii.decryptItnRow('itn_quarantine', stored), inserted: !existing };
+  },
+
+  listQuarantinedItns({ status, limit = 50 } = {}) {
+    return queryAll(`
+      SELECT * FROM itn_quarantine
+      WHERE (? IS NULL OR status = ?)
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, status || null, status || null, listLimit(limit)).map(row => pii.decryptItnRow('itn_quarantine', row));
+  },
+
+  getQuarantinedItn(pfPaymentId) {
+    if (!pfPaymentId) return null;
+    const row = queryOne('SELECT * FROM itn_quarantine WHERE pf_payment_id = ?', pfPaymentId);
+    return row ? pii.decryptItnRow('itn_quarantine', row) : null;
+  },
+
+  resolveQuarantinedItn(id, { status, reviewedBy, note }) {
+    if (status !== 'released' && status !== 'rejected') {
+      throw new Error('status must be "released" or "rejected"');
+    }
+
+    const before = queryOne('SELECT * FROM itn_quarantine WHERE id = ?', id);
+    const resolved = queryOne(`
+      UPDATE itn_quarantine SET
+        status = ?, reviewed_by = ?, review_note = ?, reviewed_at = ${NOW_SQL}
+      WHERE id = ? AND status = 'open'
+      RETURNING *
+    `, status, reviewedBy || null, note || null, id);
+    if (!resolved) {
+      return null;
+    }
+
+    recordAudit({
+      action: status,
+      entityType: 'itn_quarantine',
+      entityId: id,
+      submissionId: resolved.submission_id,
+      before,
+      after: resolved
+    });
+    return pii.decryptItnRow('itn_quarantine', resolved);
+  },
+
+  // ----------------------------------------
+  // ITN event store
+  // ----------------------------------------
+  recordItnEvent({ rawBody, headers, sourceIp }) {
+    const fields = new URLSearchParams(rawBody || '');
+
+    const stored = queryOne(`
+      INSERT INTO itn_events (
+        raw_body, headers, source_ip, pf_payment_id, m_payment_id, submission_id, payment_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      RETURNING *
+    `, rawBody || '', JSON.stringify(headers || {}), sourceIp || null,
+      fields.get('pf_payment_id'), fields.get('m_payment_id'),
+      fields.get('custom_str1'), fields.get('payment_status'));
+
+    recordAudit({
+      action: 'received',
+      entityType: 'itn_event',
+      entityId: stored.id,
+      submissionId: stored.submission_id,
+      details: { pfPaymentId: stored.pf_payment_id, paymentStatus: stored.payment_status, sourceIp: stored.source_ip }
+    });
+    return stored;
+  },
+
+  recordItnEventResult(eventId, { validation, result, replayedBy }) {
+    const stored = queryOne(`
+      INSERT INTO itn_event_results (
+        event_id, validation_outcome, processing_result, is_replay, replayed_by
+      ) VALUES (?, ?, ?, ?, ?)
+      RETURNING *
+    `, eventId, validation, JSON.stringify(result || {}), replayedBy ? 1 : 0, replayedBy || null);
+
+    recordAudit({
+      action: replayedBy ? 'replayed' : 'processed',
+      entityType: 'itn_event',
+      entityId: eventId,
+      submissionId: queryOne('SELECT submission_id FROM itn_events WHERE id = ?', eventId)?.submission_id,
+      details: { resultId: stored.id, validation }
+    });
+    return stored;
+  },
+
+  getItnEvent(eventId) {
+    const event = queryOne('SELECT * FROM itn_events WHERE id = ?', eventId);
+    if (!event) {
+      return null;
+    }
+
+    const results = queryAll(`
+      SELECT * FROM itn_event_results WHERE event_id = ? ORDER BY recorded_at ASC, id ASC
+    `, eventId);
+    return { ...event, results };
+  },
+
+  listItnEvents({ submissionId, pfPaymentId, validation, limit = 50 } = {}) {
+    return queryAll(`
+      SELECT e.id, e.pf_payment_id, e.m_payment_id, e.submission_id,
+             e.payment_status, e.source_ip, e.received_at,
+             latest.validation_outcome, latest.processing_result,
+             latest.is_replay, latest.recorded_at AS processed_at
+      FROM itn_events e
+      LEFT JOIN itn_event_results latest ON latest.id = (
+        SELECT r.id FROM itn_event_results r
+        WHERE r.event_id = e.id
+        ORDER BY r.recorded_at DESC, r.id DESC
+        LIMIT 1
+      )
+      WHERE (? IS NULL OR e.submission_id = ?)
+        AND (? IS NULL OR e.pf_payment_id = ?)
+        AND (? IS NULL OR latest.validation_outcome = ?)
+      ORDER BY e.received_at DESC, e.id DESC
+      LIMIT ?
+    `, submissionId || null, submissionId || null, pfPaymentId || null, pfPaymentId || null,
+      validation || null, validation || null, listLimit(limit));
+  },
+
+  // ----------------------------------------
+  // Checkout recovery
+  // ----------------------------------------
+  claimRecoveryCandidates({ maxEmails, intervalHours, windowHours, limit = 25 }) {
+    const ids = db.prepare(`
+      SELECT c.id FROM pending_form_data c
+      WHERE c.expires_at < ?
+        AND c.expires_at > ?
+        AND c.recovery_emails_sent < ?
+        AND (c.last_recovery_email_at IS NULL OR c.last_recovery_email_at < ?)
+        AND c.email_bidx IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM pending_form_data newer
+          WHERE newer.email_bidx = c.email_bidx
+            AND newer.created_at > c.created_at
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM submissions s
+          WHERE s.submission_id = c.submission_id OR s.email_bidx = c.email_bidx
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM itn_events e
+          WHERE e.submission_id = c.submission_id AND e.payment_status = 'COMPLETE'
+        )
+        AND NOT EXISTS (SELECT 1 FROM email_opt_outs o WHERE o.email_bidx = c.email_bidx)
+      ORDER BY c.expires_at
+      LIMIT ?
+    `).all(isoNow(), isoNow(-windowHours * HOUR_MS), maxEmails, isoNow(-intervalHours * HOUR_MS), limit)
+      .map(row => row.id);
+
+    return ids.map(id => {
+      const row = queryOne(`
+        UPDATE pending_form_data SET
+          recovery_emails_sent = recovery_emails_sent + 1,
+          last_recovery_email_at = ?
+        WHERE id = ?
+        RETURNING *
+      `, isoNow(), id);
+
+      recordAudit({
+        action: 'recovery_claimed',
+        entityType: 'pending_checkout',
+        entityId: row.submission_id,
+        submissionId: row.submission_id,
+        details: { recoveryEmailsSent: row.recovery_emails_sent }
+      });
+      return pii.decryptPendingRow(row);
+    });
+  },
+
+  recordEmailOptOut(email, source) {
+    const emailBidx = pii.emailBlindIndex(email);
+    if (!emailBidx) {
+      throw new Error('email is required');
+    }
+
+    const inserted = queryOne(`
+      INSERT INTO email_opt_outs (email_bidx, source) VALUES (?, ?)
+      ON CONFLICT (email_bidx) DO NOTHING
+      RETURNING id
+    `, emailBidx, source);
+
+    if (inserted) {
+      recordAudit({
+        action: 'opted_out',
+        entityType: 'email_opt_out',
+        entityId: inserted.id,
+        details: { source }
+      });
+    }
+    return !!inserted;
+  },
+
+  // ----------------------------------------
+  // PII re-encryption
+  // ----------------------------------------
+  reencryptPii({ limit = 50 } = {}) {
+    const keyId = pii.getActiveKeyId();
+
+    const pendingRows = queryAll(
+      'SELECT id, submission_id, form_data FROM pending_form_data WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?',
+      keyId, limit
+    );
+    for (const row of pendingRows) {
+      const formData = pii.decryptFormData(row.form_data);
+      execute(
+        'UPDATE pending_form_data SET form_data = ?, email_bidx = ?, pii_key_id = ? WHERE id = ?',
+        JSON.stringify(pii.encryptFormData(formData)), pii.emailBlindIndex(formData.businessEmail), keyId, row.id
+      );
+    }
+
+    const submissionRows = queryAll(`
+      SELECT id, submission_id, form_data, payment_data, ${pii.SUBMISSION_PII_COLUMNS.join(', ')}
+      FROM submissions WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?
+    `, keyId, limit);
+    for (const row of submissionRows) {
+      const submission = pii.decryptSubmissionRow(row);
+      execute(`
+        UPDATE submissions SET
+          form_data = ?, payment_data = ?,
+          owner_first_name = ?, owner_last_name = ?, email = ?, phone = ?, subscription_token = ?,
+          email_bidx = ?, phone_bidx = ?, last_name_bidx = ?, pii_key_id = ?, phone_suffix_bidx = ?
+        WHERE id = ?
+      `,
+        JSON.stringify(pii.encryptFormData(submission.form_data)),
+        JSON.stringify(pii.encryptPaymentData(submission.payment_data || {})),
+        pii.encryptColumn('owner_first_name', submission.owner_first_name),
+        pii.encryptColumn('owner_last_name', submission.owner_last_name),
+        pii.encryptColumn('email', submission.email),
+        pii.encryptColumn('phone', submission.phone),
+        pii.encryptColumn('subscription_token', submission.subscription_token),
+        pii.emailBlindIndex(submission.email),
+        pii.phoneBlindIndex(submission.phone),
+        pii.lastNameBlindIndex(submission.owner_last_name),
+        keyId,
+        phoneSuffixColumn(submission.phone),
+        row.id
+      );
+    }
+
+    const customerRows = queryAll(`
+      SELECT id, ${pii.CUSTOMER_PII_COLUMNS.join(', ')}
+      FROM customers WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?
+    `, keyId, limit);
+    for (const row of customerRows) {
+      const customer = pii.decryptCustomerRow(row);
+      execute(
+        'UPDATE customers SET first_name = ?, last_name = ?, email = ?, phone = ?, pii_key_id = ? WHERE id = ?',
+        pii.encryptCustomerColumn('first_name', customer.first_name),
+        pii.encryptCustomerColumn('last_name', customer.last_name),
+        pii.encryptCustomerColumn('email', customer.email),
+        pii.encryptCustomerColumn('phone', customer.phone),
+        keyId,
+        row.id
+      );
+    }
+
+    const paymentRows = queryAll('SELECT id, itn_data FROM payments WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?', keyId, limit);
+    for (const row of paymentRows) {
+      const itnData = pii.decryptItnData('payments', row.itn_data);
+      execute(
+        'UPDATE payments SET itn_data = ?, pii_key_id = ? WHERE id = ?',
+        JSON.stringify(pii.encryptItnData('payments', itnData)), keyId, row.id
+      );
+    }
+
+    const quarantineRows = queryAll('SELECT id, itn_data FROM itn_quarantine WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?', keyId, limit);
+    for (const row of quarantineRows) {
+      const itnData = pii.decryptItnData('itn_quarantine', row.itn_data);
+      execute(
+        'UPDATE itn_quarantine SET itn_data = ?, email_bidx = ?, pii_key_id = ? WHERE id = ?',
+        JSON.stringify(pii.encryptItnData('itn_quarantine', itnData)), pii.emailBlindIndex(itnData.email_address), keyId, row.id
+      );
+    }
+
+    const emailRows = queryAll(`
+      SELECT id, ${pii.OUTBOX_PII_COLUMNS.join(', ')}
+      FROM email_outbox WHERE pii_key_id IS NOT ? ORDER BY id LIMIT ?
+    `, keyId, limit);
+    for (const row of emailRows) {
+      const email = pii.decryptOutboxRow(row);
+      execute(`
+        UPDATE email_outbox SET
+          to_address = ?, subject = ?, text_body = ?, html_body = ?, attachments = ?,
+          to_address_bidx = ?, pii_key_id = ?
+        WHERE id = ?
+      `,
+        pii.encryptOutboxColumn('to_address', email.to_address),
+        pii.encryptOutboxColumn('subject', email.subject),
+        pii.encryptOutboxColumn('text_body', email.text_body),
+        pii.encryptOutboxColumn('html_body', email.html_body),
+        email.attachments ? JSON.stringify(pii.encryptOutboxColumn('attachments', email.attachments)) : null,
+        email.to_address === dataSubject.ERASED_VALUE ? null : pii.emailBlindIndex(email.to_address),
+        keyId,
+        row.id
+      );
+    }
+
+    const optOutRows = queryAll('SELECT id, email FROM email_opt_outs WHERE email IS NOT NULL ORDER BY id LIMIT ?', limit);
+    for (const row of optOutRows) {
+      const emailBidx = pii.emailBlindIndex(row.email);
+      if (queryOne('SELECT 1 AS found FROM email_opt_outs WHERE email_bidx = ?', emailBidx)) {
+        execute('DELETE FROM email_opt_outs WHERE id = ?', row.id);
+      } else {
+        execute('UPDATE email_opt_outs SET email = NULL, email_bidx = ? WHERE id = ?', emailBidx, row.id);
+      }
+    }
+
+    const converted = {
+      pending: pendingRows.length,
+      submissions: submissionRows.length,
+      customers: customerRows.length,
+      payments: paymentRows.length,
+      quarantinedItns: quarantineRows.length,
+      emails: emailRows.length,
+      optOuts: optOutRows.length
+    };
+    const done = Object.values(converted).every(count => count === 0);
+    if (!done) {
+      recordAudit({
+        action: 'reencrypted',
+        entityType: 'pii',
+        entityId: keyId,
+        details: {
+          ...converted,
+          submissionIds: [
+            ...pendingRows.map(row => row.submission_id),
+            ...submissionRows.map(row => row.submission_id)
+          ]
+        }
+      });
+    }
+    return { keyId, ...converted, done };
+  },
+
+  // ----------------------------------------
+  // Data-subject requests
+  // ----------------------------------------
+  exportDataSubject(email, { requestedBy, reference } = {}) {
+    const normalized = dataSubject.normalizeSubjectEmail(email);
+    const found = findDataSubjectRows(normalized);
+    const inIds = 'IN (SELECT value FROM json_each(?))';
+
+    const data = {
+      email: normalized,
+      generatedAt: isoNow(),
+      customers: found.customers,
+      pendingCheckouts: found.pending,
+      submissions: found.submissions,
+      subscriptionHistory: queryAll(`
+        SELECT submission_id, from_status, to_status, payment_status, payfast_payment_id, reason, changed_at
+        FROM subscription_status_history WHERE submission_id ${inIds} ORDER BY changed_at
+      `, found.submissionIds),
+      payments: queryAll(`SELECT * FROM payments WHERE submission_id ${inIds} ORDER BY received_at`, found.submissionIds)
+        .map(row => pii.decryptItnRow('payments', row)),
+      itnEvents: queryAll(`
+        SELECT id, raw_body, pf_payment_id, m_payment_id, submission_id, payment_status, received_at, redacted_at
+        FROM itn_events WHERE submission_id ${inIds} ORDER BY received_at
+      `, found.submissionIds),
+      quarantinedItns: queryAll(`
+        SELECT * FROM itn_quarantine
+        WHERE submission_id ${inIds}
+           OR email_bidx = ?
+           OR (pii_key_id IS NULL AND LOWER(TRIM(json_extract(itn_data, '$.email_address'))) = ?)
+        ORDER BY created_at
+      `, found.submissionIds, found.emailBidx, normalized).map(row => pii.decryptItnRow('itn_quarantine', row)),
+      emails: queryAll(`
+        SELECT id, kind, submission_id, to_address, subject, text_body, status, sent_at, created_at
+        FROM email_outbox
+        WHERE submission_id ${inIds} OR to_address_bidx = ? OR (pii_key_id IS NULL AND LOWER(to_address) = ?)
+        ORDER BY created_at
+      `, found.submissionIds, found.emailBidx, normalized).map(pii.decryptOutboxRow),
+      emailOptOut: queryOne('SELECT source, created_at FROM email_opt_outs WHERE email_bidx = ?', found.emailBidx)
+    };
+
+    const summary = {
+      customers: data.customers.length,
+      pendingCheckouts: data.pendingCheckouts.length,
+      submissions: data.submissions.length,
+      payments: data.payments.length,
+      itnEvents: data.itnEvents.length,
+      quarantinedItns: data.quarantinedItns.length,
+      emails: data.emails.length,
+      emailOptOut: !!data.emailOptOut
+    };
+    const requestId = insertDataSubjectRequest({
+      requestType: dataSubject.REQUEST_TYPES.ACCESS,
+      status: 'completed',
+      emailBidx: found.emailBidx,
+      requestedBy,
+      reference,
+      summary
+    });
+
+    return { requestId, data };
+  },
+
+  eraseDataSubject(email, { requestedBy, reference } = {}) {
+    const normalized = dataSubject.normalizeSubjectEmail(email);
+    const found = findDataSubjectRows(normalized);
+    const inIds = 'IN (SELECT value FROM json_each(?))';
+    const audit = { emailBidx: found.emailBidx, requestedBy, reference };
+
+    const live = found.submissions.filter(dataSubject.isLiveSubscription);
+    if (live.length > 0) {
+      const summary = {
+        reason: 'Live subscription - cancel it in PayFast first',
+        liveSubmissions: live.map(row => row.submission_id)
+      };
+      const requestId = insertDataSubjectRequest({
+        ...audit,
+        requestType: dataSubject.REQUEST_TYPES.ERASURE,
+        status: 'refused',
+        summary
+      });
+      return { requestId, erased: false, reason: summary.reason, summary };
+    }
+
+    const pending = execute(
+      'DELETE FROM pending_form_data WHERE id IN (SELECT value FROM json_each(?))',
+      JSON.stringify(found.pending.map(row => row.id))
+    ).changes;
+
+    for (const row of found.submissions) {
+      execute(`
+        UPDATE submissions SET
+          owner_first_name = NULL, owner_last_name = NULL, email = NULL, phone = NULL,
+          subscription_token = NULL, email_bidx = NULL, phone_bidx = NULL, last_name_bidx = NULL,
+          phone_suffix_bidx = NULL,
+          form_data = ?, payment_data = ?, erased_at = ?, updated_at = ?
+        WHERE id = ?
+      `,
+        JSON.stringify(withoutFields(row.form_data, pii.FORM_DATA_PII_FIELDS)),
+        JSON.stringify(withoutFields(row.payment_data, pii.PAYMENT_DATA_PII_FIELDS)),
+        isoNow(),
+        isoNow(),
+        row.id
+      );
+    }
+
+    for (const row of found.customers) {
+      execute(`
+        UPDATE customers SET
+          first_name = NULL, last_name = NULL, email = NULL, phone = NULL,
+          email_bidx = NULL, phone_bidx = NULL, erased_at = ?, updated_at = ?
+        WHERE id = ?
+      `, isoNow(), isoNow(), row.id);
+    }
+
+    const payments = queryAll(`SELECT id, itn_data FROM payments WHERE submission_id ${inIds}`, found.submissionIds);
+    for (const row of payments) {
+      execute(
+        'UPDATE payments SET itn_data = ?, updated_at = ? WHERE id = ?',
+        JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), isoNow(), row.id
+      );
+    }
+
+    const quarantine = queryAll(`
+      SELECT id, itn_data FROM itn_quarantine
+      WHERE submission_id ${inIds}
+         OR email_bidx = ?
+         OR (pii_key_id IS NULL AND LOWER(TRIM(json_extract(itn_data, '$.email_address'))) = ?)
+    `, found.submissionIds, found.emailBidx, normalized);
+    for (const row of quarantine) {
+      execute(
+        'UPDATE itn_quarantine SET itn_data = ?, email_bidx = NULL WHERE id = ?',
+        JSON.stringify(withoutFields(row.itn_data, pii.PAYMENT_DATA_PII_FIELDS)), row.id
+      );
+    }
+
+    const events = queryAll(
+      `SELECT id, raw_body FROM itn_events WHERE submission_id ${inIds} AND redacted_at IS NULL`,
+      found.submissionIds
+    );
+    for (const row of events) {
+      execute(
+        'UPDATE itn_events SET raw_body = ?, redacted_at = ? WHERE id = ?',
+        dataSubject.redactItnBody(row.raw_body), isoNow(), row.id
+      );
+    }
+
+    const emails = execute(`
+      UPDATE email_outbox SET
+        to_address = CASE WHEN to_address_bidx = ?1 OR (pii_key_id IS NULL AND LOWER(to_address) = ?2) THEN ?3 ELSE to_address END,
+        to_address_bidx = CASE WHEN to_address_bidx = ?1 THEN NULL ELSE to_address_bidx END,
+        subject = ?3,
+        text_body = ?3,
+        html_body = ?3,
+        attachments = NULL,
+        status = CASE WHEN status = 'pending' THEN 'dead' ELSE status END,
+        last_error = CASE WHEN status = 'pending' THEN 'Cancelled by data-subject erasure' ELSE last_error END,
+        updated_at = ?4
+      WHERE submission_id IN (SELECT value FROM json_each(?5))
+         OR to_address_bidx = ?1
+         OR (pii_key_id IS NULL AND LOWER(to_address) = ?2)
+    `, found.emailBidx, normalized, dataSubject.ERASED_VALUE, isoNow(), found.submissionIds).changes;
+
+    const summary = {
+      pendingCheckouts: pending,
+      submissions: found.submissions.length,
+      customers: found.customers.length,
+      payments: payments.length,
+      quarantinedItns: quarantine.length,
+      itnEvents: events.length,
+      emails
+    };
+    const requestId = insertDataSubjectRequest({
+      ...audit,
+      requestType: dataSubject.REQUEST_TYPES.ERASURE,
+      status: 'completed',
+      summary
+    });
+
+    return { requestId, erased: true, summary };
+  },
+
+  listDataSubjectRequests({ email, limit = 50 } = {}) {
+    const emailBidx = email ? pii.emailBlindIndex(email) : null;
+    return queryAll(`
+      SELECT id, request_type, status, requested_by, reference, summary, created_at
+      FROM data_subject_requests
+      WHERE (? IS NULL OR email_bidx = ?)
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, emailBidx, emailBidx, listLimit(limit));
+  },
+
+  // ----------------------------------------
+  // Data retention
+  // ----------------------------------------
+  applyRetentionRule({ category, action, retainDays, dryRun = false, limit = 100 }) {
+    const applyRule = RETENTION_RULES[category];
+    if (!applyRule) {
+      throw new Error(`Unknown retention category: ${category}`);
+    }
+
+    const { due, processed, details } = applyRule({ action, cutoff: isoNow(-retainDays * DAY_MS), dryRun, limit });
+    if (processed > 0) {
+      recordAudit({
+        action: action === 'delete' ? 'deleted' : 'anonymised',
+        entityType: 'retention',
+        entityId: category,
+        details: { retainDays, processed, ...details }
+      });
+    }
+    return { due, processed };
+  },
+
+  // ----------------------------------------
+  // Email outbox
+  // ----------------------------------------
+  enqueueEmail({ kind, submissionId, email, nextAttemptAt, dedupeKey }) {
+    if (!kind) {
+      throw new Error('kind is required');
+    }
+    if (!email?.to) {
+      throw new Error('email.to is required');
+    }
+
+    const queued = queryOne(`
+      INSERT INTO email_outbox (
+        kind, submission_id, to_address, subject, text_body, html_body, attachments, next_attempt_at, dedupe_key,
+        to_address_bidx, pii_key_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (dedupe_key) DO NOTHING
+      RETURNING *
+    `, kind, submissionId || null,
+      pii.encryptOutboxColumn('to_address', email.to),
+      pii.encryptOutboxColumn('subject', email.subject || ''),
+      pii.encryptOutboxColumn('text_body', email.textBody || ''),
+      pii.encryptOutboxColumn('html_body', email.htmlBody || ''),
+      email.attachments?.length ? JSON.stringify(pii.encryptOutboxColumn('attachments', email.attachments)) : null,
+      nextAttemptAt ? new Date(nextAttemptAt).toISOString() : isoNow(),
+      dedupeKey || null, pii.emailBlindIndex(email.to), pii.getActiveKeyId());
+    if (!queued) {
+      return null;
+    }
+
+    recordAudit({
+      action: 'queued',
+      entityType: 'email',
+      entityId: queued.id,
+      submissionId,
+      details: { kind }
+    });
+    return pii.decryptOutboxRow(queued);
+  },
+
+  claimDueEmails({ limit = 20, leaseSeconds = 300 } = {}) {
+    const claimed = queryAll(`
+      UPDATE email_outbox SET next_attempt_at = ?, updated_at = ${NOW_SQL}
+      WHERE id IN (
+        SELECT id FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+      )
+      RETURNING *
+    `, isoNow(leaseSeconds * 1000), isoNow(), limit);
+
+    if (claimed.length > 0) {
+      recordAudit({
+        action: 'claimed',
+        entityType: 'email',
+        details: { ids: claimed.map(row => row.id), leaseSeconds }
+      });
+    }
+    return claimed.map(pii.decryptOutboxRow);
+  },
+
+  recordEmailAttempt(id, { sent, error, nextAttemptAt, provider, providerMessageId }) {
+    const retryAt = nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null;
+    const before = queryOne('SELECT * FROM email_outbox WHERE id = ?', id);
+
+    const updated = queryOne(`
+      UPDATE email_outbox SET
+        attempts = attempts + 1,
+        status = CASE WHEN ?1 THEN 'sent' WHEN ?3 IS NULL THEN 'dead' ELSE 'pending' END,
+        last_error = CASE WHEN ?1 THEN last_error ELSE ?2 END,
+        next_attempt_at = CASE WHEN ?1 THEN next_attempt_at ELSE ?3 END,
+        sent_at = CASE WHEN ?1 THEN ${NOW_SQL} ELSE sent_at END,
+        provider = CASE WHEN ?1 THEN ?5 ELSE provider END,
+        provider_message_id = CASE WHEN ?1 THEN ?6 ELSE provider_message_id END,
+        updated_at = ${NOW_SQL}
+      WHERE id = ?4
+      RETURNING *
+    `, sent ? 1 : 0, error || null, retryAt, id, provider || null, providerMessageId || null);
+    if (!updated) {
+      return null;
+    }
+
+    recordAudit({
+      action: sent ? 'sent' : (updated.status === 'dead' ? 'dead' : 'failed'),
+      entityType: 'email',
+      entityId: id,
+      submissionId: updated.submission_id,
+      before,
+      after: updated
+    });
+    return pii.decryptOutboxRow(updated);
+  },
+
+  listOutboxEmails({ status, limit = 50 } = {}) {
+    return queryAll(`
+      SELECT id, kind, submission_id, to_address, subject, status, attempts,
+             last_error, next_attempt_at, sent_at, provider, created_at, updated_at
+      FROM email_outbox
+      WHERE (? IS NULL OR status = ?)
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, status || null, status || null, listLimit(limit)).map(pii.decryptOutboxRow);
+  },
+
+  getOutboxEmail(id) {
+    return pii.decryptOutboxRow(queryOne('SELECT * FROM email_outbox WHERE id = ?', id));
+  },
+
+  countOutboxEmails() {
+    const counts = { pending: 0, sent: 0, dead: 0 };
+    for (const row of queryAll('SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status')) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  },
+
+  requeueDeadEmail(id) {
+    const before = queryOne('SELECT * FROM email_outbox WHERE id = ?', id);
+    const requeued = queryOne(`
+      UPDATE email_outbox SET
+        status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ${NOW_SQL}
+      WHERE id = ? AND status = 'dead'
+      RETURNING *
+    `, isoNow(), id);
+    if (!requeued) {
+      return null;
+    }
+
+    recordAudit({
+      action: 'requeued',
+      entityType: 'email',
+      entityId: id,
+      submissionId: requeued.submission_id,
+      before,
+      after: requeued
+    });
+    return pii.decryptOutboxRow(requeued);
+  },
+
+  // ----------------------------------------
+  // Email delivery events
+  // ----------------------------------------
+  recordEmailEvent({ provider, providerEventId, providerMessageId, type, bounceType = null, detail = null, occurredAt = null }) {
+    const email = pii.decryptOutboxRow(queryOne(`
+      SELECT e.id, e.kind, e.submission_id, e.to_address, s.customer_id
+      FROM email_outbox e
+      LEFT JOIN submissions s ON s.submission_id = e.submission_id
+      WHERE e.provider = ? AND trim(e.provider_message_id, '<>') = ?
+      ORDER BY e.id DESC
+      LIMIT 1
+    `, provider, providerMessageId));
+
+    const event = queryOne(`
+      INSERT INTO email_events (
+        provider, provider_event_id, provider_message_id, email_outbox_id, submission_id,
+        event_type, bounce_type, detail, occurred_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (provider, provider_event_id) DO NOTHING
+      RETURNING *
+    `, provider, providerEventId, providerMessageId, email ? email.id : null, email ? email.submission_id : null,
+    type, bounceType, detail, occurredAt ? new Date(occurredAt).toISOString() : null);
+    if (!event) {
+      return { duplicate: true, event: null, email, customerId: null, customerStatus: null };
+    }
+
+    recordAudit({
+      action: 'recorded',
+      entityType: 'email_event',
+      entityId: event.id,
+      submissionId: event.submission_id,
+      details: { provider, type, bounceType, emailId: event.email_outbox_id }
+    });
+
+    const customerId = email ? email.customer_id : null;
+    const customerStatus = email && customerId ? emailEvents.customerEmailStatus({ type, bounceType }, email.kind) : null;
+    if (customerStatus) {
+      const updated = queryOne(`
+        UPDATE customers SET
+          email_status = ?, email_status_reason = ?, email_status_at = ${NOW_SQL}, updated_at = ${NOW_SQL}
+        WHERE id = ? AND erased_at IS NULL
+        RETURNING id
+      `, customerStatus, detail, customerId);
+      if (updated) {
+        recordAudit({
+          action: 'email_flagged',
+          entityType: 'customer',
+          entityId: customerId,
+          submissionId: event.submission_id,
+          details: { emailStatus: customerStatus, emailEventId: event.id }
+        });
+      }
+    }
+
+    return { duplicate: false, event, email, customerId, customerStatus };
+  },
+
+  getEmailEvents({ emailId, submissionId } = {}) {
+    if (!emailId && !submissionId) {
+      throw new Error('emailId or submissionId is required');
+    }
+    return queryAll(`
+      SELECT ev.*, e.kind AS email_kind
+      FROM email_events ev
+      LEFT JOIN email_outbox e ON e.id = ev.email_outbox_id
+      WHERE (?1 IS NULL OR ev.email_outbox_id = ?1)
+        AND (?2 IS NULL OR ev.submission_id = ?2)
+      ORDER BY COALESCE(ev.occurred_at, ev.created_at), ev.id
+    `, emailId || null, submissionId || null);
+  },
+
+  // ----------------------------------------
+  // Payments ledger
+  // ----------------------------------------
+  recordPayment({ submissionId, paymentData, paymentType }) {
+    if (!submissionId) {
+      throw new Error('submissionId is required');
+    }
+    const pfPaymentId = paymentData?.pf_payment_id;
+    if (!pfPaymentId) {
+      throw new Error('paymentData.pf_payment_id is required');
+    }
+
+    const parseAmount = (value) => (value !== undefined && value !== '' ? parseFloat(value) : null);
+    const previous = queryOne('SELECT * FROM payments WHERE pf_payment_id = ?', pfPaymentId);
+
+    const stored = queryOne(`
+      INSERT INTO payments (
+        pf_payment_id, submission_id, payment_type, payment_status,
+        amount_gross, amount_fee, amount_net, billing_date, itn_data, pii_key_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (pf_payment_id) DO UPDATE SET
+        payment_status = excluded.payment_status,
+        itn_data = excluded.itn_data,
+        pii_key_id = excluded.pii_key_id,
+        updated_at = ${NOW_SQL}
+      RETURNING *
+    `, pfPaymentId, submissionId, paymentType, paymentData.payment_status || 'UNKNOWN',
+      parseAmount(paymentData.amount_gross), parseAmount(paymentData.amount_fee),
+      parseAmount(paymentData.amount_net), paymentData.billing_date || null,
+      JSON.stringify(pii.encryptItnData('payments', paymentData)), pii.getActiveKeyId());
+
+    recordAudit({
+      action: previous ? 'updated' : 'created',
+      entityType: 'payment',
+      entityId: pfPaymentId,
+      submissionId,
+      before: previous,
+      after: stored
+    });
+    return { payment: pii.decryptItnRow('payments', stored), inserted: !previous, previousStatus: previous?.payment_status || null };
+  },
+
+  getPaymentHistory(submissionId) {
+    if (!submissionId) {
+      return [];
+    }
+
+    return queryAll(`
+      SELECT pf_payment_id, payment_type, payment_status, amount_gross, amount_fee,
+             amount_net, billing_date, received_at, updated_at
+      FROM payments WHERE submission_id = ?
+      ORDER BY received_at ASC, id ASC
+    `, submissionId);
+  },
+
+  getLifetimeValue(submissionId) {
+    if (!submissionId) {
+      return null;
+    }
+
+    const row = queryOne(`
+      SELECT
+        COUNT(*) AS payment_count,
+        COALESCE(SUM(amount_gross), 0) AS total_gross,
+        COALESCE(SUM(amount_fee), 0) AS total_fees,
+        COALESCE(SUM(amount_net), 0) AS total_net,
+        MIN(received_at) AS first_payment_at,
+        MAX(received_at) AS last_payment_at
+      FROM payments
+      WHERE submission_id = ? AND payment_status = 'COMPLETE'
+    `, submissionId);
+
+    return {
+      submissionId,
+      paymentCount: row.payment_count,
+      totalGross: row.total_gross,
+      totalFees: row.total_fees,
+      totalNet: row.total_net,
+      firstPaymentAt: row.first_payment_at,
+      lastPaymentAt: row.last_payment_at
+    };
+  },
+
+  // ----------------------------------------
+  // Subscription lifecycle (after the initial payment)
+  // ----------------------------------------
+  transitionSubscriptionStatus(submissionId, toStatus, details = {}) {
+    if (!submissionId) {
+      throw new Error('submissionId is required');
+    }
+    if (!isValidState(toStatus)) {
+      throw new Error(`Invalid subscription status: ${toStatus}`);
+    }
+
+    const current = queryOne('SELECT subscription_status FROM submissions WHERE submission_id = ?', submissionId);
+    if (!current) {
+      return { found: false, changed: false, fromStatus: null, toStatus };
+    }
+
+    const fromStatus = current.subscription_status;
+    if (!canTransition(fromStatus, toStatus)) {
+      return { found: true, changed: false, fromStatus, toStatus };
+    }
+
+    execute(`
+      UPDATE submissions SET
+        subscription_status = ?, subscription_status_changed_at = ${NOW_SQL}, updated_at = ${NOW_SQL}
+      WHERE submission_id = ?
+    `, toStatus, submissionId);
+
+    execute(`
+      INSERT INTO subscription_status_history (
+        submission_id, from_status, to_status, payment_status, payfast_payment_id, reason
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `, submissionId, fromStatus, toStatus, details.paymentStatus || null,
+      details.payfastPaymentId || null, details.reason || null);
+
+    recordAudit({
+      action: 'status_changed',
+      entityType: 'submission',
+      entityId: submissionId,
+      submissionId,
+      before: { subscription_status: fromStatus },
+      after: { subscription_status: toStatus },
+      details: {
+        paymentStatus: details.paymentStatus || null,
+        payfastPaymentId: details.payfastPaymentId || null,
+        reason: details.reason || null
+      }
+    });
+    return { found: true, changed: true, fromStatus, toStatus };
+  },
+
+  updateRecurringAmount(submissionId, recurringAmount) {
+    const amount = parseFloat(recurringAmount);
+    if (!submissionId || isNaN(amount)) {
+      throw new Error('submissionId and a numeric recurringAmount are required');
+    }
+
+    const existing = queryOne('SELECT recurring_amount FROM submissions WHERE submission_id = ?', submissionId);
+    execute(`
+      UPDATE submissions SET recurring_amount = ?, updated_at = ${NOW_SQL} WHERE submission_id = ?
+    `, amount, submissionId);
+    execute('UPDATE checkout_requests SET recurring_amount = ? WHERE m_payment_id = ?', amount, submissionId);
+
+    if (existing) {
+      recordAudit({
+        action: 'recurring_amount_changed',
+        entityType: 'submission',
+        entityId: submissionId,
+        submissionId,
+        before: { recurring_amount: existing.recurring_amount },
+        after: { recurring_amount: amount }
+      });
+    }
+    return !!existing;
+  },
+
+  getSubscriptionHistory(submissionId) {
+    if (!submissionId) {
+      return [];
+    }
+
+    return queryAll(`
+      SELECT from_status, to_status, payment_status, payfast_payment_id, reason, changed_at
+      FROM subscription_status_history
+      WHERE submission_id = ?
+      ORDER BY changed_at ASC, id ASC
+    `, submissionId);
+  },
+
+  // ----------------------------------------
+  // Reporting
+  // ----------------------------------------
+  getSubscriptionFacts() {
+    const subscriptions = queryAll(`
+      SELECT
+        submission_id, plan_id, industry,
+        json_extract(form_data, '$.province') AS province,
+        json_extract(form_data, '$.businessType') AS business_type,
+        recurring_amount, subscription_status, subscription_status_changed_at, created_at
+      FROM submissions
+      ORDER BY created_at ASC, id ASC
+    `);
+    const transitions = queryAll(`
+      SELECT submission_id, from_status, to_status, changed_at
+      FROM subscription_status_history
+      ORDER BY changed_at ASC, id ASC
+    `);
+    return { subscriptions, transitions };
+  },
+
+  // ----------------------------------------
+  // Utilities
+  // ----------------------------------------
+  healthCheck() {
+    const row = queryOne('SELECT sqlite_version() AS version');
+    return {
+      healthy: true,
+      timestamp: isoNow(),
+      database: 'SQLite (local)',
+      version: row.version
+    };
+  }
+};
+
+/**
+ * Run an operation in its own transaction
+ */
+function runOperation(operation, args) {
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = OPERATIONS[operation](...args);
+    db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================
+// REQUEST AUTHENTICATION
+// ============================================
+
+/**
+ * Check a request's signature, timestamp and nonce
+ *
+ * @returns {string|null} Why the request was rejected, or null if it is authentic
+ */
+function verifyRequest(req, operationPath, body) {
+  const timestamp = req.headers['x-sss-timestamp'] || '';
+  const nonce = req.headers['x-sss-nonce'] || '';
+  const signature = req.headers['x-sss-signature'] || '';
+
+  if (!/^\d+$/.test(timestamp) || !/^[0-9a-f]{16,64}$/.test(nonce)) {
+    return 'Missing or malformed signature headers';
+  }
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > MAX_CLOCK_SKEW_SECONDS) {
+    return 'Stale timestamp';
+  }
+
+  const expected = Buffer.from(signRequest(SECRET, { timestamp, nonce, path: operationPath, body }));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid signature';
+  }
+
+  // Forget nonces once their timestamp is too old to pass anyway
+  const now = Date.now();
+  for (const [seen, expiresAt] of seenNonces) {
+    if (expiresAt < now) {
+      seenNonces.delete(seen);
+    }
+  }
+  if (seenNonces.has(nonce)) {
+    return 'Replayed request';
+  }
+  seenNonces.set(nonce, now + 2 * MAX_CLOCK_SKEW_SECONDS * 1000);
+
+  return null;
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+
+/**
+ * Read a request body (capped at MAX_BODY_BYTES)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const requestPath = new URL(req.url, 'http://localhost').pathname;
+  const match = requestPath.match(/^(?:\/.*)?\/v1\/ops\/([A-Za-z]+)$/);
+
+  if (req.method !== 'POST' || !match) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  try {
+    const body = await readBody(req);
+
+    const rejection = verifyRequest(req, `/v1/ops/${match[1]}`, body);
+    if (rejection) {
+      console.log(`[Local DB] Rejected ${match[1]}: ${rejection}`);
+      return sendJson(res, 401, { error: rejection });
+    }
+
+    const operation = match[1];
+    if (!STORAGE_OPERATIONS.includes(operation) || !OPERATIONS[operation]) {
+      return sendJson(res, 404, { error: `Unknown operation: ${operation}` });
+    }
+
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (parseError) {
+      return sendJson(res, 400, { error: 'Invalid JSON body' });
+    }
+    const { args } = request;
+    if (!Array.isArray(args)) {
+      return sendJson(res, 400, { error: 'args must be an array' });
+    }
+
+    let actor;
+    try {
+      actor = audit.normalizeActor(request.actor || { type: audit.ACTOR_TYPES.SYSTEM });
+    } catch (actorError) {
+      return sendJson(res, 400, { error: actorError.message });
+    }
+
+    const result = audit.runAsActor(actor, () => runOperation(operation, args));
+    return sendJson(res, 200, { result: result === undefined ? null : result });
+  } catch (error) {
+    console.error(`[Local DB] ${match[1]} failed:`, error.message);
+    return sendJson(res, 500, { error: error.message });
+  }
+});
+
+if (!SECRET || SECRET.length < MIN_SECRET_LENGTH) {
+  console.error(`SSS_DB_SECRET is required (at least ${MIN_SECRET_LENGTH} characters)`);
+  process.exit(1);
+}
+
+fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+db = new DatabaseSync(DB_FILE);
+db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;');
+db.exec(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    duration_ms INTEGER,
+    applied_at TEXT DEFAULT ${NOW_SQL}
+  )
+`);
+runOperation('runMigrations', []);
+
+server.listen(PORT, () => {
+  console.log('Local database server listening on', `http://localhost:${PORT}`);
+  console.log('  Database file:', DB_FILE);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Database Migration CLI
+ *
+ * Applies or inspects the schema migrations of the configured storage
+ * backend: netlify/functions/utils/migrations for postgres, or the local
+ * database server's own schema for http (see utils/database.js).
+ *
+ * USAGE:
+ *   npm run migrate            - Apply every pending migration
+ *   npm run migrate:status     - List applied and pending migrations
+ *
+ * Exits non-zero if a migration fails, or (status) if any are pending
+ * or have been modified since they were applied.
+ *
+ * ENVIRONMENT VARIABLES:
+ *   DATABASE_BACKEND - Storage backend (optional, default postgres)
+ *   NETLIFY_DATABASE_URL or DATABASE_URL - PostgreSQL connection string (postgres backend)
+ *   SSS_DB_API_URL and SSS_DB_SECRET - Local database server (http backend)
+ *
+ * @module scripts/migrate
+ */
+
+const { runMigrations, getMigrationStatus, closePool } = require('../netlify/functions/utils/database');
+const { ACTOR_TYPES, runAsActor } = require('../netlify/functions/utils/audit');
+
+const COMMANDS = ['up', 'status'];
+
+/**
+ * Print migration status
+ * @returns {boolean} True if the database matches the code
+ */
+async function printStatus() {
+  const status = await getMigrationStatus();
+
+  for (const row of status.applied) {
+    const modified = status.modified.some(m => m.version === row.version) ? '  (MODIFIED since applied)' : '';
+    const unknown = status.unknown.some(m => m.version === row.version) ? '  (no migration file)' : '';
+    console.log(`  applied  ${String(row.version).padStart(3, '0')}_${row.name}  ${new Date(row.applied_at).toISOString()}${modified}${unknown}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  pending  ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  }
+
+  console.log(`\nDatabase at version ${status.currentVersion}, latest is ${status.latestVersion}`);
+  return status.upToDate && status.modified.length === 0;
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}". Use: ${COMMANDS.join(', ')}`);
+    return 1;
+  }
+
+  try {
+    if (command === 'status') {
+      return (await printStatus()) ? 0 : 1;
+    }
+
+    const run = await runMigrations();
+    if (run.applied.length === 0) {
+      console.log(`Already up to date (version ${run.currentVersion})`);
+    } else {
+      console.log(`✓ Applied ${run.applied.length} migration(s), now at version ${run.currentVersion}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    return 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runAsActor({ type: ACTOR_TYPES.SCRIPT, id: 'migrate' }, main).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * PayFast Simulator
+ *
+ * Offline stand-in for PayFast, for end-to-end checkout testing without
+ * the sandbox. Set PAYFAST_MODE=local on the site so payfast-config.js
+ * points the checkout form and ITN validation here.
+ *
+ * FLOW:
+ * 1. POST /eng/process
+ *    - Checks merchant_id / merchant_key against the local credentials
+ *    - Verifies the signature the way PayFast does (fields in posted order,
+ *      empty values skipped, passphrase appended)
+ *    - Shows a fake payment page with Pay and Cancel buttons
+ * 2. Pay: posts a signed COMPLETE ITN to notify_url, then redirects to return_url
+ *    Cancel: redirects to cancel_url (PayFast sends no ITN for a cancelled checkout)
+ * 3. POST /eng/query/validate
+ *    - Answers VALID only for an ITN this simulator sent, unchanged
+ *
+ * Only non-empty fields are included in the ITN, so the signature is the
+ * same whether or not the receiver skips empty values.
+ *
+ * USAGE:
+ *   npm run payfast:simulator
+ *   (with the same PAYFAST_LOCAL_* values as the site, e.g. via node --env-file=.env)
+ *
+ * ENVIRONMENT VARIABLES:
+ *   PAYFAST_LOCAL_URL          - Address to listen on (default: http://localhost:8001)
+ *   PAYFAST_LOCAL_MERCHANT_ID  - Merchant ID the site must send (required)
+ *   PAYFAST_LOCAL_MERCHANT_KEY - Merchant key the site must send (required)
+ *   PAYFAST_LOCAL_PASSPHRASE   - Passphrase for signatures (optional)
+ *
+ * @module scripts/payfast-simulator
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const LISTEN_URL = new URL(process.env.PAYFAST_LOCAL_URL || 'http://localhost:8001');
+const MERCHANT_ID = process.env.PAYFAST_LOCAL_MERCHANT_ID;
+const MERCHANT_KEY = process.env.PAYFAST_LOCAL_MERCHANT_KEY;
+const PASSPHRASE = process.env.PAYFAST_LOCAL_PASSPHRASE || '';
+
+const ITN_TIMEOUT_MS = 15000;
+
+// Checkouts waiting for Pay/Cancel, keyed by checkout ID
+const checkouts = new Map();
+
+// ITNs sent, keyed by pf_payment_id (answers /eng/query/validate)
+const sentItns = new Map();
+
+let nextPaymentId = 1000000 + Math.floor(Math.random() * 1000000);
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+/**
+ * Generate a PayFast signature over fields in the given order
+ *
+ * @param {Array<[string, string]>} entries - Field name/value pairs, signature excluded
+ * @param {string} passphrase - The merchant passphrase
+ * @returns {string} MD5 signature
+ */
+function generateSignature(entries, passphrase) {
+  const paramString = entries
+    .filter(([key, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${encodeURIComponent(String(value).trim()).replace(/%20/g, '+')}`)
+    .join('&');
+
+  const stringToHash = passphrase
+    ? `${paramString}&passphrase=${encodeURIComponent(passphrase.trim()).replace(/%20/g, '+')}`
+    : paramString;
+
+  return crypto.createHash('md5').update(stringToHash).digest('hex');
+}
+
+/**
+ * Check a checkout submission the way PayFast does
+ *
+ * @param {Array<[string, string]>} entries - Posted fields, in posted order
+ * @returns {Array<string>} Problems found (empty when the checkout is acceptable)
+ */
+function validateCheckout(entries) {
+  const fields = Object.fromEntries(entries);
+  const errors = [];
+
+  if (fields.merchant_id !== MERCHANT_ID) {
+    errors.push(`merchant_id "${fields.merchant_id || ''}" does not match PAYFAST_LOCAL_MERCHANT_ID`);
+  }
+  if (fields.merchant_key !== MERCHANT_KEY) {
+    errors.push('merchant_key does not match PAYFAST_LOCAL_MERCHANT_KEY');
+  }
+  if (isNaN(parseFloat(fields.amount))) {
+    errors.push(`amount "${fields.amount || ''}" is not a number`);
+  }
+  if (!fields.item_name) {
+    errors.push('item_name is required');
+  }
+  if (!fields.notify_url) {
+    errors.push('notify_url is required (no ITN can be sent without it)');
+  }
+
+  if (!fields.signature) {
+    errors.push('signature is missing');
+  } else {
+    const unsigned = entries.filter(([key]) => key !== 'signature');
+    const expected = generateSignature(unsigned, PASSPHRASE);
+    if (expected !== fields.signature.toLowerCase()) {
+      errors.push(`signature mismatch: expected ${expected}, got ${fields.signature}`);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// ITN
+// ============================================
+
+/**
+ * Build a signed COMPLETE ITN for a checkout
+ *
+ * @param {Object} checkout - The posted checkout fields
+ * @returns {Object} ITN fields in PayFast's order, signature last
+ */
+function buildItn(checkout) {
+  const amountGross = parseFloat(checkout.amount || '0');
+  // Rough PayFast card fee; nothing is charged on a R0.00 first month
+  const amountFee = amountGross > 0 ? -(Math.round((amountGross * 0.035 + 2) * 100) / 100) : 0;
+
+  const entries = [
+    ['m_payment_id', checkout.m_payment_id],
+    ['pf_payment_id', String(nextPaymentId++)],
+    ['payment_status', 'COMPLETE'],
+    ['item_name', checkout.item_name],
+    ['item_description', checkout.item_description],
+    ['amount_gross', amountGross.toFixed(2)],
+    ['amount_fee', amountFee.toFixed(2)],
+    ['amount_net', (amountGross + amountFee).toFixed(2)],
+    ['custom_str1', checkout.custom_str1],
+    ['custom_str2', checkout.custom_str2],
+    ['custom_str3', checkout.custom_str3],
+    ['custom_str4', checkout.custom_str4],
+    ['custom_str5', checkout.custom_str5],
+    ['custom_int1', checkout.custom_int1],
+    ['custom_int2', checkout.custom_int2],
+    ['custom_int3', checkout.custom_int3],
+    ['custom_int4', checkout.custom_int4],
+    ['custom_int5', checkout.custom_int5],
+    ['name_first', checkout.name_first],
+    ['name_last', checkout.name_last],
+    ['email_address', checkout.email_address],
+    ['merchant_id', MERCHANT_ID],
+    ['token', checkout.subscription_type ? crypto.randomUUID() : ''],
+    ['billing_date', checkout.subscription_type ? new Date().toISOString().slice(0, 10) : '']
+  ].filter(([key, value]) => value !== undefined && value !== null && value !== '');
+
+  const itn = Object.fromEntries(entries);
+  itn.signature = generateSignature(entries, PASSPHRASE);
+  return itn;
+}
+
+/**
+ * POST an ITN to the merchant's notify_url
+ *
+ * @param {string} notifyUrl - The notify_url from the checkout
+ * @param {Object} itn - Signed ITN fields
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+function sendItn(notifyUrl, itn) {
+  const url = new URL(notifyUrl);
+  const transport = url.protocol === 'http:' ? http : https;
+  const postData = new URLSearchParams(itn).toString();
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || (transport === http ? 80 : 443),
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData),
+        'User-Agent': 'PayFast Simulator'
+      },
+      timeout: ITN_TIMEOUT_MS
+    }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('ITN request timed out'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Check a validation request against the ITNs this simulator sent
+ *
+ * @param {Object} fields - Posted fields
+ * @returns {boolean} True if every field matches a sent ITN
+ */
+function isSentItn(fields) {
+  const sent = sentItns.get(fields.pf_payment_id);
+  if (!sent) {
+    return false;
+  }
+  const keys = new Set([...Object.keys(sent), ...Object.keys(fields)]);
+  return [...keys].every(key => (sent[key] || '') === (fields[key] || ''));
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * POST /eng/process - accept a checkout and show the payment page
+ */
+function handleProcess(res, body) {
+  const entries = [...new URLSearchParams(body).entries()];
+  const errors = validateCheckout(entries);
+
+  if (errors.length > 0) {
+    console.log('✗ Checkout rejected:', errors.join('; '));
+    return sendHtml(res, 400, renderErrorPage(errors));
+  }
+
+  const checkoutId = crypto.randomBytes(12).toString('hex');
+  const checkout = Object.fromEntries(entries);
+  checkouts.set(checkoutId, checkout);
+
+  console.log('✓ Checkout accepted:', checkout.m_payment_id, `R${checkout.amount}`);
+  sendHtml(res, 200, renderPaymentPage(checkoutId, checkout));
+}
+
+/**
+ * POST /eng/process/complete - act on the Pay or Cancel button
+ */
+async function handleComplete(res, body) {
+  const params = new URLSearchParams(body);
+  const checkoutId = params.get('checkout');
+  const checkout = checkouts.get(checkoutId);
+
+  if (!checkout) {
+    return sendHtml(res, 404, renderErrorPage(['Checkout not found or already completed']));
+  }
+  checkouts.delete(checkoutId);
+
+  if (params.get('action') !== 'pay') {
+    console.log('✓ Checkout cancelled:', checkout.m_payment_id);
+    return redirect(res, checkout.cancel_url || '/');
+  }
+
+  const itn = buildItn(checkout);
+  sentItns.set(itn.pf_payment_id, itn);
+
+  try {
+    const response = await sendItn(checkout.notify_url, itn);
+    console.log(`✓ ITN ${itn.pf_payment_id} sent to ${checkout.notify_url}:`, response.statusCode, response.body);
+  } catch (error) {
+    console.error(`✗ ITN ${itn.pf_payment_id} delivery failed:`, error.message);
+  }
+
+  redirect(res, checkout.return_url || '/');
+}
+
+/**
+ * POST /eng/query/validate - confirm an ITN came from this simulator
+ */
+function handleValidate(res, body) {
+  const fields = Object.fromEntries(new URLSearchParams(body).entries());
+  const valid = isSentItn(fields);
+
+  console.log(`${valid ? '✓' : '✗'} Validation for ${fields.pf_payment_id || '(no pf_payment_id)'}:`, valid ? 'VALID' : 'INVALID');
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(valid ? 'VALID' : 'INVALID');
+}
+
+// ============================================
+// HTML
+// ============================================
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const htmlEscapes = {
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  };
+  return String(str).replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+/**
+ * Wrap page content in the simulator layout
+ */
+function renderLayout(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(title)} - PayFast Simulator</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f4f5f7; color: #1a1a2e; margin: 0; }
+    .card { max-width: 480px; margin: 3rem auto; background: #fff; border-radius: 0.75rem; padding: 2rem; box-shadow: 0 4px 16px rgba(0,0,0,0.08); }
+    .badge { display: inline-block; background: #ffb020; color: #1a1a2e; font-size: 0.75rem; font-weight: 700; padding: 0.2rem 0.6rem; border-radius: 1rem; }
+    h1 { font-size: 1.4rem; margin: 1rem 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+    td { padding: 0.4rem 0; border-bottom: 1px solid #eee; vertical-align: top; }
+    td:first-child { color: #666; width: 45%; }
+    .actions { display: flex; gap: 1rem; }
+    button { flex: 1; padding: 0.8rem; border: none; border-radius: 0.5rem; font-size: 1rem; cursor: pointer; }
+    .pay { background: #0a84ff; color: #fff; }
+    .cancel { background: #e4e6eb; color: #1a1a2e; }
+    .errors li { color: #c0392b; margin-bottom: 0.5rem; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <span class="badge">PAYFAST SIMULATOR</span>
+${content}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render the fake payment page
+ */
+function renderPaymentPage(checkoutId, checkout) {
+  const rows = [
+    ['Item', checkout.item_name],
+    ['Amount today', `R${checkout.amount}`],
+    ['Recurring amount', checkout.recurring_amount ? `R${checkout.recurring_amount}` : ''],
+    ['Frequency', checkout.frequency],
+    ['Reference', checkout.m_payment_id],
+    ['Customer', [checkout.name_first, checkout.name_last].filter(Boolean).join(' ')],
+    ['Email', checkout.email_address],
+    ['ITN will be sent to', checkout.notify_url]
+  ]
+    .filter(([_, value]) => value)
+    .map(([label, value]) => `      <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  return renderLayout('Payment', `    <h1>Confirm payment</h1>
+    <table>
+${rows}
+    </table>
+    <form method="POST" action="/eng/process/complete" class="actions">
+      <input type="hidden" name="checkout" value="${escapeHtml(checkoutId)}"/>
+      <button type="submit" name="action" value="pay" class="pay">Pay</button>
+      <button type="submit" name="action" value="cancel" class="cancel">Cancel</button>
+    </form>`);
+}
+
+/**
+ * Render the checkout error page
+ */
+function renderErrorPage(errors) {
+  const items = errors.map(error => `      <li>${escapeHtml(error)}</li>`).join('\n');
+  return renderLayout('Error', `    <h1>Checkout rejected</h1>
+    <ul class="errors">
+${items}
+    </ul>`);
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Send an HTML response
+ */
+function sendHtml(res, statusCode, html) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+/**
+ * Send a redirect (303 so the browser follows with GET)
+ */
+function redirect(res, location) {
+  res.writeHead(303, { Location: location });
+  res.end();
+}
+
+/**
+ * Read the full request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = new URL(req.url, LISTEN_URL).pathname;
+
+  try {
+    if (req.method === 'POST' && path === '/eng/process') {
+      return handleProcess(res, await readBody(req));
+    }
+    if (req.method === 'POST' && path === '/eng/process/complete') {
+      return await handleComplete(res, await readBody(req));
+    }
+    if (req.method === 'POST' && path === '/eng/query/validate') {
+      return handleValidate(res, await readBody(req));
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Simulator error');
+  }
+});
+
+if (!MERCHANT_ID || !MERCHANT_KEY) {
+  console.error('PAYFAST_LOCAL_MERCHANT_ID and PAYFAST_LOCAL_MERCHANT_KEY are required');
+  process.exit(1);
+}
+
+server.listen(LISTEN_URL.port || 80, LISTEN_URL.hostname, () => {
+  console.log('PayFast Simulator listening on', LISTEN_URL.origin);
+  console.log('  Merchant ID:', MERCHANT_ID);
+  console.log('  Passphrase:', PASSPHRASE ? 'set' : 'none');
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * PII Re-encryption CLI
+ *
+ * Encrypts every row that is not yet under the active PII key - legacy
+ * plaintext rows and rows under a retired key. Run it after adding a
+ * new key and switching PII_ACTIVE_KEY_ID; once it reports done, the old
+ * key can be removed from PII_ENCRYPTION_KEYS.
+ *
+ * USAGE:
+ *   npm run pii:reencrypt
+ *
+ * ENVIRONMENT VARIABLES:
+ *   PII_ENCRYPTION_KEYS, PII_ACTIVE_KEY_ID, PII_BLIND_INDEX_KEY - see utils/pii-encryption.js
+ *   DATABASE_BACKEND and its connection settings - see scripts/migrate.js
+ *
+ * @module scripts/reencrypt-pii
+ */
+
+const { reencryptPii, closePool } = require('../netlify/functions/utils/database');
+const { ACTOR_TYPES, runAsActor } = require('../netlify/functions/utils/audit');
+
+const BATCH_SIZE = 200;
+
+async function main() {
+  const totals = { pending: 0, submissions: 0, customers: 0, payments: 0, quarantinedItns: 0, emails: 0, optOuts: 0 };
+
+  try {
+    let batch;
+    do {
+      batch = await reencryptPii({ limit: BATCH_SIZE });
+      for (const table of Object.keys(totals)) {
+        totals[table] += batch[table];
+      }
+    } while (!batch.done);
+
+    console.log(`✓ All PII under key ${batch.keyId}: re-encrypted ${totals.pending} pending checkout(s), ${totals.submissions} submission(s), ${totals.customers} customer(s), ${totals.payments} payment(s), ${totals.quarantinedItns} quarantined ITN(s), ${totals.emails} email(s), ${totals.optOuts} opt-out(s)`);
+    return 0;
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    return 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runAsActor({ type: ACTOR_TYPES.SCRIPT, id: 'reencrypt-pii' }, main).then(code => {
+  process.exitCode = code;
+});
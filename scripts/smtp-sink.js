@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * SMTP Sink
+ *
+ * Local SMTP server for testing the smtp email provider without sending
+ * real mail. Accepts every message (and any login), saves it as an .eml
+ * file and logs who it was for.
+ *
+ * USAGE:
+ *   npm run smtp:sink
+ *   Then set on the site: EMAIL_PROVIDERS=smtp (or e.g. "<http provider>,smtp"
+ *   to test failover), EMAIL_SMTP_HOST=localhost, EMAIL_SMTP_PORT=2525,
+ *   EMAIL_SMTP_TLS=none
+ *
+ * ENVIRONMENT VARIABLES:
+ *   SMTP_SINK_PORT - Port to listen on (default: 2525)
+ *   SMTP_SINK_DIR  - Where messages are saved (default: .data/smtp-sink)
+ *   SMTP_SINK_FAIL - Reply code to answer every message with instead of
+ *                    accepting it, e.g. 451 (transient - the site fails over
+ *                    to its next provider) or 550 (permanent)
+ *
+ * The sink offers no STARTTLS, so it only works with EMAIL_SMTP_TLS=none.
+ *
+ * @module scripts/smtp-sink
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const PORT = parseInt(process.env.SMTP_SINK_PORT || '2525', 10);
+const SINK_DIR = process.env.SMTP_SINK_DIR || path.join(__dirname, '..', '.data', 'smtp-sink');
+const FAIL_CODE = process.env.SMTP_SINK_FAIL ? parseInt(process.env.SMTP_SINK_FAIL, 10) : null;
+
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+let messageCount = 0;
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Subject header of a saved message, with encoded words decoded
+ */
+function readSubject(message) {
+  const headers = message.split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ');
+  const match = headers.match(/^Subject: (.*)$/im);
+  if (!match) {
+    return '(no subject)';
+  }
+  return match[1]
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (word, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+/**
+ * Save a received message and log it
+ */
+function saveMessage(envelope, message) {
+  messageCount++;
+  const file = path.join(SINK_DIR, `${Date.now()}-${messageCount}.eml`);
+  fs.writeFileSync(file, message, 'latin1');
+
+  console.log(`[${new Date().toISOString()}] #${messageCount} ${envelope.from} → ${envelope.to.join(', ')}`);
+  console.log(`  Subject: ${readSubject(message)}`);
+  console.log(`  Saved:   ${file}`);
+}
+
+// ============================================
+// SMTP SESSION
+// ============================================
+
+/**
+ * Handle one client connection
+ */
+function handleConnection(socket) {
+  let buffer = '';
+  let mode = 'command';
+  let envelope = { from: null, to: [] };
+  let dataLines = [];
+  let dataBytes = 0;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const resetEnvelope = () => {
+    envelope = { from: null, to: [] };
+    dataLines = [];
+    dataBytes = 0;
+  };
+
+  // ----------------------------------------
+  // Message body (after DATA, up to a lone dot)
+  // ----------------------------------------
+  const handleDataLine = (line) => {
+    if (line !== '.') {
+      dataBytes += line.length + 2;
+      if (dataBytes <= MAX_MESSAGE_BYTES) {
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    mode = 'command';
+    if (dataBytes > MAX_MESSAGE_BYTES) {
+      reply('552 Message too large');
+    } else if (FAIL_CODE) {
+      console.log(`[${new Date().toISOString()}] Refused a message for ${envelope.to.join(', ')} with ${FAIL_CODE} (SMTP_SINK_FAIL)`);
+      reply(`${FAIL_CODE} Refused by SMTP_SINK_FAIL`);
+    } else {
+      saveMessage(envelope, dataLines.join('\r\n') + '\r\n');
+      reply(`250 OK queued as ${messageCount}`);
+    }
+    resetEnvelope();
+  };
+
+  // ----------------------------------------
+  // Commands
+  // ----------------------------------------
+  const handleCommand = (line) => {
+    const [verb] = line.split(' ', 1);
+    const argument = line.slice(verb.length).trim();
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        socket.write(`250-localhost greets ${argument || 'you'}\r\n250-8BITMIME\r\n250-SIZE ${MAX_MESSAGE_BYTES}\r\n250 AUTH PLAIN LOGIN\r\n`);
+        return;
+      case 'HELO':
+        reply('250 localhost');
+        return;
+      case 'AUTH': {
+        const [mechanism, initial] = argument.split(/\s+/);
+        if (mechanism.toUpperCase() === 'PLAIN' && initial) {
+          const user = Buffer.from(initial, 'base64').toString('utf8').split('\0')[1];
+          console.log(`  (login as ${user || '(empty)'} accepted)`);
+          reply('235 Authentication successful');
+        } else if (mechanism.toUpperCase() === 'PLAIN') {
+          mode = 'auth-plain';
+          reply('334 ');
+        } else if (mechanism.toUpperCase() === 'LOGIN') {
+          mode = 'auth-login-user';
+          reply(`334 ${Buffer.from('Username:').toString('base64')}`);
+        } else {
+          reply('504 Unrecognized authentication mechanism');
+        }
+        return;
+      }
+      case 'MAIL':
+        resetEnvelope();
+        envelope.from = argument.replace(/^FROM:\s*/i, '').replace(/[<>]/g, '').split(/\s+/)[0];
+        reply('250 OK');
+        return;
+      case 'RCPT':
+        if (!envelope.from) {
+          reply('503 MAIL first');
+          return;
+        }
+        envelope.to.push(argument.replace(/^TO:\s*/i, '').replace(/[<>]/g, ''));
+        reply('250 OK');
+        return;
+      case 'DATA':
+        if (envelope.to.length === 0) {
+          reply('503 RCPT first');
+          return;
+        }
+        mode = 'data';
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        return;
+      case 'RSET':
+        resetEnvelope();
+        reply('250 OK');
+        return;
+      case 'NOOP':
+        reply('250 OK');
+        return;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        return;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  const handleLine = (line) => {
+    if (mode === 'data') {
+      handleDataLine(line);
+    } else if (mode === 'auth-plain' || mode === 'auth-login-pass') {
+      mode = 'command';
+      reply('235 Authentication successful');
+    } else if (mode === 'auth-login-user') {
+      mode = 'auth-login-pass';
+      console.log(`  (login as ${Buffer.from(line, 'base64').toString('utf8') || '(empty)'} accepted)`);
+      reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+    } else {
+      handleCommand(line);
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('latin1');
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  });
+  socket.on('error', (error) => {
+    console.error('Connection error:', error.message);
+  });
+
+  reply('220 localhost SMTP sink ready');
+}
+
+fs.mkdirSync(SINK_DIR, { recursive: true });
+
+net.createServer(handleConnection).listen(PORT, 'localhost', () => {
+  console.log(`SMTP sink listening on localhost:${PORT}`);
+  console.log('  Messages saved to:', SINK_DIR);
+  if (FAIL_CODE) {
+    console.log(`  Refusing every message with ${FAIL_CODE} (SMTP_SINK_FAIL)`);
+  }
+});
@@ -0,0 +1,320 @@
+/**
+ * Storage Backend Contract
+ *
+ * Runs the same operations against every storage backend and expects the
+ * same results, so the local database server (http backend) keeps up with
+ * postgres. Run with `npm test`.
+ *
+ * BACKENDS:
+ *   http     - Starts scripts/local-db-server.js on a temporary SQLite
+ *              file; skipped unless node:sqlite is available (Node.js 22.13+)
+ *   postgres - Uses DATABASE_URL, applying pending migrations first;
+ *              skipped without it. Rows are added under unique IDs and
+ *              not removed, so point it at a disposable database
+ *
+ * PII keys and the local server's secret are generated for the run unless
+ * set in the environment.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { STORAGE_OPERATIONS } = require('../netlify/functions/utils/database');
+
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+const SERVER_SCRIPT = path.join(__dirname, '..', 'scripts', 'local-db-server.js');
+
+process.env.PII_ENCRYPTION_KEYS = process.env.PII_ENCRYPTION_KEYS || `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.PII_ACTIVE_KEY_ID = process.env.PII_ACTIVE_KEY_ID || 'test';
+process.env.PII_BLIND_INDEX_KEY = process.env.PII_BLIND_INDEX_KEY || crypto.randomBytes(32).toString('base64');
+process.env.SSS_DB_SECRET = process.env.SSS_DB_SECRET || crypto.randomBytes(32).toString('hex');
+
+// ============================================
+// BACKENDS
+// ============================================
+
+const BACKENDS = [
+  {
+    name: 'http (local database server)',
+    skip: hasSqlite() ? false : `node:sqlite is not available in Node.js ${process.version}`,
+    start: startLocalServer
+  },
+  {
+    name: 'postgres',
+    skip: process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL ? false : 'DATABASE_URL is not set',
+    async start() {
+      const storage = require('../netlify/functions/utils/storage/postgres');
+      await storage.runMigrations();
+      return { storage, stop: () => storage.closePool() };
+    }
+  }
+];
+
+/**
+ * Whether this Node.js can run the local database server
+ */
+function hasSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find a free local port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the local database server on a temporary file
+ *
+ * @returns {Promise<{storage: Object, stop: Function}>} The http backend and a way to stop the server
+ */
+async function startLocalServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sss-contract-'));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    env: { ...process.env, SSS_DB_LOCAL_PORT: String(port), SSS_DB_LOCAL_FILE: path.join(dir, 'contract.sqlite') },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const collect = chunk => {
+      output += chunk;
+      if (output.includes('listening on')) resolve();
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.once('exit', code => reject(new Error(`Local database server exited (${code}):\n${output}`)));
+  });
+
+  process.env.SSS_DB_API_URL = `http://localhost:${port}`;
+  const storage = require('../netlify/functions/utils/storage/http');
+
+  return {
+    storage,
+    stop() {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// ============================================
+// CONTRACT
+// ============================================
+
+/**
+ * Form data for a test checkout
+ */
+function buildFormData(tag) {
+  return {
+    businessName: `Contract ${tag} Plumbing`,
+    businessEmail: `contract-${tag}@example.com`,
+    businessPhone: '082 123 4567',
+    ownerFirstName: 'Thandi',
+    ownerLastName: `Contract${tag}`,
+    industry: 'Plumbing',
+    city: 'Durban'
+  };
+}
+
+/**
+ * Store a pending checkout and convert it as its initial ITN would
+ */
+async function convertCheckout(storage, submissionId, pfPaymentId) {
+  await storage.storePendingFormData(submissionId, buildFormData(RUN_ID), 'landing-page-monthly', 24);
+  return storage.convertPaidCheckout({
+    submissionId,
+    paymentData: { payment_status: 'COMPLETE', pf_payment_id: pfPaymentId, amount_gross: '0.00' },
+    planId: 'landing-page-monthly',
+    recurringAmount: '499.99',
+    paymentType: 'initial',
+    emails: [{
+      kind: 'welcome',
+      submissionId,
+      email: { to: `contract-${RUN_ID}@example.com`, subject: 'Welcome', textBody: 'Hi', htmlBody: '<p>Hi</p>' },
+      nextAttemptAt: new Date(Date.now() + 60 * 60 * 1000),
+      dedupeKey: `welcome:${submissionId}`
+    }]
+  });
+}
+
+for (const backend of BACKENDS) {
+  describe(`storage contract: ${backend.name}`, { skip: backend.skip }, () => {
+    let storage;
+    let stop;
+    let sequence = 0;
+    const nextId = prefix => `${prefix}-${RUN_ID}-${++sequence}`;
+
+    before(async () => {
+      ({ storage, stop } = await backend.start());
+    });
+
+    after(async () => {
+      if (stop) await stop();
+    });
+
+    it('implements every storage operation', () => {
+      const missing = STORAGE_OPERATIONS.filter(operation => typeof storage[operation] !== 'function');
+      assert.deepEqual(missing, []);
+    });
+
+    it('stores and reads back pending form data', async () => {
+      const submissionId = nextId('SSS-CT');
+      await storage.storePendingFormData(submissionId, buildFormData(RUN_ID), 'landing-page-monthly', 24);
+
+      const pending = await storage.getPendingFormData(submissionId);
+      assert.equal(pending.submission_id, submissionId);
+      assert.equal(pending.plan_id, 'landing-page-monthly');
+      assert.deepEqual(pending.form_data, buildFormData(RUN_ID));
+      assert.equal(await storage.getPendingFormData(nextId('SSS-CT-NONE')), null);
+    });
+
+    it('converts a paid checkout once, queueing its emails with it', async () => {
+      const submissionId = nextId('SSS-CT');
+      const pfPaymentId = nextId('PF');
+
+      const conversion = await convertCheckout(storage, submissionId, pfPaymentId);
+      assert.equal(conversion.converted, true);
+      assert.equal(conversion.fromPending, true);
+      assert.deepEqual(conversion.emails.map(row => row.kind), ['welcome']);
+
+      const submission = await storage.findBySubmissionId(submissionId);
+      assert.equal(submission.email, `contract-${RUN_ID}@example.com`);
+      assert.equal(submission.subscription_status, 'trialing');
+      assert.equal(Number(submission.recurring_amount), 499.99);
+      assert.equal(await storage.submissionExists(submissionId), true);
+      assert.equal(await storage.getPendingFormData(submissionId), null);
+
+      const again = await storage.convertPaidCheckout({
+        submissionId,
+        paymentData: { payment_status: 'COMPLETE', pf_payment_id: pfPaymentId },
+        planId: 'landing-page-monthly',
+        paymentType: 'initial'
+      });
+      assert.equal(again.converted, false);
+    });
+
+    it('records each payment once', async () => {
+      const submissionId = nextId('SSS-CT');
+      const pfPaymentId = nextId('PF');
+      await convertCheckout(storage, submissionId, pfPaymentId);
+
+      const paymentData = { payment_status: 'COMPLETE', pf_payment_id: nextId('PF'), amount_gross: '499.99' };
+      const first = await storage.recordPayment({ submissionId, paymentData, paymentType: 'recurring' });
+      const repeat = await storage.recordPayment({ submissionId, paymentData, paymentType: 'recurring' });
+      assert.equal(first.inserted, true);
+      assert.equal(repeat.inserted, false);
+
+      const history = await storage.getPaymentHistory(submissionId);
+      assert.deepEqual(history.map(payment => payment.pf_payment_id), [pfPaymentId, paymentData.pf_payment_id]);
+    });
+
+    it('only makes allowed subscription transitions', async () => {
+      const submissionId = nextId('SSS-CT');
+      await convertCheckout(storage, submissionId, nextId('PF'));
+
+      assert.deepEqual(
+        await storage.transitionSubscriptionStatus(submissionId, 'active', { reason: 'contract' }),
+        { found: true, changed: true, fromStatus: 'trialing', toStatus: 'active' }
+      );
+      assert.deepEqual(
+        await storage.transitionSubscriptionStatus(submissionId, 'trialing'),
+        { found: true, changed: false, fromStatus: 'active', toStatus: 'trialing' }
+      );
+      assert.deepEqual(
+        await storage.transitionSubscriptionStatus(nextId('SSS-CT-NONE'), 'active'),
+        { found: false, changed: false, fromStatus: null, toStatus: 'active' }
+      );
+      await assert.rejects(storage.transitionSubscriptionStatus(submissionId, 'paused'), /Invalid subscription status/);
+
+      const history = await storage.getSubscriptionHistory(submissionId);
+      assert.deepEqual(history.map(row => [row.from_status, row.to_status]), [[null, 'trialing'], ['trialing', 'active']]);
+    });
+
+    it('searches submissions by name, phone ending and subscription status', async () => {
+      const submissionId = nextId('SSS-CT');
+      await convertCheckout(storage, submissionId, nextId('PF'));
+      const ids = result => result.results.map(row => row.submission_id);
+
+      assert.ok(ids(await storage.searchSubmissions({ query: `contract ${RUN_ID}` })).includes(submissionId));
+      assert.ok(ids(await storage.searchSubmissions({ query: '123 4567' })).includes(submissionId));
+      assert.ok(ids(await storage.searchSubmissions({ query: `Contract${RUN_ID}` })).includes(submissionId));
+      assert.ok(ids(await storage.searchSubmissions({ query: `contract ${RUN_ID}`, subscriptionStatus: 'trialing' })).includes(submissionId));
+      assert.ok(!ids(await storage.searchSubmissions({ query: `contract ${RUN_ID}`, subscriptionStatus: 'cancelled' })).includes(submissionId));
+      await assert.rejects(storage.searchSubmissions({ query: `contract ${RUN_ID}`, subscriptionStatus: 'COMPLETE' }), /Invalid subscription status/);
+    });
+
+    it('quarantines an ITN once and records its review', async () => {
+      const pfPaymentId = nextId('PF');
+      const itnData = { pf_payment_id: pfPaymentId, m_payment_id: nextId('SSS-CT'), amount_gross: '12.00', email_address: 'payer@example.com' };
+
+      const held = await storage.quarantineItn({ itnData, reasons: ['Amount mismatch'], expected: { recurringAmount: '499.99' } });
+      const resent = await storage.quarantineItn({ itnData, reasons: ['Amount mismatch'], expected: {} });
+      assert.equal(held.inserted, true);
+      assert.equal(resent.inserted, false);
+      assert.equal(resent.entry.id, held.entry.id);
+
+      const found = await storage.getQuarantinedItn(pfPaymentId);
+      assert.equal(found.status, 'open');
+      assert.equal(found.itn_data.email_address, 'payer@example.com');
+
+      const released = await storage.resolveQuarantinedItn(held.entry.id, { status: 'released', reviewedBy: 'contract' });
+      assert.equal(released.status, 'released');
+      assert.equal(await storage.resolveQuarantinedItn(held.entry.id, { status: 'rejected', reviewedBy: 'contract' }), null);
+      assert.equal((await storage.getQuarantinedItn(pfPaymentId)).status, 'released');
+    });
+
+    it('stores ITN events with their results and finds them by payment', async () => {
+      const pfPaymentId = nextId('PF');
+      const rawBody = new URLSearchParams({ m_payment_id: nextId('SSS-CT'), pf_payment_id: pfPaymentId, payment_status: 'COMPLETE' }).toString();
+
+      const stored = await storage.recordItnEvent({ rawBody, headers: {}, sourceIp: '127.0.0.1' });
+      await storage.recordItnEventResult(stored.id, { validation: 'quarantined', result: { action: 'quarantined' } });
+
+      const [listed, ...others] = await storage.listItnEvents({ pfPaymentId });
+      assert.equal(others.length, 0);
+      assert.equal(listed.id, stored.id);
+      assert.equal(listed.validation_outcome, 'quarantined');
+
+      const event = await storage.getItnEvent(stored.id);
+      assert.equal(event.raw_body, rawBody);
+      assert.deepEqual(event.results.map(result => result.validation_outcome), ['quarantined']);
+    });
+
+    it('queues an email with a dedupe key once', async () => {
+      const dedupeKey = nextId('contract');
+      const entry = {
+        kind: 'welcome',
+        email: { to: 'queued@example.com', subject: 'Welcome', textBody: 'Hi', htmlBody: '<p>Hi</p>' },
+        nextAttemptAt: new Date(Date.now() + 60 * 60 * 1000),
+        dedupeKey
+      };
+
+      const row = await storage.enqueueEmail(entry);
+      assert.equal(row.status, 'pending');
+      assert.equal(row.to_address, 'queued@example.com');
+      assert.equal(await storage.enqueueEmail(entry), null);
+    });
+  });
+}